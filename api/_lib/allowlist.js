@@ -0,0 +1,57 @@
+// Upstream endpoints the price proxies may forward to, and how long their
+// responses can be cached. Shared by the Vercel functions and
+// vite-plugins/secureApiProxy.js so dev and production allow the same paths.
+
+// TwelveData: latest quotes, daily closes, ticker search and company
+// profiles (sector, industry, country).
+export const TWELVE_DATA_ENDPOINTS = new Set(["quote", "time_series", "symbol_search", "profile"]);
+
+// CoinGecko: ticker search, latest prices and daily market charts.
+const COINGECKO_PATHS = new Set(["v3/search", "v3/simple/price"]);
+const COINGECKO_MARKET_CHART = /^v3\/coins\/[a-z0-9-]+\/market_chart$/;
+
+// Frankfurter (ECB reference rates, no key): latest rates and daily series
+// from a date ("2024-01-02.." or "2024-01-02..2024-06-30").
+const FX_SERIES = /^\d{4}-\d{2}-\d{2}\.\.(\d{4}-\d{2}-\d{2})?$/;
+const CURRENCY_LIST = /^[A-Z]{3}(,[A-Z]{3})*$/;
+
+export function isAllowedTwelveDataEndpoint(endpoint) {
+  return TWELVE_DATA_ENDPOINTS.has(endpoint);
+}
+
+export function isAllowedCoinGeckoPath(subPath) {
+  return COINGECKO_PATHS.has(subPath) || COINGECKO_MARKET_CHART.test(subPath);
+}
+
+export function isAllowedFxPath(path) {
+  return path === "latest" || FX_SERIES.test(path || "");
+}
+
+// The only FX query parameters passed upstream: `from` (one currency code)
+// and `to` (a comma-separated list). Returns null for anything else.
+export function buildFxQuery(query = {}) {
+  const from = typeof query.from === "string" ? query.from.toUpperCase() : "";
+  const to = typeof query.to === "string" ? query.to.toUpperCase() : "";
+  if (!/^[A-Z]{3}$/.test(from) || !CURRENCY_LIST.test(to)) return null;
+  return new URLSearchParams({ from, to });
+}
+
+// Quotes follow the 5 min client refresh. Daily closes only change once a
+// day, and search results (listed symbols) hardly ever, so both are cached
+// for an hour and may be served stale for a day. FX reference rates are
+// published once per working day, so they get the long cache too. Company
+// profiles barely ever change: a day, served stale for a week.
+const QUOTE_CACHE = "public, s-maxage=300, stale-while-revalidate=600";
+const LONG_CACHE = "public, s-maxage=3600, stale-while-revalidate=86400";
+const PROFILE_CACHE = "public, s-maxage=86400, stale-while-revalidate=604800";
+
+export function getCacheControl(path) {
+  if (path === "profile") return PROFILE_CACHE;
+  return path === "time_series" ||
+    path === "symbol_search" ||
+    path === "v3/search" ||
+    COINGECKO_MARKET_CHART.test(path) ||
+    isAllowedFxPath(path)
+    ? LONG_CACHE
+    : QUOTE_CACHE;
+}
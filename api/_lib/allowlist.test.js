@@ -0,0 +1,83 @@
+import { describe, expect, it } from "vitest";
+import {
+  isAllowedTwelveDataEndpoint,
+  isAllowedCoinGeckoPath,
+  isAllowedFxPath,
+  buildFxQuery,
+  getCacheControl,
+} from "./allowlist.js";
+
+describe("isAllowedTwelveDataEndpoint", () => {
+  it("allows quotes, daily time series, symbol search and profiles", () => {
+    expect(isAllowedTwelveDataEndpoint("quote")).toBe(true);
+    expect(isAllowedTwelveDataEndpoint("time_series")).toBe(true);
+    expect(isAllowedTwelveDataEndpoint("symbol_search")).toBe(true);
+    expect(isAllowedTwelveDataEndpoint("profile")).toBe(true);
+  });
+
+  it("rejects other endpoints", () => {
+    expect(isAllowedTwelveDataEndpoint("api_usage")).toBe(false);
+    expect(isAllowedTwelveDataEndpoint(undefined)).toBe(false);
+  });
+});
+
+describe("isAllowedCoinGeckoPath", () => {
+  it("allows search, simple price and per-coin market charts", () => {
+    expect(isAllowedCoinGeckoPath("v3/search")).toBe(true);
+    expect(isAllowedCoinGeckoPath("v3/simple/price")).toBe(true);
+    expect(isAllowedCoinGeckoPath("v3/coins/bitcoin/market_chart")).toBe(true);
+    expect(isAllowedCoinGeckoPath("v3/coins/usd-coin/market_chart")).toBe(true);
+  });
+
+  it("rejects other coin endpoints and odd ids", () => {
+    expect(isAllowedCoinGeckoPath("v3/coins/bitcoin")).toBe(false);
+    expect(isAllowedCoinGeckoPath("v3/coins/bitcoin/market_chart/range")).toBe(false);
+    expect(isAllowedCoinGeckoPath("v3/coins/../market_chart")).toBe(false);
+    expect(isAllowedCoinGeckoPath("v3/coins/a/b/market_chart")).toBe(false);
+  });
+});
+
+describe("isAllowedFxPath", () => {
+  it("allows latest rates and daily series from a date", () => {
+    expect(isAllowedFxPath("latest")).toBe(true);
+    expect(isAllowedFxPath("2024-01-02..")).toBe(true);
+    expect(isAllowedFxPath("2024-01-02..2024-06-30")).toBe(true);
+  });
+
+  it("rejects other paths", () => {
+    expect(isAllowedFxPath("currencies")).toBe(false);
+    expect(isAllowedFxPath("2024-01-02")).toBe(false);
+    expect(isAllowedFxPath("../latest")).toBe(false);
+    expect(isAllowedFxPath(undefined)).toBe(false);
+  });
+});
+
+describe("buildFxQuery", () => {
+  it("passes only from and to currency codes", () => {
+    expect(buildFxQuery({ from: "usd", to: "EUR,GBP", amount: "10" }).toString()).toBe("from=USD&to=EUR%2CGBP");
+  });
+
+  it("rejects missing or malformed codes", () => {
+    expect(buildFxQuery({ from: "USD" })).toBeNull();
+    expect(buildFxQuery({ from: "US", to: "EUR" })).toBeNull();
+    expect(buildFxQuery({ from: "USD", to: "EUR;GBP" })).toBeNull();
+    expect(buildFxQuery({ from: ["USD", "EUR"], to: "GBP" })).toBeNull();
+  });
+});
+
+describe("getCacheControl", () => {
+  it("caches history and search results longer than quotes", () => {
+    expect(getCacheControl("quote")).toContain("s-maxage=300");
+    expect(getCacheControl("v3/simple/price")).toContain("s-maxage=300");
+    expect(getCacheControl("time_series")).toContain("s-maxage=3600");
+    expect(getCacheControl("v3/coins/bitcoin/market_chart")).toContain("s-maxage=3600");
+    expect(getCacheControl("symbol_search")).toContain("s-maxage=3600");
+    expect(getCacheControl("v3/search")).toContain("s-maxage=3600");
+    expect(getCacheControl("latest")).toContain("s-maxage=3600");
+    expect(getCacheControl("2024-01-02..")).toContain("s-maxage=3600");
+  });
+
+  it("caches company profiles for a day", () => {
+    expect(getCacheControl("profile")).toContain("s-maxage=86400");
+  });
+});
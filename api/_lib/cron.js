@@ -0,0 +1,14 @@
+// Guard for the scheduled (Vercel Cron) functions. Vercel calls them with
+// `Authorization: Bearer <CRON_SECRET>`; without CRON_SECRET set nothing can
+// trigger them (fail closed).
+
+import { timingSafeEqual } from "node:crypto";
+
+export function isAuthorizedCron(req) {
+  const secret = process.env.CRON_SECRET || "";
+  if (!secret) return false;
+
+  const given = Buffer.from(req.headers.authorization || "");
+  const expected = Buffer.from(`Bearer ${secret}`);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
@@ -0,0 +1,22 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { isAuthorizedCron } from "./cron.js";
+
+const req = (authorization) => ({ headers: authorization ? { authorization } : {} });
+
+describe("isAuthorizedCron", () => {
+  afterEach(() => {
+    delete process.env.CRON_SECRET;
+  });
+
+  it("accepts the scheduler's bearer secret only", () => {
+    process.env.CRON_SECRET = "s3cret";
+    expect(isAuthorizedCron(req("Bearer s3cret"))).toBe(true);
+    expect(isAuthorizedCron(req("Bearer wrong"))).toBe(false);
+    expect(isAuthorizedCron(req())).toBe(false);
+  });
+
+  it("fails closed without CRON_SECRET", () => {
+    expect(isAuthorizedCron(req("Bearer "))).toBe(false);
+    expect(isAuthorizedCron(req())).toBe(false);
+  });
+});
@@ -0,0 +1,336 @@
+// Daily portfolio snapshot job (see api/snapshots/daily.js and migration 015).
+// Works through the users in pages: loads a page's transactions, cost basis
+// preferences, base currency and manual valuations with the service role,
+// prices the tickers no earlier page did, and upserts one snapshot per user
+// and portfolio for the day. A page that fails is skipped on its own, and
+// pages stop before the function's time limit. The valuation itself is the
+// browser's code (src/services/snapshots.js), so a snapshot matches what the
+// dashboard showed.
+
+import { buildUserSnapshots } from "../../src/services/snapshots.js";
+import { createFxConverter, getRequiredCurrencies, normalizeCurrency } from "../../src/services/currency.js";
+import { mapRowToTransaction, toClientValuation, toCostBasisPreferences, toSnapshotRow } from "../../src/services/dbRows.js";
+import { getPriceFeed } from "../../src/constants/assetClasses.js";
+import { isCashFlowType } from "../../src/constants/transactionTypes.js";
+import { CRYPTO_MAP } from "../../src/constants/assets.js";
+
+const PAGE_SIZE = 1000;
+// TwelveData takes up to 120 symbols per batch quote; stay well below
+const STOCK_BATCH_SIZE = 50;
+const UPSERT_BATCH_SIZE = 500;
+// users whose rows are loaded and valued together
+const USER_PAGE_SIZE = 100;
+// CoinGecko ids per simple/price request (they all go in the URL)
+const COIN_BATCH_SIZE = 250;
+const COINGECKO_URL = "https://api.coingecko.com/api/v3";
+
+// every row of a table (PostgREST caps a response at 1000 rows), paged in
+// the order of the `orderBy` key column(s). `filter` narrows the query
+export async function fetchAllRows(supabase, table, columns, orderBy = ["id"], filter = (query) => query) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let query = filter(supabase.from(table).select(columns));
+    orderBy.forEach((column) => {
+      query = query.order(column, { ascending: true });
+    });
+    const { data, error } = await query.range(from, from + PAGE_SIZE - 1);
+    if (error) throw new Error(`${table}: ${error.message}`);
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+// { [userId]: rows }
+export function groupByUser(rows = []) {
+  const groups = {};
+  rows.forEach((row) => {
+    (groups[row.user_id] ||= []).push(row);
+  });
+  return groups;
+}
+
+/**
+ * tickers with a price feed, split by feed: { stocks: [...], crypto: [...] }.
+ * deposits and withdrawals hold no units; assets without a feed are priced
+ * from their valuations
+ */
+export function collectTickers(transactions = []) {
+  const stocks = new Set();
+  const crypto = new Set();
+  transactions.forEach((tx) => {
+    if (!tx.ticker || isCashFlowType(tx.type)) return;
+    const feed = getPriceFeed(tx.assetType);
+    if (feed === "stock") stocks.add(tx.ticker);
+    if (feed === "crypto") crypto.add(tx.ticker);
+  });
+  return { stocks: [...stocks].sort(), crypto: [...crypto].sort() };
+}
+
+/**
+ * TwelveData batch quote response to { [ticker]: quote }. one symbol comes
+ * back as the quote itself, several as { [symbol]: quote }. a symbol the
+ * provider has no price for is quoted at 0 so the manual-price fallback
+ * (last trade) applies, as in the browser
+ */
+export function parseStockQuotes(data, tickers) {
+  const quotes = {};
+  tickers.forEach((ticker) => {
+    const quote = tickers.length === 1 ? data : data?.[ticker];
+    const close = parseFloat(quote?.close);
+    quotes[ticker] = {
+      currentPrice: Number.isFinite(close) ? close : 0,
+      priceChange24h: parseFloat(quote?.percent_change || 0) || 0,
+      name: quote?.name || null,
+      currency: quote?.currency || null,
+    };
+  });
+  return quotes;
+}
+
+// latest stock and ETF quotes; a failed batch leaves its tickers out
+async function fetchStockQuotes(tickers, apiKey) {
+  const quotes = {};
+  if (!apiKey) return quotes;
+  for (let i = 0; i < tickers.length; i += STOCK_BATCH_SIZE) {
+    const batch = tickers.slice(i, i + STOCK_BATCH_SIZE);
+    const params = new URLSearchParams({ symbol: batch.join(","), apikey: apiKey });
+    try {
+      const response = await fetch(`https://api.twelvedata.com/quote?${params.toString()}`);
+      const data = response.ok ? await response.json() : null;
+      // rate limits and key errors come back as { status: "error" } with a
+      // 200; a single unknown symbol does too, and is quoted at 0 below
+      const failed = data?.status === "error" && (batch.length > 1 || [401, 403, 429].includes(data.code));
+      if (!data || failed) continue;
+      Object.assign(quotes, parseStockQuotes(data, batch));
+    } catch (error) {
+      console.error("[api/snapshots] stock quotes", error);
+    }
+  }
+  return quotes;
+}
+
+// CoinGecko ids of tickers outside CRYPTO_MAP, kept while the instance is warm
+const coinIdCache = new Map();
+
+/**
+ * CoinGecko id of each ticker among `coins` (the /coins/list entries,
+ * { id, symbol }). symbols are not unique, so the coin with the largest
+ * market cap in `marketCaps` ({ [id]: cap }) wins, as the top match of a
+ * search would. tickers without a listed coin are left out
+ */
+export function matchCoinIds(coins = [], marketCaps = {}, tickers = []) {
+  const wanted = new Set(tickers);
+  const ids = {};
+  coins.forEach((coin) => {
+    const ticker = coin.symbol?.toUpperCase();
+    if (!coin.id || !wanted.has(ticker)) return;
+    if (!ids[ticker] || (marketCaps[coin.id] || 0) > (marketCaps[ids[ticker]] || 0)) ids[ticker] = coin.id;
+  });
+  return ids;
+}
+
+// simple/price for any number of ids, in batches; a failed batch is left out
+async function fetchCoinPrices(coinIds, headers, extra = {}) {
+  const data = {};
+  for (let i = 0; i < coinIds.length; i += COIN_BATCH_SIZE) {
+    const params = new URLSearchParams({ ids: coinIds.slice(i, i + COIN_BATCH_SIZE).join(","), vs_currencies: "usd", ...extra });
+    try {
+      const response = await fetch(`${COINGECKO_URL}/simple/price?${params.toString()}`, { headers });
+      if (response.ok) Object.assign(data, await response.json());
+    } catch (error) {
+      console.error("[api/snapshots] crypto prices", error);
+    }
+  }
+  return data;
+}
+
+// CoinGecko ids: the known map and earlier lookups first, then every other
+// ticker at once from the coin list (one request however many tickers)
+async function resolveCoinIds(tickers, headers) {
+  const ids = {};
+  const unknown = [];
+  tickers.forEach((ticker) => {
+    const id = CRYPTO_MAP[ticker]?.id || coinIdCache.get(ticker);
+    if (id) ids[ticker] = id;
+    else unknown.push(ticker);
+  });
+  if (!unknown.length) return ids;
+
+  try {
+    const response = await fetch(`${COINGECKO_URL}/coins/list`, { headers });
+    const coins = response.ok ? await response.json() : [];
+    const listed = coins.filter((coin) => unknown.includes(coin.symbol?.toUpperCase()));
+    const counts = {};
+    listed.forEach((coin) => {
+      counts[coin.symbol.toUpperCase()] = (counts[coin.symbol.toUpperCase()] || 0) + 1;
+    });
+    // only symbols listed more than once need the market caps to pick a coin
+    const contenders = listed.filter((coin) => counts[coin.symbol.toUpperCase()] > 1).map((coin) => coin.id);
+    const caps = contenders.length ? await fetchCoinPrices(contenders, headers, { include_market_cap: "true" }) : {};
+    const marketCaps = Object.fromEntries(Object.entries(caps).map(([id, price]) => [id, price?.usd_market_cap || 0]));
+    Object.entries(matchCoinIds(coins, marketCaps, unknown)).forEach(([ticker, id]) => {
+      coinIdCache.set(ticker, id);
+      ids[ticker] = id;
+    });
+  } catch (error) {
+    console.error("[api/snapshots] coin list", error);
+  }
+  return ids;
+}
+
+// latest crypto quotes in USD; a failed request leaves its tickers out
+async function fetchCryptoQuotes(tickers, apiKey) {
+  if (!tickers.length) return {};
+  const headers = { Accept: "application/json" };
+  if (apiKey) headers["x-cg-demo-api-key"] = apiKey;
+
+  const ids = await resolveCoinIds(tickers, headers);
+  const coinIds = [...new Set(Object.values(ids))];
+  if (!coinIds.length) return {};
+
+  const data = await fetchCoinPrices(coinIds, headers, { include_24hr_change: "true" });
+  const quotes = {};
+  Object.entries(ids).forEach(([ticker, id]) => {
+    if (!data[id]) return;
+    quotes[ticker] = {
+      currentPrice: data[id].usd || 0,
+      priceChange24h: data[id].usd_24h_change || 0,
+      name: CRYPTO_MAP[ticker]?.name || ticker,
+      currency: "USD",
+    };
+  });
+  return quotes;
+}
+
+// Frankfurter (ECB) rates in the shape createFxConverter reads:
+// { base, latest, history: [[date, rates], ...] }, or null when unavailable
+async function fetchFxRates(base, currencies, from) {
+  if (!currencies.length) return { base, latest: {}, history: [] };
+  const query = new URLSearchParams({ from: base, to: currencies.join(",") }).toString();
+  try {
+    const [latest, series] = await Promise.all([
+      fetch(`https://api.frankfurter.app/latest?${query}`).then((r) => (r.ok ? r.json() : null)),
+      fetch(`https://api.frankfurter.app/${from}..?${query}`).then((r) => (r.ok ? r.json() : null)),
+    ]);
+    if (!latest?.rates || !series?.rates) return null;
+    const history = Object.entries(series.rates).sort((a, b) => a[0].localeCompare(b[0]));
+    return { base, latest: latest.rates, history };
+  } catch (error) {
+    console.error("[api/snapshots] fx rates", error);
+    return null;
+  }
+}
+
+// snapshot rows of one page of users. `quotes` carries the prices earlier
+// pages fetched and gets this page's added, so each ticker is quoted once
+async function snapshotUsers(supabase, userIds, date, quotes, env) {
+  const forPage = (query) => query.in("user_id", userIds);
+  const [transactionRows, preferenceRows, settingsRows, valuationRows] = await Promise.all([
+    fetchAllRows(supabase, "transactions", "*", ["id"], forPage),
+    fetchAllRows(supabase, "cost_basis_preferences", "user_id, ticker, method", ["user_id", "ticker"], forPage),
+    fetchAllRows(supabase, "user_settings", "user_id, base_currency", ["user_id"], forPage),
+    fetchAllRows(supabase, "asset_valuations", "id, user_id, ticker, asset_class, price, currency, valued_on, note", ["id"], forPage),
+  ]);
+
+  const transactionsByUser = Object.fromEntries(
+    Object.entries(groupByUser(transactionRows)).map(([userId, rows]) => [userId, rows.map(mapRowToTransaction)])
+  );
+  const preferencesByUser = groupByUser(preferenceRows);
+  const valuationsByUser = groupByUser(valuationRows);
+  const baseByUser = Object.fromEntries(settingsRows.map((row) => [row.user_id, normalizeCurrency(row.base_currency)]));
+
+  // one quote request per feed for the page's tickers not quoted yet
+  const tickers = collectTickers(Object.values(transactionsByUser).flat());
+  const unquoted = (list) => list.filter((ticker) => !quotes[ticker]);
+  Object.assign(
+    quotes,
+    await fetchStockQuotes(unquoted(tickers.stocks), env.TWELVE_DATA_API_KEY || env.VITE_TWELVE_DATA_API_KEY || ""),
+    await fetchCryptoQuotes(unquoted(tickers.crypto), env.COINGECKO_API_KEY || env.VITE_COINGECKO_API_KEY || "")
+  );
+
+  // one FX request per base currency, covering every user on it
+  const fxNeeds = {};
+  Object.entries(transactionsByUser).forEach(([userId, transactions]) => {
+    const base = baseByUser[userId] || normalizeCurrency(null);
+    const need = (fxNeeds[base] ||= { currencies: new Set(), from: null });
+    getRequiredCurrencies(transactions, quotes, base).forEach((c) => need.currencies.add(c));
+    transactions.forEach((tx) => {
+      if (tx.date && (!need.from || tx.date < need.from)) need.from = tx.date;
+    });
+  });
+  const fxByBase = {};
+  for (const [base, need] of Object.entries(fxNeeds)) {
+    fxByBase[base] = await fetchFxRates(base, [...need.currencies].sort(), need.from);
+  }
+
+  const rows = [];
+  const skipped = [];
+  Object.entries(transactionsByUser).forEach(([userId, transactions]) => {
+    const base = baseByUser[userId] || normalizeCurrency(null);
+    if (!fxByBase[base]) {
+      skipped.push({ userId, reason: `no ${base} exchange rates` });
+      return;
+    }
+    const converter = createFxConverter(fxByBase[base], base);
+    const snapshots = buildUserSnapshots(transactions, date, {
+      quotes,
+      valuations: (valuationsByUser[userId] || []).map(toClientValuation),
+      costBasis: toCostBasisPreferences(preferencesByUser[userId] || []),
+      converter,
+    });
+    const unpriced = snapshots[0].unpriced;
+    if (unpriced.length) {
+      skipped.push({ userId, reason: `no price for ${unpriced.join(", ")}` });
+      return;
+    }
+    if (converter.missing.size) {
+      skipped.push({ userId, reason: `no exchange rate for ${[...converter.missing].join(", ")}` });
+      return;
+    }
+    snapshots.forEach((snapshot) => rows.push(toSnapshotRow(userId, snapshot)));
+  });
+
+  for (let i = 0; i < rows.length; i += UPSERT_BATCH_SIZE) {
+    const { error } = await supabase
+      .from("portfolio_snapshots")
+      .upsert(rows.slice(i, i + UPSERT_BATCH_SIZE), { onConflict: "user_id,portfolio_id,snapshot_date" });
+    if (error) throw new Error(`portfolio_snapshots: ${error.message}`);
+  }
+
+  return { users: Object.keys(transactionsByUser).length, snapshots: rows.length, skipped };
+}
+
+/**
+ * take today's snapshots. `date` is the snapshot day ("YYYY-MM-DD").
+ * users (everyone with a portfolio) are valued `pageSize` at a time and each
+ * page is saved before the next starts. a user is skipped for the day when a
+ * held asset has no quote or their currencies have no rates, rather than
+ * storing a wrong value (the chart recomputes that day as before); so is a
+ * page that fails, and every page left once `deadline` (a Date.now() time)
+ * has passed.
+ * returns { date, users, snapshots, skipped: [{ userId, reason }] }
+ */
+export async function runSnapshotJob({ supabase, date, env = process.env, deadline = Infinity, pageSize = USER_PAGE_SIZE }) {
+  const portfolioRows = await fetchAllRows(supabase, "portfolios", "id, user_id");
+  const userIds = [...new Set(portfolioRows.map((row) => row.user_id))].sort();
+
+  const result = { date, users: 0, snapshots: 0, skipped: [] };
+  const quotes = {};
+  for (let i = 0; i < userIds.length; i += pageSize) {
+    const page = userIds.slice(i, i + pageSize);
+    if (Date.now() >= deadline) {
+      result.skipped.push(...userIds.slice(i).map((userId) => ({ userId, reason: "out of time" })));
+      break;
+    }
+    try {
+      const { users, snapshots, skipped } = await snapshotUsers(supabase, page, date, quotes, env);
+      result.users += users;
+      result.snapshots += snapshots;
+      result.skipped.push(...skipped);
+    } catch (error) {
+      console.error("[api/snapshots] page", error);
+      result.skipped.push(...page.map((userId) => ({ userId, reason: error.message })));
+    }
+  }
+  return result;
+}
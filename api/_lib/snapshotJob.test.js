@@ -0,0 +1,161 @@
+import { describe, expect, it } from "vitest";
+import { collectTickers, groupByUser, matchCoinIds, parseStockQuotes, runSnapshotJob } from "./snapshotJob.js";
+
+// minimal stand-in for the supabase client: filtered paged selects and
+// upserts. `failUpsertFor` makes upserts holding that user's rows fail
+function fakeSupabase(tables, { failUpsertFor } = {}) {
+  const upserts = [];
+  return {
+    upserts,
+    from(table) {
+      return {
+        select() {
+          let data = tables[table] || [];
+          const query = {
+            in: (column, values) => {
+              data = data.filter((r) => values.includes(r[column]));
+              return query;
+            },
+            order: () => query,
+            range: async (from, to) => ({ data: data.slice(from, to + 1), error: null }),
+          };
+          return query;
+        },
+        upsert: async (rows, options) => {
+          if (rows.some((r) => r.user_id === failUpsertFor)) return { error: { message: "write failed" } };
+          upserts.push({ table, rows, options });
+          return { error: null };
+        },
+      };
+    },
+  };
+}
+
+const row = (overrides) => ({
+  id: "t1",
+  user_id: "u1",
+  portfolio_id: "p1",
+  ticker: "HOUSE",
+  name: "Flat",
+  type: "Buy",
+  quantity: 1,
+  price: 300000,
+  total_cost: 300000,
+  asset_class: "Other",
+  occurred_at: "2023-05-01T10:00:00.000Z",
+  fee: 0,
+  currency: "USD",
+  ...overrides,
+});
+
+describe("snapshot job helpers", () => {
+  it("groups rows by user", () => {
+    expect(groupByUser([{ user_id: "a" }, { user_id: "b" }, { user_id: "a" }])).toEqual({
+      a: [{ user_id: "a" }, { user_id: "a" }],
+      b: [{ user_id: "b" }],
+    });
+  });
+
+  it("collects priced tickers by feed", () => {
+    expect(
+      collectTickers([
+        { ticker: "AAPL", assetType: "Stock", type: "Buy" },
+        { ticker: "VOO", assetType: "ETF", type: "Buy" },
+        { ticker: "BTC", assetType: "Crypto", type: "Buy" },
+        { ticker: "HOUSE", assetType: "Other", type: "Buy" },
+        { ticker: "USD", assetType: "Stock", type: "Deposit" },
+      ])
+    ).toEqual({ stocks: ["AAPL", "VOO"], crypto: ["BTC"] });
+  });
+
+  it("parses single and batch TwelveData quotes", () => {
+    expect(parseStockQuotes({ close: "190.5", percent_change: "1.2", currency: "USD" }, ["AAPL"]).AAPL).toMatchObject({
+      currentPrice: 190.5,
+      priceChange24h: 1.2,
+    });
+    const batch = parseStockQuotes({ AAPL: { close: "190" }, DLST: { status: "error", code: 404 } }, ["AAPL", "DLST"]);
+    expect(batch.AAPL.currentPrice).toBe(190);
+    expect(batch.DLST.currentPrice).toBe(0);
+  });
+
+  it("matches coin ids by symbol, the largest market cap winning", () => {
+    const coins = [
+      { id: "pepe-fake", symbol: "pepe" },
+      { id: "pepe", symbol: "pepe" },
+      { id: "render-token", symbol: "render" },
+      { id: "other", symbol: "oth" },
+    ];
+    expect(matchCoinIds(coins, { pepe: 4e9, "pepe-fake": 1e3 }, ["PEPE", "RENDER", "NONE"])).toEqual({
+      PEPE: "pepe",
+      RENDER: "render-token",
+    });
+  });
+});
+
+describe("runSnapshotJob", () => {
+  it("upserts a combined and a per-portfolio snapshot per user", async () => {
+    const supabase = fakeSupabase({
+      portfolios: [
+        { id: "p1", user_id: "u1" },
+        { id: "p2", user_id: "u1" },
+      ],
+      transactions: [row(), row({ id: "t2", portfolio_id: "p2", ticker: "BOND1", asset_class: "Bond", price: 100, quantity: 10 })],
+      asset_valuations: [
+        { id: "v1", user_id: "u1", ticker: "HOUSE", asset_class: "Other", price: 320000, currency: "USD", valued_on: "2024-01-01" },
+      ],
+    });
+
+    const result = await runSnapshotJob({ supabase, date: "2024-06-03", env: {} });
+
+    expect(result).toEqual({ date: "2024-06-03", users: 1, snapshots: 3, skipped: [] });
+    const [{ rows, options }] = supabase.upserts;
+    expect(options.onConflict).toBe("user_id,portfolio_id,snapshot_date");
+    expect(rows.map((r) => [r.portfolio_id, r.total_value])).toEqual([
+      [null, 321000],
+      ["p1", 320000],
+      ["p2", 1000],
+    ]);
+    expect(rows[0]).toMatchObject({ user_id: "u1", snapshot_date: "2024-06-03", currency: "USD", cost_basis: 301000 });
+  });
+
+  it("skips users holding an asset without a quote", async () => {
+    const supabase = fakeSupabase({
+      portfolios: [{ id: "p1", user_id: "u1" }],
+      transactions: [row({ ticker: "AAPL", asset_class: "Stock", price: 150 })],
+    });
+
+    // no TwelveData key: nothing can be quoted
+    const result = await runSnapshotJob({ supabase, date: "2024-06-03", env: {} });
+
+    expect(result.snapshots).toBe(0);
+    expect(result.skipped).toEqual([{ userId: "u1", reason: "no price for AAPL" }]);
+  });
+
+  it("values users page by page, a failed page losing only its own users", async () => {
+    const supabase = fakeSupabase(
+      {
+        portfolios: ["u1", "u2", "u3"].map((userId) => ({ id: `p-${userId}`, user_id: userId })),
+        transactions: ["u1", "u2", "u3"].map((userId) => row({ id: `t-${userId}`, user_id: userId, portfolio_id: `p-${userId}` })),
+      },
+      { failUpsertFor: "u2" }
+    );
+
+    const result = await runSnapshotJob({ supabase, date: "2024-06-03", env: {}, pageSize: 1 });
+
+    expect(supabase.upserts.map(({ rows }) => rows[0].user_id)).toEqual(["u1", "u3"]);
+    expect(result).toMatchObject({ users: 2, snapshots: 4 });
+    expect(result.skipped).toEqual([{ userId: "u2", reason: "portfolio_snapshots: write failed" }]);
+  });
+
+  it("leaves the pages after the deadline for another run", async () => {
+    const supabase = fakeSupabase({
+      portfolios: [{ id: "p1", user_id: "u1" }],
+      transactions: [row()],
+    });
+
+    const result = await runSnapshotJob({ supabase, date: "2024-06-03", env: {}, deadline: Date.now() - 1 });
+
+    expect(result.snapshots).toBe(0);
+    expect(result.skipped).toEqual([{ userId: "u1", reason: "out of time" }]);
+  });
+});
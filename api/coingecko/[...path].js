@@ -2,6 +2,7 @@
 // Forwards /api/coingecko/* to api.coingecko.com and attaches the API key server-side.
 
 import { guardPriceRequest } from "../_lib/guard.js";
+import { isAllowedCoinGeckoPath, getCacheControl } from "../_lib/allowlist.js";
 
 export default async function handler(req, res) {
   if (!(await guardPriceRequest(req, res))) return;
@@ -18,11 +19,10 @@ export default async function handler(req, res) {
     return;
   }
 
-  // Only proxy the two CoinGecko endpoints this app uses. Without this the
+  // Only proxy the CoinGecko endpoints this app uses. Without this the
   // function is a general-purpose CoinGecko proxy that anyone can point at any
   // endpoint using your key — the allowlist shrinks that abuse surface.
-  const ALLOWED_PATHS = new Set(["v3/search", "v3/simple/price"]);
-  if (!ALLOWED_PATHS.has(subPath)) {
+  if (!isAllowedCoinGeckoPath(subPath)) {
     res.status(404).json({ code: "PATH_NOT_ALLOWED" });
     return;
   }
@@ -49,13 +49,10 @@ export default async function handler(req, res) {
     const contentType = upstream.headers.get("content-type");
     if (contentType) res.setHeader("Content-Type", contentType);
     // cache successful responses at the Vercel edge to absorb repeat/concurrent
-    // requests without re-hitting CoinGecko. 5 min matches the client refresh
-    // cadence; only cache 2xx.
+    // requests without re-hitting CoinGecko (prices for 5 min to match the
+    // client refresh cadence, market charts for an hour); only cache 2xx.
     if (upstream.ok) {
-      res.setHeader(
-        "Cache-Control",
-        "public, s-maxage=300, stale-while-revalidate=600"
-      );
+      res.setHeader("Cache-Control", getCacheControl(subPath));
     }
     res.status(upstream.status).send(body);
   } catch (error) {
@@ -0,0 +1,38 @@
+// Vercel serverless function mirroring vite-plugins/secureApiProxy.js for production.
+// Serves /api/fx/latest (latest rates) and /api/fx/<date>.. (daily rates since
+// a date) from Frankfurter's ECB reference rates, so the browser only talks to
+// this origin and repeat requests are answered from the edge cache.
+
+import { guardPriceRequest } from "../_lib/guard.js";
+import { isAllowedFxPath, buildFxQuery, getCacheControl } from "../_lib/allowlist.js";
+
+export default async function handler(req, res) {
+  if (!(await guardPriceRequest(req, res))) return;
+
+  const range = req.query.range;
+  if (!isAllowedFxPath(range)) {
+    res.status(404).json({ code: "PATH_NOT_ALLOWED" });
+    return;
+  }
+
+  const params = buildFxQuery(req.query);
+  if (!params) {
+    res.status(400).json({ code: "BAD_CURRENCIES" });
+    return;
+  }
+
+  try {
+    const upstream = await fetch(`https://api.frankfurter.app/${range}?${params.toString()}`);
+    const body = Buffer.from(await upstream.arrayBuffer());
+    const contentType = upstream.headers.get("content-type");
+    if (contentType) res.setHeader("Content-Type", contentType);
+    // rates change once per working day; only cache 2xx so errors aren't memoized
+    if (upstream.ok) {
+      res.setHeader("Cache-Control", getCacheControl(range));
+    }
+    res.status(upstream.status).send(body);
+  } catch (error) {
+    console.error("[api/fx]", error);
+    res.status(502).json({ code: "PROXY_ERROR" });
+  }
+}
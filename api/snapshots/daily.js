@@ -0,0 +1,45 @@
+// Vercel Cron function (schedule in vercel.json): records every user's daily
+// portfolio snapshot (migration 015, see api/_lib/snapshotJob.js).
+// Needs SUPABASE_SERVICE_ROLE_KEY to read all users' data and write the
+// snapshots, and CRON_SECRET so only the scheduler can trigger it.
+
+import { createClient } from "@supabase/supabase-js";
+import { isAuthorizedCron } from "../_lib/cron.js";
+import { runSnapshotJob } from "../_lib/snapshotJob.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.status(405).json({ code: "METHOD_NOT_ALLOWED" });
+    return;
+  }
+  if (!isAuthorizedCron(req)) {
+    res.status(401).json({ code: "UNAUTHORIZED" });
+    return;
+  }
+
+  const url = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL || "";
+  const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY || "";
+  if (!url || !serviceKey) {
+    res.status(503).json({ code: "SNAPSHOTS_NOT_CONFIGURED" });
+    return;
+  }
+
+  const supabase = createClient(url, serviceKey, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+
+  try {
+    // the UTC day the job runs on (scheduled after the US close); no new page
+    // of users starts in the last 15 s of the 60 s maxDuration in vercel.json
+    const result = await runSnapshotJob({
+      supabase,
+      date: new Date().toISOString().slice(0, 10),
+      deadline: Date.now() + 45_000,
+    });
+    if (result.skipped.length) console.warn("[api/snapshots] skipped", result.skipped);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error("[api/snapshots]", error);
+    res.status(500).json({ code: "SNAPSHOT_FAILED" });
+  }
+}
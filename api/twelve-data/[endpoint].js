@@ -1,11 +1,23 @@
 // Vercel serverless function mirroring vite-plugins/secureApiProxy.js for production.
 // Keeps the TwelveData API key server-side instead of embedding it in the JS bundle.
+// Serves /api/twelve-data/quote (latest prices), /api/twelve-data/time_series
+// (daily closes for the performance chart), symbol_search (ticker search) and
+// profile (sector, industry and country for the allocation breakdowns).
 
 import { guardPriceRequest } from "../_lib/guard.js";
+import { isAllowedTwelveDataEndpoint, getCacheControl } from "../_lib/allowlist.js";
 
 export default async function handler(req, res) {
   if (!(await guardPriceRequest(req, res))) return;
 
+  // Only proxy the endpoints this app uses, so the key can't be spent on
+  // arbitrary TwelveData calls.
+  const endpoint = req.query.endpoint;
+  if (!isAllowedTwelveDataEndpoint(endpoint)) {
+    res.status(404).json({ code: "PATH_NOT_ALLOWED" });
+    return;
+  }
+
   const apiKey =
     process.env.TWELVE_DATA_API_KEY || process.env.VITE_TWELVE_DATA_API_KEY || "";
   if (!apiKey) {
@@ -13,8 +25,10 @@ export default async function handler(req, res) {
     return;
   }
 
+  // rebuild the query string without the dynamic `endpoint` parameter
   const params = new URLSearchParams();
   for (const [key, value] of Object.entries(req.query)) {
+    if (key === "endpoint") continue;
     if (Array.isArray(value)) {
       value.forEach((v) => params.append(key, v));
     } else if (value != null) {
@@ -24,18 +38,15 @@ export default async function handler(req, res) {
   params.set("apikey", apiKey);
 
   try {
-    const upstream = await fetch(`https://api.twelvedata.com/quote?${params.toString()}`);
+    const upstream = await fetch(`https://api.twelvedata.com/${endpoint}?${params.toString()}`);
     const body = Buffer.from(await upstream.arrayBuffer());
     const contentType = upstream.headers.get("content-type");
     if (contentType) res.setHeader("Content-Type", contentType);
-    // cache successful quotes at the Vercel edge so repeat/concurrent requests
-    // are served without re-hitting the upstream API. 5 min matches the client
-    // refresh cadence; only cache 2xx so errors aren't memoized.
+    // cache successful responses at the Vercel edge so repeat/concurrent
+    // requests are served without re-hitting the upstream API (quotes for
+    // 5 min, daily closes for an hour); only cache 2xx so errors aren't memoized.
     if (upstream.ok) {
-      res.setHeader(
-        "Cache-Control",
-        "public, s-maxage=300, stale-while-revalidate=600"
-      );
+      res.setHeader("Cache-Control", getCacheControl(endpoint));
     }
     res.status(upstream.status).send(body);
   } catch (error) {
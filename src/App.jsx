@@ -4,10 +4,15 @@ import React from "react";
 import { BrowserRouter, Routes, Route } from "react-router-dom";
 import Dashboard from "./components/Dashboard";
 import AssetDetails from "./components/AssetDetails";
+import Reports from "./components/Reports";
 import Login from "./components/Login";
 import ProtectedRoute from "./components/ProtectedRoute";
+import { useDisplayCurrency } from "./hooks/usePortfolio";
 
 function App() {
+  // formatters follow the signed-in user's base currency
+  useDisplayCurrency();
+
   return (
     <BrowserRouter>
       <Routes>
@@ -28,6 +33,14 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/reports"
+          element={
+            <ProtectedRoute>
+              <Reports />
+            </ProtectedRoute>
+          }
+        />
       </Routes>
     </BrowserRouter>
   );
@@ -0,0 +1,150 @@
+// target allocation editor - one row per asset or asset class target,
+// saved as a whole set
+
+import React, { useMemo, useState } from 'react';
+import { TARGET_CLASSES, getTargetLabel, validateTargets } from '../services/rebalance';
+import FormInput from './ui/FormInput';
+import Button from './ui/Button';
+import IconButton from './ui/IconButton';
+
+const selectClass =
+  "w-full bg-[var(--bg-app)] border border-[var(--border-subtle)] rounded-lg px-3 py-2 text-sm text-[var(--text-primary)] focus:outline-none focus:border-[var(--text-secondary)] transition-colors";
+
+// asset options are "<assetType>:<ticker>" so a ticker listed as both a stock
+// and a crypto stays unambiguous
+const assetOptionValue = (assetType, ticker) => `${assetType}:${ticker}`;
+
+const toDraft = (targets) =>
+  targets.map((target) => ({ ...target, weight: String(target.weight) }));
+
+export default function AllocationTargetsEditor({ targets, assets, onSave, isSaving = false }) {
+  // the parent remounts the editor (key) when the saved targets change
+  const [draft, setDraft] = useState(() => toDraft(targets));
+
+  const validation = validateTargets(draft);
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(toDraft(targets));
+
+  // held and watched assets, plus any targeted asset that is neither
+  const assetOptions = useMemo(() => {
+    const options = new Map();
+    [...assets, ...targets.filter((t) => t.kind === 'asset').map((t) => ({ ticker: t.key, assetType: t.assetType }))]
+      .forEach((asset) => {
+        const value = assetOptionValue(asset.assetType, asset.ticker);
+        if (!options.has(value)) options.set(value, { value, ticker: asset.ticker, assetType: asset.assetType });
+      });
+    return [...options.values()].sort((a, b) => a.ticker.localeCompare(b.ticker));
+  }, [assets, targets]);
+
+  const updateRow = (index, changes) => {
+    setDraft((rows) => rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  const addRow = () => {
+    const used = new Set(draft.filter((row) => row.kind === 'class').map((row) => row.key));
+    const key = TARGET_CLASSES.find((cls) => !used.has(cls)) || '';
+    setDraft((rows) => [...rows, { kind: 'class', key, assetType: null, weight: '' }]);
+  };
+
+  const handleSave = async () => {
+    if (!validation.valid) return;
+    try {
+      await onSave(draft.map((row) => ({ ...row, weight: Number(row.weight) })));
+    } catch {
+      // the mutation already showed a toast
+    }
+  };
+
+  return (
+    <div className="bg-[var(--bg-card)] rounded-xl border border-[var(--border-subtle)] p-6 space-y-4">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <h3 className="text-sm font-bold text-[var(--text-primary)]">Targets</h3>
+          <p className="text-xs text-[var(--text-secondary)]">
+            Holdings count toward their own asset target first, then their class.
+          </p>
+        </div>
+        <Button variant="secondary" size="sm" icon="plus" onClick={addRow} disabled={isSaving}>Add target</Button>
+      </div>
+
+      {draft.length === 0 ? (
+        <p className="text-sm text-[var(--text-secondary)]">
+          No targets yet. Add one for an asset class (e.g. 60% Stocks) or a single asset (e.g. 10% BTC).
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {draft.map((row, index) => (
+            <div key={index} className="grid grid-cols-[7rem_1fr_6rem_auto] gap-2 items-start">
+              <select
+                aria-label="Target type"
+                value={row.kind}
+                onChange={(e) => updateRow(index, { kind: e.target.value, key: '', assetType: null })}
+                className={selectClass}
+                disabled={isSaving}
+              >
+                <option value="class">Class</option>
+                <option value="asset">Asset</option>
+              </select>
+              {row.kind === 'class' ? (
+                <select
+                  aria-label="Asset class"
+                  value={row.key}
+                  onChange={(e) => updateRow(index, { key: e.target.value })}
+                  className={selectClass}
+                  disabled={isSaving}
+                >
+                  <option value="">Choose a class</option>
+                  {TARGET_CLASSES.map((cls) => (
+                    <option key={cls} value={cls}>{getTargetLabel({ kind: 'class', key: cls })}</option>
+                  ))}
+                </select>
+              ) : (
+                <select
+                  aria-label="Asset"
+                  value={row.key ? assetOptionValue(row.assetType, row.key) : ''}
+                  onChange={(e) => {
+                    const option = assetOptions.find((o) => o.value === e.target.value);
+                    updateRow(index, { key: option?.ticker || '', assetType: option?.assetType || null });
+                  }}
+                  className={selectClass}
+                  disabled={isSaving}
+                >
+                  <option value="">Choose an asset</option>
+                  {assetOptions.map((option) => (
+                    <option key={option.value} value={option.value}>{option.ticker} ({option.assetType})</option>
+                  ))}
+                </select>
+              )}
+              <FormInput
+                name={`target-weight-${index}`}
+                type="number"
+                step="any"
+                min="0"
+                max="100"
+                value={row.weight}
+                onChange={(e) => updateRow(index, { weight: e.target.value })}
+                placeholder="%"
+                disabled={isSaving}
+              />
+              <IconButton
+                variant="delete"
+                onClick={() => setDraft((rows) => rows.filter((_, i) => i !== index))}
+                disabled={isSaving}
+                title="Remove target"
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between gap-4">
+        <span className={`text-xs ${validation.valid ? 'text-[var(--text-secondary)]' : 'text-red'}`}>
+          {validation.message ||
+            `Total ${Number(validation.total.toFixed(2))}%${validation.isComplete || draft.length === 0 ? '' : ' - the rest has no target'}`}
+        </span>
+        <Button size="sm" onClick={handleSave} loading={isSaving} disabled={!validation.valid || !isDirty}>
+          Save targets
+        </Button>
+      </div>
+    </div>
+  );
+}
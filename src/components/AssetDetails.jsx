@@ -1,19 +1,31 @@
 // asset details page - shows individual asset info and transaction history
 
-import React, { useMemo } from 'react';
+import React, { useMemo, useState } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import toast from 'react-hot-toast';
-import { ArrowLeftIcon, CaretUp, CaretDown } from '@phosphor-icons/react';
-import { formatCurrency, formatQuantity, formatQuantity4SF, calculatePortfolioData, formatDateTime, truncateName, calculatePnLPercentage, format24hChange, formatPrice, validateSellQuantities } from '../services/utils';
+import { ArrowLeftIcon, BellIcon, CaretUp, CaretDown } from '@phosphor-icons/react';
+import { formatCurrency, formatQuantity, formatQuantity4SF, calculatePortfolioData, calculateClosedPositions, formatDateTime, formatFee, formatSplitRatio, truncateName, calculatePnLPercentage, format24hChange, formatPrice, validateSellQuantities, calculateIncome, calculateIncomeYield } from '../services/utils';
 import AssetLogo from './ui/AssetLogo';
 import Layout from './Layout';
 import TransactionFormModal from './TransactionFormModal';
+import PriceAlertModal from './PriceAlertModal';
+import ValuationsPanel from './ValuationsPanel';
+import ClassificationPanel from './ClassificationPanel';
+import RiskPanel from './RiskPanel';
+import ManualPriceBadge from './ui/ManualPriceBadge';
 import Button from './ui/Button';
 import LoadingState from './ui/LoadingState';
 import TransactionTypeBadge from './ui/TransactionTypeBadge';
 import IconButton from './ui/IconButton';
 import EmptyState from './ui/EmptyState';
-import { useTransactions, usePrices, useDeleteTransaction } from '../hooks/usePortfolio';
+import CostBasisSelect from './CostBasisSelect';
+import { getFeeAmount } from '../services/costBasis';
+import { toDailySeries } from '../services/risk';
+import { adjustHistoryForSplits } from '../services/portfolioHistory';
+import { isCashAmount, isSplitType, hasUnitPrice } from '../constants/transactionTypes';
+import { getUnitLabel, isManuallyPriced } from '../constants/assetClasses';
+import { useTransactions, useAllTransactions, useFxConverter, usePrices, useDeleteTransaction, useCostBasis, useSetCostBasisMethod, useSelectedPortfolio, useCreatePriceAlert, useBaseCurrencyValues, useValuations, useSaveValuation, useDeleteValuation, usePriceHistory, useStockProfiles, useAssetMetadata, useSaveAssetMetadata, useDeleteAssetMetadata } from '../hooks/usePortfolio';
+import { addFxGains, getQuoteCurrency } from '../services/currency';
 import { useTransactionModal } from '../hooks/useTransactionModal';
 import { useSort } from '../hooks/useSort';
 
@@ -24,11 +36,65 @@ export default function AssetDetails() {
   
   // data fetching
   const { data: transactions = [], isLoading } = useTransactions();
-  const { prices } = usePrices(transactions);
+  // the form validates against the portfolio a row is filed under
+  const { data: allTransactions = [] } = useAllTransactions();
+  const { converter: formConverter } = useFxConverter(allTransactions);
+  const { portfolios, selectedPortfolioId } = useSelectedPortfolio();
+  const { prices: quotes } = usePrices(transactions);
+  // values and P&L in the base currency; the history table keeps each
+  // transaction's own currency
+  const { baseCurrency, converter, transactions: baseTransactions, prices } = useBaseCurrencyValues(transactions, quotes);
+  const { costBasis, isLoading: costBasisLoading } = useCostBasis();
+  const setCostBasisMethod = useSetCostBasisMethod();
+  const createPriceAlert = useCreatePriceAlert();
+  const [isAlertOpen, setIsAlertOpen] = useState(false);
+  // valuations: the prices of assets without a price feed, and manual
+  // overrides of a live quote (e.g. a delisted stock quoted at 0)
+  const { data: valuations = [] } = useValuations();
+  const [isPricingManually, setIsPricingManually] = useState(false);
+  const saveValuation = useSaveValuation();
+  const deleteValuation = useDeleteValuation();
+  const assetValuations = useMemo(() => valuations.filter((v) => v.ticker === ticker), [valuations, ticker]);
+  // daily closes for the risk panel - same request (and cache) as the
+  // dashboard's performance chart, adjusted for splits so they are not losses
+  const { history: priceHistory } = usePriceHistory(transactions);
+  const riskPoints = useMemo(
+    () => toDailySeries(adjustHistoryForSplits(priceHistory, transactions)[ticker]),
+    [priceHistory, transactions, ticker]
+  );
+  // sector, country and market cap: the provider's profile and the manual override
+  const { data: assetMetadata = [] } = useAssetMetadata();
+  const saveAssetMetadata = useSaveAssetMetadata();
+  const deleteAssetMetadata = useDeleteAssetMetadata();
   
-  // calculate portfolio data
-  const portfolioData = useMemo(() => calculatePortfolioData(transactions, prices), [transactions, prices]);
-  const asset = portfolioData.find(a => a.ticker === ticker);
+  // calculate portfolio data (lots matched with the selected cost basis method)
+  const portfolioData = useMemo(
+    () => addFxGains(calculatePortfolioData(baseTransactions, prices, costBasis), transactions, quotes, costBasis, converter),
+    [baseTransactions, prices, costBasis, transactions, quotes, converter]
+  );
+  const closedPositions = useMemo(() => calculateClosedPositions(baseTransactions, prices, costBasis), [baseTransactions, prices, costBasis]);
+  // fully sold assets still get a page so their realized result stays visible
+  const asset = portfolioData.find(a => a.ticker === ticker) || closedPositions.find(a => a.ticker === ticker);
+  const isClosed = asset?.quantity === 0;
+  const assetType = asset?.assetType;
+  const profileAssets = useMemo(() => (assetType ? [{ ticker, assetType }] : []), [ticker, assetType]);
+  const { profiles } = useStockProfiles(profileAssets);
+
+  // realized gain/loss of each sell, keyed by transaction id
+  const realizedBySale = useMemo(() => {
+    const map = {};
+    asset?.sales?.forEach((sale) => { map[sale.id] = sale.realizedPnl; });
+    return map;
+  }, [asset?.sales]);
+
+  // the asset's transactions as entered, for the history table and editing
+  const originalTransactions = useMemo(() => {
+    const byId = new Map(transactions.map((tx) => [tx.id, tx]));
+    return (asset?.transactions || []).map((tx) => byId.get(tx.id) || tx);
+  }, [transactions, asset?.transactions]);
+
+  // dividends, interest and staking rewards received on this asset
+  const income = useMemo(() => calculateIncome(asset?.transactions || []), [asset?.transactions]);
   
   // transaction modal hook
   const {
@@ -50,8 +116,8 @@ export default function AssetDetails() {
   
   // sort transactions with custom comparator (same logic as Dashboard)
   const sortedTransactions = useMemo(() => {
-    if (!asset?.transactions) return [];
-    return sortData(asset.transactions, (a, b, key, direction) => {
+    if (!originalTransactions.length) return [];
+    return sortData(originalTransactions, (a, b, key, direction) => {
       if (key === 'date') {
         // combine date and time for accurate sorting
         const dateTimeA = a.time ? `${a.date}T${a.time}` : a.date;
@@ -74,6 +140,18 @@ export default function AssetDetails() {
         const valB = b.quantity * b.price;
         return direction === 'asc' ? valA - valB : valB - valA;
       }
+      if (key === 'fee') {
+        const valA = getFeeAmount(a);
+        const valB = getFeeAmount(b);
+        return direction === 'asc' ? valA - valB : valB - valA;
+      }
+      if (key === 'realized') {
+        // buys have no realized result - keep them after sells either way
+        const valA = realizedBySale[a.id] ?? null;
+        const valB = realizedBySale[b.id] ?? null;
+        if (valA === null || valB === null) return (valA === null) - (valB === null);
+        return direction === 'asc' ? valA - valB : valB - valA;
+      }
       if (['quantity', 'price'].includes(key)) {
         return direction === 'asc' ? Number(a[key]) - Number(b[key]) : Number(b[key]) - Number(a[key]);
       }
@@ -81,7 +159,7 @@ export default function AssetDetails() {
       const strB = String(b[key]).toLowerCase();
       return direction === 'asc' ? strA.localeCompare(strB) : strB.localeCompare(strA);
     });
-  }, [asset?.transactions, sortData]);
+  }, [originalTransactions, sortData, realizedBySale]);
   
   // handle delete with confirmation
   const handleDeleteTransaction = (tx) => {
@@ -89,7 +167,7 @@ export default function AssetDetails() {
     const remaining = transactions.filter((t) => t.id !== tx.id);
     if (!validateSellQuantities(remaining, tx.ticker).valid) {
       toast.error(
-        `Cannot delete this buy: your remaining ${tx.ticker} purchases would not cover its sell transactions. Delete or edit those sells first.`
+        `Cannot delete this ${tx.type.toLowerCase()}: your remaining ${tx.ticker} purchases would not cover its sell transactions. Delete or edit those sells first.`
       );
       return;
     }
@@ -112,7 +190,7 @@ export default function AssetDetails() {
     }
   };
   
-  if (isLoading) return <LoadingState />;
+  if (isLoading || costBasisLoading) return <LoadingState />;
   
   if (!asset) {
     return (
@@ -132,6 +210,15 @@ export default function AssetDetails() {
   const isProfitable = asset.pnl >= 0;
   const pnlPercent = calculatePnLPercentage(asset.pnl, asset.totalCost);
   const change24h = format24hChange(asset.priceChange24h);
+  const isRealizedProfitable = asset.realizedPnl >= 0;
+  const realizedCostBasis = asset.sales.reduce((sum, sale) => sum + sale.costBasis, 0);
+  const realizedPercent = calculatePnLPercentage(asset.realizedPnl, realizedCostBasis);
+  const incomeYield = calculateIncomeYield(income.byTicker[asset.ticker]?.trailing12m || 0, asset.totalValue);
+  const quoteCurrency = getQuoteCurrency(quotes[asset.ticker]);
+  const isForeign = quoteCurrency !== baseCurrency;
+  const isManual = isManuallyPriced(asset.assetType);
+  const manualQuote = quotes[asset.ticker]?.manual ? quotes[asset.ticker] : null;
+  const showValuations = isManual || assetValuations.length > 0 || isPricingManually;
 
   return (
     <Layout>
@@ -141,7 +228,24 @@ export default function AssetDetails() {
           <Link to="/" className="inline-flex items-center gap-2 text-[var(--text-secondary)] hover:text-[var(--text-primary)] transition-colors">
             <ArrowLeftIcon size={20} /> Back to Dashboard
           </Link>
-          <Button icon="plus" onClick={handleOpenAddModal} disabled={isPending}>Add Transaction</Button>
+          <div className="flex items-center gap-3">
+            {/* per-asset override of the account cost basis method */}
+            <CostBasisSelect
+              value={costBasis?.byTicker?.[asset.ticker] || null}
+              onChange={(method) => setCostBasisMethod.mutate({ ticker: asset.ticker, method })}
+              defaultMethod={costBasis?.method}
+              allowDefault
+            />
+            {!isClosed && !isManual && (
+              <Button variant="secondary" icon={BellIcon} onClick={() => setIsAlertOpen(true)}>Alert</Button>
+            )}
+            {!isClosed && !isManual && assetValuations.length === 0 && (
+              <Button variant="secondary" onClick={() => setIsPricingManually((open) => !open)}>
+                {isPricingManually ? 'Cancel' : 'Set Price'}
+              </Button>
+            )}
+            <Button icon="plus" onClick={handleOpenAddModal} disabled={isPending}>Add Transaction</Button>
+          </div>
         </div>
         
         {/* asset card */}
@@ -151,15 +255,30 @@ export default function AssetDetails() {
               <AssetLogo logo={asset.logo} ticker={asset.ticker} name={asset.name} size={12} />
               <div>
                 <h1 className="text-xl font-bold text-[var(--text-primary)]" title={asset.name}>{truncateName(asset.name, 50)}</h1>
-                <p className="text-sm text-[var(--text-secondary)]">{asset.ticker} • {asset.assetType}</p>
+                <p className="text-sm text-[var(--text-secondary)]">
+                  {asset.ticker} • {asset.assetType}
+                  {isClosed && <span> • Closed {asset.closedDate}</span>}
+                </p>
               </div>
             </div>
             <div className="text-right">
-              <div className="text-xl font-bold text-[var(--text-primary)]">{formatPrice(asset.currentPrice)}</div>
-              <div className={`flex items-center gap-1 justify-end ${change24h.isPositive ? 'text-green' : 'text-red'}`}>
-                {change24h.isPositive ? <CaretUp size={14} weight="fill" /> : <CaretDown size={14} weight="fill" />}
-                <span className="text-sm font-bold">{change24h.formatted}%</span>
+              <div className="flex items-center gap-2 justify-end text-xl font-bold text-[var(--text-primary)]">
+                {manualQuote && <ManualPriceBadge valuedAt={manualQuote.valuedAt} />}
+                {isForeign ? formatPrice(quotes[asset.ticker]?.currentPrice, false, quoteCurrency) : formatPrice(asset.currentPrice)}
               </div>
+              {isForeign && (
+                <div className="text-xs text-[var(--text-secondary)]">{formatPrice(asset.currentPrice)}</div>
+              )}
+              {manualQuote ? (
+                <div className="text-xs text-[var(--text-secondary)]">
+                  {manualQuote.priceSource === 'trade' ? 'Last trade' : 'Valued'} {manualQuote.valuedAt}
+                </div>
+              ) : (
+                <div className={`flex items-center gap-1 justify-end ${change24h.isPositive ? 'text-green' : 'text-red'}`}>
+                  {change24h.isPositive ? <CaretUp size={14} weight="fill" /> : <CaretDown size={14} weight="fill" />}
+                  <span className="text-sm font-bold">{change24h.formatted}%</span>
+                </div>
+              )}
             </div>
           </div>
           
@@ -168,7 +287,7 @@ export default function AssetDetails() {
             <div>
               <div className="text-xs text-[var(--text-secondary)] mb-0.5">Holdings</div>
               <div className="text-sm font-bold text-[var(--text-primary)]">
-                {formatQuantity(asset.quantity)} {asset.assetType === 'Crypto' ? asset.ticker : 'shares'}
+                {formatQuantity(asset.quantity)} {getUnitLabel(asset.assetType, asset.ticker)}
               </div>
             </div>
             <div>
@@ -183,27 +302,93 @@ export default function AssetDetails() {
               <div className="text-xs text-[var(--text-secondary)] mb-0.5">Avg Price</div>
               <div className="text-sm font-bold text-[var(--text-primary)]">{formatPrice(asset.avgPrice)}</div>
             </div>
+            {!isClosed && (
+              <div>
+                <div className="text-xs text-[var(--text-secondary)] mb-0.5">Unrealized P/L</div>
+                <div className={`text-sm font-bold ${isProfitable ? 'text-green' : 'text-red'}`}>
+                  {isProfitable ? '+' : ''}{formatCurrency(asset.pnl)}
+                  <span className="text-xs ml-1">({isProfitable ? '+' : ''}{Math.abs(parseFloat(pnlPercent)).toFixed(2)}%)</span>
+                </div>
+              </div>
+            )}
+            {!isClosed && isForeign && (
+              <div title={`Part of the unrealized P/L from ${quoteCurrency}/${baseCurrency} moving since the purchases`}>
+                <div className="text-xs text-[var(--text-secondary)] mb-0.5">FX Gain</div>
+                <div className={`text-sm font-bold ${asset.fxGain >= 0 ? 'text-green' : 'text-red'}`}>
+                  {asset.fxGain > 0 ? '+' : ''}{formatCurrency(asset.fxGain)}
+                </div>
+              </div>
+            )}
+            <div>
+              <div className="text-xs text-[var(--text-secondary)] mb-0.5">Realized P/L</div>
+              {asset.sales.length > 0 ? (
+                <div className={`text-sm font-bold ${isRealizedProfitable ? 'text-green' : 'text-red'}`}>
+                  {isRealizedProfitable && asset.realizedPnl !== 0 ? '+' : ''}{formatCurrency(asset.realizedPnl)}
+                  <span className="text-xs ml-1">({isRealizedProfitable ? '+' : ''}{Math.abs(parseFloat(realizedPercent)).toFixed(2)}%)</span>
+                </div>
+              ) : (
+                <div className="text-sm font-bold text-[var(--text-secondary)]">-</div>
+              )}
+            </div>
             <div>
-              <div className="text-xs text-[var(--text-secondary)] mb-0.5">Profit/Loss</div>
-              <div className={`text-sm font-bold ${isProfitable ? 'text-green' : 'text-red'}`}>
-                {isProfitable ? '+' : ''}{formatCurrency(asset.pnl)}
-                <span className="text-xs ml-1">({isProfitable ? '+' : ''}{Math.abs(parseFloat(pnlPercent)).toFixed(2)}%)</span>
+              <div className="text-xs text-[var(--text-secondary)] mb-0.5">Income</div>
+              <div className={`text-sm font-bold ${income.total > 0 ? 'text-green' : 'text-[var(--text-secondary)]'}`}>
+                {income.total > 0 ? `+${formatCurrency(income.total)}` : '-'}
               </div>
             </div>
+            {!isClosed && income.total > 0 && (
+              <div title="Income received over the last 12 months as a percentage of market value">
+                <div className="text-xs text-[var(--text-secondary)] mb-0.5">Yield (TTM)</div>
+                <div className="text-sm font-bold text-[var(--text-primary)]">{incomeYield.toFixed(2)}%</div>
+              </div>
+            )}
           </div>
         </div>
 
+        {/* volatility, drawdown, Sharpe and beta of the price */}
+        {riskPoints.length > 2 && (
+          <div className="mb-6">
+            <RiskPanel points={riskPoints} description={`Of the daily ${quoteCurrency} price since your first trade`} />
+          </div>
+        )}
+
+        {/* manual valuations */}
+        {showValuations && (
+          <ValuationsPanel
+            ticker={asset.ticker}
+            assetType={asset.assetType}
+            hasPriceFeed={!isManual}
+            currency={quoteCurrency}
+            valuations={assetValuations}
+            onSave={saveValuation.mutateAsync}
+            onDelete={(id) => deleteValuation.mutate(id)}
+            isSaving={saveValuation.isPending}
+          />
+        )}
+
+        {/* sector, region and market cap */}
+        <ClassificationPanel
+          key={asset.ticker}
+          ticker={asset.ticker}
+          assetType={asset.assetType}
+          profile={profiles[asset.ticker]}
+          override={assetMetadata.find((m) => m.ticker === asset.ticker)}
+          onSave={saveAssetMetadata.mutateAsync}
+          onDelete={(id) => deleteAssetMetadata.mutate(id)}
+          isSaving={saveAssetMetadata.isPending}
+        />
+
         {/* transaction history */}
         <div className="bg-[var(--bg-card)] border border-[var(--border-subtle)] rounded-xl overflow-hidden">
           <div className="p-6 border-b border-[var(--border-subtle)]">
             <h2 className="text-lg font-bold text-[var(--text-primary)]">Transaction History</h2>
             <p className="text-sm text-[var(--text-secondary)] mt-1">
-              {asset.transactions?.length || 0} {asset.transactions?.length === 1 ? 'transaction' : 'transactions'}
+              {originalTransactions.length} {originalTransactions.length === 1 ? 'transaction' : 'transactions'}
             </p>
           </div>
           
           <div className="overflow-x-auto">
-            <table className="w-full text-left border-collapse min-w-[600px]">
+            <table className="w-full text-left border-collapse min-w-[800px]">
               <thead className="bg-[var(--bg-app)]">
                 <tr className="cursor-pointer select-none">
                   {[
@@ -211,7 +396,9 @@ export default function AssetDetails() {
                     { key: 'type', label: 'Type', align: 'left' },
                     { key: 'price', label: 'Price', align: 'right' },
                     { key: 'quantity', label: 'Quantity', align: 'right' },
+                    { key: 'fee', label: 'Fee', align: 'right' },
                     { key: 'total', label: 'Cost', align: 'right' },
+                    { key: 'realized', label: 'Realized P/L', align: 'right' },
                   ].map((col) => (
                     <th
                       key={col.key}
@@ -239,11 +426,23 @@ export default function AssetDetails() {
                     <tr key={tx.id} className="group hover:bg-[var(--bg-card-hover)] transition-colors">
                       <td className="py-4 px-6 text-sm text-[var(--text-primary)]">{formatDateTime(tx.date, tx.time)}</td>
                       <td className="py-4 px-6"><TransactionTypeBadge type={tx.type} /></td>
-                      <td className="py-4 px-6 text-right text-sm text-[var(--text-primary)]">{formatPrice(tx.price)}</td>
+                      <td className="py-4 px-6 text-right text-sm text-[var(--text-primary)]">{hasUnitPrice(tx) ? formatPrice(tx.price, false, tx.currency) : '-'}</td>
                       <td className="py-4 px-6 text-right text-sm text-[var(--text-primary)]">
-                        {asset.assetType === 'Crypto' ? formatQuantity(tx.quantity) : formatQuantity4SF(tx.quantity)} {asset.assetType === 'Crypto' ? asset.ticker : 'shares'}
+                        {isSplitType(tx.type) ? formatSplitRatio(tx.quantity) : isCashAmount(tx) ? '-' : (
+                          <>{asset.assetType === 'Crypto' ? formatQuantity(tx.quantity) : formatQuantity4SF(tx.quantity)} {getUnitLabel(asset.assetType, asset.ticker)}</>
+                        )}
+                      </td>
+                      <td className="py-4 px-6 text-right text-sm text-[var(--text-secondary)]">{formatFee(tx)}</td>
+                      <td className="py-4 px-6 text-right text-sm text-[var(--text-primary)]">{isSplitType(tx.type) ? '-' : formatCurrency(tx.quantity * tx.price, false, tx.currency)}</td>
+                      <td className="py-4 px-6 text-right text-sm font-medium">
+                        {realizedBySale[tx.id] !== undefined ? (
+                          <span className={realizedBySale[tx.id] >= 0 ? 'text-green' : 'text-red'}>
+                            {realizedBySale[tx.id] > 0 ? '+' : ''}{formatCurrency(realizedBySale[tx.id])}
+                          </span>
+                        ) : (
+                          <span className="text-[var(--text-secondary)]">-</span>
+                        )}
                       </td>
-                      <td className="py-4 px-6 text-right text-sm text-[var(--text-primary)]">{formatCurrency(tx.quantity * tx.price)}</td>
                       <td className="py-4 px-6 text-right">
                         <div className="flex items-center justify-end gap-1">
                           <IconButton variant="edit" onClick={() => openEditModal(tx)} disabled={isPending || deleteTransactionMutation.isPending} />
@@ -253,7 +452,7 @@ export default function AssetDetails() {
                     </tr>
                   ))
                 ) : (
-                  <EmptyState message="No transactions recorded." colSpan={6} />
+                  <EmptyState message="No transactions recorded." colSpan={8} />
                 )}
               </tbody>
             </table>
@@ -269,7 +468,21 @@ export default function AssetDetails() {
             initialData={editingTransaction}
             isEditMode={isEditMode}
             portfolioData={portfolioData}
-            transactions={transactions}
+            transactions={allTransactions}
+            costBasis={costBasis}
+            portfolios={portfolios}
+            defaultPortfolioId={selectedPortfolioId}
+            converter={formConverter}
+          />
+        )}
+
+        {/* price alert modal */}
+        {isAlertOpen && (
+          <PriceAlertModal
+            isOpen={isAlertOpen}
+            onClose={() => setIsAlertOpen(false)}
+            onSubmit={createPriceAlert.mutateAsync}
+            asset={{ ...asset, currentPrice: quotes[asset.ticker]?.currentPrice ?? 0, currency: quoteCurrency }}
           />
         )}
       </div>
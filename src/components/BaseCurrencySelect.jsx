@@ -0,0 +1,25 @@
+// base currency picker - every value, cost basis and P&L is converted to it
+
+import React from "react";
+import { SUPPORTED_CURRENCIES } from "../services/currency";
+
+export default function BaseCurrencySelect({ value, onChange, disabled = false }) {
+  return (
+    <label
+      className="flex items-center gap-2 text-xs font-semibold text-[var(--text-secondary)]"
+      title="Currency values are converted to and shown in"
+    >
+      Currency
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        className="bg-[var(--bg-card)] border border-[var(--border-subtle)] rounded-lg px-2 py-1.5 text-xs font-semibold text-[var(--text-primary)] focus:outline-none focus:border-[var(--text-secondary)] transition-colors disabled:opacity-50"
+      >
+        {SUPPORTED_CURRENCIES.map((currency) => (
+          <option key={currency} value={currency}>{currency}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
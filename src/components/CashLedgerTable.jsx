@@ -0,0 +1,56 @@
+// cash ledger - every cash movement (deposits, withdrawals, buys, sells,
+// cash income) with the running balance, newest first
+
+import React from 'react';
+import { formatCurrency, formatDateTime } from '../services/utils';
+import { isCashFlowType } from '../constants/transactionTypes';
+import TransactionTypeBadge from './ui/TransactionTypeBadge';
+import EmptyState from './ui/EmptyState';
+
+export default function CashLedgerTable({ entries, hideValues }) {
+  // the running balance only reads top to bottom in time order, so no sorting
+  const rows = [...entries].reverse();
+
+  return (
+    <div className="bg-[var(--bg-card)] rounded-xl border border-[var(--border-subtle)] overflow-hidden">
+      <div className="overflow-x-auto">
+        <table className="w-full text-left border-collapse min-w-[700px]">
+          <thead>
+            <tr className="border-b border-[var(--border-subtle)]">
+              <th className="py-4 px-6 text-xs font-semibold text-[var(--text-secondary)] whitespace-nowrap">Date</th>
+              <th className="py-4 px-6 text-xs font-semibold text-[var(--text-secondary)] whitespace-nowrap">Type</th>
+              <th className="py-4 px-6 text-xs font-semibold text-[var(--text-secondary)] whitespace-nowrap">Asset</th>
+              <th className="py-4 px-6 text-xs font-semibold text-[var(--text-secondary)] whitespace-nowrap text-right">Amount</th>
+              <th className="py-4 px-6 text-xs font-semibold text-[var(--text-secondary)] whitespace-nowrap text-right">Balance</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-[var(--border-subtle)]">
+            {rows.length === 0 ? (
+              <EmptyState message="No cash movements yet. Deposits, withdrawals, trades and cash income show up here." colSpan={5} />
+            ) : (
+              rows.map((entry) => (
+                <tr key={entry.id} className="hover:bg-[var(--bg-card-hover)] transition-colors">
+                  <td className="py-4 px-6 text-sm text-[var(--text-secondary)]">{formatDateTime(entry.date, entry.time)}</td>
+                  <td className="py-4 px-6"><TransactionTypeBadge type={entry.type} variant="compact" /></td>
+                  <td className="py-4 px-6 text-sm font-bold text-[var(--text-primary)]">{isCashFlowType(entry.type) ? '-' : entry.ticker}</td>
+                  <td className="py-4 px-6 text-right">
+                    <div className={`text-sm font-bold ${entry.amount >= 0 ? 'text-green' : 'text-red'}`}>
+                      {entry.amount > 0 ? '+' : ''}{formatCurrency(entry.amount, hideValues)}
+                    </div>
+                    {/* part of a buy or withdrawal that the recorded cash didn't cover */}
+                    {entry.funded > 0 && (
+                      <div className="text-xs text-[var(--text-secondary)]" title="Not covered by recorded cash - counted as money added from outside">
+                        {formatCurrency(entry.funded, hideValues)} added from outside
+                      </div>
+                    )}
+                  </td>
+                  <td className="py-4 px-6 text-right text-sm font-medium text-[var(--text-primary)]">{formatCurrency(entry.balance, hideValues)}</td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,143 @@
+// sector, industry, country and market cap of an asset for the sector and
+// region allocation views. the provider's company profile fills them for the
+// stocks and ETFs it covers; the manual classification overrides it field by
+// field and classifies everything else
+
+import React, { useState } from 'react';
+import { classifyAsset, getMarketCapLabel, MARKET_CAP_BUCKETS } from '../services/classification';
+import FormInput from './ui/FormInput';
+import Button from './ui/Button';
+
+const SOURCE_LABELS = {
+  manual: 'Set manually',
+  provider: 'From the provider profile',
+};
+
+const toForm = (override) => ({
+  sector: override?.sector || '',
+  industry: override?.industry || '',
+  country: override?.country || '',
+  marketCap: override?.marketCap || '',
+});
+
+export default function ClassificationPanel({ ticker, assetType, profile = null, override = null, onSave, onDelete, isSaving = false }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [form, setForm] = useState(() => toForm(override));
+
+  const classification = classifyAsset({ ticker, assetType }, profile, override);
+  const fields = [
+    { label: 'Sector', value: classification.sector },
+    { label: 'Industry', value: classification.industry },
+    { label: 'Country', value: classification.country },
+    { label: 'Region', value: classification.region },
+    { label: 'Market cap', value: getMarketCapLabel(classification.marketCap) },
+  ];
+
+  const startEditing = () => {
+    setForm(toForm(override));
+    setIsEditing(true);
+  };
+
+  const setField = (field) => (e) => setForm((current) => ({ ...current, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    // nothing left to override: back to the provider profile
+    if (!Object.values(form).some((value) => value.trim())) {
+      if (override) onDelete(override.id);
+      setIsEditing(false);
+      return;
+    }
+    try {
+      await onSave({ ticker, assetType, ...form });
+      setIsEditing(false);
+    } catch {
+      // the mutation already showed a toast
+    }
+  };
+
+  return (
+    <div className="bg-[var(--bg-card)] border border-[var(--border-subtle)] rounded-xl p-6 mb-6 space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-bold text-[var(--text-primary)]">Classification</h2>
+          <p className="text-sm text-[var(--text-secondary)] mt-1">
+            {SOURCE_LABELS[classification.source] ?? `The provider has no profile for ${ticker}. Classify it to place it in the sector and region views.`}
+          </p>
+        </div>
+        {!isEditing && (
+          <div className="flex gap-2 shrink-0">
+            {override && (
+              <Button variant="secondary" size="sm" onClick={() => onDelete(override.id)} disabled={isSaving}>
+                {profile ? 'Reset to provider' : 'Clear'}
+              </Button>
+            )}
+            <Button variant="secondary" size="sm" onClick={startEditing}>Edit</Button>
+          </div>
+        )}
+      </div>
+
+      {isEditing ? (
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <div className="grid grid-cols-1 sm:grid-cols-4 gap-3">
+            <FormInput
+              label="Sector"
+              name="classification-sector"
+              value={form.sector}
+              onChange={setField('sector')}
+              placeholder={profile?.sector || 'e.g. Technology'}
+              disabled={isSaving}
+            />
+            <FormInput
+              label="Industry"
+              name="classification-industry"
+              value={form.industry}
+              onChange={setField('industry')}
+              placeholder={profile?.industry || 'e.g. Semiconductors'}
+              disabled={isSaving}
+            />
+            <FormInput
+              label="Country"
+              name="classification-country"
+              value={form.country}
+              onChange={setField('country')}
+              placeholder={profile?.country || 'e.g. United States'}
+              disabled={isSaving}
+            />
+            <div className="space-y-1">
+              <label htmlFor="classification-market-cap" className="text-xs font-semibold text-[var(--text-secondary)]">Market cap</label>
+              <select
+                id="classification-market-cap"
+                value={form.marketCap}
+                onChange={setField('marketCap')}
+                disabled={isSaving}
+                className="w-full bg-[var(--bg-app)] border border-[var(--border-subtle)] rounded-lg px-3 py-2 text-sm text-[var(--text-primary)] focus:outline-none focus:border-[var(--text-secondary)] disabled:opacity-50"
+              >
+                <option value="">Not set</option>
+                {MARKET_CAP_BUCKETS.map((bucket) => (
+                  <option key={bucket.value} value={bucket.value}>{bucket.label} ({bucket.range})</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <p className="text-xs text-[var(--text-secondary)]">
+            {profile ? 'Empty fields keep the provider value.' : 'Empty fields stay unclassified.'}
+          </p>
+          <div className="flex gap-2">
+            <Button type="submit" disabled={isSaving}>Save</Button>
+            <Button variant="secondary" onClick={() => setIsEditing(false)} disabled={isSaving}>Cancel</Button>
+          </div>
+        </form>
+      ) : (
+        <div className="grid grid-cols-2 sm:grid-cols-5 gap-4">
+          {fields.map(({ label, value }) => (
+            <div key={label}>
+              <div className="text-xs text-[var(--text-secondary)] mb-0.5">{label}</div>
+              <div className="text-sm font-bold text-[var(--text-primary)]">{value || '-'}</div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
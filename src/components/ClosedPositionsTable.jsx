@@ -0,0 +1,112 @@
+// closed positions table - fully sold assets and their realized profit/loss
+
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { CaretUp, CaretDown } from '@phosphor-icons/react';
+import { formatCurrency, truncateName, calculatePnLPercentage } from '../services/utils';
+import AssetLogo from './ui/AssetLogo';
+import EmptyState from './ui/EmptyState';
+import { useSort } from '../hooks/useSort';
+
+// table column configuration
+const COLUMNS = [
+  { key: 'ticker', label: 'Name', align: 'left', width: '24%' },
+  { key: 'openedDate', label: 'Opened', align: 'left', width: '13%' },
+  { key: 'closedDate', label: 'Closed', align: 'left', width: '13%' },
+  { key: 'soldCostBasis', label: 'Cost Basis', align: 'right', width: '16%' },
+  { key: 'proceeds', label: 'Proceeds', align: 'right', width: '16%' },
+  { key: 'realizedPnl', label: 'Realized P/L', align: 'right', width: '18%' },
+];
+
+export default function ClosedPositionsTable({ data, hideValues }) {
+  // most recently closed first
+  const { handleSort, getSortDirection, sortData } = useSort({
+    key: 'closedDate',
+    direction: 'desc',
+  });
+
+  // default comparator: numbers numerically, tickers and YYYY-MM-DD dates as strings
+  const sortedData = sortData(data);
+
+  return (
+    <div className="bg-[var(--bg-card)] rounded-xl border border-[var(--border-subtle)] overflow-hidden">
+      <div className="overflow-x-auto">
+        <table className="w-full text-left border-collapse min-w-[800px]">
+          <thead>
+            <tr className="border-b border-[var(--border-subtle)] cursor-pointer select-none">
+              {COLUMNS.map((col) => (
+                <th
+                  key={col.key}
+                  className={`py-4 px-6 text-xs font-semibold text-[var(--text-secondary)] hover:text-[var(--text-primary)] transition-colors whitespace-nowrap ${
+                    col.align === 'right' ? 'text-right' : ''
+                  }`}
+                  style={{ width: col.width }}
+                  onClick={() => handleSort(col.key)}
+                >
+                  <div className={`flex items-center gap-1 ${col.align === 'right' ? 'justify-end' : ''}`}>
+                    {col.label}
+                    {getSortDirection(col.key) && (
+                      getSortDirection(col.key) === 'asc' ? (
+                        <CaretUp size={12} weight="fill" className="text-[var(--text-primary)]" />
+                      ) : (
+                        <CaretDown size={12} weight="fill" className="text-[var(--text-primary)]" />
+                      )
+                    )}
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-[var(--border-subtle)]">
+            {sortedData.length === 0 ? (
+              <EmptyState message="No closed positions yet. Assets you sell completely will show up here." colSpan={6} />
+            ) : (
+              sortedData.map((asset) => {
+                const isProfitable = asset.realizedPnl >= 0;
+                const pnlPercent = calculatePnLPercentage(asset.realizedPnl, asset.soldCostBasis);
+                return (
+                  <tr key={asset.id} className="hover:bg-[var(--bg-card-hover)] transition-colors">
+                    <td className="py-4 px-6">
+                      <Link
+                        to={`/asset/${asset.ticker}`}
+                        className="flex items-center gap-3 cursor-pointer hover:opacity-80 transition-opacity"
+                      >
+                        <AssetLogo logo={asset.logo} ticker={asset.ticker} name={asset.name} size={8} />
+                        <div className="font-bold text-sm text-[var(--text-primary)] min-w-0">
+                          <div className="truncate">
+                            {asset.ticker}
+                            <span className="mx-1 text-[var(--text-secondary)]">|</span>
+                            <span className="text-[var(--text-secondary)] font-normal" title={asset.name}>
+                              {truncateName(asset.name, 15)}
+                            </span>
+                          </div>
+                        </div>
+                      </Link>
+                    </td>
+                    <td className="py-4 px-6 text-sm text-[var(--text-secondary)]">{asset.openedDate}</td>
+                    <td className="py-4 px-6 text-sm text-[var(--text-secondary)]">{asset.closedDate}</td>
+                    <td className="py-4 px-6 text-right text-sm font-medium text-[var(--text-primary)]">
+                      {formatCurrency(asset.soldCostBasis, hideValues)}
+                    </td>
+                    <td className="py-4 px-6 text-right text-sm font-medium text-[var(--text-primary)]">
+                      {formatCurrency(asset.proceeds, hideValues)}
+                    </td>
+                    <td className="py-4 px-6 text-right">
+                      <div className={`text-sm font-bold ${isProfitable ? 'text-green' : 'text-red'}`}>
+                        {asset.realizedPnl > 0 ? '+' : ''}{formatCurrency(asset.realizedPnl, hideValues)}
+                      </div>
+                      <div className={`text-xs flex items-center gap-1 justify-end ${isProfitable ? 'text-green' : 'text-red'}`}>
+                        {isProfitable ? <CaretUp size={12} weight="fill" /> : <CaretDown size={12} weight="fill" />}
+                        <span>{Math.abs(parseFloat(pnlPercent)).toFixed(2)}%</span>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
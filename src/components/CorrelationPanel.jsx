@@ -0,0 +1,167 @@
+// analytics tab: how much the holdings move together (correlation heatmap
+// of a year of daily returns) and the effective number of bets that leaves
+
+import React, { useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { calculateCorrelationMatrix, calculateEffectiveBets, findCorrelatedPairs, HIGH_CORRELATION } from '../services/correlation';
+import { adjustHistoryForSplits, getCutoffDate, toDateKey } from '../services/portfolioHistory';
+import { getPriceFeed } from '../constants/assetClasses';
+import { useAssetHistory } from '../hooks/usePortfolio';
+import StatCard from './ui/StatCard';
+
+// more than this and the heatmap cells get too small to read
+const MAX_HEATMAP_ASSETS = 15;
+
+// red for assets moving together, blue for opposite moves
+const cellColor = (correlation) => {
+  if (correlation === null) return 'transparent';
+  const rgb = correlation >= 0 ? '239, 68, 68' : '59, 130, 246';
+  return `rgba(${rgb}, ${(Math.abs(correlation) * 0.85).toFixed(2)})`;
+};
+
+const EFFECTIVE_BETS_TOOLTIP =
+  'How many equally sized, independent holdings the portfolio is worth. Holdings that move together count as one bet; assets without a year of price history count as independent';
+const BY_WEIGHT_TOOLTIP = 'Effective bets from the weights alone (1 / sum of squared weights), ignoring correlations';
+
+export default function CorrelationPanel({ portfolioData = [], transactions = [] }) {
+  const holdings = useMemo(
+    () => portfolioData.filter((a) => a.quantity > 0 && a.totalValue > 0).sort((a, b) => b.totalValue - a.totalValue),
+    [portfolioData]
+  );
+  // the largest holdings with a price feed get a row in the heatmap
+  const assets = useMemo(
+    () => holdings
+      .filter((a) => getPriceFeed(a.assetType))
+      .slice(0, MAX_HEATMAP_ASSETS)
+      .map((a) => ({ ticker: a.ticker, type: a.assetType })),
+    [holdings]
+  );
+  const from = toDateKey(getCutoffDate('1y'));
+  const { history: rawHistory, isAvailable, isLoading } = useAssetHistory(assets, from);
+  // a split would otherwise be one huge loss that swamps every pair it is in
+  const history = useMemo(() => adjustHistoryForSplits(rawHistory, transactions), [rawHistory, transactions]);
+
+  const tickers = useMemo(() => assets.map((a) => a.ticker), [assets]);
+  const matrix = useMemo(() => calculateCorrelationMatrix(tickers, history, { from }), [tickers, history, from]);
+  const pairs = useMemo(() => findCorrelatedPairs(tickers, matrix), [tickers, matrix]);
+  const bets = useMemo(
+    () => calculateEffectiveBets(holdings.map((a) => ({ ticker: a.ticker, value: a.totalValue })), tickers, matrix),
+    [holdings, tickers, matrix]
+  );
+
+  if (!bets) {
+    return (
+      <div className="bg-[var(--bg-card)] border border-[var(--border-subtle)] rounded-xl p-12 text-center">
+        <h3 className="text-lg font-bold text-[var(--text-primary)] mb-2">No holdings</h3>
+        <p className="text-[var(--text-secondary)]">Add transactions to see how diversified the portfolio is.</p>
+      </div>
+    );
+  }
+
+  const total = holdings.reduce((sum, a) => sum + a.totalValue, 0);
+  const largest = holdings[0];
+
+  return (
+    <div className="space-y-6">
+      {/* diversification */}
+      <div className="flex flex-col sm:grid sm:grid-cols-3 sm:gap-4">
+        <StatCard
+          label="Effective bets"
+          value={bets.byCorrelation.toFixed(1)}
+          subtitle={<span className="text-[var(--text-secondary)]">of {bets.holdings} holdings</span>}
+          tooltip={EFFECTIVE_BETS_TOOLTIP}
+        />
+        <StatCard
+          label="By weight only"
+          value={bets.byWeight.toFixed(1)}
+          tooltip={BY_WEIGHT_TOOLTIP}
+        />
+        <StatCard
+          label="Largest holding"
+          value={`${((largest.totalValue / total) * 100).toFixed(1)}%`}
+          subtitle={<span className="text-[var(--text-secondary)]">{largest.ticker}</span>}
+        />
+      </div>
+
+      {pairs.length > 0 && (
+        <div className="bg-[var(--bg-card)] border border-[var(--border-subtle)] rounded-xl p-6">
+          <h2 className="text-[var(--text-primary)] font-bold text-sm">Moving together</h2>
+          <p className="text-[12px] text-[var(--text-secondary)] mt-0.5 mb-4">
+            Pairs with a correlation of {HIGH_CORRELATION} or more behave much like a single position
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {pairs.map(({ a, b, correlation }) => (
+              <span
+                key={`${a}-${b}`}
+                className="px-2 py-1 rounded-md border border-[var(--border-subtle)] text-xs font-bold text-[var(--text-primary)]"
+              >
+                {a} & {b} <span className="text-red ml-1">{correlation.toFixed(2)}</span>
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* heatmap */}
+      <div className="bg-[var(--bg-card)] border border-[var(--border-subtle)] rounded-xl p-6">
+        <h2 className="text-[var(--text-primary)] font-bold text-sm">Correlation</h2>
+        <p className="text-[12px] text-[var(--text-secondary)] mt-0.5 mb-4">
+          Daily returns over the last year
+          {holdings.length > assets.length && ` - the ${assets.length} largest holdings with a price feed`}
+        </p>
+
+        {!isAvailable ? (
+          <p className="text-sm text-[var(--text-secondary)]">Correlations need live market data (not available in preview).</p>
+        ) : tickers.length < 2 ? (
+          <p className="text-sm text-[var(--text-secondary)]">Correlations need at least two holdings with a price feed.</p>
+        ) : isLoading ? (
+          <p className="text-sm text-[var(--text-secondary)] animate-pulse">Loading price history...</p>
+        ) : (
+          <div className="overflow-x-auto custom-scrollbar">
+            <table className="border-separate" style={{ borderSpacing: 2 }}>
+              <thead>
+                <tr>
+                  <th />
+                  {tickers.map((ticker) => (
+                    <th key={ticker} className="px-1 pb-1 text-[10px] font-bold text-[var(--text-secondary)] whitespace-nowrap">
+                      {ticker}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {tickers.map((rowTicker, i) => (
+                  <tr key={rowTicker}>
+                    <th className="pr-2 text-right text-[10px] font-bold text-[var(--text-secondary)] whitespace-nowrap">
+                      <Link to={`/asset/${rowTicker}`} className="hover:text-[var(--text-primary)]">{rowTicker}</Link>
+                    </th>
+                    {tickers.map((colTicker, j) => {
+                      const correlation = matrix[i][j];
+                      return (
+                        <td
+                          key={colTicker}
+                          title={correlation === null
+                            ? `${rowTicker} / ${colTicker}: not enough common history`
+                            : `${rowTicker} / ${colTicker}: ${correlation.toFixed(2)}`}
+                          className="w-11 h-9 min-w-[2.75rem] rounded text-center text-[10px] font-bold text-[var(--text-primary)] border border-[var(--border-subtle)]"
+                          style={{ backgroundColor: cellColor(correlation) }}
+                        >
+                          {correlation === null ? '-' : correlation.toFixed(2)}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="flex items-center gap-2 mt-4 text-[10px] font-bold text-[var(--text-secondary)]">
+              <span>-1 opposite</span>
+              <span className="h-2 w-24 rounded" style={{ background: `linear-gradient(to right, ${cellColor(-1)}, transparent, ${cellColor(1)})` }} />
+              <span>+1 together</span>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
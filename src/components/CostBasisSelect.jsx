@@ -0,0 +1,26 @@
+// cost basis method picker - account default on the dashboard,
+// per-asset override (with an "account default" option) on asset details
+
+import React from "react";
+import { COST_BASIS_METHODS, getCostBasisLabel } from "../services/costBasis";
+
+export default function CostBasisSelect({ value, onChange, defaultMethod = null, allowDefault = false, disabled = false }) {
+  const description = COST_BASIS_METHODS.find((m) => m.value === value)?.description;
+
+  return (
+    <label className="flex items-center gap-2 text-xs font-semibold text-[var(--text-secondary)]" title={description}>
+      Cost basis
+      <select
+        value={value || ""}
+        onChange={(e) => onChange(e.target.value || null)}
+        disabled={disabled}
+        className="bg-[var(--bg-card)] border border-[var(--border-subtle)] rounded-lg px-2 py-1.5 text-xs font-semibold text-[var(--text-primary)] focus:outline-none focus:border-[var(--text-secondary)] transition-colors disabled:opacity-50"
+      >
+        {allowDefault && <option value="">Account default ({getCostBasisLabel(defaultMethod)})</option>}
+        {COST_BASIS_METHODS.map((method) => (
+          <option key={method.value} value={method.value}>{method.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
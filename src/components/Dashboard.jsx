@@ -6,7 +6,21 @@ import toast from "react-hot-toast";
 import Layout from "./Layout";
 import PortfolioCharts from "./PortfolioCharts";
 import PortfolioTable from "./PortfolioTable";
+import ClosedPositionsTable from "./ClosedPositionsTable";
+import CashLedgerTable from "./CashLedgerTable";
+import PriceAlertsTable from "./PriceAlertsTable";
+import PriceAlertModal from "./PriceAlertModal";
+import Watchlist from "./Watchlist";
+import AllocationTargetsEditor from "./AllocationTargetsEditor";
+import RebalancePanel from "./RebalancePanel";
+import CorrelationPanel from "./CorrelationPanel";
+import GoalsPanel from "./GoalsPanel";
 import TransactionFormModal from "./TransactionFormModal";
+import ImportTransactionsModal from "./ImportTransactionsModal";
+import ExportMenu from "./ExportMenu";
+import CostBasisSelect from "./CostBasisSelect";
+import BaseCurrencySelect from "./BaseCurrencySelect";
+import PortfolioSwitcher from "./PortfolioSwitcher";
 import Button from "./ui/Button";
 import LoadingState from "./ui/LoadingState";
 import ButtonGroup from "./ui/ButtonGroup";
@@ -16,22 +30,51 @@ import IconButton from "./ui/IconButton";
 import EmptyState from "./ui/EmptyState";
 import {
   formatCurrency,
+  formatPrice,
   formatQuantity,
   calculatePortfolioData,
+  calculateClosedPositions,
+  calculateRealizedPnL,
   formatDateTime,
+  formatFee,
+  formatSplitRatio,
   calculatePnLPercentage,
   format24hChange,
   validateSellQuantities,
 } from "../services/utils";
 import {
   useTransactions,
+  useAllTransactions,
+  useFxConverter,
   usePrices,
+  usePriceHistory,
   useDeleteAsset,
   useDeleteTransaction,
+  useImportTransactions,
+  useRestoreTransactions,
+  useCostBasis,
+  useSetCostBasisMethod,
+  useSelectedPortfolio,
+  usePriceAlerts,
+  useCreatePriceAlert,
+  useUpdatePriceAlert,
+  useDeletePriceAlert,
+  useWatchlist,
+  useAddToWatchlist,
+  useRemoveFromWatchlist,
+  useAllocationTargets,
+  useSaveAllocationTargets,
+  useBaseCurrencyValues,
+  useSetBaseCurrency,
 } from "../hooks/usePortfolio";
+import { addFxGains, getQuoteCurrency } from "../services/currency";
+import { DEFAULT_COST_BASIS_METHOD, getFeeAmount } from "../services/costBasis";
+import { calculateCashLedger, calculateReturnOnInvestedCapital } from "../services/cashLedger";
+import { isCashAmount, isSplitType, hasUnitPrice, isCashFlowType } from "../constants/transactionTypes";
+import { ASSET_CLASS_VALUES, getAssetClassLabel } from "../constants/assetClasses";
 import { useAuth } from "../context/AuthContext";
 import { useTransactionModal } from "../hooks/useTransactionModal";
-import { EyeIcon, EyeSlashIcon, ArrowClockwiseIcon, CaretUp, CaretDown, Sun, Moon, SignOut } from "@phosphor-icons/react";
+import { EyeIcon, EyeSlashIcon, ArrowClockwiseIcon, CaretUp, CaretDown, Sun, Moon, SignOut, UploadSimpleIcon, BellIcon, ReceiptIcon } from "@phosphor-icons/react";
 import { useSort } from "../hooks/useSort";
 import { useTheme } from "../hooks/useTheme";
 
@@ -54,12 +97,50 @@ export default function Dashboard() {
   }, [isPreview, exitPreview, signOut, navigate]);
 
   const { data: transactions = [], isLoading, error: loadError, refetch } = useTransactions();
-  const { prices, isFetching: pricesFetching } = usePrices(transactions);
+  // the form validates against the portfolio a row is filed under
+  const { data: allTransactions = [] } = useAllTransactions();
+  const { converter: formConverter } = useFxConverter(allTransactions);
+  const { portfolios, selectedPortfolioId, isAllPortfolios } = useSelectedPortfolio();
+  const { prices: quotes, isFetching: pricesFetching } = usePrices(transactions);
+  const { history: quoteHistory } = usePriceHistory(transactions);
+  // everything that adds values up across assets works in the base currency;
+  // the transactions table and the form keep each transaction's own currency
+  const {
+    baseCurrency,
+    converter,
+    transactions: baseTransactions,
+    prices,
+    history: priceHistory,
+    missingCurrencies,
+  } = useBaseCurrencyValues(transactions, quotes, quoteHistory);
+  const setBaseCurrency = useSetBaseCurrency();
   const deleteAsset = useDeleteAsset();
   const deleteTransactionMutation = useDeleteTransaction();
+  const importTransactions = useImportTransactions();
+  const restoreTransactions = useRestoreTransactions();
+  const { costBasis, isLoading: costBasisLoading } = useCostBasis();
+  const setCostBasisMethod = useSetCostBasisMethod();
+  const { data: priceAlerts = [] } = usePriceAlerts();
+  const createPriceAlert = useCreatePriceAlert();
+  const updatePriceAlert = useUpdatePriceAlert();
+  const deletePriceAlert = useDeletePriceAlert();
+  const { data: watchlist = [] } = useWatchlist();
+  const addToWatchlist = useAddToWatchlist();
+  const removeFromWatchlist = useRemoveFromWatchlist();
+  const { data: allocationTargets = [] } = useAllocationTargets();
+  const saveAllocationTargets = useSaveAllocationTargets();
 
-  // calculate portfolio data
-  const portfolioData = useMemo(() => calculatePortfolioData(transactions, prices), [transactions, prices]);
+  // calculate portfolio data (lots matched with the selected cost basis method),
+  // with each holding's unrealized P&L split into price and FX gain
+  const portfolioData = useMemo(
+    () => addFxGains(calculatePortfolioData(baseTransactions, prices, costBasis), transactions, quotes, costBasis, converter),
+    [baseTransactions, prices, costBasis, transactions, quotes, converter]
+  );
+  // fully sold assets and realized gains/losses from every sell
+  const closedPositions = useMemo(() => calculateClosedPositions(baseTransactions, prices, costBasis), [baseTransactions, prices, costBasis]);
+  const realized = useMemo(() => calculateRealizedPnL(baseTransactions, costBasis), [baseTransactions, costBasis]);
+  // running cash balance and the money put into the portfolio
+  const cash = useMemo(() => calculateCashLedger(baseTransactions), [baseTransactions]);
 
   // transaction modal hook
   const {
@@ -67,9 +148,11 @@ export default function Dashboard() {
     editingTransaction,
     isEditMode,
     openAddModal,
+    openDraftReview,
     openEditModal,
     closeModal,
     handleSubmit,
+    draftProgress,
     isPending,
   } = useTransactionModal();
 
@@ -77,12 +160,20 @@ export default function Dashboard() {
   const [hideValues, setHideValues] = useState(false);
   const [activeTab, setActiveTab] = useState("overview");
   const [filterType, setFilterType] = useState("All");
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [alertAsset, setAlertAsset] = useState(null);
+  // browser notification permission ("unsupported" where the API is missing)
+  const [notificationPermission, setNotificationPermission] = useState(() =>
+    typeof Notification === "undefined" ? "unsupported" : Notification.permission
+  );
   // sorting hook for transactions table
   const { handleSort: handleTxSort, sortData, getSortDirection: getTxSortDirection } = useSort({ key: "date", direction: "desc" });
 
   // portfolio calculations - memoized to avoid recalculating on every render
   // total market value of all assets
-  const totalValue = useMemo(() => portfolioData.reduce((sum, a) => sum + a.totalValue, 0), [portfolioData]);
+  const holdingsValue = useMemo(() => portfolioData.reduce((sum, a) => sum + a.totalValue, 0), [portfolioData]);
+  // what the portfolio is worth: holdings plus uninvested cash
+  const totalValue = holdingsValue + cash.balance;
   // total profit/loss (unrealized gains/losses)
   const totalPnL = useMemo(() => portfolioData.reduce((sum, a) => sum + a.pnl, 0), [portfolioData]);
   // total 24h change in portfolio value (priceChange24h is a percentage)
@@ -96,10 +187,20 @@ export default function Dashboard() {
     }, 0);
   }, [portfolioData]);
 
+  // part of the unrealized P&L that comes from exchange rates moving
+  const totalFxGain = useMemo(() => portfolioData.reduce((sum, a) => sum + (a.fxGain || 0), 0), [portfolioData]);
+  const hasForeignHoldings = portfolioData.some((a) => a.quantity > 0 && (quotes[a.ticker]?.currency || baseCurrency) !== baseCurrency);
+
   const is24hPositive = total24hChange >= 0;
   const isPositive = totalPnL >= 0;
+  // realized gain/loss relative to the FIFO cost of everything sold
+  const realizedCostBasis = useMemo(() => realized.sales.reduce((sum, sale) => sum + sale.costBasis, 0), [realized]);
+  const isRealizedPositive = realized.total >= 0;
   // calculate total cost basis (total amount paid for all assets)
   const totalCostBasis = useMemo(() => portfolioData.reduce((sum, a) => sum + a.totalCost, 0), [portfolioData]);
+  // total value against net contributions (deposits - withdrawals + buys paid from outside)
+  const returnOnCapital = calculateReturnOnInvestedCapital(totalValue, cash.netContributions);
+  const isReturnPositive = returnOnCapital.gain >= 0;
 
   // find best/worst performers by percentage return
   // sort by PnL percentage (profit/loss divided by cost basis)
@@ -125,13 +226,58 @@ export default function Dashboard() {
     deleteAsset.mutate({ ticker, transactionIds: txsToDelete.map((tx) => tx.id) });
   }, [transactions, deleteAsset]);
 
+  // alerts watch the quote in the currency the asset is listed in
+  const quoteOf = useCallback((ticker) => ({
+    currentPrice: quotes[ticker]?.currentPrice ?? 0,
+    currency: quotes[ticker]?.currency,
+  }), [quotes]);
+
+  const heldTickers = useMemo(() => new Set(portfolioData.map((asset) => asset.ticker)), [portfolioData]);
+
+  const activeAlertCount = priceAlerts.filter((alert) => alert.active).length;
+
+  // assets an allocation target can be set for - held or watched
+  const targetableAssets = useMemo(
+    () => [
+      ...portfolioData.filter((asset) => asset.quantity > 0).map((asset) => ({ ticker: asset.ticker, assetType: asset.assetType })),
+      ...watchlist.map((item) => ({ ticker: item.ticker, assetType: item.assetType })),
+    ],
+    [portfolioData, watchlist]
+  );
+
+  // rebalancing orders are planned at base-currency prices; each is recorded
+  // in the currency its price comes in (the quote's, or a manual price's) at
+  // that unconverted price
+  const toOrderDraft = useCallback((order) => {
+    const quote = quotes[order.ticker];
+    return quote?.currentPrice > 0
+      ? { ...order, price: quote.currentPrice, currency: getQuoteCurrency(quote) }
+      : { ...order, currency: baseCurrency };
+  }, [quotes, baseCurrency]);
+
+  // opens every proposed rebalancing order in the transaction form, one after
+  // another, to check or adjust before it is saved
+  const handleRecordOrders = useCallback((orders) => {
+    openDraftReview(orders.map(toOrderDraft));
+  }, [openDraftReview, toOrderDraft]);
+
+  // ask once for permission to show system notifications when an alert fires
+  const handleEnableNotifications = useCallback(async () => {
+    try {
+      setNotificationPermission(await Notification.requestPermission());
+    } catch (error) {
+      console.error("notification permission request failed", error);
+      toast.error("This browser can't show notifications");
+    }
+  }, []);
+
   // delete transaction handler
   const handleDeleteTransaction = useCallback((tx) => {
     // deleting a buy must not leave later sells uncovered (would corrupt FIFO)
     const remaining = transactions.filter((t) => t.id !== tx.id);
     if (!validateSellQuantities(remaining, tx.ticker).valid) {
       toast.error(
-        `Cannot delete this buy: your remaining ${tx.ticker} purchases would not cover its sell transactions. Delete or edit those sells first.`
+        `Cannot delete this ${tx.type.toLowerCase()}: your remaining ${tx.ticker} purchases would not cover its sell transactions. Delete or edit those sells first.`
       );
       return;
     }
@@ -140,10 +286,22 @@ export default function Dashboard() {
     }
   }, [transactions, deleteTransactionMutation]);
 
+  // asset class filter: "All" plus every class there are transactions in
+  // (a class that's gone - its last transaction deleted - falls back to "All")
+  const filterOptions = useMemo(() => {
+    const held = new Set(transactions.filter((tx) => !isCashFlowType(tx.type)).map((tx) => tx.assetType));
+    return ["All", ...ASSET_CLASS_VALUES.filter((assetClass) => held.has(assetClass))];
+  }, [transactions]);
+  const filterLabels = useMemo(
+    () => Object.fromEntries(filterOptions.map((option) => [option, getAssetClassLabel(option)])),
+    [filterOptions]
+  );
+  const activeFilter = filterOptions.includes(filterType) ? filterType : "All";
+
   // filter and sort transactions based on current filter and sort settings
   const allTransactionsSorted = useMemo(() => {
-    // first filter by asset type (All/Stock/Crypto)
-    const filtered = transactions.filter((tx) => filterType === "All" || tx.assetType === filterType);
+    // first filter by asset class (All/Stock/ETF/...)
+    const filtered = transactions.filter((tx) => activeFilter === "All" || tx.assetType === activeFilter);
     // then apply sorting with custom comparator
     return sortData(filtered, (a, b, key, direction) => {
       if (key === "date") {
@@ -169,6 +327,12 @@ export default function Dashboard() {
         const valB = b.quantity * b.price;
         return direction === "asc" ? valA - valB : valB - valA;
       }
+      if (key === "fee") {
+        // compare dollar value so coin-denominated fees sort alongside USD fees
+        const valA = getFeeAmount(a);
+        const valB = getFeeAmount(b);
+        return direction === "asc" ? valA - valB : valB - valA;
+      }
       if (["quantity", "price"].includes(key)) {
         // numeric comparison for quantity and price
         return direction === "asc" ? Number(a[key]) - Number(b[key]) : Number(b[key]) - Number(a[key]);
@@ -178,17 +342,22 @@ export default function Dashboard() {
       const strB = String(b[key]).toLowerCase();
       return direction === "asc" ? strA.localeCompare(strB) : strB.localeCompare(strA);
     });
-  }, [transactions, filterType, sortData]);
+  }, [transactions, activeFilter, sortData]);
 
 
   // filter portfolio data
   const filteredPortfolioData = useMemo(() => {
-    if (filterType === "All") return portfolioData;
-    return portfolioData.filter((a) => a.assetType === filterType);
-  }, [portfolioData, filterType]);
+    if (activeFilter === "All") return portfolioData;
+    return portfolioData.filter((a) => a.assetType === activeFilter);
+  }, [portfolioData, activeFilter]);
+
+  const filteredClosedPositions = useMemo(() => {
+    if (activeFilter === "All") return closedPositions;
+    return closedPositions.filter((a) => a.assetType === activeFilter);
+  }, [closedPositions, activeFilter]);
 
   // loading state
-  if (authLoading || isLoading) return <LoadingState fullScreen={false} />;
+  if (authLoading || isLoading || costBasisLoading) return <LoadingState fullScreen={false} />;
 
   // error state
   if (loadError) {
@@ -225,6 +394,7 @@ export default function Dashboard() {
             <div>
               <div className="flex items-center gap-2 mb-2 flex-wrap">
                 <h1 className="text-xl font-bold text-[var(--text-primary)]">My Portfolio</h1>
+                <PortfolioSwitcher />
                 {isPreview && (
                   <span className="text-[10px] font-bold uppercase tracking-wide px-2 py-0.5 rounded bg-[var(--accent-blue)]/20 text-[var(--accent-blue)] border border-[var(--accent-blue)]/40">
                     Preview
@@ -271,11 +441,31 @@ export default function Dashboard() {
                     );
                   })()}
                 </div>
+                {cash.balance > 0 && (
+                  <span className="text-xs text-[var(--text-secondary)] mt-1">
+                    Includes {formatCurrency(cash.balance, hideValues)} cash
+                  </span>
+                )}
+                {missingCurrencies.length > 0 && (
+                  <span className="text-xs text-amber-600 dark:text-amber-400 mt-1">
+                    No exchange rate for {missingCurrencies.join(", ")} - those amounts are counted 1:1 in {baseCurrency}.
+                  </span>
+                )}
               </div>
             </div>
             <ButtonGroup
               variant="tabs"
-              options={[{ id: "overview", label: "Overview" }, { id: "transactions", label: "Transactions" }]}
+              options={[
+                { id: "overview", label: "Overview" },
+                { id: "analytics", label: "Analytics" },
+                { id: "goals", label: "Goals" },
+                { id: "transactions", label: "Transactions" },
+                { id: "closed", label: "Closed positions" },
+                { id: "cash", label: "Cash" },
+                { id: "watchlist", label: "Watchlist" },
+                { id: "rebalance", label: "Rebalance" },
+                { id: "alerts", label: activeAlertCount > 0 ? `Alerts (${activeAlertCount})` : "Alerts" },
+              ]}
               value={activeTab}
               onChange={setActiveTab}
             />
@@ -331,6 +521,38 @@ export default function Dashboard() {
                 }
               }}
             />
+            <CostBasisSelect
+              value={costBasis?.method || DEFAULT_COST_BASIS_METHOD}
+              onChange={(method) => setCostBasisMethod.mutate({ method })}
+            />
+            <BaseCurrencySelect
+              value={baseCurrency}
+              onChange={(currency) => setBaseCurrency.mutate(currency)}
+              disabled={setBaseCurrency.isPending}
+            />
+            {/* tax lot report and Form 8949 export */}
+            <Button variant="secondary" icon={ReceiptIcon} onClick={() => navigate("/reports")}>
+              Reports
+            </Button>
+            <ExportMenu
+              transactions={transactions}
+              portfolioData={portfolioData}
+              onRestore={restoreTransactions.mutateAsync}
+              isRestoring={restoreTransactions.isPending}
+              canBackup={!isAllPortfolios}
+              canRestore={!isAllPortfolios}
+            />
+            {/* imports and restores go into one portfolio, so the aggregate view can't take them.
+                a backup holds one portfolio too: rows from several would all land in the one restored into */}
+            <Button
+              variant="secondary"
+              icon={UploadSimpleIcon}
+              onClick={() => setIsImportOpen(true)}
+              disabled={importTransactions.isPending || isAllPortfolios}
+              title={isAllPortfolios ? "Select a portfolio to import into" : undefined}
+            >
+              Import CSV
+            </Button>
             <Button icon="plus" onClick={() => openAddModal()} disabled={isPending}>Add Transaction</Button>
           </div>
         </div>
@@ -339,9 +561,9 @@ export default function Dashboard() {
         {activeTab === "overview" && (
           <div className="space-y-6 animate-slide-up">
             {/* stats cards */}
-            <div className="flex flex-col sm:grid sm:grid-cols-2 lg:grid-cols-4 sm:gap-4">
+            <div className={`flex flex-col sm:grid sm:grid-cols-2 lg:grid-cols-3 sm:gap-4 ${hasForeignHoldings ? "xl:grid-cols-7" : "xl:grid-cols-6"}`}>
               <StatCard
-                label="All-time profit/loss"
+                label="Unrealized profit/loss"
                 value={totalPnL}
                 valueFormatted={`${isPositive ? "+" : ""}${formatCurrency(totalPnL, hideValues)}`}
                 subtitle={
@@ -353,7 +575,47 @@ export default function Dashboard() {
                 isPositive={isPositive}
                 hideValues={hideValues}
               />
+              <StatCard
+                label="Realized profit/loss"
+                value={realized.total}
+                valueFormatted={`${isRealizedPositive && realized.total !== 0 ? "+" : ""}${formatCurrency(realized.total, hideValues)}`}
+                subtitle={
+                  <span className="flex items-center gap-1">
+                    {isRealizedPositive ? <CaretUp size={12} weight="fill" /> : <CaretDown size={12} weight="fill" />}
+                    <span>{!hideValues ? Math.abs(parseFloat(calculatePnLPercentage(realized.total, realizedCostBasis))).toFixed(2) : "**"}%</span>
+                  </span>
+                }
+                isPositive={isRealizedPositive}
+                hideValues={hideValues}
+              />
+              <StatCard
+                label="Return on invested capital"
+                value={returnOnCapital.gain}
+                valueFormatted={`${isReturnPositive ? "+" : ""}${formatCurrency(returnOnCapital.gain, hideValues)}`}
+                subtitle={
+                  <span className="flex items-center gap-1" title={`Net contributions: ${formatCurrency(cash.netContributions, hideValues)}`}>
+                    {isReturnPositive ? <CaretUp size={12} weight="fill" /> : <CaretDown size={12} weight="fill" />}
+                    <span>{!hideValues ? Math.abs(returnOnCapital.percent).toFixed(2) : "**"}%</span>
+                  </span>
+                }
+                isPositive={isReturnPositive}
+                hideValues={hideValues}
+              />
               <StatCard label="Cost basis" value={totalCostBasis} hideValues={hideValues} />
+              {hasForeignHoldings && (
+                <StatCard
+                  label="FX gain"
+                  value={totalFxGain}
+                  valueFormatted={`${totalFxGain > 0 ? "+" : ""}${formatCurrency(totalFxGain, hideValues)}`}
+                  subtitle={
+                    <span className="text-[var(--text-secondary)]">
+                      Of the unrealized P&amp;L, from exchange rates
+                    </span>
+                  }
+                  isPositive={totalFxGain >= 0}
+                  hideValues={hideValues}
+                />
+              )}
               {bestPerformer ? (
                 <StatCard
                   label="Best performer"
@@ -392,7 +654,7 @@ export default function Dashboard() {
             </div>
 
             {/* charts */}
-            <PortfolioCharts portfolioData={portfolioData} transactions={transactions} prices={prices} hideValues={hideValues} />
+            <PortfolioCharts portfolioData={portfolioData} transactions={baseTransactions} prices={prices} costBasis={costBasis} priceHistory={priceHistory} cashBalance={cash.balance} hideValues={hideValues} />
 
             {/* assets table */}
             <div>
@@ -400,10 +662,10 @@ export default function Dashboard() {
                 <h2 className="text-lg font-bold text-[var(--text-primary)]">Assets</h2>
                 <ButtonGroup
                   variant="pills"
-                  options={["All", "Stock", "Crypto"]}
-                  value={filterType}
+                  options={filterOptions}
+                  value={activeFilter}
                   onChange={setFilterType}
-                  labelMap={{ Stock: "Stocks" }}
+                  labelMap={filterLabels}
                 />
               </div>
               <PortfolioTable
@@ -411,6 +673,7 @@ export default function Dashboard() {
                 hideValues={hideValues}
                 onDeleteAsset={handleDeleteAsset}
                 onAddTransaction={openAddModal}
+                onSetAlert={(asset) => setAlertAsset({ ...asset, ...quoteOf(asset.ticker) })}
               />
             </div>
           </div>
@@ -420,7 +683,7 @@ export default function Dashboard() {
         {activeTab === "transactions" && (
           <div className="animate-slide-up bg-[var(--bg-card)] rounded-xl border border-[var(--border-subtle)] overflow-hidden min-h-[400px]">
             <div className="overflow-x-auto">
-              <table className="w-full text-left border-collapse min-w-[700px]">
+              <table className="w-full text-left border-collapse min-w-[800px]">
                 <thead>
                   <tr className="border-b border-[var(--border-subtle)] bg-[var(--bg-card)] cursor-pointer select-none">
                     {[
@@ -429,6 +692,7 @@ export default function Dashboard() {
                       { key: "ticker", label: "Asset" },
                       { key: "quantity", label: "Quantity", align: "right" },
                       { key: "price", label: "Price", align: "right" },
+                      { key: "fee", label: "Fee", align: "right" },
                       { key: "cost", label: "Cost", align: "right" },
                     ].map((col) => (
                       <th
@@ -453,16 +717,17 @@ export default function Dashboard() {
                 </thead>
                 <tbody className="divide-y divide-[var(--border-subtle)]">
                   {allTransactionsSorted.length === 0 ? (
-                    <EmptyState message="No transactions found." colSpan={7} />
+                    <EmptyState message="No transactions found." colSpan={8} />
                   ) : (
                     allTransactionsSorted.map((tx) => (
                       <tr key={tx.id} className="hover:bg-[var(--bg-card-hover)] transition-colors">
                         <td className="py-4 px-6 text-sm text-[var(--text-secondary)]">{formatDateTime(tx.date, tx.time)}</td>
                         <td className="py-4 px-6"><TransactionTypeBadge type={tx.type} variant="compact" /></td>
                         <td className="py-4 px-6 text-sm font-bold text-[var(--text-primary)]">{tx.ticker}</td>
-                        <td className="py-4 px-6 text-sm text-right text-[var(--text-primary)]">{formatQuantity(tx.quantity)}</td>
-                        <td className="py-4 px-6 text-sm text-right text-[var(--text-secondary)]">{formatCurrency(tx.price, hideValues)}</td>
-                        <td className="py-4 px-6 text-sm text-right font-medium text-[var(--text-primary)]">{formatCurrency(tx.quantity * tx.price, hideValues)}</td>
+                        <td className="py-4 px-6 text-sm text-right text-[var(--text-primary)]">{isSplitType(tx.type) ? formatSplitRatio(tx.quantity) : isCashAmount(tx) ? "-" : formatQuantity(tx.quantity)}</td>
+                        <td className="py-4 px-6 text-sm text-right text-[var(--text-secondary)]">{hasUnitPrice(tx) ? formatPrice(tx.price, hideValues, tx.currency) : "-"}</td>
+                        <td className="py-4 px-6 text-sm text-right text-[var(--text-secondary)]">{formatFee(tx, hideValues)}</td>
+                        <td className="py-4 px-6 text-sm text-right font-medium text-[var(--text-primary)]">{isSplitType(tx.type) ? "-" : formatCurrency(tx.quantity * tx.price, hideValues, tx.currency)}</td>
                         <td className="py-4 px-6 text-right">
                           <div className="flex items-center justify-end gap-1">
                             <IconButton variant="edit" onClick={() => openEditModal(tx)} disabled={deleteTransactionMutation.isPending} />
@@ -478,6 +743,134 @@ export default function Dashboard() {
           </div>
         )}
 
+        {/* closed positions tab */}
+        {activeTab === "closed" && (
+          <div className="animate-slide-up">
+            <div className="mb-4 flex flex-col md:flex-row md:items-center justify-between gap-4">
+              <h2 className="text-lg font-bold text-[var(--text-primary)]">Closed positions</h2>
+              <ButtonGroup
+                variant="pills"
+                options={filterOptions}
+                value={activeFilter}
+                onChange={setFilterType}
+                labelMap={filterLabels}
+              />
+            </div>
+            <ClosedPositionsTable data={filteredClosedPositions} hideValues={hideValues} />
+          </div>
+        )}
+
+        {/* cash tab */}
+        {activeTab === "cash" && (
+          <div className="space-y-6 animate-slide-up">
+            <div className="flex flex-col sm:grid sm:grid-cols-2 lg:grid-cols-4 sm:gap-4">
+              <StatCard label="Cash balance" value={cash.balance} hideValues={hideValues} />
+              <StatCard label="Deposits" value={cash.deposits} hideValues={hideValues} />
+              <StatCard label="Withdrawals" value={cash.withdrawals} hideValues={hideValues} />
+              <StatCard
+                label="Net contributions"
+                value={cash.netContributions}
+                subtitle={cash.externalFunding > 0 && (
+                  <span className="text-[var(--text-secondary)]">
+                    Incl. {formatCurrency(cash.externalFunding, hideValues)} of buys not covered by deposits
+                  </span>
+                )}
+                hideValues={hideValues}
+              />
+            </div>
+            <CashLedgerTable entries={cash.entries} hideValues={hideValues} />
+          </div>
+        )}
+
+        {/* watchlist tab */}
+        {activeTab === "watchlist" && (
+          <div className="animate-slide-up">
+            <Watchlist
+              items={watchlist}
+              prices={quotes}
+              heldTickers={heldTickers}
+              onAdd={addToWatchlist.mutateAsync}
+              onRemove={(item) => removeFromWatchlist.mutate(item.id)}
+              onBuy={openAddModal}
+              isAdding={addToWatchlist.isPending}
+            />
+          </div>
+        )}
+
+        {/* analytics tab */}
+        {activeTab === "analytics" && (
+          <div className="animate-slide-up">
+            <CorrelationPanel portfolioData={portfolioData} transactions={transactions} />
+          </div>
+        )}
+
+        {/* goals tab */}
+        {activeTab === "goals" && (
+          <div className="animate-slide-up">
+            <GoalsPanel
+              portfolioData={portfolioData}
+              transactions={baseTransactions}
+              prices={prices}
+              costBasis={costBasis}
+              priceHistory={priceHistory}
+              cashBalance={cash.balance}
+              hideValues={hideValues}
+            />
+          </div>
+        )}
+
+        {/* rebalance tab */}
+        {activeTab === "rebalance" && (
+          <div className="space-y-6 animate-slide-up">
+            <AllocationTargetsEditor
+              key={JSON.stringify(allocationTargets)}
+              targets={allocationTargets}
+              assets={targetableAssets}
+              onSave={saveAllocationTargets.mutateAsync}
+              isSaving={saveAllocationTargets.isPending}
+            />
+            <RebalancePanel
+              portfolioData={portfolioData}
+              cashBalance={cash.balance}
+              targets={allocationTargets}
+              prices={prices}
+              onRecordOrder={(order) => openAddModal(toOrderDraft(order))}
+              onRecordAll={handleRecordOrders}
+              canRecordAll={!isAllPortfolios}
+              baseCurrency={baseCurrency}
+              hideValues={hideValues}
+            />
+          </div>
+        )}
+
+        {/* alerts tab */}
+        {activeTab === "alerts" && (
+          <div className="space-y-4 animate-slide-up">
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+              <p className="text-sm text-[var(--text-secondary)]">
+                Alerts are checked whenever prices refresh while the app is open, and fire once.
+              </p>
+              {notificationPermission === "default" && (
+                <Button variant="secondary" icon={BellIcon} onClick={handleEnableNotifications}>
+                  Enable browser notifications
+                </Button>
+              )}
+              {notificationPermission === "denied" && (
+                <span className="text-xs text-[var(--text-secondary)]">
+                  Browser notifications are blocked - alerts show in the app only.
+                </span>
+              )}
+            </div>
+            <PriceAlertsTable
+              alerts={priceAlerts}
+              prices={quotes}
+              onRearm={(alert) => updatePriceAlert.mutate({ id: alert.id, active: true, triggeredAt: null })}
+              onDelete={(alert) => deletePriceAlert.mutate(alert.id)}
+              disabled={updatePriceAlert.isPending || deletePriceAlert.isPending}
+            />
+          </div>
+        )}
+
         {/* transaction modal */}
         {isFormOpen && (
           <TransactionFormModal
@@ -487,7 +880,34 @@ export default function Dashboard() {
             initialData={editingTransaction}
             isEditMode={isEditMode}
             portfolioData={portfolioData}
+            transactions={allTransactions}
+            costBasis={costBasis}
+            portfolios={portfolios}
+            defaultPortfolioId={selectedPortfolioId}
+            draftProgress={draftProgress}
+            converter={formConverter}
+          />
+        )}
+
+        {/* price alert modal */}
+        {alertAsset && (
+          <PriceAlertModal
+            isOpen={!!alertAsset}
+            onClose={() => setAlertAsset(null)}
+            onSubmit={createPriceAlert.mutateAsync}
+            asset={alertAsset}
+          />
+        )}
+
+        {/* csv import wizard */}
+        {isImportOpen && (
+          <ImportTransactionsModal
+            isOpen={isImportOpen}
+            onClose={() => setIsImportOpen(false)}
+            onSubmit={importTransactions.mutateAsync}
             transactions={transactions}
+            portfolioId={selectedPortfolioId}
+            converter={formConverter}
           />
         )}
       </div>
@@ -0,0 +1,111 @@
+// export/restore dropdown for the dashboard header
+// downloads transactions and holdings as CSV, or a JSON backup that can be restored
+
+import React, { useState, useCallback, useRef } from "react";
+import toast from "react-hot-toast";
+import { DownloadSimpleIcon, FileCsvIcon, FloppyDiskIcon, ClockCounterClockwiseIcon } from "@phosphor-icons/react";
+import Button from "./ui/Button";
+import { useClickOutside } from "../hooks/useClickOutside";
+import {
+  transactionsToCsv,
+  holdingsToCsv,
+  buildBackup,
+  parseBackup,
+  exportFileName,
+  downloadFile,
+} from "../services/portfolioExport";
+
+export default function ExportMenu({ transactions = [], portfolioData = [], onRestore, isRestoring = false, canBackup = true, canRestore = true }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const fileInputRef = useRef(null);
+  const menuRef = useClickOutside(useCallback(() => setIsOpen(false), []));
+
+  const hasTransactions = transactions.length > 0;
+
+  const exportTransactionsCsv = () => {
+    downloadFile(exportFileName("portfolio-transactions", "csv"), transactionsToCsv(transactions), "text/csv;charset=utf-8");
+    setIsOpen(false);
+  };
+
+  const exportHoldingsCsv = () => {
+    downloadFile(exportFileName("portfolio-holdings", "csv"), holdingsToCsv(portfolioData), "text/csv;charset=utf-8");
+    setIsOpen(false);
+  };
+
+  const exportBackup = () => {
+    const backup = buildBackup(transactions, portfolioData);
+    downloadFile(exportFileName("portfolio-backup", "json"), JSON.stringify(backup, null, 2), "application/json");
+    setIsOpen(false);
+  };
+
+  // read a backup file, confirm, then hand the parsed transactions to onRestore
+  const handleRestoreFile = async (e) => {
+    const file = e.target.files?.[0];
+    // reset so choosing the same file again still fires onChange
+    e.target.value = "";
+    if (!file) return;
+
+    let backup;
+    try {
+      backup = parseBackup(await file.text());
+    } catch (error) {
+      toast.error(error.message || "Could not read backup");
+      return;
+    }
+
+    const when = backup.exportedAt ? ` from ${new Date(backup.exportedAt).toLocaleString()}` : "";
+    const confirmed = window.confirm(
+      `Replace your ${transactions.length} transaction(s) with the ${backup.transactions.length} in this backup${when}? This cannot be undone.`
+    );
+    if (!confirmed) return;
+
+    try {
+      await onRestore({ transactions: backup.transactions, existingIds: transactions.map((tx) => tx.id) });
+    } catch {
+      // the restore mutation already reports failures with a toast
+    }
+  };
+
+  const itemClass =
+    "w-full text-left px-4 py-2 text-sm text-[var(--text-primary)] hover:bg-[var(--bg-card-hover)] flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed";
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <Button variant="secondary" icon={DownloadSimpleIcon} onClick={() => setIsOpen((prev) => !prev)} disabled={isRestoring}>
+        Export
+      </Button>
+      <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleRestoreFile} className="hidden" />
+
+      {isOpen && (
+        <div className="absolute right-0 top-full mt-2 z-50 w-56 bg-[var(--bg-card)] border border-[var(--border-subtle)] rounded-lg shadow-xl animate-fade-in">
+          <div className="py-1">
+            <button type="button" onClick={exportTransactionsCsv} disabled={!hasTransactions} className={itemClass}>
+              <FileCsvIcon size={16} /> Transactions (CSV)
+            </button>
+            <button type="button" onClick={exportHoldingsCsv} disabled={portfolioData.length === 0} className={itemClass}>
+              <FileCsvIcon size={16} /> Holdings snapshot (CSV)
+            </button>
+            <button
+              type="button"
+              onClick={exportBackup}
+              disabled={!hasTransactions || !canBackup}
+              title={canBackup ? undefined : "Select a portfolio to back up"}
+              className={itemClass}
+            >
+              <FloppyDiskIcon size={16} /> Full backup (JSON)
+            </button>
+            <button
+              type="button"
+              onClick={() => { setIsOpen(false); fileInputRef.current?.click(); }}
+              disabled={!canRestore}
+              title={canRestore ? undefined : "Select a portfolio to restore into"}
+              className={`${itemClass} border-t border-[var(--border-subtle)]`}
+            >
+              <ClockCounterClockwiseIcon size={16} /> Restore from backup…
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,354 @@
+// goals tab: savings goals ("1M by 2035 adding 2k a month") and a Monte Carlo
+// projection of the portfolio towards the selected one - percentile bands
+// against the goal line and the probability of reaching it. the expected
+// return and volatility are estimated from the portfolio's daily history and
+// can be overridden
+
+import React, { useMemo, useState } from 'react';
+import {
+  ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer,
+} from 'recharts';
+import { formatCurrency, getCurrencySymbol } from '../services/utils';
+import { calculatePortfolioHistory, toDateKey } from '../services/portfolioHistory';
+import { applySnapshots } from '../services/snapshots';
+import { DEFAULT_ASSUMPTIONS, DEFAULT_RUNS, estimateAssumptions, monthsUntil } from '../services/monteCarlo';
+import { useCreateGoal, useDeleteGoal, useGoals, usePortfolioSnapshots, useUpdateGoal, useUserSettings } from '../hooks/usePortfolio';
+import { useMonteCarlo } from '../hooks/useMonteCarlo';
+import FormInput from './ui/FormInput';
+import Button from './ui/Button';
+import IconButton from './ui/IconButton';
+import StatCard from './ui/StatCard';
+
+const BAND_COLOR = '#3b82f6';
+const GOAL_COLOR = '#22c55e';
+// a fixed seed so the same inputs always draw the same chart
+const SIMULATION_SEED = 1;
+
+const EMPTY_FORM = { name: '', targetAmount: '', targetDate: '', monthlyContribution: '' };
+
+const toForm = (goal) => (goal
+  ? { name: goal.name, targetAmount: String(goal.targetAmount), targetDate: goal.targetDate, monthlyContribution: String(goal.monthlyContribution || '') }
+  : EMPTY_FORM);
+
+const parseAmount = (value) => Number(String(value).replace(/,/g, ''));
+
+// "Mar 2031" for the month `offset` months from now
+const formatMonth = (offset) => {
+  const date = new Date();
+  date.setDate(1);
+  date.setMonth(date.getMonth() + offset);
+  return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+};
+
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+
+const PROBABILITY_TOOLTIP =
+  'Share of the simulated paths at or above the target on the target date. Each path compounds the current value with random monthly returns and adds the monthly contribution';
+
+const ProjectionTooltip = ({ active, payload, hideValues }) => {
+  if (!active || !payload?.length) return null;
+  const row = payload[0].payload;
+
+  return (
+    <div className="bg-[var(--bg-card)] border border-[var(--border-subtle)] p-3 rounded-lg shadow-xl space-y-1">
+      <p className="text-[var(--text-secondary)] text-xs">{row.date}</p>
+      <p className="text-[var(--text-primary)] font-bold">Median {formatCurrency(row.p50, hideValues)}</p>
+      <p className="text-[var(--text-secondary)] text-xs">50% between {formatCurrency(row.p25, hideValues)} and {formatCurrency(row.p75, hideValues)}</p>
+      <p className="text-[var(--text-secondary)] text-xs">80% between {formatCurrency(row.p10, hideValues)} and {formatCurrency(row.p90, hideValues)}</p>
+    </div>
+  );
+};
+
+function GoalForm({ goal = null, currency, onSubmit, onCancel, isSaving = false }) {
+  const [form, setForm] = useState(() => toForm(goal));
+  const [error, setError] = useState('');
+  const currencySymbol = getCurrencySymbol(currency);
+
+  const setField = (field, sanitize = (v) => v) => (e) => {
+    setForm((current) => ({ ...current, [field]: sanitize(e.target.value) }));
+    setError('');
+  };
+  const amountOnly = (value) => value.replace(/[^\d.,]/g, '');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const targetAmount = parseAmount(form.targetAmount);
+    const monthlyContribution = form.monthlyContribution.trim() === '' ? 0 : parseAmount(form.monthlyContribution);
+    if (!form.name.trim()) return setError('Name the goal');
+    if (!(targetAmount > 0)) return setError('Enter the target value');
+    if (!form.targetDate || form.targetDate <= toDateKey(new Date())) return setError('Pick a target date in the future');
+    if (!Number.isFinite(monthlyContribution) || monthlyContribution < 0) return setError('Enter the monthly contribution (or leave it empty)');
+    try {
+      await onSubmit({ name: form.name, targetAmount, targetDate: form.targetDate, monthlyContribution });
+      if (!goal) setForm(EMPTY_FORM);
+    } catch {
+      // the mutation already showed a toast
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-[2fr_1fr_1fr_1fr_auto] gap-3 items-start">
+      <FormInput
+        name="goal-name"
+        value={form.name}
+        onChange={setField('name', (v) => v.slice(0, 80))}
+        placeholder="Goal, e.g. Retirement"
+        error={error}
+        disabled={isSaving}
+      />
+      <FormInput
+        name="goal-target"
+        value={form.targetAmount}
+        onChange={setField('targetAmount', amountOnly)}
+        placeholder="Target value"
+        leftIcon={<span className="text-[var(--text-primary)]">{currencySymbol}</span>}
+        disabled={isSaving}
+      />
+      <FormInput
+        name="goal-date"
+        type="date"
+        value={form.targetDate}
+        min={toDateKey(new Date())}
+        onChange={setField('targetDate')}
+        disabled={isSaving}
+      />
+      <FormInput
+        name="goal-contribution"
+        value={form.monthlyContribution}
+        onChange={setField('monthlyContribution', amountOnly)}
+        placeholder="Added / month"
+        leftIcon={<span className="text-[var(--text-primary)]">{currencySymbol}</span>}
+        disabled={isSaving}
+      />
+      <div className="flex gap-2">
+        <Button type="submit" disabled={isSaving}>{goal ? 'Save' : 'Add'}</Button>
+        {onCancel && <Button variant="secondary" onClick={onCancel} disabled={isSaving}>Cancel</Button>}
+      </div>
+    </form>
+  );
+}
+
+export default function GoalsPanel({ portfolioData = [], transactions = [], prices = {}, costBasis = null, priceHistory = {}, cashBalance = 0, hideValues = false }) {
+  const { data: goals = [] } = useGoals();
+  const createGoal = useCreateGoal();
+  const updateGoal = useUpdateGoal();
+  const deleteGoal = useDeleteGoal();
+  const [selectedId, setSelectedId] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  // return and volatility overrides in percent; empty uses the estimate
+  const [assumptionInputs, setAssumptionInputs] = useState({ expectedReturn: '', volatility: '' });
+
+  const { data: snapshots = [] } = usePortfolioSnapshots();
+  const { baseCurrency } = useUserSettings();
+  const totalValue = portfolioData.reduce((sum, a) => sum + a.totalValue, 0) + cashBalance;
+
+  // same daily history as the performance chart
+  const estimate = useMemo(
+    () => estimateAssumptions(applySnapshots(
+      calculatePortfolioHistory(transactions, { prices, history: priceHistory, costBasis }),
+      snapshots,
+      baseCurrency
+    )),
+    [transactions, prices, priceHistory, costBasis, snapshots, baseCurrency]
+  );
+  const baseline = estimate ?? DEFAULT_ASSUMPTIONS;
+  const readAssumption = (field) => {
+    const value = Number(assumptionInputs[field]);
+    return assumptionInputs[field].trim() !== '' && Number.isFinite(value) ? value / 100 : baseline[field];
+  };
+  const expectedReturn = readAssumption('expectedReturn');
+  const volatility = Math.max(readAssumption('volatility'), 0);
+
+  const goal = goals.find((g) => g.id === selectedId) ?? goals[0] ?? null;
+  const months = goal ? monthsUntil(goal.targetDate) : 0;
+
+  const params = goal && months > 0
+    ? {
+        startValue: Math.round(totalValue * 100) / 100,
+        monthlyContribution: goal.monthlyContribution,
+        months,
+        expectedReturn,
+        volatility,
+        target: goal.targetAmount,
+        runs: DEFAULT_RUNS,
+        seed: SIMULATION_SEED,
+      }
+    : null;
+  const { result, error, isRunning } = useMonteCarlo(params);
+
+  const chartData = useMemo(
+    () => (result?.bands || []).map((band) => ({
+      ...band,
+      date: formatMonth(band.month),
+      outer: [band.p10, band.p90],
+      inner: [band.p25, band.p75],
+    })),
+    [result]
+  );
+  const finalBand = result?.bands[result.bands.length - 1];
+
+  const handleCreate = async (values) => {
+    const created = await createGoal.mutateAsync(values);
+    setSelectedId(created.id);
+  };
+
+  const handleUpdate = async (values) => {
+    await updateGoal.mutateAsync({ id: editingId, ...values });
+    setEditingId(null);
+  };
+
+  const setAssumption = (field) => (e) =>
+    setAssumptionInputs((current) => ({ ...current, [field]: e.target.value.replace(/[^\d.-]/g, '') }));
+
+  return (
+    <div className="space-y-6">
+      {/* goals */}
+      <div className="bg-[var(--bg-card)] border border-[var(--border-subtle)] rounded-xl overflow-hidden">
+        <div className="p-6 border-b border-[var(--border-subtle)] space-y-4">
+          <div>
+            <h2 className="text-lg font-bold text-[var(--text-primary)]">Goals</h2>
+            <p className="text-sm text-[var(--text-secondary)] mt-1">
+              A target value of the whole portfolio (holdings and cash, in {baseCurrency}) by a date, with what you plan to add every month.
+            </p>
+          </div>
+          <GoalForm currency={baseCurrency} onSubmit={handleCreate} isSaving={createGoal.isPending} />
+        </div>
+
+        {goals.length > 0 ? (
+          <div className="divide-y divide-[var(--border-subtle)]">
+            {goals.map((g) => (
+              editingId === g.id ? (
+                <div key={g.id} className="p-4 px-6">
+                  <GoalForm goal={g} currency={baseCurrency} onSubmit={handleUpdate} onCancel={() => setEditingId(null)} isSaving={updateGoal.isPending} />
+                </div>
+              ) : (
+                <div
+                  key={g.id}
+                  className={`flex items-center justify-between gap-4 py-3 px-6 transition-colors ${g.id === goal?.id ? 'bg-[var(--bg-card-hover)]' : 'hover:bg-[var(--bg-card-hover)]'}`}
+                >
+                  <button type="button" onClick={() => setSelectedId(g.id)} className="flex-1 text-left">
+                    <div className="text-sm font-bold text-[var(--text-primary)]">{g.name}</div>
+                    <div className="text-xs text-[var(--text-secondary)]">
+                      {formatCurrency(g.targetAmount, hideValues)} by {g.targetDate}
+                      {g.monthlyContribution > 0 && ` - adding ${formatCurrency(g.monthlyContribution, hideValues)} a month`}
+                    </div>
+                  </button>
+                  <div className="flex items-center gap-1">
+                    <IconButton variant="edit" onClick={() => setEditingId(g.id)} title="Edit goal" />
+                    <IconButton variant="delete" onClick={() => deleteGoal.mutate(g.id)} title="Delete goal" />
+                  </div>
+                </div>
+              )
+            ))}
+          </div>
+        ) : (
+          <p className="p-6 text-sm text-[var(--text-secondary)]">No goals yet - add one to see the projection.</p>
+        )}
+      </div>
+
+      {/* projection */}
+      {goal && (
+        <div className="bg-[var(--bg-card)] border border-[var(--border-subtle)] rounded-xl p-6 space-y-6">
+          <div className="flex flex-col md:flex-row md:items-start justify-between gap-4">
+            <div>
+              <h2 className="text-[var(--text-primary)] font-bold text-sm">{goal.name}</h2>
+              <p className="text-[12px] text-[var(--text-secondary)] mt-0.5">
+                {DEFAULT_RUNS.toLocaleString('en-US')} simulated paths from today's {formatCurrency(totalValue, hideValues)}
+                {estimate
+                  ? ` - return and volatility estimated from ${estimate.days} days of history`
+                  : ' - not enough history to estimate return and volatility, using long-run market figures'}
+              </p>
+            </div>
+            <div className="flex items-end gap-3">
+              <FormInput
+                label="Return / year"
+                name="goal-expected-return"
+                value={assumptionInputs.expectedReturn}
+                onChange={setAssumption('expectedReturn')}
+                placeholder={(baseline.expectedReturn * 100).toFixed(1)}
+                rightIcon={<span className="text-[var(--text-secondary)]">%</span>}
+                className="w-28"
+              />
+              <FormInput
+                label="Volatility"
+                name="goal-volatility"
+                value={assumptionInputs.volatility}
+                onChange={setAssumption('volatility')}
+                placeholder={(baseline.volatility * 100).toFixed(1)}
+                rightIcon={<span className="text-[var(--text-secondary)]">%</span>}
+                className="w-28"
+              />
+            </div>
+          </div>
+
+          {months === 0 ? (
+            <p className="text-sm text-[var(--text-secondary)]">The target date has passed - edit the goal to project it again.</p>
+          ) : error ? (
+            <p className="text-sm text-red">{error}</p>
+          ) : !result ? (
+            <p className="text-sm text-[var(--text-secondary)] animate-pulse">Simulating...</p>
+          ) : (
+            <>
+              <div className={`flex flex-col sm:grid sm:grid-cols-3 sm:gap-4 transition-opacity ${isRunning ? 'opacity-60' : ''}`}>
+                <StatCard
+                  label="Probability"
+                  value={formatPercent(result.probability)}
+                  isPositive={result.probability >= 0.5}
+                  subtitle={<span className="text-[var(--text-secondary)]">of {formatCurrency(goal.targetAmount, hideValues)} by {goal.targetDate}</span>}
+                  tooltip={PROBABILITY_TOOLTIP}
+                />
+                <StatCard
+                  label="Median outcome"
+                  value={finalBand.p50}
+                  hideValues={hideValues}
+                  subtitle={<span className="text-[var(--text-secondary)]">half the paths end above it</span>}
+                />
+                <StatCard
+                  label="Pessimistic (10th pct.)"
+                  value={finalBand.p10}
+                  hideValues={hideValues}
+                  subtitle={<span className="text-[var(--text-secondary)]">9 in 10 paths end above it</span>}
+                />
+              </div>
+
+              <div className={`h-[300px] w-full transition-opacity ${isRunning ? 'opacity-60' : ''}`} style={{ minWidth: 0 }}>
+                <ResponsiveContainer width="100%" height={300}>
+                  <ComposedChart data={chartData}>
+                    <CartesianGrid strokeDasharray="0" stroke="#27272a" vertical={false} />
+                    <XAxis
+                      dataKey="date" stroke="#52525b"
+                      tick={{ fill: '#71717a', fontSize: 10, fontWeight: 500 }}
+                      tickLine={false} axisLine={false} dy={10} minTickGap={20} interval="preserveStartEnd"
+                    />
+                    <YAxis
+                      stroke="#52525b"
+                      tick={{ fill: '#71717a', fontSize: 10, fontWeight: 500 }}
+                      tickFormatter={(v) => hideValues ? '****'
+                        : v >= 1000000 ? `${(v / 1000000).toFixed(1)}M`
+                        : v >= 1000 ? `${(v / 1000).toFixed(0)}k` : v.toFixed(0)}
+                      tickLine={false} axisLine={false} orientation="right"
+                    />
+                    <Tooltip content={<ProjectionTooltip hideValues={hideValues} />} cursor={{ stroke: '#52525b', strokeDasharray: '4 4' }} />
+                    <Area type="monotone" dataKey="outer" stroke="none" fill={BAND_COLOR} fillOpacity={0.12} isAnimationActive={false} />
+                    <Area type="monotone" dataKey="inner" stroke="none" fill={BAND_COLOR} fillOpacity={0.22} isAnimationActive={false} />
+                    <Line type="monotone" dataKey="p50" stroke={BAND_COLOR} strokeWidth={2} dot={false} isAnimationActive={false} />
+                    <ReferenceLine
+                      y={goal.targetAmount} stroke={GOAL_COLOR} strokeDasharray="4 3"
+                      label={{ value: 'Goal', position: 'insideTopLeft', fill: GOAL_COLOR, fontSize: 10, fontWeight: 700 }}
+                    />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+              <div className="flex flex-wrap items-center gap-4 text-[10px] font-bold text-[var(--text-secondary)]">
+                <span className="flex items-center gap-1.5"><span className="h-0.5 w-4" style={{ backgroundColor: BAND_COLOR }} />Median</span>
+                <span className="flex items-center gap-1.5"><span className="h-2 w-4 rounded-sm" style={{ backgroundColor: BAND_COLOR, opacity: 0.45 }} />25th-75th percentile</span>
+                <span className="flex items-center gap-1.5"><span className="h-2 w-4 rounded-sm" style={{ backgroundColor: BAND_COLOR, opacity: 0.2 }} />10th-90th percentile</span>
+                <span className="flex items-center gap-1.5"><span className="h-0.5 w-4 border-t border-dashed" style={{ borderColor: GOAL_COLOR }} />Goal</span>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,345 @@
+// modal wizard for importing transactions from a broker/exchange CSV export
+// steps: choose file -> map columns -> preview and validate -> bulk insert
+
+import React, { useState, useMemo, useCallback } from "react";
+import { createPortal } from "react-dom";
+import { UploadSimpleIcon } from "@phosphor-icons/react";
+import Button from "./ui/Button";
+import IconButton from "./ui/IconButton";
+import TransactionTypeBadge from "./ui/TransactionTypeBadge";
+import {
+  IMPORT_FIELDS,
+  DATE_FORMATS,
+  parseCsv,
+  guessColumnMapping,
+  mapRowsToTransactions,
+} from "../services/csvImport";
+import {
+  formatCurrency,
+  formatQuantity,
+  formatDateTime,
+  formatFee,
+  formatSplitRatio,
+  validateSellQuantities,
+} from "../services/utils";
+import { findOverdrawnWithdrawal } from "../services/cashLedger";
+import { createFxConverter } from "../services/currency";
+import { isCashAmount, isSplitType, hasUnitPrice } from "../constants/transactionTypes";
+import { ASSET_CLASSES } from "../constants/assetClasses";
+
+const STEPS = ["upload", "map", "preview"];
+const STEP_LABELS = { upload: "1. File", map: "2. Columns", preview: "3. Review" };
+
+// cap the preview table so very large files stay responsive
+const PREVIEW_LIMIT = 200;
+
+// without rates every currency counts 1:1
+const NO_FX = createFxConverter(null);
+
+// ledger id of an imported row, to find its source row again
+const IMPORT_ID_PREFIX = "import-row-";
+
+const selectClass =
+  "w-full bg-[var(--bg-app)] border border-[var(--border-subtle)] rounded-lg px-3 py-2 text-sm text-[var(--text-primary)] focus:outline-none focus:border-[var(--text-secondary)] transition-colors";
+
+export default function ImportTransactionsModal({
+  isOpen,
+  onClose,
+  onSubmit,
+  transactions = [],
+  portfolioId = null, // portfolio the rows are imported into
+  converter = NO_FX, // FX converter to compare cash across currencies
+}) {
+  const [step, setStep] = useState("upload");
+  const [fileName, setFileName] = useState("");
+  const [csv, setCsv] = useState({ headers: [], rows: [] });
+  const [mapping, setMapping] = useState({});
+  const [dateFormat, setDateFormat] = useState(DATE_FORMATS[0]);
+  const [defaultAssetType, setDefaultAssetType] = useState("stock");
+  const [fileError, setFileError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState("");
+
+  // read and parse the chosen file, then pre-fill the mapping from its headers
+  const handleFileChange = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setFileError("");
+
+    try {
+      const text = await file.text();
+      const parsed = parseCsv(text);
+      if (parsed.headers.length === 0 || parsed.rows.length === 0) {
+        setFileError("This file has no data rows. Export a CSV with a header row and at least one transaction.");
+        return;
+      }
+      setFileName(file.name);
+      setCsv(parsed);
+      setMapping(guessColumnMapping(parsed.headers));
+      setStep("map");
+    } catch (error) {
+      console.error("CSV read failed", error);
+      setFileError("Could not read this file. Make sure it is a plain-text CSV.");
+    }
+  }, []);
+
+  const missingRequired = IMPORT_FIELDS.filter((f) => f.required && !mapping[f.key]);
+
+  // rows -> transactions with the current mapping (recomputed as options change)
+  const result = useMemo(
+    () =>
+      step === "preview"
+        ? mapRowsToTransactions(csv.rows, mapping, { dateFormat, defaultAssetType })
+        : { transactions: [], errors: [] },
+    [step, csv.rows, mapping, dateFormat, defaultAssetType]
+  );
+
+  // FIFO integrity: imported sells must be covered by existing + imported buys
+  // of the same portfolio
+  const sellCheck = useMemo(
+    () =>
+      result.transactions.length > 0
+        ? validateSellQuantities([
+            ...transactions,
+            ...result.transactions.map((tx) => ({ ...tx, portfolioId })),
+          ])
+        : { valid: true },
+    [transactions, result.transactions, portfolioId]
+  );
+
+  // imported withdrawals must be covered by the cash held just before them,
+  // as in the transaction form
+  const overdrawnRow = useMemo(() => {
+    if (!result.transactions.some((tx) => tx.type === "Withdrawal")) return null;
+    const entry = findOverdrawnWithdrawal(
+      [
+        ...transactions,
+        ...result.transactions.map((tx) => ({ ...tx, id: `${IMPORT_ID_PREFIX}${tx.sourceRow}`, portfolioId })),
+      ],
+      converter,
+      (e) => String(e.id).startsWith(IMPORT_ID_PREFIX)
+    );
+    return entry ? Number(entry.id.slice(IMPORT_ID_PREFIX.length)) : null;
+  }, [transactions, result.transactions, portfolioId, converter]);
+
+  const canImport =
+    result.transactions.length > 0 && sellCheck.valid && overdrawnRow == null && !isSubmitting;
+
+  const handleImport = async () => {
+    if (!canImport) return;
+    setIsSubmitting(true);
+    setSubmitError("");
+    try {
+      // sourceRow is only used for error reporting in this modal
+      await onSubmit(
+        result.transactions.map((tx) => {
+          const next = { ...tx };
+          delete next.sourceRow;
+          return next;
+        })
+      );
+      onClose();
+    } catch (error) {
+      setSubmitError(error.message || "Failed to import transactions");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const modalContent = (
+    <div
+      className="fixed inset-0 z-[110] flex items-center justify-center bg-black/60 backdrop-blur-sm"
+      style={{ height: "100vh", width: "100vw", minHeight: "100vh" }}
+    >
+      <div className="bg-[var(--bg-card)] border border-[var(--border-subtle)] rounded-xl w-[95%] max-w-3xl shadow-2xl overflow-hidden flex flex-col max-h-[90vh]">
+        {/* header */}
+        <div className="p-4 border-b border-[var(--border-subtle)] flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-bold text-[var(--text-primary)]">Import Transactions</h2>
+            <div className="flex gap-3 mt-1">
+              {STEPS.map((s) => (
+                <span
+                  key={s}
+                  className={`text-xs font-semibold ${s === step ? "text-[var(--accent-blue)]" : "text-[var(--text-secondary)]"}`}
+                >
+                  {STEP_LABELS[s]}
+                </span>
+              ))}
+            </div>
+          </div>
+          <IconButton variant="close" onClick={onClose} disabled={isSubmitting} size={20} />
+        </div>
+
+        <div className="p-6 space-y-6 overflow-y-auto custom-scrollbar">
+          {/* step 1: file */}
+          {step === "upload" && (
+            <div className="space-y-4">
+              <p className="text-sm text-[var(--text-secondary)]">
+                Choose a CSV export from your broker or exchange. The first row must contain column headers;
+                you will match them to transaction fields in the next step.
+              </p>
+              <label className="flex flex-col items-center justify-center gap-2 border-2 border-dashed border-[var(--border-subtle)] rounded-xl p-10 cursor-pointer hover:bg-[var(--bg-card-hover)] transition-colors">
+                <UploadSimpleIcon size={28} className="text-[var(--text-secondary)]" />
+                <span className="text-sm font-semibold text-[var(--text-primary)]">Select CSV file</span>
+                <input type="file" accept=".csv,text/csv" onChange={handleFileChange} className="hidden" />
+              </label>
+              {fileError && <p className="text-xs text-red-500">{fileError}</p>}
+            </div>
+          )}
+
+          {/* step 2: column mapping */}
+          {step === "map" && (
+            <div className="space-y-5">
+              <p className="text-sm text-[var(--text-secondary)]">
+                <span className="font-semibold text-[var(--text-primary)]">{fileName}</span> — {csv.rows.length} row(s).
+                Match each field to a column. Without a type column, negative quantities are imported as sells.
+              </p>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                {IMPORT_FIELDS.map((field) => (
+                  <div key={field.key} className="space-y-1">
+                    <label className="text-xs font-semibold text-[var(--text-secondary)]">
+                      {field.label}{field.required ? " *" : ""}
+                    </label>
+                    <select
+                      value={mapping[field.key] || ""}
+                      onChange={(e) => setMapping((prev) => ({ ...prev, [field.key]: e.target.value }))}
+                      className={selectClass}
+                    >
+                      <option value="">— Not in file —</option>
+                      {csv.headers.map((header) => (
+                        <option key={header} value={header}>{header}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+                <div className="space-y-1">
+                  <label className="text-xs font-semibold text-[var(--text-secondary)]">Date format</label>
+                  <select value={dateFormat} onChange={(e) => setDateFormat(e.target.value)} className={selectClass}>
+                    {DATE_FORMATS.map((format) => (
+                      <option key={format} value={format}>{format}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="space-y-1">
+                  <label className="text-xs font-semibold text-[var(--text-secondary)]">Asset class (when not in file)</label>
+                  <select value={defaultAssetType} onChange={(e) => setDefaultAssetType(e.target.value)} className={selectClass}>
+                    {ASSET_CLASSES.map((assetClass) => (
+                      <option key={assetClass.value} value={assetClass.value.toLowerCase()}>{assetClass.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              {missingRequired.length > 0 && (
+                <p className="text-xs text-red-500">
+                  Map the required fields: {missingRequired.map((f) => f.label).join(", ")}
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* step 3: preview + validation */}
+          {step === "preview" && (
+            <div className="space-y-4">
+              <p className="text-sm text-[var(--text-secondary)]">
+                {result.transactions.length} transaction(s) ready to import
+                {result.errors.length > 0 && `, ${result.errors.length} row(s) will be skipped`}.
+              </p>
+
+              {!sellCheck.valid && (
+                <div className="bg-red-900/20 border border-red-500/50 rounded-lg p-3 text-sm text-red-400">
+                  These {sellCheck.ticker} sells exceed the {sellCheck.ticker} you would hold at that date.
+                  Include the earlier buys in the file or add them first.
+                </div>
+              )}
+
+              {overdrawnRow != null && (
+                <div className="bg-red-900/20 border border-red-500/50 rounded-lg p-3 text-sm text-red-400">
+                  The withdrawal in row {overdrawnRow} exceeds the cash you would hold at that date.
+                  Include the earlier deposits in the file or add them first.
+                </div>
+              )}
+
+              {result.errors.length > 0 && (
+                <div className="bg-[var(--bg-app)] border border-[var(--border-subtle)] rounded-lg p-3 max-h-32 overflow-y-auto custom-scrollbar">
+                  {result.errors.map((err) => (
+                    <p key={err.row} className="text-xs text-red-500">Row {err.row}: {err.message}</p>
+                  ))}
+                </div>
+              )}
+
+              {result.transactions.length > 0 && (
+                <div className="border border-[var(--border-subtle)] rounded-lg overflow-x-auto max-h-72 overflow-y-auto custom-scrollbar">
+                  <table className="w-full text-left border-collapse min-w-[620px]">
+                    <thead className="bg-[var(--bg-app)] sticky top-0">
+                      <tr>
+                        {["Row", "Date", "Type", "Asset", "Quantity", "Price", "Fee", "Cost"].map((label, i) => (
+                          <th key={label} className={`py-2 px-3 text-xs font-semibold text-[var(--text-secondary)] ${i >= 4 ? "text-right" : ""}`}>
+                            {label}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-[var(--border-subtle)]">
+                      {result.transactions.slice(0, PREVIEW_LIMIT).map((tx) => (
+                        <tr key={tx.sourceRow}>
+                          <td className="py-2 px-3 text-xs text-[var(--text-secondary)]">{tx.sourceRow}</td>
+                          <td className="py-2 px-3 text-xs text-[var(--text-secondary)] whitespace-nowrap">{formatDateTime(tx.date, tx.time)}</td>
+                          <td className="py-2 px-3"><TransactionTypeBadge type={tx.type} variant="compact" /></td>
+                          <td className="py-2 px-3 text-xs font-bold text-[var(--text-primary)]">
+                            {tx.ticker}
+                            <span className="ml-1 font-normal text-[var(--text-secondary)]">{tx.assetType}</span>
+                          </td>
+                          <td className="py-2 px-3 text-xs text-right text-[var(--text-primary)]">{isSplitType(tx.type) ? formatSplitRatio(tx.quantity) : isCashAmount(tx) ? "-" : formatQuantity(tx.quantity)}</td>
+                          <td className="py-2 px-3 text-xs text-right text-[var(--text-secondary)]">{hasUnitPrice(tx) ? formatCurrency(tx.price, false, tx.currency) : "-"}</td>
+                          <td className="py-2 px-3 text-xs text-right text-[var(--text-secondary)] whitespace-nowrap">{formatFee(tx)}</td>
+                          <td className="py-2 px-3 text-xs text-right text-[var(--text-primary)]">{isSplitType(tx.type) ? "-" : formatCurrency(tx.quantity * tx.price, false, tx.currency)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {result.transactions.length > PREVIEW_LIMIT && (
+                    <p className="text-xs text-[var(--text-secondary)] p-2 text-center">
+                      Showing the first {PREVIEW_LIMIT} of {result.transactions.length} rows
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {submitError && (
+                <div className="bg-red-900/20 border border-red-500/50 rounded-lg p-3 text-sm text-red-400">
+                  {submitError}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* footer */}
+        {step !== "upload" && (
+          <div className="p-4 border-t border-[var(--border-subtle)] flex items-center justify-between gap-3">
+            <Button
+              variant="secondary"
+              onClick={() => setStep(step === "preview" ? "map" : "upload")}
+              disabled={isSubmitting}
+            >
+              Back
+            </Button>
+            {step === "map" ? (
+              <Button onClick={() => setStep("preview")} disabled={missingRequired.length > 0}>
+                Review
+              </Button>
+            ) : (
+              <Button onClick={handleImport} loading={isSubmitting} disabled={!canImport}>
+                Import {result.transactions.length} transaction(s)
+              </Button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+
+  return createPortal(modalContent, document.body);
+}
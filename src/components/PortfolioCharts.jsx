@@ -5,25 +5,79 @@ import {
   PieChart, Pie, Cell, ResponsiveContainer, Tooltip,
   AreaChart, Area, XAxis, YAxis, CartesianGrid,
 } from "recharts";
-import { formatCurrency, calculateValue, sortTransactionsChronologically } from "../services/utils";
+import { formatCurrency } from "../services/utils";
+import { calculatePortfolioHistory, getCutoffDate } from "../services/portfolioHistory";
+import { calculatePeriodReturns, calculateBenchmarkComparison } from "../services/returns";
+import { applySnapshots } from "../services/snapshots";
+import { classifyAssets, groupAllocation } from "../services/classification";
+import { BENCHMARKS } from "../constants/assets";
+import { ASSET_CLASS_VALUES, getAssetClassLabel } from "../constants/assetClasses";
 import ButtonGroup from "./ui/ButtonGroup";
+import StatCard from "./ui/StatCard";
+import RiskPanel from "./RiskPanel";
 import { useTheme } from "../hooks/useTheme";
+import {
+  useAssetMetadata,
+  useBenchmarkHistory,
+  usePortfolioSnapshots,
+  useStockProfiles,
+  useUserSettings,
+} from "../hooks/usePortfolio";
 
 const CHART_COLORS = ["#3b82f6", "#22c55e", "#ef4444", "#f59e0b", "#8b5cf6", "#ec4899", "#06b6d4"];
 const OTHERS_COLOR = "#9ca3af"; // light grey for "Others" category
+const CASH_COLOR = "#14b8a6"; // teal, same as the deposit badge
+const MAX_ALLOCATION_SLICES = 7; // assets beyond this are grouped into "Others"
+
+// cash and "Others" keep their own colors; assets cycle through the palette
+const getSliceColor = (entry, i) => {
+  if (entry.isCash) return CASH_COLOR;
+  if (entry.name === "Others") return OTHERS_COLOR;
+  return CHART_COLORS[i % CHART_COLORS.length];
+};
+
+// the allocation pie splits the portfolio by asset, asset class, sector or
+// region (sector and region from the provider's profiles and manual overrides)
+const ALLOCATION_GROUPS = ["asset", "class", "sector", "region"];
+const ALLOCATION_GROUP_LABELS = { asset: "Assets", class: "Classes", sector: "Sectors", region: "Regions" };
+const ALLOCATION_GROUP_SUBTITLES = {
+  asset: "Distribution by Asset Value",
+  class: "Distribution by Asset Class",
+  sector: "Distribution by Sector",
+  region: "Distribution by Region",
+};
+
+// slices beyond MAX_ALLOCATION_SLICES are grouped into "Others"; cash keeps
+// its own slice at the end
+const limitSlices = (slices) => {
+  const cash = slices.filter((s) => s.isCash);
+  const data = slices.filter((s) => !s.isCash);
+  if (data.length <= MAX_ALLOCATION_SLICES) return [...data, ...cash];
+
+  const top = data.slice(0, MAX_ALLOCATION_SLICES);
+  const others = data.slice(MAX_ALLOCATION_SLICES).reduce((sum, item) => sum + item.value, 0);
+  return [...top, { name: "Others", value: others }, ...cash];
+};
+
 const TIME_PERIODS = ["7d", "1m", "3m", "ytd", "1y", "all"];
+const PERIOD_LABELS = { "7d": "7D", "1m": "1M", "3m": "3M", ytd: "YTD", "1y": "1Y", all: "ALL" };
 
-// get cutoff date for time period filtering
-const getCutoffDate = (period) => {
-  const now = new Date();
-  switch (period) {
-    case "7d": return new Date(now.setDate(now.getDate() - 7));
-    case "1m": return new Date(now.setMonth(now.getMonth() - 1));
-    case "3m": return new Date(now.setMonth(now.getMonth() - 3));
-    case "ytd": return new Date(now.getFullYear(), 0, 1);
-    case "1y": return new Date(now.setFullYear(now.getFullYear() - 1));
-    default: return null;
-  }
+const RETURNS_TOOLTIP =
+  "Time-weighted return (TWR) chains each day's return, so deposits and withdrawals don't move it: it shows how the investments performed. " +
+  "Money-weighted return (XIRR) weighs each day by the money invested at the time: it shows your own result. " +
+  "They differ when money is added before a rise or a fall.";
+
+const formatReturn = (value, hidden) =>
+  hidden ? "**%" : `${value >= 0 ? "+" : ""}${(value * 100).toFixed(2)}%`;
+
+// x-axis label: "Mar 4", with the year for past years
+const formatChartDate = (timestamp) => {
+  const date = new Date(timestamp);
+  return date.toLocaleDateString([], {
+    month: "short",
+    day: "numeric",
+    year: date.getFullYear() !== new Date().getFullYear() ? "numeric" : undefined,
+  });
 };
 
 // custom tooltip for performance chart
@@ -43,86 +97,36 @@ const PerformanceTooltip = ({ active, payload, hideValues }) => {
   );
 };
 
-// process transactions to calculate portfolio history with FIFO
-// builds a timeline of portfolio value over time for the performance chart
-const calculateHistoryData = (transactions, prices, portfolioData, totalValue, timePeriod) => {
-  if (!transactions?.length) return [];
-
-  // sort transactions chronologically (same ordering as calculatePortfolioData:
-  // date + time, buys before sells on ties) and group by calendar day
-  const sortedTxs = sortTransactionsChronologically(transactions);
-  const txsByDate = new Map();
-
-  sortedTxs.forEach((tx) => {
-    // local midnight of the transaction's calendar date
-    // (parsing parts avoids the UTC shift of new Date("YYYY-MM-DD"))
-    const [year, month, day] = tx.date.split("-").map(Number);
-    const dateKey = new Date(year, month - 1, day).getTime();
-    if (!txsByDate.has(dateKey)) txsByDate.set(dateKey, []);
-    txsByDate.get(dateKey).push(tx);
-  });
-
-  const dataPoints = [];
-  const assetMap = {}; // track holdings per asset during transaction processing
-
-  // process each date's transactions chronologically
-  Array.from(txsByDate.entries())
-    .sort((a, b) => a[0] - b[0]) // ensure dates are in order
-    .forEach(([dateKey, dateTxs]) => {
-      // process all transactions for this date
-      dateTxs.forEach((tx) => {
-        if (!assetMap[tx.ticker]) {
-          assetMap[tx.ticker] = { quantity: 0, totalCost: 0, buyQueue: [] };
-        }
-
-        if (tx.type.toLowerCase() === "buy") {
-          // add to holdings and FIFO queue
-          assetMap[tx.ticker].quantity += tx.quantity;
-          assetMap[tx.ticker].totalCost += tx.quantity * tx.price;
-          assetMap[tx.ticker].buyQueue.push({ quantity: tx.quantity, price: tx.price });
-        } else {
-          // FIFO sell - sell oldest shares first
-          let remaining = tx.quantity;
-          let costSold = 0;
-          
-          // go through buy queue (oldest first)
-          for (const buy of assetMap[tx.ticker].buyQueue) {
-            if (remaining <= 0 || buy.quantity <= 0) continue;
-            const shares = Math.min(remaining, buy.quantity);
-            costSold += shares * buy.price;
-            buy.quantity -= shares; // reduce available shares from this buy
-            remaining -= shares;
-          }
-          
-          // update holdings after sell
-          assetMap[tx.ticker].quantity -= tx.quantity;
-          assetMap[tx.ticker].totalCost -= costSold; // remove cost basis of sold shares
-        }
-      });
+// tooltip for the benchmark comparison: returns since the period start and
+// how far the portfolio is ahead of (or behind) each benchmark
+const BenchmarkTooltip = ({ active, payload, benchmarks, hideValues }) => {
+  if (!active || !payload?.length) return null;
+  const row = payload[0].payload;
 
-      // calculate portfolio value at this point in time
-      // use current prices (not historical) - this is a simplification
-      let portfolioValue = 0, costBasis = 0;
-      Object.entries(assetMap).forEach(([ticker, asset]) => {
-        if (asset.quantity > 0) {
-          portfolioValue += calculateValue(asset.quantity, prices[ticker]?.currentPrice || 0);
-          costBasis += asset.totalCost;
-        }
-      });
+  return (
+    <div className="bg-[var(--bg-card)] border border-[var(--border-subtle)] p-3 rounded-lg shadow-xl space-y-1">
+      <p className="text-[var(--text-secondary)] text-xs">{row.date}</p>
+      <p className="text-[var(--text-primary)] font-bold">Portfolio {formatReturn(row.portfolio, hideValues)}</p>
+      {benchmarks.map((b) => {
+        if (row[b.ticker] == null) return null;
+        const outperformance = row.portfolio - row[b.ticker];
+        return (
+          <div key={b.ticker} className="text-xs">
+            <span className="font-bold" style={{ color: b.color }}>{b.ticker} {formatReturn(row[b.ticker])}</span>
+            <span className={`ml-2 font-bold ${outperformance >= 0 ? "text-green" : "text-red"}`}>
+              {hideValues ? "**" : `${outperformance >= 0 ? "+" : ""}${(outperformance * 100).toFixed(2)}`} pts
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
 
-      // format date for display
-      const date = new Date(dateKey);
-      dataPoints.push({
-        date: date.toLocaleDateString([], { 
-          month: "short", 
-          day: "numeric", 
-          year: date.getFullYear() !== new Date().getFullYear() ? "numeric" : undefined 
-        }),
-        value: portfolioValue,
-        costBasis,
-        timestamp: dateKey,
-      });
-    });
+// chart points from the daily history (see calculatePortfolioHistory),
+// plus the live total as "Now"
+const calculateHistoryData = (dailyHistory, portfolioData, totalValue, timePeriod) => {
+  const dataPoints = dailyHistory.map((point) => ({ ...point, date: formatChartDate(point.timestamp) }));
 
   // add current point (end of timeline)
   if (dataPoints.length > 0) {
@@ -139,39 +143,111 @@ const calculateHistoryData = (transactions, prices, portfolioData, totalValue, t
   return dataPoints;
 };
 
-export default function PortfolioCharts({ portfolioData, transactions = [], prices = {}, hideValues = false }) {
+export default function PortfolioCharts({ portfolioData, transactions = [], prices = {}, costBasis = null, priceHistory = {}, cashBalance = 0, hideValues = false }) {
   const [timePeriod, setTimePeriod] = useState("all");
   const [activeView, setActiveView] = useState("performance"); // for mobile toggle
+  const [benchmarkTickers, setBenchmarkTickers] = useState([]); // overlay on the performance chart
+  const [allocationGroup, setAllocationGroup] = useState("asset");
   const { theme } = useTheme();
   const isLightMode = theme === 'light';
+  const { data: snapshots = [] } = usePortfolioSnapshots();
+  const { baseCurrency } = useUserSettings();
+  const { profiles } = useStockProfiles(portfolioData);
+  const { data: assetMetadata = [] } = useAssetMetadata();
+
+  // holdings plus uninvested cash
+  const totalValue = portfolioData.reduce((acc, curr) => acc + curr.totalValue, 0) + cashBalance;
 
-  const totalValue = portfolioData.reduce((acc, curr) => acc + curr.totalValue, 0);
+  // portfolio value per day, valued at each day's close; days with a recorded
+  // snapshot keep the value they had then
+  const dailyHistory = useMemo(
+    () => applySnapshots(
+      calculatePortfolioHistory(transactions, { prices, history: priceHistory, costBasis }),
+      snapshots,
+      baseCurrency
+    ),
+    [transactions, prices, priceHistory, costBasis, snapshots, baseCurrency]
+  );
 
   const historyData = useMemo(
-    () => calculateHistoryData(transactions, prices, portfolioData, totalValue, timePeriod),
-    [transactions, prices, portfolioData, totalValue, timePeriod]
+    () => calculateHistoryData(dailyHistory, portfolioData, totalValue, timePeriod),
+    [dailyHistory, portfolioData, totalValue, timePeriod]
+  );
+
+  // daily history ending at the live total instead of today's close
+  const livePoints = useMemo(
+    () => dailyHistory.length
+      ? [...dailyHistory.slice(0, -1), { ...dailyHistory[dailyHistory.length - 1], value: totalValue }]
+      : [],
+    [dailyHistory, totalValue]
+  );
+
+  // TWR / XIRR for the selected period
+  const periodReturns = useMemo(
+    () => (livePoints.length ? calculatePeriodReturns(livePoints, getCutoffDate(timePeriod)) : null),
+    [livePoints, timePeriod]
+  );
+
+  // benchmark overlay: with benchmarks picked, the chart switches from value
+  // to cumulative return since the period start so the lines are comparable
+  const selectedBenchmarks = useMemo(
+    () => BENCHMARKS.filter((b) => benchmarkTickers.includes(b.ticker)),
+    [benchmarkTickers]
+  );
+  const benchmarkHistory = useBenchmarkHistory(selectedBenchmarks, dailyHistory[0]?.dateKey);
+  const comparisonData = useMemo(() => {
+    if (!selectedBenchmarks.length) return null;
+    const closes = Object.fromEntries(selectedBenchmarks.map((b) => [b.ticker, benchmarkHistory.history[b.ticker]]));
+    return calculateBenchmarkComparison(livePoints, closes, getCutoffDate(timePeriod))
+      .map((row) => ({ ...row, date: formatChartDate(row.timestamp) }));
+  }, [selectedBenchmarks, benchmarkHistory.history, livePoints, timePeriod]);
+  const isComparing = comparisonData !== null;
+  const chartData = comparisonData ?? historyData;
+
+  const toggleBenchmark = (ticker) =>
+    setBenchmarkTickers((current) =>
+      current.includes(ticker) ? current.filter((t) => t !== ticker) : [...current, ticker]
+    );
+
+  const classifications = useMemo(
+    () => classifyAssets(portfolioData, profiles, assetMetadata),
+    [portfolioData, profiles, assetMetadata]
   );
 
   const allocationData = useMemo(() => {
+    if (allocationGroup === "class") {
+      // one slice per class; uninvested cash joins the Cash class
+      const totals = {};
+      portfolioData.forEach((a) => {
+        totals[a.assetType] = (totals[a.assetType] || 0) + a.totalValue;
+      });
+      if (cashBalance > 0) totals.Cash = (totals.Cash || 0) + cashBalance;
+      return ASSET_CLASS_VALUES
+        .filter((assetClass) => totals[assetClass] > 0)
+        .map((assetClass) => ({ name: getAssetClassLabel(assetClass), value: totals[assetClass], isCash: assetClass === "Cash" }))
+        .sort((a, b) => b.value - a.value);
+    }
+
+    if (allocationGroup === "sector" || allocationGroup === "region") {
+      return limitSlices(groupAllocation(portfolioData, classifications, allocationGroup, cashBalance));
+    }
+
     const data = portfolioData
       .map((a) => ({ name: a.ticker, value: a.totalValue }))
       .filter((item) => item.value > 0)
       .sort((a, b) => b.value - a.value);
-
-    if (data.length <= 7) return data;
-    
-    const top7 = data.slice(0, 7);
-    const others = data.slice(7).reduce((sum, item) => sum + item.value, 0);
-    return [...top7, { name: "Others", value: others }];
-  }, [portfolioData]);
+    return limitSlices(cashBalance > 0 ? [...data, { name: "Cash", value: cashBalance, isCash: true }] : data);
+  }, [portfolioData, cashBalance, allocationGroup, classifications]);
 
   // determine chart color based on trend for selected time period
-  const historicalTrend = historyData.length > 1
-    ? historyData[historyData.length - 1].value >= historyData[0].value
-    : true; // default to positive if no history
+  const historicalTrend = isComparing
+    ? (comparisonData[comparisonData.length - 1]?.portfolio ?? 0) >= 0
+    : historyData.length > 1
+      ? historyData[historyData.length - 1].value >= historyData[0].value
+      : true; // default to positive if no history
   const chartColor = historicalTrend ? "#22c55e" : "#ef4444";
 
-  if (portfolioData.length === 0) {
+  if (portfolioData.length === 0 && cashBalance <= 0) {
     return (
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         <div className="lg:col-span-2 bg-[var(--bg-card)] border border-[var(--border-subtle)] rounded-xl p-12 text-center flex flex-col items-center justify-center min-h-[300px]">
@@ -182,6 +258,84 @@ export default function PortfolioCharts({ portfolioData, transactions = [], pric
     );
   }
 
+  // benchmark toggles under the period filter
+  const benchmarkPicker = (
+    <div className="flex items-center gap-2 flex-wrap text-xs">
+      <span className="text-[var(--text-secondary)] font-medium">Compare:</span>
+      {BENCHMARKS.map((b) => {
+        const isOn = benchmarkTickers.includes(b.ticker);
+        return (
+          <button
+            key={b.ticker}
+            type="button"
+            onClick={() => toggleBenchmark(b.ticker)}
+            disabled={!benchmarkHistory.isAvailable}
+            aria-pressed={isOn}
+            title={benchmarkHistory.isAvailable ? b.name : "Benchmarks need live market data (not available in preview)"}
+            className={`px-2 py-1 rounded-md border font-bold transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+              isOn ? "text-[var(--text-primary)]" : "border-[var(--border-subtle)] text-[var(--text-secondary)] hover:text-[var(--text-primary)]"
+            }`}
+            style={isOn ? { borderColor: b.color } : undefined}
+          >
+            {b.ticker}
+          </button>
+        );
+      })}
+      {isComparing && benchmarkHistory.isLoading && (
+        <span className="text-[var(--text-secondary)] animate-pulse">Loading...</span>
+      )}
+    </div>
+  );
+
+  // value (or, when comparing, cumulative return) over time
+  const renderPerformanceArea = (gradientId) => (
+    <div className="h-[260px] w-full relative" style={{ minWidth: 0 }}>
+      <ResponsiveContainer width="100%" height={260}>
+        <AreaChart data={chartData}>
+          <defs>
+            <linearGradient id={gradientId} x1="0" y1="0" x2="0" y2="1">
+              <stop offset="5%" stopColor={chartColor} stopOpacity={0.1} />
+              <stop offset="95%" stopColor={chartColor} stopOpacity={0} />
+            </linearGradient>
+          </defs>
+          <CartesianGrid strokeDasharray="0" stroke="#27272a" vertical={false} />
+          <XAxis
+            dataKey="date" stroke="#52525b"
+            tick={{ fill: "#71717a", fontSize: 10, fontWeight: 500 }}
+            tickLine={false} axisLine={false} dy={10} minTickGap={10} interval="preserveStartEnd"
+          />
+          <YAxis
+            stroke="#52525b"
+            tick={{ fill: "#71717a", fontSize: 10, fontWeight: 500 }}
+            tickFormatter={(v) => hideValues ? "****"
+              : isComparing ? `${(v * 100).toFixed(0)}%`
+              : v >= 1000 ? `${(v / 1000).toFixed(1)}k` : v}
+            tickLine={false} axisLine={false} orientation="right" domain={["auto", "auto"]}
+          />
+          <Tooltip
+            content={isComparing
+              ? <BenchmarkTooltip benchmarks={selectedBenchmarks} hideValues={hideValues} />
+              : <PerformanceTooltip hideValues={hideValues} />}
+            cursor={{ stroke: "#52525b", strokeDasharray: "4 4" }}
+          />
+          <Area
+            type="monotone" dataKey={isComparing ? "portfolio" : "value"}
+            stroke={chartColor} strokeWidth={2} fill={`url(#${gradientId})`} animationDuration={1000}
+          />
+          {/* benchmarks: dashed lines without fill. dataKey as a function so
+              tickers with dots aren't read as nested paths */}
+          {isComparing && selectedBenchmarks.map((b) => (
+            <Area
+              key={b.ticker} type="monotone" name={b.ticker} dataKey={(row) => row[b.ticker]}
+              stroke={b.color} strokeWidth={1.5} strokeDasharray="4 3" fill="none"
+              connectNulls animationDuration={1000}
+            />
+          ))}
+        </AreaChart>
+      </ResponsiveContainer>
+    </div>
+  );
+
   // performance chart content
   const PerformanceChart = () => (
     <div className="bg-[var(--bg-card)] border border-[var(--border-subtle)] rounded-xl p-6 flex flex-col">
@@ -192,37 +346,13 @@ export default function PortfolioCharts({ portfolioData, transactions = [], pric
           options={TIME_PERIODS}
           value={timePeriod}
           onChange={setTimePeriod}
-          labelMap={{ "7d": "7D", "1m": "1M", "3m": "3M", ytd: "YTD", "1y": "1Y", all: "ALL" }}
+          labelMap={PERIOD_LABELS}
         />
       </div>
+      <div className="-mt-3 mb-4">{benchmarkPicker}</div>
 
-      {historyData.length > 0 ? (
-        <div className="h-[260px] w-full relative" style={{ minWidth: 0 }}>
-          <ResponsiveContainer width="100%" height={260}>
-            <AreaChart data={historyData}>
-              <defs>
-                <linearGradient id="gradientChart" x1="0" y1="0" x2="0" y2="1">
-                  <stop offset="5%" stopColor={chartColor} stopOpacity={0.1} />
-                  <stop offset="95%" stopColor={chartColor} stopOpacity={0} />
-                </linearGradient>
-              </defs>
-              <CartesianGrid strokeDasharray="0" stroke="#27272a" vertical={false} />
-              <XAxis
-                dataKey="date" stroke="#52525b"
-                tick={{ fill: "#71717a", fontSize: 10, fontWeight: 500 }}
-                tickLine={false} axisLine={false} dy={10} minTickGap={10} interval="preserveStartEnd"
-              />
-              <YAxis
-                stroke="#52525b"
-                tick={{ fill: "#71717a", fontSize: 10, fontWeight: 500 }}
-                tickFormatter={(v) => hideValues ? "****" : v >= 1000 ? `${(v / 1000).toFixed(1)}k` : v}
-                tickLine={false} axisLine={false} orientation="right" domain={["auto", "auto"]}
-              />
-              <Tooltip content={<PerformanceTooltip hideValues={hideValues} />} cursor={{ stroke: "#52525b", strokeDasharray: "4 4" }} />
-              <Area type="monotone" dataKey="value" stroke={chartColor} strokeWidth={2} fill="url(#gradientChart)" animationDuration={1000} />
-            </AreaChart>
-          </ResponsiveContainer>
-        </div>
+      {chartData.length > 0 ? (
+        renderPerformanceArea("gradientChart")
       ) : (
         <div className="flex-1 min-h-[260px] flex flex-col items-center justify-center">
           <div className="text-sm text-[var(--text-secondary)] mb-2">No transaction history</div>
@@ -232,12 +362,27 @@ export default function PortfolioCharts({ portfolioData, transactions = [], pric
     </div>
   );
 
+  const allocationGroupPicker = (
+    <ButtonGroup
+      variant="pills"
+      options={ALLOCATION_GROUPS}
+      value={allocationGroup}
+      onChange={setAllocationGroup}
+      labelMap={ALLOCATION_GROUP_LABELS}
+    />
+  );
+
   // allocation chart content
   const AllocationChart = () => (
     <div className="bg-[var(--bg-card)] border border-[var(--border-subtle)] rounded-xl p-6 flex flex-col" style={{ overflow: 'visible' }}>
-      <div className="mb-6">
-        <h2 className="text-[var(--text-primary)] font-bold text-sm">Allocation</h2>
-        <p className="text-[12px] text-[var(--text-secondary)] mt-0.5">Distribution by Asset Value</p>
+      <div className="mb-6 flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-[var(--text-primary)] font-bold text-sm">Allocation</h2>
+          <p className="text-[12px] text-[var(--text-secondary)] mt-0.5">
+            {ALLOCATION_GROUP_SUBTITLES[allocationGroup]}
+          </p>
+        </div>
+        {allocationGroupPicker}
       </div>
 
       <div className="flex-1 flex flex-col sm:flex-row items-center justify-between gap-2" style={{ overflow: 'visible' }}>
@@ -260,7 +405,7 @@ export default function PortfolioCharts({ portfolioData, transactions = [], pric
                   style={isLightMode ? {} : { filter: "url(#glow-pie)" }}
                 >
                   {allocationData.map((entry, i) => (
-                    <Cell key={i} fill={entry.name === "Others" ? OTHERS_COLOR : CHART_COLORS[i % CHART_COLORS.length]} stroke="none" />
+                    <Cell key={i} fill={getSliceColor(entry, i)} stroke="none" />
                   ))}
                 </Pie>
                 <Tooltip
@@ -288,9 +433,9 @@ export default function PortfolioCharts({ portfolioData, transactions = [], pric
         <div className="w-full sm:w-[30%] lg:w-[40%] flex-1 custom-scrollbar" style={{ overflowY: 'auto', paddingLeft: '18px', paddingRight: '10px' }}>
           <div className="space-y-1.5">
             {allocationData.map((entry, i) => {
-              const color = entry.name === "Others" ? OTHERS_COLOR : CHART_COLORS[i % CHART_COLORS.length];
+              const color = getSliceColor(entry, i);
               return (
-              <div key={entry.name} className="flex items-center justify-between text-xs gap-2">
+              <div key={entry.isCash ? "cash" : entry.name} className="flex items-center justify-between text-xs gap-2">
                 <div className="flex items-center gap-1.5 min-w-0 flex-1">
                   <div className="w-3 h-3 flex items-center justify-center flex-shrink-0" style={{ marginLeft: '-4px', marginRight: '4px' }}>
                     <div
@@ -312,8 +457,37 @@ export default function PortfolioCharts({ portfolioData, transactions = [], pric
     </div>
   );
 
+  // annualized figures only mean something over a year or more
+  const showAnnualized = periodReturns && periodReturns.years >= 1;
+  const returnCards = periodReturns && (
+    <div className="flex flex-col sm:grid sm:grid-cols-2 sm:gap-4">
+      <StatCard
+        label={`Time-weighted return (${PERIOD_LABELS[timePeriod]})`}
+        value={formatReturn(periodReturns.twr, hideValues)}
+        isPositive={periodReturns.twr >= 0}
+        subtitle={showAnnualized && (
+          <span>{formatReturn(Math.pow(1 + periodReturns.twr, 1 / periodReturns.years) - 1, hideValues)} / yr</span>
+        )}
+        tooltip={RETURNS_TOOLTIP}
+      />
+      {periodReturns.mwr !== null ? (
+        <StatCard
+          label={`Money-weighted return (${PERIOD_LABELS[timePeriod]})`}
+          value={formatReturn(periodReturns.mwr, hideValues)}
+          isPositive={periodReturns.mwr >= 0}
+          subtitle={showAnnualized && <span>XIRR {formatReturn(periodReturns.xirr, hideValues)} / yr</span>}
+          tooltip={RETURNS_TOOLTIP}
+        />
+      ) : (
+        <StatCard label={`Money-weighted return (${PERIOD_LABELS[timePeriod]})`} value="-" tooltip={RETURNS_TOOLTIP} />
+      )}
+    </div>
+  );
+
   return (
     <>
+      {returnCards}
+
       {/* mobile/tablet: combined card with toggle */}
       <div className="lg:hidden">
         <div className="bg-[var(--bg-card)] border border-[var(--border-subtle)] rounded-xl p-6 flex flex-col">
@@ -325,46 +499,23 @@ export default function PortfolioCharts({ portfolioData, transactions = [], pric
               onChange={setActiveView}
               labelMap={{ performance: "Performance", allocation: "Allocation" }}
             />
+            {activeView === "allocation" && allocationGroupPicker}
             {activeView === "performance" && (
               <ButtonGroup
                 variant="pills"
                 options={TIME_PERIODS}
                 value={timePeriod}
                 onChange={setTimePeriod}
-                labelMap={{ "7d": "7D", "1m": "1M", "3m": "3M", ytd: "YTD", "1y": "1Y", all: "ALL" }}
+                labelMap={PERIOD_LABELS}
               />
             )}
           </div>
           
           {activeView === "performance" ? (
             <div>
-              {historyData.length > 0 ? (
-                <div className="h-[260px] w-full relative" style={{ minWidth: 0 }}>
-                  <ResponsiveContainer width="100%" height={260}>
-                    <AreaChart data={historyData}>
-                      <defs>
-                        <linearGradient id="gradientChartMobile" x1="0" y1="0" x2="0" y2="1">
-                          <stop offset="5%" stopColor={chartColor} stopOpacity={0.1} />
-                          <stop offset="95%" stopColor={chartColor} stopOpacity={0} />
-                        </linearGradient>
-                      </defs>
-                      <CartesianGrid strokeDasharray="0" stroke="#27272a" vertical={false} />
-                      <XAxis
-                        dataKey="date" stroke="#52525b"
-                        tick={{ fill: "#71717a", fontSize: 10, fontWeight: 500 }}
-                        tickLine={false} axisLine={false} dy={10} minTickGap={10} interval="preserveStartEnd"
-                      />
-                      <YAxis
-                        stroke="#52525b"
-                        tick={{ fill: "#71717a", fontSize: 10, fontWeight: 500 }}
-                        tickFormatter={(v) => hideValues ? "****" : v >= 1000 ? `${(v / 1000).toFixed(1)}k` : v}
-                        tickLine={false} axisLine={false} orientation="right" domain={["auto", "auto"]}
-                      />
-                      <Tooltip content={<PerformanceTooltip hideValues={hideValues} />} cursor={{ stroke: "#52525b", strokeDasharray: "4 4" }} />
-                      <Area type="monotone" dataKey="value" stroke={chartColor} strokeWidth={2} fill="url(#gradientChartMobile)" animationDuration={1000} />
-                    </AreaChart>
-                  </ResponsiveContainer>
-                </div>
+              <div className="mb-4">{benchmarkPicker}</div>
+              {chartData.length > 0 ? (
+                renderPerformanceArea("gradientChartMobile")
               ) : (
                 <div className="flex-1 min-h-[260px] flex flex-col items-center justify-center">
                   <div className="text-sm text-[var(--text-secondary)] mb-2">No transaction history</div>
@@ -394,7 +545,7 @@ export default function PortfolioCharts({ portfolioData, transactions = [], pric
                           style={isLightMode ? {} : { filter: "url(#glow-pie-mobile)" }}
                         >
                           {allocationData.map((entry, i) => (
-                            <Cell key={i} fill={entry.name === "Others" ? OTHERS_COLOR : CHART_COLORS[i % CHART_COLORS.length]} stroke="none" />
+                            <Cell key={i} fill={getSliceColor(entry, i)} stroke="none" />
                           ))}
                         </Pie>
                         <Tooltip
@@ -422,9 +573,9 @@ export default function PortfolioCharts({ portfolioData, transactions = [], pric
                 <div className="w-full sm:w-[30%] flex-1 custom-scrollbar" style={{ overflowY: 'auto', paddingLeft: '18px', paddingRight: '10px' }}>
                   <div className="space-y-1.5">
                     {allocationData.map((entry, i) => {
-                      const color = entry.name === "Others" ? OTHERS_COLOR : CHART_COLORS[i % CHART_COLORS.length];
+                      const color = getSliceColor(entry, i);
                       return (
-                      <div key={entry.name} className="flex items-center justify-between text-xs gap-2">
+                      <div key={entry.isCash ? "cash" : entry.name} className="flex items-center justify-between text-xs gap-2">
                         <div className="flex items-center gap-1.5 min-w-0 flex-1">
                           <div className="w-3 h-3 flex items-center justify-center flex-shrink-0" style={{ marginLeft: '-4px', marginRight: '4px' }}>
                             <div
@@ -453,6 +604,9 @@ export default function PortfolioCharts({ portfolioData, transactions = [], pric
         <PerformanceChart />
         <AllocationChart />
       </div>
+
+      {/* volatility, drawdown, Sharpe and beta of the same daily values */}
+      <RiskPanel points={livePoints} description="Of the portfolio's daily value, cash included" />
     </>
   );
 }
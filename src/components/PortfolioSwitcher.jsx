@@ -0,0 +1,74 @@
+// portfolio (account) switcher for the dashboard header: pick one portfolio
+// or the "All accounts" aggregate, add a portfolio, or delete the selected one
+
+import React from "react";
+import toast from "react-hot-toast";
+import IconButton from "./ui/IconButton";
+import {
+  ALL_PORTFOLIOS,
+  useSelectedPortfolio,
+  useCreatePortfolio,
+  useDeletePortfolio,
+} from "../hooks/usePortfolio";
+
+const NEW_PORTFOLIO = "__new__";
+const MAX_NAME_LENGTH = 60; // see migration 008
+
+export default function PortfolioSwitcher() {
+  const { portfolios, selectedPortfolio, isAllPortfolios, selectPortfolio, isLoading } = useSelectedPortfolio();
+  const createPortfolio = useCreatePortfolio();
+  const deletePortfolio = useDeletePortfolio();
+
+  const handleCreate = () => {
+    const name = window.prompt("Name of the new portfolio (e.g. Brokerage, Exchange, IRA)")?.trim();
+    if (!name) return;
+    if (name.length > MAX_NAME_LENGTH) {
+      toast.error(`Portfolio names can be at most ${MAX_NAME_LENGTH} characters`);
+      return;
+    }
+    if (portfolios.some((p) => p.name.toLowerCase() === name.toLowerCase())) {
+      toast.error(`A portfolio named "${name}" already exists`);
+      return;
+    }
+    createPortfolio.mutate(name);
+  };
+
+  const handleChange = (e) => {
+    if (e.target.value === NEW_PORTFOLIO) handleCreate();
+    else selectPortfolio(e.target.value);
+  };
+
+  const handleDelete = () => {
+    if (!selectedPortfolio) return;
+    if (!window.confirm(`Delete the "${selectedPortfolio.name}" portfolio and all of its transactions? This cannot be undone.`)) return;
+    deletePortfolio.mutate(selectedPortfolio);
+  };
+
+  return (
+    <div className="flex items-center gap-1">
+      <select
+        value={isAllPortfolios ? ALL_PORTFOLIOS : selectedPortfolio?.id ?? ""}
+        onChange={handleChange}
+        disabled={isLoading || createPortfolio.isPending || deletePortfolio.isPending}
+        aria-label="Portfolio"
+        className="bg-[var(--bg-card)] border border-[var(--border-subtle)] rounded-lg px-2 py-1.5 text-xs font-semibold text-[var(--text-primary)] focus:outline-none focus:border-[var(--text-secondary)] transition-colors disabled:opacity-50"
+      >
+        <option value={ALL_PORTFOLIOS}>All accounts</option>
+        {portfolios.map((portfolio) => (
+          <option key={portfolio.id} value={portfolio.id}>{portfolio.name}</option>
+        ))}
+        <option value={NEW_PORTFOLIO}>New portfolio…</option>
+      </select>
+      {/* the last portfolio can't be deleted - every transaction needs one */}
+      {selectedPortfolio && portfolios.length > 1 && (
+        <IconButton
+          variant="delete"
+          size={16}
+          onClick={handleDelete}
+          disabled={deletePortfolio.isPending}
+          title={`Delete ${selectedPortfolio.name}`}
+        />
+      )}
+    </div>
+  );
+}
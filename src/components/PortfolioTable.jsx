@@ -3,13 +3,15 @@
 import React, { useState, useCallback, useRef, useEffect } from 'react';
 import { createPortal } from 'react-dom';
 import { Link } from 'react-router-dom';
-import { TrashIcon, ClockCounterClockwiseIcon, CaretUp, CaretDown } from '@phosphor-icons/react';
+import { TrashIcon, ClockCounterClockwiseIcon, BellIcon, CaretUp, CaretDown } from '@phosphor-icons/react';
 import IconButton from './ui/IconButton';
 import { formatCurrency, formatQuantity, formatQuantity4SF, truncateName, calculatePnLPercentage, format24hChange, formatPrice } from '../services/utils';
 import AssetLogo from './ui/AssetLogo';
 import EmptyState from './ui/EmptyState';
 import { useSort } from '../hooks/useSort';
 import { useClickOutside } from '../hooks/useClickOutside';
+import { getUnitLabel } from '../constants/assetClasses';
+import ManualPriceBadge from './ui/ManualPriceBadge';
 
 // table column configuration
 const COLUMNS = [
@@ -21,7 +23,7 @@ const COLUMNS = [
   { key: 'pnl', label: 'Profit/Loss', align: 'right', width: '16%' },
 ];
 
-export default function PortfolioTable({ data, hideValues, onDeleteAsset, onAddTransaction }) {
+export default function PortfolioTable({ data, hideValues, onDeleteAsset, onAddTransaction, onSetAlert }) {
   const [openDropdownId, setOpenDropdownId] = useState(null);
   
   // sorting hook for assets table (default: sort by total value descending)
@@ -96,6 +98,7 @@ export default function PortfolioTable({ data, hideValues, onDeleteAsset, onAddT
                   onDropdownToggle={handleDropdownToggle}
                   onAddTransaction={onAddTransaction}
                   onDeleteAsset={onDeleteAsset}
+                  onSetAlert={onSetAlert}
                   closeDropdown={() => setOpenDropdownId(null)}
                   dropdownRef={openDropdownId === asset.id ? dropdownRef : null}
                 />
@@ -116,6 +119,7 @@ function AssetRow({
   onDropdownToggle, 
   onAddTransaction, 
   onDeleteAsset, 
+  onSetAlert,
   closeDropdown,
   dropdownRef 
 }) {
@@ -159,7 +163,10 @@ function AssetRow({
       
       {/* current price */}
       <td className="py-4 px-6 text-right text-sm font-medium text-[var(--text-primary)]">
-        {formatPrice(asset.currentPrice, hideValues)}
+        <div className="flex items-center gap-1.5 justify-end">
+          {asset.manualPrice && <ManualPriceBadge valuedAt={asset.valuedAt} />}
+          <span>{formatPrice(asset.currentPrice, hideValues)}</span>
+        </div>
       </td>
 
       {/* 24h change */}
@@ -176,7 +183,7 @@ function AssetRow({
           {formatCurrency(asset.totalValue, hideValues)}
         </div>
         <div className="text-xs text-[var(--text-secondary)]" style={{ whiteSpace: 'nowrap' }}>
-          {asset.assetType === 'Crypto' ? formatQuantity(asset.quantity) : formatQuantity4SF(asset.quantity)} {asset.assetType === 'Crypto' ? asset.ticker : 'shares'}
+          {asset.assetType === 'Crypto' ? formatQuantity(asset.quantity) : formatQuantity4SF(asset.quantity)} {getUnitLabel(asset.assetType, asset.ticker)}
         </div>
       </td>
 
@@ -231,6 +238,14 @@ function AssetRow({
                 >
                   <ClockCounterClockwiseIcon size={16} /> View history
                 </Link>
+                {onSetAlert && (
+                  <button
+                    onClick={(e) => { e.stopPropagation(); onSetAlert(asset); closeDropdown(); }}
+                    className="w-full text-left px-4 py-2 text-sm text-[var(--text-primary)] hover:bg-[var(--bg-card-hover)] flex items-center gap-2"
+                  >
+                    <BellIcon size={16} /> Set price alert
+                  </button>
+                )}
                 <button
                   onClick={(e) => { e.stopPropagation(); onDeleteAsset(asset.ticker); closeDropdown(); }}
                   className="w-full text-left px-4 py-2 text-sm text-[var(--accent-danger)] hover:bg-[var(--bg-card-hover)] flex items-center gap-2 border-t border-[var(--border-subtle)]"
@@ -0,0 +1,113 @@
+// modal form for setting a price alert on one asset
+
+import React, { useState } from "react";
+import { createPortal } from "react-dom";
+import Button from "./ui/Button";
+import IconButton from "./ui/IconButton";
+import FormInput from "./ui/FormInput";
+import { ALERT_CONDITIONS, isPercentCondition, validateAlert, describeAlert } from "../services/priceAlerts";
+import { formatPrice, formatPriceInput } from "../services/utils";
+import { normalizeCurrency } from "../services/currency";
+
+const selectClass =
+  "w-full bg-[var(--bg-app)] border border-[var(--border-subtle)] rounded-lg px-3 py-2 text-sm text-[var(--text-primary)] focus:outline-none focus:border-[var(--text-secondary)] transition-colors";
+
+export default function PriceAlertModal({
+  isOpen,
+  onClose,
+  onSubmit,
+  asset, // { ticker, assetType, currentPrice, currency } - price in the quote currency
+}) {
+  const [condition, setCondition] = useState("above");
+  const [threshold, setThreshold] = useState("");
+  const [error, setError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  if (!isOpen || !asset) return null;
+
+  const isPercent = isPercentCondition(condition);
+  const currency = normalizeCurrency(asset.currency);
+  const preview = threshold ? describeAlert({ ticker: asset.ticker, condition, threshold: Number(threshold) }, currency) : null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const alert = { ticker: asset.ticker, assetType: asset.assetType, condition, threshold };
+    const validation = validateAlert(alert);
+    if (!validation.valid) {
+      setError(validation.message);
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await onSubmit({ ...alert, threshold: Number(threshold) });
+      onClose();
+    } catch {
+      // the mutation already showed a toast; keep the form open to retry
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const modalContent = (
+    <div
+      className="fixed inset-0 z-[110] flex items-center justify-center bg-black/60 backdrop-blur-sm"
+      style={{ height: "100vh", width: "100vw", minHeight: "100vh" }}
+    >
+      <div className="bg-[var(--bg-card)] border border-[var(--border-subtle)] rounded-xl w-[90%] sm:w-full max-w-sm shadow-2xl overflow-hidden">
+        {/* header */}
+        <div className="p-4 border-b border-[var(--border-subtle)] flex items-center justify-between">
+          <h2 className="text-lg font-bold text-[var(--text-primary)]">Alert for {asset.ticker}</h2>
+          <IconButton variant="close" onClick={onClose} disabled={isSubmitting} size={20} />
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-5">
+          {asset.currentPrice > 0 && (
+            <p className="text-xs text-[var(--text-secondary)]">
+              Current price {formatPrice(asset.currentPrice, false, currency)}
+            </p>
+          )}
+
+          <div className="space-y-1">
+            <label htmlFor="alert-condition" className="text-xs font-semibold text-[var(--text-secondary)]">Condition</label>
+            <select
+              id="alert-condition"
+              value={condition}
+              onChange={(e) => { setCondition(e.target.value); setError(""); }}
+              className={selectClass}
+            >
+              {ALERT_CONDITIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <FormInput
+            label={isPercent ? "Change (%)" : `Price (${currency})`}
+            name="threshold"
+            type="number"
+            step="any"
+            min="0"
+            value={threshold}
+            onChange={(e) => { setThreshold(e.target.value); setError(""); }}
+            placeholder={isPercent ? "5" : formatPriceInput(asset.currentPrice)}
+            error={error}
+          />
+
+          {preview && !error && (
+            <p className="text-xs text-[var(--text-secondary)]">
+              Notifies you once when {preview}.
+            </p>
+          )}
+
+          <div className="flex justify-end gap-3">
+            <Button variant="secondary" onClick={onClose} disabled={isSubmitting}>Cancel</Button>
+            <Button type="submit" loading={isSubmitting}>Create alert</Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+
+  return createPortal(modalContent, document.body);
+}
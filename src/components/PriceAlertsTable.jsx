@@ -0,0 +1,74 @@
+// price alerts - active ones first, then those that fired (newest first),
+// with the latest price of each ticker
+
+import React from 'react';
+import { ArrowCounterClockwiseIcon } from '@phosphor-icons/react';
+import { formatPrice, formatDateTime } from '../services/utils';
+import { describeAlert } from '../services/priceAlerts';
+import { getQuoteCurrency } from '../services/currency';
+import IconButton from './ui/IconButton';
+import EmptyState from './ui/EmptyState';
+
+export default function PriceAlertsTable({ alerts, prices, onRearm, onDelete, disabled = false }) {
+  const rows = [...alerts].sort((a, b) => Number(b.active) - Number(a.active));
+
+  return (
+    <div className="bg-[var(--bg-card)] rounded-xl border border-[var(--border-subtle)] overflow-hidden">
+      <div className="overflow-x-auto">
+        <table className="w-full text-left border-collapse min-w-[600px]">
+          <thead>
+            <tr className="border-b border-[var(--border-subtle)]">
+              <th className="py-4 px-6 text-xs font-semibold text-[var(--text-secondary)] whitespace-nowrap">Alert</th>
+              <th className="py-4 px-6 text-xs font-semibold text-[var(--text-secondary)] whitespace-nowrap text-right">Current price</th>
+              <th className="py-4 px-6 text-xs font-semibold text-[var(--text-secondary)] whitespace-nowrap">Status</th>
+              <th className="py-4 px-6 text-xs font-semibold text-[var(--text-secondary)] whitespace-nowrap text-right">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-[var(--border-subtle)]">
+            {rows.length === 0 ? (
+              <EmptyState message="No alerts yet. Open an asset's actions menu and choose Set price alert." colSpan={4} />
+            ) : (
+              rows.map((alert) => {
+                const currentPrice = prices[alert.ticker]?.currentPrice;
+                const currency = getQuoteCurrency(prices[alert.ticker]);
+                return (
+                  <tr key={alert.id} className="hover:bg-[var(--bg-card-hover)] transition-colors">
+                    <td className="py-4 px-6 text-sm font-bold text-[var(--text-primary)]">{describeAlert(alert, currency)}</td>
+                    <td className="py-4 px-6 text-right text-sm font-medium text-[var(--text-primary)]">
+                      {currentPrice > 0 ? formatPrice(currentPrice, false, currency) : '-'}
+                    </td>
+                    <td className="py-4 px-6 text-sm">
+                      {alert.active ? (
+                        <span className="text-green font-semibold">Active</span>
+                      ) : (
+                        <span className="text-[var(--text-secondary)]">
+                          Triggered{alert.triggeredAt && ` ${formatDateTime(alert.triggeredAt)}`}
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-4 px-6 text-right">
+                      <div className="flex items-center justify-end gap-1">
+                        {!alert.active && (
+                          <button
+                            type="button"
+                            onClick={() => onRearm(alert)}
+                            disabled={disabled}
+                            className="p-1.5 text-[var(--text-secondary)] hover:text-[var(--text-primary)] hover:bg-[var(--border-subtle)] rounded-md transition-colors disabled:opacity-50"
+                            title="Re-arm alert"
+                          >
+                            <ArrowCounterClockwiseIcon size={18} />
+                          </button>
+                        )}
+                        <IconButton variant="delete" onClick={() => onDelete(alert)} disabled={disabled} title="Delete alert" />
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
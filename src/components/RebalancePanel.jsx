@@ -0,0 +1,209 @@
+// drift against the allocation targets and the rebalancing calculator -
+// proposed orders can be recorded one by one (opens the transaction form)
+// or reviewed in the form one after another
+
+import React, { useMemo, useState } from 'react';
+import { formatCurrency, formatPrice, formatQuantity } from '../services/utils';
+import { calculateDrift, planRebalance, ordersToTransactions, validateTargets } from '../services/rebalance';
+import AssetLogo from './ui/AssetLogo';
+import ButtonGroup from './ui/ButtonGroup';
+import FormInput from './ui/FormInput';
+import Button from './ui/Button';
+import EmptyState from './ui/EmptyState';
+import TransactionTypeBadge from './ui/TransactionTypeBadge';
+
+const thClass = 'py-4 px-6 text-xs font-semibold text-[var(--text-secondary)] whitespace-nowrap';
+
+const formatWeight = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+const formatDrift = (fraction) => `${fraction > 0 ? '+' : ''}${(fraction * 100).toFixed(1)} pp`;
+
+export default function RebalancePanel({
+  portfolioData,
+  cashBalance,
+  targets,
+  prices,
+  onRecordOrder,
+  onRecordAll,
+  canRecordAll = true,
+  baseCurrency,
+  hideValues = false,
+}) {
+  const [mode, setMode] = useState('invest');
+  // cash available to the plan - starts at the portfolio's cash balance
+  const [amount, setAmount] = useState(() => String(Math.max(Math.round(cashBalance * 100) / 100, 0)));
+
+  const drift = useMemo(
+    () => calculateDrift(portfolioData, cashBalance, targets, prices),
+    [portfolioData, cashBalance, targets, prices]
+  );
+  const { isComplete } = validateTargets(targets);
+
+  // planned from the holdings alone, with the typed amount as all the cash
+  // there is - so the amount can be more or less than the actual balance
+  const available = Math.max(Number(amount) || 0, 0);
+  const plan = useMemo(
+    () => planRebalance(calculateDrift(portfolioData, 0, targets, prices), { mode, amount: available }),
+    [portfolioData, targets, prices, mode, available]
+  );
+
+  if (targets.length === 0) {
+    return (
+      <div className="bg-[var(--bg-card)] rounded-xl border border-[var(--border-subtle)] p-6 text-sm text-[var(--text-secondary)]">
+        Set targets above to see how far the portfolio has drifted and which orders would bring it back.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* drift */}
+      <div className="bg-[var(--bg-card)] rounded-xl border border-[var(--border-subtle)] overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full text-left border-collapse min-w-[600px]">
+            <thead>
+              <tr className="border-b border-[var(--border-subtle)]">
+                <th className={thClass}>Target</th>
+                <th className={`${thClass} text-right`}>Target weight</th>
+                <th className={`${thClass} text-right`}>Actual weight</th>
+                <th className={`${thClass} text-right`}>Value</th>
+                <th className={`${thClass} text-right`}>Drift</th>
+                <th className={`${thClass} text-right`}>Off by</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-[var(--border-subtle)]">
+              {drift.buckets.map((bucket) => (
+                <tr key={bucket.id} className="hover:bg-[var(--bg-card-hover)] transition-colors">
+                  <td className="py-4 px-6 text-sm">
+                    <div className="font-bold text-[var(--text-primary)]">{bucket.label}</div>
+                    {bucket.holdings.length > 0 && bucket.kind !== 'asset' && (
+                      <div className="text-xs text-[var(--text-secondary)] truncate max-w-[240px]">
+                        {bucket.holdings.map((h) => h.ticker).join(', ')}
+                      </div>
+                    )}
+                  </td>
+                  <td className="py-4 px-6 text-right text-sm text-[var(--text-primary)]">{formatWeight(bucket.targetWeight)}</td>
+                  <td className="py-4 px-6 text-right text-sm text-[var(--text-primary)]">{formatWeight(bucket.weight)}</td>
+                  <td className="py-4 px-6 text-right text-sm text-[var(--text-primary)]">{formatCurrency(bucket.value, hideValues)}</td>
+                  <td className={`py-4 px-6 text-right text-sm font-medium ${Math.abs(bucket.drift) < 0.0005 ? 'text-[var(--text-secondary)]' : bucket.drift > 0 ? 'text-green' : 'text-red'}`}>
+                    {formatDrift(bucket.drift)}
+                  </td>
+                  <td className="py-4 px-6 text-right text-sm text-[var(--text-secondary)]">
+                    {bucket.driftValue > 0 ? '+' : ''}{formatCurrency(bucket.driftValue, hideValues)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* calculator */}
+      <div className="space-y-4">
+        <div className="flex flex-col md:flex-row md:items-end gap-4">
+          <ButtonGroup
+            variant="pills"
+            options={[
+              { id: 'invest', label: 'Invest cash' },
+              { id: 'full', label: 'Full rebalance' },
+            ]}
+            value={mode}
+            onChange={setMode}
+          />
+          <FormInput
+            label={`Cash available (${baseCurrency})`}
+            name="rebalance-amount"
+            type="number"
+            step="any"
+            min="0"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            placeholder="0"
+            className="w-full md:w-56"
+          />
+          <p className="text-xs text-[var(--text-secondary)] md:pb-2">
+            {mode === 'invest'
+              ? 'Buys only, spread over the most underweight targets. Any cash target is kept as cash.'
+              : 'Sells what is over target and buys what is under, sells first.'}
+          </p>
+        </div>
+
+        {!isComplete && (
+          <p className="text-xs text-[var(--text-secondary)]">
+            Targets add up to less than 100% - the rest is treated as a target of 0%, so a full rebalance sells it.
+          </p>
+        )}
+
+        <div className="bg-[var(--bg-card)] rounded-xl border border-[var(--border-subtle)] overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full text-left border-collapse min-w-[600px]">
+              <thead>
+                <tr className="border-b border-[var(--border-subtle)]">
+                  <th className={thClass}>Order</th>
+                  <th className={thClass}>Asset</th>
+                  <th className={`${thClass} text-right`}>Quantity</th>
+                  <th className={`${thClass} text-right`}>Price</th>
+                  <th className={`${thClass} text-right`}>Amount</th>
+                  <th className={`${thClass} text-right`}>Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-[var(--border-subtle)]">
+                {plan.orders.length === 0 ? (
+                  <EmptyState
+                    message={mode === 'invest' && available === 0
+                      ? 'Enter the cash you have to invest to see where it should go.'
+                      : 'Nothing to do - the portfolio is on target.'}
+                    colSpan={6}
+                  />
+                ) : (
+                  plan.orders.map((order) => (
+                    <tr key={`${order.type}:${order.assetType}:${order.ticker}`} className="hover:bg-[var(--bg-card-hover)] transition-colors">
+                      <td className="py-4 px-6"><TransactionTypeBadge type={order.type} /></td>
+                      <td className="py-4 px-6">
+                        <div className="flex items-center gap-3">
+                          <AssetLogo logo={order.logo} ticker={order.ticker} name={order.name} size={8} />
+                          <span className="font-bold text-sm text-[var(--text-primary)]">{order.ticker}</span>
+                        </div>
+                      </td>
+                      <td className="py-4 px-6 text-right text-sm text-[var(--text-primary)]">
+                        {formatQuantity(order.quantity)}{order.sellAll && <span className="text-xs text-[var(--text-secondary)]"> (all)</span>}
+                      </td>
+                      <td className="py-4 px-6 text-right text-sm text-[var(--text-primary)]">{formatPrice(order.price, hideValues)}</td>
+                      <td className="py-4 px-6 text-right text-sm font-medium text-[var(--text-primary)]">{formatCurrency(order.amount, hideValues)}</td>
+                      <td className="py-4 px-6 text-right">
+                        <Button size="sm" variant="secondary" onClick={() => onRecordOrder(ordersToTransactions([order])[0])}>
+                          Record
+                        </Button>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {plan.unallocated.length > 0 && (
+          <p className="text-xs text-[var(--text-secondary)]">
+            {plan.unallocated.map((u) => `${formatCurrency(u.amount, hideValues)} for ${u.label}`).join(', ')} can't be placed -
+            nothing in {plan.unallocated.length > 1 ? 'these targets' : 'that target'} is held or priced yet. Add an asset target to buy into it.
+          </p>
+        )}
+
+        {plan.orders.length > 0 && (
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+            <span className="text-sm text-[var(--text-secondary)]">
+              Cash after these orders: {formatCurrency(plan.cashAfter, hideValues)}
+            </span>
+            <Button
+              onClick={() => onRecordAll(ordersToTransactions(plan.orders))}
+              disabled={!canRecordAll}
+              title={canRecordAll ? undefined : 'Select a portfolio to record orders into'}
+            >
+              Review all orders
+            </Button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,184 @@
+// reports page - tax lot report: every sell matched to the lots it closed,
+// filtered by tax year, with a Form 8949-style CSV export
+
+import React, { useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowLeftIcon, FileCsvIcon, CaretUp, CaretDown } from '@phosphor-icons/react';
+import Layout from './Layout';
+import Button from './ui/Button';
+import LoadingState from './ui/LoadingState';
+import StatCard from './ui/StatCard';
+import EmptyState from './ui/EmptyState';
+import { formatCurrency, formatQuantity, truncateName } from '../services/utils';
+import { calculateTaxLots, getTaxYears, filterByTaxYear, summarizeTaxLots, taxLotsToForm8949Csv, TAX_TERMS } from '../services/taxLots';
+import { exportFileName, downloadFile } from '../services/portfolioExport';
+import { getCostBasisLabel } from '../services/costBasis';
+import { useTransactions, useCostBasis, useBaseCurrencyValues } from '../hooks/usePortfolio';
+import { useSort } from '../hooks/useSort';
+
+// table column configuration
+const COLUMNS = [
+  { key: 'ticker', label: 'Asset', align: 'left' },
+  { key: 'quantity', label: 'Quantity', align: 'right' },
+  { key: 'acquired', label: 'Acquired', align: 'left' },
+  { key: 'sold', label: 'Sold', align: 'left' },
+  { key: 'term', label: 'Term', align: 'left' },
+  { key: 'proceeds', label: 'Proceeds', align: 'right' },
+  { key: 'costBasis', label: 'Cost Basis', align: 'right' },
+  { key: 'gain', label: 'Gain/Loss', align: 'right' },
+];
+
+const signed = (value) => `${value > 0 ? '+' : ''}${formatCurrency(value)}`;
+
+export default function Reports() {
+  const { data: transactions = [], isLoading } = useTransactions();
+  const { costBasis, isLoading: costBasisLoading } = useCostBasis();
+  // amounts in the base currency, converted at each trade's date
+  const { baseCurrency, transactions: baseTransactions, isLoading: fxLoading } = useBaseCurrencyValues(transactions);
+  // null until the user picks one: the latest year with a sale
+  const [selectedYear, setSelectedYear] = useState(null);
+
+  const taxLots = useMemo(() => calculateTaxLots(baseTransactions, costBasis), [baseTransactions, costBasis]);
+  const taxYears = useMemo(() => getTaxYears(taxLots), [taxLots]);
+  const year = selectedYear ?? (taxYears[0] ? String(taxYears[0]) : 'all');
+  const yearLots = useMemo(() => filterByTaxYear(taxLots, year === 'all' ? null : year), [taxLots, year]);
+  const summary = useMemo(() => summarizeTaxLots(yearLots), [yearLots]);
+
+  // oldest sale first, like the form
+  const { handleSort, getSortDirection, sortData } = useSort({ key: 'sold', direction: 'asc' });
+  const sortedLots = sortData(yearLots);
+
+  if (isLoading || costBasisLoading || fxLoading) return <LoadingState />;
+
+  const exportCsv = () => {
+    const prefix = year === 'all' ? 'form-8949' : `form-8949-${year}`;
+    downloadFile(exportFileName(prefix, 'csv'), taxLotsToForm8949Csv(yearLots), 'text/csv;charset=utf-8');
+  };
+
+  return (
+    <Layout>
+      <div className="space-y-6 animate-fade-in">
+        {/* header */}
+        <div className="flex items-center justify-between gap-4 flex-wrap">
+          <Link to="/" className="inline-flex items-center gap-2 text-[var(--text-secondary)] hover:text-[var(--text-primary)] transition-colors">
+            <ArrowLeftIcon size={20} /> Back to Dashboard
+          </Link>
+          <div className="flex items-center gap-3">
+            <label className="flex items-center gap-2 text-xs font-semibold text-[var(--text-secondary)]">
+              Tax year
+              <select
+                value={year}
+                onChange={(e) => setSelectedYear(e.target.value)}
+                className="bg-[var(--bg-card)] border border-[var(--border-subtle)] rounded-lg px-2 py-1.5 text-xs font-semibold text-[var(--text-primary)] focus:outline-none focus:border-[var(--text-secondary)] transition-colors"
+              >
+                {taxYears.map((taxYear) => (
+                  <option key={taxYear} value={String(taxYear)}>{taxYear}</option>
+                ))}
+                <option value="all">All years</option>
+              </select>
+            </label>
+            <Button variant="secondary" icon={FileCsvIcon} onClick={exportCsv} disabled={yearLots.length === 0}>
+              Export Form 8949 CSV
+            </Button>
+          </div>
+        </div>
+
+        <div>
+          <h1 className="text-xl font-bold text-[var(--text-primary)]">Tax Lot Report</h1>
+          <p className="text-sm text-[var(--text-secondary)] mt-1">
+            Every sell matched to the lots it closed ({getCostBasisLabel(costBasis?.method)} unless an asset overrides it).
+            Lots held more than one year are long-term. Amounts in {baseCurrency}, net of fees.
+          </p>
+        </div>
+
+        {/* totals per term */}
+        <div className="flex flex-col sm:grid sm:grid-cols-2 lg:grid-cols-4 sm:gap-4">
+          <StatCard
+            label="Short-term gain/loss"
+            value={summary.short.gain}
+            valueFormatted={signed(summary.short.gain)}
+            subtitle={`${summary.short.count} lot(s)`}
+            isPositive={summary.short.gain >= 0}
+          />
+          <StatCard
+            label="Long-term gain/loss"
+            value={summary.long.gain}
+            valueFormatted={signed(summary.long.gain)}
+            subtitle={`${summary.long.count} lot(s)`}
+            isPositive={summary.long.gain >= 0}
+          />
+          <StatCard label="Proceeds" value={summary.total.proceeds} />
+          <StatCard
+            label="Net gain/loss"
+            value={summary.total.gain}
+            valueFormatted={signed(summary.total.gain)}
+            subtitle={`Cost basis ${formatCurrency(summary.total.costBasis)}`}
+            isPositive={summary.total.gain >= 0}
+          />
+        </div>
+
+        {/* lots */}
+        <div className="bg-[var(--bg-card)] rounded-xl border border-[var(--border-subtle)] overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full text-left border-collapse min-w-[900px]">
+              <thead>
+                <tr className="border-b border-[var(--border-subtle)] cursor-pointer select-none">
+                  {COLUMNS.map((col) => (
+                    <th
+                      key={col.key}
+                      className={`py-4 px-6 text-xs font-semibold text-[var(--text-secondary)] hover:text-[var(--text-primary)] transition-colors whitespace-nowrap ${
+                        col.align === 'right' ? 'text-right' : ''
+                      }`}
+                      onClick={() => handleSort(col.key)}
+                    >
+                      <div className={`flex items-center gap-1 ${col.align === 'right' ? 'justify-end' : ''}`}>
+                        {col.label}
+                        {getSortDirection(col.key) && (
+                          getSortDirection(col.key) === 'asc' ? (
+                            <CaretUp size={12} weight="fill" className="text-[var(--text-primary)]" />
+                          ) : (
+                            <CaretDown size={12} weight="fill" className="text-[var(--text-primary)]" />
+                          )
+                        )}
+                      </div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-[var(--border-subtle)]">
+                {sortedLots.length === 0 ? (
+                  <EmptyState message="No sells in this tax year." colSpan={COLUMNS.length} />
+                ) : (
+                  sortedLots.map((lot) => (
+                    <tr key={lot.id} className="hover:bg-[var(--bg-card-hover)] transition-colors">
+                      <td className="py-4 px-6">
+                        <Link to={`/asset/${lot.ticker}`} className="font-bold text-sm text-[var(--text-primary)] hover:opacity-80 transition-opacity">
+                          {lot.ticker}
+                          {lot.name !== lot.ticker && (
+                            <>
+                              <span className="mx-1 text-[var(--text-secondary)]">|</span>
+                              <span className="text-[var(--text-secondary)] font-normal" title={lot.name}>{truncateName(lot.name, 15)}</span>
+                            </>
+                          )}
+                        </Link>
+                      </td>
+                      <td className="py-4 px-6 text-right text-sm text-[var(--text-primary)]">{formatQuantity(lot.quantity)}</td>
+                      <td className="py-4 px-6 text-sm text-[var(--text-secondary)]">{lot.acquired}</td>
+                      <td className="py-4 px-6 text-sm text-[var(--text-secondary)]">{lot.sold}</td>
+                      <td className="py-4 px-6 text-sm text-[var(--text-secondary)]">{TAX_TERMS[lot.term].label}</td>
+                      <td className="py-4 px-6 text-right text-sm font-medium text-[var(--text-primary)]">{formatCurrency(lot.proceeds)}</td>
+                      <td className="py-4 px-6 text-right text-sm font-medium text-[var(--text-primary)]">{formatCurrency(lot.costBasis)}</td>
+                      <td className={`py-4 px-6 text-right text-sm font-bold ${lot.gain >= 0 ? 'text-green' : 'text-red'}`}>
+                        {signed(lot.gain)}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+}
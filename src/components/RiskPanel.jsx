@@ -0,0 +1,144 @@
+// risk metrics of a daily value series - the portfolio on the dashboard, an
+// asset's closes on its page: volatility, max drawdown, Sharpe ratio and
+// beta against a benchmark, over a chosen period
+
+import React, { useMemo, useState } from 'react';
+import { calculateRiskMetrics } from '../services/risk';
+import { getCutoffDate } from '../services/portfolioHistory';
+import { BENCHMARKS } from '../constants/assets';
+import { useBenchmarkHistory } from '../hooks/usePortfolio';
+import { useRiskSettings } from '../hooks/useRiskSettings';
+import ButtonGroup from './ui/ButtonGroup';
+import StatCard from './ui/StatCard';
+
+const RISK_PERIODS = ['3m', 'ytd', '1y', 'all'];
+const PERIOD_LABELS = { '3m': '3M', ytd: 'YTD', '1y': '1Y', all: 'ALL' };
+
+const formatPercent = (fraction) => `${(fraction * 100).toFixed(2)}%`;
+
+const TOOLTIPS = {
+  volatility: 'Annualized standard deviation of daily returns - how much the value typically swings in a year',
+  drawdown: 'Largest fall from a high to a later low in the period. Deposits and withdrawals are not counted as gains or losses',
+  sharpe: 'Annualized return above the risk-free rate, per unit of volatility. Above 1 is generally considered good',
+  beta: 'How much the value moves with the benchmark: 1 moves in step, above 1 amplifies its moves, below 1 dampens them',
+};
+
+/**
+ * points: [{ dateKey, value, flow }] one per calendar day, oldest first.
+ * title/description head the card
+ */
+export default function RiskPanel({ points = [], title = 'Risk', description }) {
+  const [period, setPeriod] = useState('1y');
+  const { riskFreeRate, benchmark, updateSettings } = useRiskSettings();
+  // what's typed, so the field can be cleared while editing
+  const [rateInput, setRateInput] = useState(String(riskFreeRate));
+
+  const selectedBenchmark = useMemo(() => BENCHMARKS.filter((b) => b.ticker === benchmark), [benchmark]);
+  const benchmarkHistory = useBenchmarkHistory(selectedBenchmark, points[0]?.dateKey);
+
+  const metrics = useMemo(
+    () => calculateRiskMetrics(points, {
+      cutoff: getCutoffDate(period),
+      riskFreeRate: riskFreeRate / 100,
+      benchmark: benchmarkHistory.history[benchmark],
+    }),
+    [points, period, riskFreeRate, benchmark, benchmarkHistory.history]
+  );
+
+  const handleRateChange = (e) => {
+    setRateInput(e.target.value);
+    const rate = parseFloat(e.target.value);
+    if (Number.isFinite(rate) && rate > -100 && rate < 100) updateSettings({ riskFreeRate: rate });
+  };
+
+  const betaSubtitle = !benchmarkHistory.isAvailable
+    ? 'Needs live market data'
+    : benchmarkHistory.isLoading
+      ? 'Loading...'
+      : `vs ${benchmark}`;
+
+  return (
+    <div className="bg-[var(--bg-card)] border border-[var(--border-subtle)] rounded-xl p-6">
+      <div className="flex flex-col lg:flex-row justify-between items-start lg:items-center gap-4 mb-4">
+        <div>
+          <h2 className="text-[var(--text-primary)] font-bold text-sm">{title}</h2>
+          {description && <p className="text-[12px] text-[var(--text-secondary)] mt-0.5">{description}</p>}
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <label className="flex items-center gap-2 text-xs font-semibold text-[var(--text-secondary)]" title="Yearly rate of a risk-free investment, for the Sharpe ratio">
+            Risk-free
+            <input
+              type="number"
+              step="0.1"
+              value={rateInput}
+              onChange={handleRateChange}
+              onBlur={() => setRateInput(String(riskFreeRate))}
+              className="w-16 bg-[var(--bg-card)] border border-[var(--border-subtle)] rounded-lg px-2 py-1.5 text-xs font-semibold text-[var(--text-primary)] focus:outline-none focus:border-[var(--text-secondary)] transition-colors"
+            />
+            %
+          </label>
+          <label className="flex items-center gap-2 text-xs font-semibold text-[var(--text-secondary)]" title="Benchmark for beta">
+            Benchmark
+            <select
+              value={benchmark}
+              onChange={(e) => updateSettings({ benchmark: e.target.value })}
+              disabled={!benchmarkHistory.isAvailable}
+              className="bg-[var(--bg-card)] border border-[var(--border-subtle)] rounded-lg px-2 py-1.5 text-xs font-semibold text-[var(--text-primary)] focus:outline-none focus:border-[var(--text-secondary)] transition-colors disabled:opacity-50"
+            >
+              {BENCHMARKS.map((b) => (
+                <option key={b.ticker} value={b.ticker}>{b.name}</option>
+              ))}
+            </select>
+          </label>
+          <ButtonGroup
+            variant="pills"
+            options={RISK_PERIODS}
+            value={period}
+            onChange={setPeriod}
+            labelMap={PERIOD_LABELS}
+          />
+        </div>
+      </div>
+
+      {metrics ? (
+        <div className="flex flex-col sm:grid sm:grid-cols-2 lg:grid-cols-4 sm:gap-4">
+          <StatCard
+            label="Volatility"
+            value={formatPercent(metrics.volatility)}
+            subtitle={<span className="text-[var(--text-secondary)]">annualized, {metrics.days} days</span>}
+            tooltip={TOOLTIPS.volatility}
+          />
+          <StatCard
+            label="Max drawdown"
+            value={formatPercent(metrics.maxDrawdown)}
+            isPositive={metrics.maxDrawdown < 0 ? false : undefined}
+            subtitle={metrics.peakDate && (
+              <span className="text-[var(--text-secondary)]">
+                {metrics.peakDate} → {metrics.troughDate}
+                {metrics.recoveryDate ? `, recovered ${metrics.recoveryDate}` : ', not recovered'}
+              </span>
+            )}
+            tooltip={TOOLTIPS.drawdown}
+          />
+          <StatCard
+            label="Sharpe ratio"
+            value={metrics.sharpe === null ? '-' : metrics.sharpe.toFixed(2)}
+            isPositive={metrics.sharpe === null ? undefined : metrics.sharpe >= 0}
+            subtitle={<span className="text-[var(--text-secondary)]">risk-free {riskFreeRate}%</span>}
+            tooltip={TOOLTIPS.sharpe}
+          />
+          <StatCard
+            label="Beta"
+            value={metrics.beta === null ? '-' : metrics.beta.toFixed(2)}
+            subtitle={<span className="text-[var(--text-secondary)]">{betaSubtitle}</span>}
+            tooltip={TOOLTIPS.beta}
+          />
+        </div>
+      ) : (
+        <p className="text-sm text-[var(--text-secondary)]">
+          Not enough history in this period - risk metrics need at least a few days of values.
+        </p>
+      )}
+    </div>
+  );
+}
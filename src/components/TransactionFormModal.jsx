@@ -1,16 +1,33 @@
 // modal form for adding or editing transactions
 // refactored to use reusable components and reduce verbosity
 
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useMemo } from "react";
 import { createPortal } from "react-dom";
 import { SpinnerGap } from "@phosphor-icons/react";
 import Button from "./ui/Button";
 import IconButton from "./ui/IconButton";
-import { getStockLogo, fetchStockPrices, fetchCryptoPrices, getCryptoInfo } from "../services/api";
-import { formatPriceInput, validateSellQuantities } from "../services/utils";
-import { findAssetByTicker, searchAssets, getAssetsByType } from "../constants/assets";
+import { getStockLogo, fetchStockPrices, fetchCryptoPrices, getCryptoInfo, rememberCryptoInfo } from "../services/api";
+import { formatPriceInput, validateSellQuantities, calculateOpenLotsAt, formatCurrency, formatQuantity, getCurrencySymbol } from "../services/utils";
+import { DEFAULT_CURRENCY, SUPPORTED_CURRENCIES, normalizeCurrency, createFxConverter } from "../services/currency";
+import { calculateAvailableCash } from "../services/cashLedger";
+import { resolveCostBasisMethod } from "../services/costBasis";
+import { findAssetByTicker, getAssetsByType } from "../constants/assets";
+import { ASSET_CLASSES, getPriceFeed, isManuallyPriced, toAssetClass } from "../constants/assetClasses";
+import {
+  INCOME_TYPES,
+  INCOME_PAYOUTS,
+  DEFAULT_INCOME_PAYOUT,
+  SPLIT_TYPE,
+  CASH_FLOW_TYPES,
+  CASH_TICKER,
+  isIncomeType,
+  isSplitType,
+  isCashFlowType,
+  isCashAmount,
+} from "../constants/transactionTypes";
 import FormInput from "./ui/FormInput";
 import AssetDropdown from "./ui/AssetDropdown";
+import { useTickerSearch } from "../hooks/useTickerSearch";
 import ButtonGroup from "./ui/ButtonGroup";
 
 // default form state
@@ -24,8 +41,31 @@ const getDefaultFormData = () => ({
   totalSpent: "",
   date: new Date().toISOString().split("T")[0],
   time: new Date().toTimeString().slice(0, 5),
+  currency: DEFAULT_CURRENCY, // price, amount and a cash fee are in this currency
+  fee: "",
+  feeCurrency: DEFAULT_CURRENCY, // the currency, or the ticker for crypto fees paid in the coin
+  lotSelections: {}, // { [lotId]: quantity string } - specific lot sells only
+  payout: DEFAULT_INCOME_PAYOUT, // income only: "cash" (amount) or "units" (quantity × price)
+  amount: "", // cash income, deposits and withdrawals
+  splitNew: "", // split only: ratio is splitNew / splitOld (e.g. 4 for 1)
+  splitOld: "",
+  portfolioId: "", // account the transaction is filed under
 });
 
+// lot picks that fit within an open lot (floating point tolerance)
+const LOT_EPSILON = 1e-9;
+
+// class (form value) of a picked search result: TwelveData tells ETFs apart
+// from stocks, the static list doesn't (the class chosen in the form stays)
+const getResultAssetType = (asset, currentType) => {
+  if (asset.type === "Crypto") return "crypto";
+  if (asset.instrumentType) return /etf/i.test(asset.instrumentType) ? "etf" : "stock";
+  return getPriceFeed(currentType) === "stock" ? currentType : "stock";
+};
+
+// without rates every currency counts 1:1
+const NO_FX = createFxConverter(null);
+
 export default function TransactionFormModal({
   isOpen,
   onClose,
@@ -34,14 +74,25 @@ export default function TransactionFormModal({
   isEditMode = false,
   portfolioData = [],
   transactions = [],
+  costBasis = null,
+  portfolios = [],
+  defaultPortfolioId = null, // portfolio being viewed; null in the "All accounts" view
+  draftProgress = null, // { current, total } while reviewing drafts one by one
+  converter = NO_FX, // useFxConverter - cash in other currencies is compared in the base
 }) {
   const [formData, setFormData] = useState(getDefaultFormData());
-  const [searchResults, setSearchResults] = useState([]);
   const [showDropdown, setShowDropdown] = useState(false);
   const [showPopularDropdown, setShowPopularDropdown] = useState(false);
   const [isFetchingPrice, setIsFetchingPrice] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [errors, setErrors] = useState({});
+  // assets without a price feed are named freely instead of searched
+  const isManual = isManuallyPriced(formData.assetType);
+  // live ticker search while typing (static popular list as the fallback)
+  const { results: searchResults, isSearching } = useTickerSearch(
+    !isEditMode && !formData.name && !isManual ? formData.ticker : "",
+    getPriceFeed(formData.assetType) || "stock"
+  );
 
   // reset form when modal opens
   useEffect(() => {
@@ -56,7 +107,11 @@ export default function TransactionFormModal({
       const isNewTransaction = initialData.isNew && !initialData.id;
       const hasPrice = initialData.price != null && initialData.price !== "";
 
-      const initialQuantity = initialData.quantity != null ? String(initialData.quantity) : "";
+      // cash income, deposits and withdrawals edit a dollar amount
+      const hasAmount = isCashAmount(initialData);
+      // splits store their ratio as quantity - edit it as "new for old"
+      const splitRatio = isSplitType(initialData.type) ? Number(initialData.quantity) || 0 : 0;
+      const initialQuantity = initialData.quantity != null && !hasAmount && !splitRatio ? String(initialData.quantity) : "";
       const initialPrice = initialData.price != null ? formatPriceForDisplay(initialData.price) : "";
       const initialTotal = initialQuantity && initialPrice 
         ? (parseFloat(initialQuantity) * parseFloat(initialPrice)).toLocaleString('en-US', {
@@ -76,16 +131,28 @@ export default function TransactionFormModal({
         totalSpent: initialTotal,
         date: initialData.date ? new Date(initialData.date).toISOString().split("T")[0] : new Date().toISOString().split("T")[0],
         time: initialData.time || new Date().toTimeString().slice(0, 5),
+        currency: normalizeCurrency(initialData.currency),
+        fee: Number(initialData.fee) > 0 ? String(initialData.fee) : "",
+        feeCurrency: initialData.feeCurrency || normalizeCurrency(initialData.currency),
+        lotSelections: Object.fromEntries(
+          (initialData.lotSelections || []).map((pick) => [pick.lotId, String(pick.quantity)])
+        ),
+        payout: initialData.payout || DEFAULT_INCOME_PAYOUT,
+        amount: hasAmount && initialData.quantity != null
+          ? String((Number(initialData.quantity) || 0) * (Number(initialData.price) || 0))
+          : "",
+        splitNew: splitRatio ? String(splitRatio >= 1 ? splitRatio : 1) : "",
+        splitOld: splitRatio ? String(splitRatio >= 1 ? 1 : Number((1 / splitRatio).toFixed(6))) : "",
+        portfolioId: initialData.portfolioId || defaultPortfolioId || portfolios[0]?.id || "",
       });
 
-      if (isNewTransaction && tickerValue && !hasPrice && !isEditMode) {
-        fetchCurrentPrice(tickerValue, assetTypeValue === "crypto" ? "Crypto" : "Stock", false);
+      if (isNewTransaction && tickerValue && !hasPrice && !isEditMode && !isManuallyPriced(assetTypeValue)) {
+        fetchCurrentPrice(tickerValue, getPriceFeed(assetTypeValue), false);
       }
     } else {
-      setFormData(getDefaultFormData());
+      setFormData({ ...getDefaultFormData(), portfolioId: defaultPortfolioId || portfolios[0]?.id || "" });
     }
     
-    setSearchResults([]);
     setShowDropdown(false);
     setShowPopularDropdown(false);
     setErrors({});
@@ -121,6 +188,8 @@ export default function TransactionFormModal({
           // only update price if forcing or price field is empty
           if (forceUpdate || !prev.price?.trim()) {
             updates.price = formatPriceInput(priceData.currentPrice);
+            // the price is in the currency the asset is listed in
+            updates.currency = normalizeCurrency(priceData.currency);
           }
           // update name from API if not already set or if name matches ticker
           // ensures non-hardcoded tickers get names from the API
@@ -140,19 +209,20 @@ export default function TransactionFormModal({
   // handle asset selection from dropdown
   const selectAsset = useCallback((asset) => {
     const tickerChanged = formData.ticker !== asset.ticker;
+    // price the exact coin that was picked from live search results
+    if (asset.coinId) rememberCryptoInfo(asset.ticker, asset);
     
     setFormData(prev => ({
       ...prev,
       ticker: asset.ticker,
       name: asset.name,
-      assetType: asset.type.toLowerCase(),
+      assetType: getResultAssetType(asset, prev.assetType),
       logo: asset.type === "Stock" ? getStockLogo(asset.ticker) : asset.logo,
       price: tickerChanged ? "" : prev.price?.trim() || "",
     }));
     
     setShowDropdown(false);
     setShowPopularDropdown(false);
-    setSearchResults([]);
     
     if (tickerChanged) {
       fetchCurrentPrice(asset.ticker, asset.type, true);
@@ -164,14 +234,13 @@ export default function TransactionFormModal({
   // clear selected asset
   const clearAsset = useCallback(() => {
     setFormData(prev => ({ ...prev, ticker: "", name: "", logo: undefined }));
-    setSearchResults([]);
     setShowDropdown(false);
     setShowPopularDropdown(false);
   }, []);
 
   // handle ticker autofill on blur/enter
   const handleTickerAutofill = useCallback(async (tickerValue) => {
-    if (!tickerValue?.trim() || isEditMode) return;
+    if (!tickerValue?.trim() || isEditMode || isManuallyPriced(formData.assetType)) return;
 
     const upperValue = tickerValue.toUpperCase().trim();
     const tickerChanged = formData.ticker !== upperValue;
@@ -184,7 +253,7 @@ export default function TransactionFormModal({
         ...prev,
         ticker: upperValue,
         name: match.name,
-        assetType: match.type.toLowerCase(),
+        assetType: getResultAssetType(match, prev.assetType),
         logo: match.type === "Stock" ? getStockLogo(match.ticker) : match.logo,
         price: tickerChanged ? "" : existingPrice,
       }));
@@ -217,7 +286,7 @@ export default function TransactionFormModal({
           fetchCurrentPrice(upperValue, "Crypto", false);
         }
       } else {
-        setFormData(prev => ({ ...prev, ticker: upperValue, assetType: "stock", price: tickerChanged ? "" : existingPrice }));
+        setFormData(prev => ({ ...prev, ticker: upperValue, assetType: currentType, price: tickerChanged ? "" : existingPrice }));
         if (tickerChanged) {
           fetchCurrentPrice(upperValue, "Stock", true);
         } else if (!existingPrice) {
@@ -241,8 +310,6 @@ export default function TransactionFormModal({
       setFormData(prev => ({ ...prev, ticker: upperValue }));
       
       if (upperValue.length > 0 && !isEditMode) {
-        const matches = searchAssets(upperValue, formData.assetType);
-        setSearchResults(matches);
         setShowDropdown(true);
         setShowPopularDropdown(false);
       } else {
@@ -250,7 +317,6 @@ export default function TransactionFormModal({
       }
     } else if (name === "assetType") {
       setFormData(prev => ({ ...prev, assetType: value, ticker: "", name: "", logo: undefined }));
-      setSearchResults([]);
       setShowDropdown(false);
     } else if (name === "quantity" || name === "price") {
       // when quantity or price changes, recalculate total
@@ -294,57 +360,182 @@ export default function TransactionFormModal({
     } else {
       setFormData(prev => ({ ...prev, [name]: value }));
     }
-  }, [errors, isEditMode, formData.assetType]);
+  }, [errors, isEditMode]);
+
+  // dividends, interest and staking rewards
+  const isIncome = isIncomeType(formData.type);
+  const isCashIncome = isIncome && formData.payout !== "units";
+  // stock split / reverse split: a ratio instead of quantity and price
+  const isSplit = isSplitType(formData.type);
+  const splitRatio = Number(formData.splitNew) / Number(formData.splitOld);
+  // deposit / withdrawal: an amount of cash, no asset
+  const isCashFlow = isCashFlowType(formData.type);
+  const hasTradeFields = !isCashIncome && !isSplit && !isCashFlow;
+
+  // specific lot method: sells pick the lots they close
+  const isSpecificLotSell =
+    formData.type === "Sell" &&
+    !!formData.ticker &&
+    resolveCostBasisMethod(costBasis, formData.ticker) === "specific";
+
+  // lots still open just before this sell (the sell being edited is left out)
+  const openLots = useMemo(() => {
+    if (!isSpecificLotSell || !formData.date) return [];
+    return calculateOpenLotsAt(transactions, formData.ticker, {
+      date: formData.date,
+      time: formData.time,
+      excludeId: initialData?.id ?? null,
+      costBasis,
+      portfolioId: formData.portfolioId || null,
+    });
+  }, [isSpecificLotSell, transactions, formData.ticker, formData.date, formData.time, formData.portfolioId, initialData?.id, costBasis]);
+
+  // picked lots that are still open, as [{ lotId, quantity }]
+  const pickedLots = useMemo(
+    () =>
+      openLots
+        .map((lot) => ({ lotId: lot.id, quantity: Number(formData.lotSelections?.[lot.id]) || 0 }))
+        .filter((pick) => pick.quantity > 0),
+    [openLots, formData.lotSelections]
+  );
+  const pickedQuantity = pickedLots.reduce((sum, pick) => sum + pick.quantity, 0);
+
+  const handleSplitChange = (name, value) => {
+    setFormData(prev => ({ ...prev, [name]: value.replace(/[^\d.]/g, '') }));
+    if (errors.split) {
+      setErrors(prev => { const n = { ...prev }; delete n.split; return n; });
+    }
+  };
+
+  const handleLotChange = (lotId, value) => {
+    setFormData(prev => ({ ...prev, lotSelections: { ...prev.lotSelections, [lotId]: value.replace(/[^\d.]/g, '') } }));
+    if (errors.lotSelections) {
+      setErrors(prev => { const n = { ...prev }; delete n.lotSelections; return n; });
+    }
+  };
 
   // validate form
   const validateForm = useCallback(() => {
     const newErrors = {};
     // remove commas when parsing for validation
-    const quantity = Number(formData.quantity?.toString().replace(/,/g, ''));
+    // a split is checked with its ratio standing in for the quantity
+    const quantity = isSplit ? splitRatio : Number(formData.quantity?.toString().replace(/,/g, ''));
     const price = Number(formData.price?.toString().replace(/,/g, ''));
 
-    if (!isEditMode) {
+    if (!isEditMode && !isCashFlow) {
       if (!formData.assetType?.trim()) newErrors.assetType = "Asset type is required";
       if (!formData.ticker?.trim()) newErrors.ticker = "Ticker symbol is required";
       else if (formData.ticker.length > 10) newErrors.ticker = "Ticker symbol is too long";
     }
 
-    if (!formData.quantity?.toString().trim()) newErrors.quantity = "Quantity is required";
+    if (isSplit) {
+      if (!(Number(formData.splitNew) > 0) || !(Number(formData.splitOld) > 0)) {
+        newErrors.split = "Enter both sides of the split ratio";
+      } else if (splitRatio === 1) {
+        newErrors.split = "A split ratio cannot be 1 for 1";
+      }
+    } else if (isCashIncome || isCashFlow) {
+      // cash income, deposits and withdrawals only need an amount
+      const amount = Number(formData.amount?.toString().replace(/,/g, ''));
+      if (!formData.amount?.toString().trim()) newErrors.amount = "Amount is required";
+      else if (isNaN(amount) || amount <= 0) newErrors.amount = "Amount must be a positive number";
+      else if (formData.type === "Withdrawal" && formData.date) {
+        // cash held in this portfolio just before the withdrawal (itself left
+        // out when editing), in the withdrawal's currency
+        const currency = normalizeCurrency(formData.currency);
+        const portfolioTransactions = transactions.filter(
+          (tx) => tx.id !== initialData?.id && (!formData.portfolioId || tx.portfolioId === formData.portfolioId)
+        );
+        const available = calculateAvailableCash(
+          portfolioTransactions,
+          { date: formData.date, time: formData.time, currency },
+          converter
+        );
+        if (amount > available + 0.005) {
+          newErrors.amount = `Only ${formatCurrency(available, false, currency)} cash is available at that date.`;
+        }
+      }
+    } else if (!formData.quantity?.toString().trim()) newErrors.quantity = "Quantity is required";
     else if (isNaN(quantity) || quantity <= 0) newErrors.quantity = "Quantity must be a positive number";
 
     // FIFO integrity: simulate the full transaction history with this change
     // applied and reject it if any sell would exceed the shares held at that
     // point in time (covers new sells, sell edits, and buy quantity reductions)
-    if (!newErrors.quantity && formData.ticker) {
+    if (!isCashIncome && !isCashFlow && !newErrors.quantity && !newErrors.split && formData.ticker) {
       let proposed = null;
       if (isEditMode && initialData?.id) {
         proposed = transactions.map((tx) =>
           tx.id === initialData.id
-            ? { ...tx, quantity, date: formData.date, time: formData.time, type: formData.type || tx.type }
+            ? {
+                ...tx,
+                quantity,
+                date: formData.date,
+                time: formData.time,
+                type: formData.type || tx.type,
+                // a transaction moved to another portfolio is checked against that portfolio's shares
+                portfolioId: formData.portfolioId || tx.portfolioId,
+              }
             : tx
         );
-      } else if (formData.type === "Sell") {
+      } else if (formData.type === "Sell" || isSplit) {
+        // a reverse split added before existing sells can leave them uncovered
         proposed = [
           ...transactions,
-          { id: "__candidate__", ticker: formData.ticker, type: "Sell", quantity, date: formData.date, time: formData.time },
+          {
+            id: "__candidate__",
+            ticker: formData.ticker,
+            type: formData.type,
+            quantity,
+            date: formData.date,
+            time: formData.time,
+            // sells are checked against the shares held in this portfolio only
+            portfolioId: formData.portfolioId || undefined,
+          },
         ];
       }
 
       if (proposed && !validateSellQuantities(proposed, formData.ticker).valid) {
-        if (formData.type === "Sell") {
-          const asset = portfolioData.find(a => a.ticker === formData.ticker);
-          const owned = (asset?.quantity || 0).toLocaleString('en-US', {
+        if (isSplit) {
+          newErrors.split = `This split would leave later ${formData.ticker} sells uncovered. Check the ratio and date.`;
+        } else if (formData.type === "Sell") {
+          // shares held in the target portfolio just before the sell
+          const held = calculateOpenLotsAt(transactions, formData.ticker, {
+            date: formData.date,
+            time: formData.time,
+            excludeId: initialData?.id ?? null,
+            portfolioId: formData.portfolioId || null,
+          }).reduce((sum, lot) => sum + lot.quantity, 0);
+          const owned = held.toLocaleString('en-US', {
             minimumFractionDigits: 0,
             maximumFractionDigits: 10,
           });
           newErrors.quantity = `You only own ${owned} ${formData.ticker} at that date. Cannot sell more than you own.`;
         } else {
-          newErrors.quantity = `Reducing this buy would leave later ${formData.ticker} sells uncovered. Adjust those sells first.`;
+          newErrors.quantity = `Reducing this ${formData.type.toLowerCase()} would leave later ${formData.ticker} sells uncovered. Adjust those sells first.`;
         }
       }
     }
 
-    if (!formData.price?.toString().trim()) newErrors.price = "Price is required";
+    // picked lots must exist at the sell date and cannot exceed the sell quantity
+    if (isSpecificLotSell && !newErrors.quantity && pickedLots.length > 0) {
+      const overdrawn = pickedLots.find((pick) => {
+        const lot = openLots.find((l) => l.id === pick.lotId);
+        return pick.quantity > lot.quantity + LOT_EPSILON;
+      });
+      if (overdrawn) {
+        newErrors.lotSelections = "A picked lot does not have that many shares left.";
+      } else if (pickedQuantity > quantity + LOT_EPSILON) {
+        newErrors.lotSelections = "Picked lots add up to more than the sell quantity.";
+      }
+    }
+
+    // fee is optional
+    const fee = Number(formData.fee?.toString().replace(/,/g, '') || 0);
+    if (isNaN(fee) || fee < 0) newErrors.fee = "Fee must be a non-negative number";
+
+    if (isCashIncome || isSplit || isCashFlow) {
+      // no price to check
+    } else if (!formData.price?.toString().trim()) newErrors.price = "Price is required";
     else if (isNaN(price) || price < 0) newErrors.price = "Price must be a non-negative number";
 
     if (!formData.date) newErrors.date = "Date is required";
@@ -354,7 +545,7 @@ export default function TransactionFormModal({
 
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
-  }, [formData, isEditMode, initialData, portfolioData, transactions]);
+  }, [formData, isEditMode, initialData, transactions, converter, isSpecificLotSell, pickedLots, pickedQuantity, openLots, isCashIncome, isSplit, splitRatio, isCashFlow]);
 
   // handle form submission
   const handleSubmit = async (e) => {
@@ -362,7 +553,7 @@ export default function TransactionFormModal({
     if (!validateForm()) return;
 
     const finalName = formData.name || formData.ticker;
-    const finalType = formData.assetType?.toLowerCase() === "crypto" ? "Crypto" : "Stock";
+    const finalType = toAssetClass(formData.assetType);
 
     setIsSubmitting(true);
     try {
@@ -372,10 +563,48 @@ export default function TransactionFormModal({
         assetType: finalType,
         quantity: parseFloat(formData.quantity.replace(/,/g, '')),
         price: parseFloat(formData.price),
+        fee: parseFloat(formData.fee?.toString().replace(/,/g, '')) || 0,
+        currency: normalizeCurrency(formData.currency),
+        // coin-denominated fees only make sense for the coin being traded
+        feeCurrency: finalType === "Crypto" && formData.feeCurrency === formData.ticker ? formData.ticker : normalizeCurrency(formData.currency),
       };
       // remove totalSpent as it's a derived field - backend calculates it from quantity * price
       // also parse totalSpent to remove commas before deletion if needed
       delete submitData.totalSpent;
+      // only specific lot sells keep their picks; unpicked shares are matched FIFO
+      submitData.lotSelections = isSpecificLotSell && pickedLots.length > 0 ? pickedLots : null;
+      delete submitData.amount;
+      delete submitData.splitNew;
+      delete submitData.splitOld;
+      submitData.portfolioId = formData.portfolioId || null;
+      if (isCashFlow) {
+        // cash is stored as amount × 1 under its currency code (see migration 018)
+        submitData.ticker = submitData.currency;
+        submitData.name = "Cash";
+        submitData.assetType = "Cash";
+        submitData.quantity = parseFloat(formData.amount.replace(/,/g, ''));
+        submitData.price = 1;
+        submitData.fee = 0;
+        submitData.feeCurrency = submitData.currency;
+        submitData.payout = null;
+      } else if (isSplit) {
+        // the ratio is stored as quantity (see migration 007)
+        submitData.quantity = splitRatio;
+        submitData.price = 0;
+        submitData.fee = 0;
+        submitData.feeCurrency = submitData.currency;
+        submitData.payout = null;
+      } else if (isIncome) {
+        // income carries no fee; cash income is stored as amount × 1
+        submitData.fee = 0;
+        submitData.feeCurrency = submitData.currency;
+        if (isCashIncome) {
+          submitData.quantity = parseFloat(formData.amount.replace(/,/g, ''));
+          submitData.price = 1;
+        }
+      } else {
+        submitData.payout = null;
+      }
 
       if ((isEditMode || initialData?.id) && initialData?.id) {
         submitData.id = initialData.id;
@@ -399,6 +628,9 @@ export default function TransactionFormModal({
   const asset = portfolioData.find(a => a.ticker === formData.ticker);
   const hasShares = asset?.quantity > 0;
   const canSell = isEditMode || (formData.ticker && hasShares);
+  // crypto fee paid in the traded coin rather than the transaction currency
+  const isCoinFee = formData.assetType === "crypto" && !!formData.ticker && formData.feeCurrency === formData.ticker;
+  const currencySymbol = <span className="text-[var(--text-primary)]">{getCurrencySymbol(formData.currency)}</span>;
 
   const modalContent = (
     <div 
@@ -408,9 +640,16 @@ export default function TransactionFormModal({
       <div className="bg-[var(--bg-card)] border border-[var(--border-subtle)] rounded-xl w-[90%] sm:w-full max-w-md shadow-2xl overflow-hidden">
         {/* header */}
         <div className="p-4 border-b border-[var(--border-subtle)] flex items-center justify-between bg-[var(--bg-card)]">
-          <h2 className="text-lg font-bold text-[var(--text-primary)]">
-            {isEditMode ? "Edit Transaction" : "Add Transaction"}
-          </h2>
+          <div>
+            <h2 className="text-lg font-bold text-[var(--text-primary)]">
+              {isEditMode ? "Edit Transaction" : "Add Transaction"}
+            </h2>
+            {draftProgress && (
+              <p className="text-xs text-[var(--text-secondary)]">
+                Order {draftProgress.current} of {draftProgress.total} - closing skips the rest
+              </p>
+            )}
+          </div>
           <IconButton
             variant="close"
             onClick={onClose}
@@ -420,6 +659,23 @@ export default function TransactionFormModal({
         </div>
 
         <form onSubmit={handleSubmit} className="p-6 space-y-6">
+          {/* account picker - only when adding from the "All accounts" view */}
+          {!isEditMode && !defaultPortfolioId && portfolios.length > 0 && (
+            <div className="space-y-1">
+              <label htmlFor="transaction-portfolio" className="text-xs font-semibold text-[var(--text-secondary)]">Portfolio</label>
+              <select
+                id="transaction-portfolio"
+                value={formData.portfolioId}
+                onChange={(e) => setFormData(prev => ({ ...prev, portfolioId: e.target.value, lotSelections: {} }))}
+                className="w-full bg-[var(--bg-app)] border border-[var(--border-subtle)] rounded-lg px-3 py-2 text-sm text-[var(--text-primary)] focus:outline-none focus:border-[var(--text-secondary)] transition-colors"
+              >
+                {portfolios.map((portfolio) => (
+                  <option key={portfolio.id} value={portfolio.id}>{portfolio.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
           {/* buy/sell toggle - hidden in edit mode */}
           {!isEditMode && (
             <div className="space-y-1">
@@ -429,7 +685,56 @@ export default function TransactionFormModal({
                 options={[
                   { value: "Buy", label: "Buy", activeClass: "bg-green-600 text-white shadow-green-900/20" },
                   { value: "Sell", label: "Sell", activeClass: "bg-red-600 text-white shadow-red-900/20", disabled: !canSell },
+                  { value: "Income", label: "Income", activeClass: "bg-sky-600 text-white shadow-sky-900/20" },
+                  { value: SPLIT_TYPE, label: "Split", activeClass: "bg-slate-600 text-white shadow-slate-900/20" },
+                  { value: "Cash", label: "Cash", activeClass: "bg-teal-600 text-white shadow-teal-900/20" },
                 ]}
+                value={isIncome ? "Income" : isCashFlow ? "Cash" : formData.type}
+                onChange={(type) => setFormData(prev => {
+                  // crypto income is most often staking rewards, bond and cash income interest
+                  if (type === "Income") {
+                    const assetClass = toAssetClass(prev.assetType);
+                    const incomeType = assetClass === "Crypto" ? "Staking" : assetClass === "Bond" || assetClass === "Cash" ? "Interest" : "Dividend";
+                    return { ...prev, type: incomeType };
+                  }
+                  if (type === "Cash") return { ...prev, type: "Deposit" };
+                  return { ...prev, type };
+                })}
+              />
+            </div>
+          )}
+
+          {/* income type and payout - hidden in edit mode */}
+          {!isEditMode && isIncome && (
+            <div className="space-y-4">
+              <div className="space-y-1">
+                <label className="text-xs font-semibold text-[var(--text-secondary)]">Income Type</label>
+                <ButtonGroup
+                  variant="toggle"
+                  options={INCOME_TYPES}
+                  value={formData.type}
+                  onChange={(type) => setFormData(prev => ({ ...prev, type }))}
+                />
+              </div>
+              <div className="space-y-1">
+                <label className="text-xs font-semibold text-[var(--text-secondary)]">Paid In</label>
+                <ButtonGroup
+                  variant="toggle"
+                  options={INCOME_PAYOUTS}
+                  value={formData.payout}
+                  onChange={(payout) => setFormData(prev => ({ ...prev, payout }))}
+                />
+              </div>
+            </div>
+          )}
+
+          {/* deposit or withdrawal - hidden in edit mode */}
+          {!isEditMode && isCashFlow && (
+            <div className="space-y-1">
+              <label className="text-xs font-semibold text-[var(--text-secondary)]">Cash Movement</label>
+              <ButtonGroup
+                variant="toggle"
+                options={CASH_FLOW_TYPES}
                 value={formData.type}
                 onChange={(type) => setFormData(prev => ({ ...prev, type }))}
               />
@@ -437,28 +742,57 @@ export default function TransactionFormModal({
           )}
 
           {/* asset type selector - hidden in edit mode */}
-          {!isEditMode && (
+          {!isEditMode && !isCashFlow && (
             <div className="space-y-1">
-              <label className="text-xs font-semibold text-[var(--text-secondary)]">Asset Type</label>
-              <ButtonGroup
-                variant="toggle"
-                options={[
-                  { value: "stock", label: "Stock" },
-                  { value: "crypto", label: "Crypto" },
-                ]}
+              <label htmlFor="transaction-asset-type" className="text-xs font-semibold text-[var(--text-secondary)]">Asset Type</label>
+              <select
+                id="transaction-asset-type"
                 value={formData.assetType}
-                onChange={(assetType) => {
-                  setFormData(prev => ({ ...prev, assetType, ticker: "", name: "", logo: undefined }));
-                  setSearchResults([]);
+                onChange={(e) => {
+                  setFormData(prev => ({ ...prev, assetType: e.target.value, ticker: "", name: "", logo: undefined }));
                   setShowDropdown(false);
                 }}
-                error={errors.assetType}
+                disabled={isSubmitting}
+                className={`w-full bg-[var(--bg-app)] border ${errors.assetType ? "border-red-500" : "border-[var(--border-subtle)]"} rounded-lg px-3 py-2 text-sm text-[var(--text-primary)] focus:outline-none focus:border-[var(--text-secondary)] transition-colors`}
+              >
+                {ASSET_CLASSES.map((assetClass) => (
+                  <option key={assetClass.value} value={assetClass.value.toLowerCase()}>{assetClass.label}</option>
+                ))}
+              </select>
+              {isManual && (
+                <p className="text-xs text-[var(--text-secondary)]">No price feed: valued at your latest valuation, or the last trade price until you add one</p>
+              )}
+            </div>
+          )}
+
+          {/* free-form symbol and name for assets without a price feed - hidden in edit mode */}
+          {!isEditMode && !isCashFlow && isManual && (
+            <div className="grid grid-cols-2 gap-3">
+              <FormInput
+                label="Symbol"
+                name="ticker"
+                value={formData.ticker}
+                onChange={handleChange}
+                placeholder="e.g. UST2030, HOUSE"
+                error={errors.ticker}
+                disabled={isSubmitting}
               />
+              <FormInput
+                label="Name"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                placeholder="Optional"
+                disabled={isSubmitting}
+              />
+              {formData.type === "Sell" && formData.ticker && !hasShares && (
+                <p className="col-span-2 text-xs text-red-500">You don't own any of this asset</p>
+              )}
             </div>
           )}
 
           {/* ticker input - hidden in edit mode */}
-          {!isEditMode && (
+          {!isEditMode && !isCashFlow && !isManual && (
             <div className="relative space-y-1">
               <label className="text-xs font-semibold text-[var(--text-secondary)]">Ticker Symbol</label>
               
@@ -475,7 +809,7 @@ export default function TransactionFormModal({
                     )}
                     <div className="flex flex-col leading-none min-w-0">
                       <span className="text-sm font-bold text-[var(--text-primary)] truncate">{formData.name}</span>
-                      <span className="text-xs text-[var(--text-secondary)] capitalize">{formData.assetType}</span>
+                      <span className="text-xs text-[var(--text-secondary)]">{toAssetClass(formData.assetType)}</span>
                     </div>
                   </div>
                   <IconButton
@@ -508,7 +842,7 @@ export default function TransactionFormModal({
               )}
 
               {/* dropdowns */}
-              {showPopularDropdown && !formData.ticker && !isEditMode && (
+              {showPopularDropdown && !formData.ticker && !isEditMode && getAssetsByType(formData.assetType, 6).length > 0 && (
                 <AssetDropdown 
                   assets={getAssetsByType(formData.assetType, 6)} 
                   onSelect={selectAsset} 
@@ -516,108 +850,182 @@ export default function TransactionFormModal({
                 />
               )}
               {showDropdown && searchResults.length > 0 && !formData.name && (
-                <AssetDropdown assets={searchResults} onSelect={selectAsset} />
+                <AssetDropdown assets={searchResults} onSelect={selectAsset} title={isSearching ? "Searching..." : null} />
               )}
             </div>
           )}
 
-          {/* quantity and price */}
-          <div className="grid grid-cols-2 gap-4">
+          {/* currency of the price or amount - splits have neither */}
+          {!isSplit && (
+            <div className="space-y-1">
+              <label htmlFor="transaction-currency" className="text-xs font-semibold text-[var(--text-secondary)]">Currency</label>
+              <select
+                id="transaction-currency"
+                value={formData.currency}
+                onChange={(e) => setFormData(prev => ({
+                  ...prev,
+                  currency: e.target.value,
+                  // a cash fee follows the transaction currency
+                  feeCurrency: prev.assetType === "crypto" && prev.feeCurrency === prev.ticker ? prev.feeCurrency : e.target.value,
+                }))}
+                disabled={isSubmitting}
+                className="w-full bg-[var(--bg-app)] border border-[var(--border-subtle)] rounded-lg px-3 py-2 text-sm text-[var(--text-primary)] focus:outline-none focus:border-[var(--text-secondary)] transition-colors"
+              >
+                {[...new Set([...SUPPORTED_CURRENCIES, formData.currency])].map((currency) => (
+                  <option key={currency} value={currency}>{currency}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {/* cash amount: income received, deposit or withdrawal */}
+          {(isCashIncome || isCashFlow) && (
             <FormInput
-              label="Quantity"
-              name="quantity"
+              label={isCashFlow ? "Amount" : "Amount Received"}
+              name="amount"
               type="text"
-              value={formData.quantity}
+              value={formData.amount}
               onChange={(e) => {
                 // remove commas and other non-numeric characters except decimal point
                 const v = e.target.value.replace(/[^\d.]/g, '');
-                handleChange({ ...e, target: { ...e.target, name: 'quantity', value: v } });
-              }}
-              onKeyDown={(e) => {
-                // prevent form submission when Enter is pressed
-                if (e.key === 'Enter') {
-                  e.preventDefault();
-                  e.target.blur(); // Trigger blur to format the value
-                }
-              }}
-              onBlur={(e) => {
-                const v = e.target.value?.trim().replace(/[^\d.]/g, '');
-                if (v) {
-                  const num = parseFloat(v);
-                  if (!isNaN(num) && num >= 0) {
-                    // format with commas for thousands
-                    const formatted = num.toLocaleString('en-US', {
-                      minimumFractionDigits: 0,
-                      maximumFractionDigits: 10,
-                    });
-                    setFormData(prev => {
-                      const newData = { ...prev, quantity: formatted };
-                      // recalculate total after quantity is formatted
-                      const quantityNum = parseFloat(formatted.replace(/,/g, ''));
-                      const price = parseFloat(prev.price.replace(/,/g, ''));
-                      if (!isNaN(quantityNum) && !isNaN(price) && quantityNum > 0 && price >= 0) {
-                        const total = quantityNum * price;
-                        newData.totalSpent = total.toLocaleString('en-US', {
-                          minimumFractionDigits: 2,
-                          maximumFractionDigits: 2,
-                        });
-                      }
-                      return newData;
-                    });
-                  }
-                }
+                handleChange({ ...e, target: { ...e.target, name: 'amount', value: v } });
               }}
               placeholder="0.00"
-              error={errors.quantity}
+              error={errors.amount}
               disabled={isSubmitting}
+              leftIcon={currencySymbol}
+              inputClassName="text-base font-bold"
             />
-            <FormInput
-              label="Price"
-              name="price"
-              type="number"
-              step="any"
-              min="0"
-              value={formData.price}
-              onChange={handleChange}
-              onBlur={(e) => {
-                const v = e.target.value?.trim();
-                if (v) {
-                  const num = parseFloat(v);
-                  if (!isNaN(num) && num >= 0) {
-                    // format for display but preserve full precision in the actual value
-                    // use formatPriceInput to show appropriate decimal places
-                    const formatted = formatPriceInput(num);
-                    setFormData(prev => {
-                      const newData = { ...prev, price: formatted };
-                      // recalculate total after price is formatted
-                      // strip commas: quantity may be formatted like "1,000"
-                      const quantity = parseFloat(prev.quantity.replace(/,/g, ''));
-                      const priceNum = parseFloat(formatted);
-                      if (!isNaN(quantity) && !isNaN(priceNum) && quantity > 0 && priceNum >= 0) {
-                        const total = quantity * priceNum;
-                        // format with commas for thousands
-                        newData.totalSpent = total.toLocaleString('en-US', {
-                          minimumFractionDigits: 2,
-                          maximumFractionDigits: 2,
-                        });
-                      }
-                      return newData;
-                    });
+          )}
+
+          {/* split ratio */}
+          {isSplit && (
+            <div className="space-y-1">
+              <div className="grid grid-cols-2 gap-4">
+                <FormInput
+                  label="New Shares"
+                  name="splitNew"
+                  type="text"
+                  value={formData.splitNew}
+                  onChange={(e) => handleSplitChange("splitNew", e.target.value)}
+                  placeholder="4"
+                  disabled={isSubmitting}
+                />
+                <FormInput
+                  label="For Old Shares"
+                  name="splitOld"
+                  type="text"
+                  value={formData.splitOld}
+                  onChange={(e) => handleSplitChange("splitOld", e.target.value)}
+                  placeholder="1"
+                  disabled={isSubmitting}
+                />
+              </div>
+              <p className={`text-xs ${errors.split ? "text-red-500" : "text-[var(--text-secondary)]"}`}>
+                {errors.split || "Holdings before the effective date are multiplied by the ratio; total cost stays the same. Use e.g. 1 for 10 for a reverse split."}
+              </p>
+            </div>
+          )}
+
+          {/* quantity and price */}
+          {hasTradeFields && (
+            <div className="grid grid-cols-2 gap-4">
+              <FormInput
+                label={isIncome ? "Units Received" : "Quantity"}
+                name="quantity"
+                type="text"
+                value={formData.quantity}
+                onChange={(e) => {
+                  // remove commas and other non-numeric characters except decimal point
+                  const v = e.target.value.replace(/[^\d.]/g, '');
+                  handleChange({ ...e, target: { ...e.target, name: 'quantity', value: v } });
+                }}
+                onKeyDown={(e) => {
+                  // prevent form submission when Enter is pressed
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                    e.target.blur(); // Trigger blur to format the value
                   }
-                }
-              }}
-              placeholder={isFetchingPrice ? "Loading..." : "0.00"}
-              error={errors.price}
-              disabled={isSubmitting || isFetchingPrice}
-              leftIcon={<span className="text-[var(--text-primary)]">$</span>}
-              rightIcon={isFetchingPrice && <SpinnerGap size={18} className="animate-spin text-[var(--text-primary)]" />}
-            />
-          </div>
+                }}
+                onBlur={(e) => {
+                  const v = e.target.value?.trim().replace(/[^\d.]/g, '');
+                  if (v) {
+                    const num = parseFloat(v);
+                    if (!isNaN(num) && num >= 0) {
+                      // format with commas for thousands
+                      const formatted = num.toLocaleString('en-US', {
+                        minimumFractionDigits: 0,
+                        maximumFractionDigits: 10,
+                      });
+                      setFormData(prev => {
+                        const newData = { ...prev, quantity: formatted };
+                        // recalculate total after quantity is formatted
+                        const quantityNum = parseFloat(formatted.replace(/,/g, ''));
+                        const price = parseFloat(prev.price.replace(/,/g, ''));
+                        if (!isNaN(quantityNum) && !isNaN(price) && quantityNum > 0 && price >= 0) {
+                          const total = quantityNum * price;
+                          newData.totalSpent = total.toLocaleString('en-US', {
+                            minimumFractionDigits: 2,
+                            maximumFractionDigits: 2,
+                          });
+                        }
+                        return newData;
+                      });
+                    }
+                  }
+                }}
+                placeholder="0.00"
+                error={errors.quantity}
+                disabled={isSubmitting}
+              />
+              <FormInput
+                label={isIncome ? "Value per Unit" : "Price"}
+                name="price"
+                type="number"
+                step="any"
+                min="0"
+                value={formData.price}
+                onChange={handleChange}
+                onBlur={(e) => {
+                  const v = e.target.value?.trim();
+                  if (v) {
+                    const num = parseFloat(v);
+                    if (!isNaN(num) && num >= 0) {
+                      // format for display but preserve full precision in the actual value
+                      // use formatPriceInput to show appropriate decimal places
+                      const formatted = formatPriceInput(num);
+                      setFormData(prev => {
+                        const newData = { ...prev, price: formatted };
+                        // recalculate total after price is formatted
+                        // strip commas: quantity may be formatted like "1,000"
+                        const quantity = parseFloat(prev.quantity.replace(/,/g, ''));
+                        const priceNum = parseFloat(formatted);
+                        if (!isNaN(quantity) && !isNaN(priceNum) && quantity > 0 && priceNum >= 0) {
+                          const total = quantity * priceNum;
+                          // format with commas for thousands
+                          newData.totalSpent = total.toLocaleString('en-US', {
+                            minimumFractionDigits: 2,
+                            maximumFractionDigits: 2,
+                          });
+                        }
+                        return newData;
+                      });
+                    }
+                  }
+                }}
+                placeholder={isFetchingPrice ? "Loading..." : "0.00"}
+                error={errors.price}
+                disabled={isSubmitting || isFetchingPrice}
+                leftIcon={currencySymbol}
+                rightIcon={isFetchingPrice && <SpinnerGap size={18} className="animate-spin text-[var(--text-primary)]" />}
+              />
+            </div>
+          )}
 
           {/* date and time */}
           <div className="grid grid-cols-2 gap-4">
             <FormInput
-              label="Date"
+              label={isSplit ? "Effective Date" : "Date"}
               name="date"
               type="date"
               value={formData.date}
@@ -641,57 +1049,137 @@ export default function TransactionFormModal({
             />
           </div>
 
-          {/* total spent */}
-          <FormInput
-            label="Total Spent"
-            name="totalSpent"
-            type="text"
-            value={formData.totalSpent}
-            onChange={(e) => {
-              // remove commas and other non-numeric characters except decimal point
-              const v = e.target.value.replace(/[^\d.]/g, '');
-              handleChange({ ...e, target: { ...e.target, name: 'totalSpent', value: v } });
-            }}
-            onKeyDown={(e) => {
-              // prevent form submission when Enter is pressed
-              if (e.key === 'Enter') {
-                e.preventDefault();
-                e.target.blur(); // trigger blur to format the value
-              }
-            }}
-            onBlur={(e) => {
-              const v = e.target.value?.trim().replace(/[^\d.]/g, '');
-              if (v) {
-                const num = parseFloat(v);
-                if (!isNaN(num) && num >= 0) {
-                  // format with commas for thousands
-                  const formatted = num.toLocaleString('en-US', {
-                    minimumFractionDigits: 2,
-                    maximumFractionDigits: 2,
-                  });
-                  setFormData(prev => {
-                    const newData = { ...prev, totalSpent: formatted };
-                    // recalculate quantity after total is formatted
-                    const price = parseFloat(prev.price.replace(/,/g, ''));
-                    if (!isNaN(price) && price > 0) {
-                      const calculatedQty = num / price;
-                      // format quantity with commas for thousands
-                      newData.quantity = calculatedQty.toLocaleString('en-US', {
-                        minimumFractionDigits: 0,
-                        maximumFractionDigits: 10,
-                      });
-                    }
-                    return newData;
-                  });
+          {/* fee - trades only */}
+          {!isIncome && !isSplit && !isCashFlow && (
+            <div className="space-y-1">
+              <div className="flex items-end gap-3">
+                <FormInput
+                  label="Fee (optional)"
+                  name="fee"
+                  type="text"
+                  value={formData.fee}
+                  onChange={(e) => {
+                    // remove commas and other non-numeric characters except decimal point
+                    const v = e.target.value.replace(/[^\d.]/g, '');
+                    handleChange({ ...e, target: { ...e.target, name: 'fee', value: v } });
+                  }}
+                  placeholder="0.00"
+                  error={errors.fee}
+                  disabled={isSubmitting}
+                  className="flex-1"
+                  leftIcon={!isCoinFee && currencySymbol}
+                />
+                {formData.assetType === "crypto" && formData.ticker && (
+                  <ButtonGroup
+                    variant="toggle"
+                    options={[
+                      { value: formData.currency, label: formData.currency },
+                      { value: formData.ticker, label: formData.ticker },
+                    ]}
+                    value={isCoinFee ? formData.ticker : formData.currency}
+                    onChange={(feeCurrency) => setFormData(prev => ({ ...prev, feeCurrency }))}
+                  />
+                )}
+              </div>
+              {!errors.fee && (
+                <p className="text-xs text-[var(--text-secondary)]">
+                  {formData.type === "Sell" ? "Deducted from the sale proceeds." : "Added to the cost basis."}
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* specific lot picker */}
+          {isSpecificLotSell && (
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <label className="text-xs font-semibold text-[var(--text-secondary)]">Lots to sell</label>
+                <span className="text-xs text-[var(--text-secondary)]">
+                  {formatQuantity(pickedQuantity)} picked
+                </span>
+              </div>
+              {openLots.length === 0 ? (
+                <p className="text-xs text-[var(--text-secondary)]">No open lots at this date.</p>
+              ) : (
+                <div className="max-h-40 overflow-y-auto border border-[var(--border-subtle)] rounded-lg divide-y divide-[var(--border-subtle)]">
+                  {openLots.map((lot) => (
+                    <div key={lot.id} className="flex items-center justify-between gap-3 px-3 py-2">
+                      <div className="text-xs min-w-0">
+                        <div className="font-semibold text-[var(--text-primary)]">{lot.date} @ {formatCurrency(lot.price, false, normalizeCurrency(lot.currency))}</div>
+                        <div className="text-[var(--text-secondary)]">{formatQuantity(lot.quantity)} available</div>
+                      </div>
+                      <input
+                        type="text"
+                        inputMode="decimal"
+                        value={formData.lotSelections?.[lot.id] || ""}
+                        onChange={(e) => handleLotChange(lot.id, e.target.value)}
+                        placeholder="0"
+                        disabled={isSubmitting}
+                        className="w-24 bg-[var(--bg-app)] border border-[var(--border-subtle)] rounded-lg px-2 py-1 text-sm text-right text-[var(--text-primary)] focus:outline-none focus:border-[var(--text-secondary)]"
+                      />
+                    </div>
+                  ))}
+                </div>
+              )}
+              <p className={`text-xs ${errors.lotSelections ? "text-red-500" : "text-[var(--text-secondary)]"}`}>
+                {errors.lotSelections || "Shares not assigned to a lot are matched oldest first (FIFO)."}
+              </p>
+            </div>
+          )}
+
+          {/* total spent (total value for income paid in units) */}
+          {hasTradeFields && (
+            <FormInput
+              label={isIncome ? "Total Value" : "Total Spent"}
+              name="totalSpent"
+              type="text"
+              value={formData.totalSpent}
+              onChange={(e) => {
+                // remove commas and other non-numeric characters except decimal point
+                const v = e.target.value.replace(/[^\d.]/g, '');
+                handleChange({ ...e, target: { ...e.target, name: 'totalSpent', value: v } });
+              }}
+              onKeyDown={(e) => {
+                // prevent form submission when Enter is pressed
+                if (e.key === 'Enter') {
+                  e.preventDefault();
+                  e.target.blur(); // trigger blur to format the value
                 }
-              }
-            }}
-            placeholder="0.00"
-            error={errors.totalSpent}
-            disabled={isSubmitting}
-            leftIcon={<span className="text-[var(--text-primary)]">$</span>}
-            inputClassName="text-base font-bold"
-          />
+              }}
+              onBlur={(e) => {
+                const v = e.target.value?.trim().replace(/[^\d.]/g, '');
+                if (v) {
+                  const num = parseFloat(v);
+                  if (!isNaN(num) && num >= 0) {
+                    // format with commas for thousands
+                    const formatted = num.toLocaleString('en-US', {
+                      minimumFractionDigits: 2,
+                      maximumFractionDigits: 2,
+                    });
+                    setFormData(prev => {
+                      const newData = { ...prev, totalSpent: formatted };
+                      // recalculate quantity after total is formatted
+                      const price = parseFloat(prev.price.replace(/,/g, ''));
+                      if (!isNaN(price) && price > 0) {
+                        const calculatedQty = num / price;
+                        // format quantity with commas for thousands
+                        newData.quantity = calculatedQty.toLocaleString('en-US', {
+                          minimumFractionDigits: 0,
+                          maximumFractionDigits: 10,
+                        });
+                      }
+                      return newData;
+                    });
+                  }
+                }
+              }}
+              placeholder="0.00"
+              error={errors.totalSpent}
+              disabled={isSubmitting}
+              leftIcon={currencySymbol}
+              inputClassName="text-base font-bold"
+            />
+          )}
 
           {/* error message */}
           {errors.submit && (
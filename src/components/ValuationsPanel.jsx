@@ -0,0 +1,118 @@
+// manual valuations of an asset: the price of an asset without a price feed
+// (bond, option, cash, real estate/other), or an override of a live quote the
+// provider gets wrong (delisted stocks, private tokens). the latest one is the
+// current price, earlier ones draw the performance history
+
+import React, { useState } from 'react';
+import { formatPrice, getCurrencySymbol } from '../services/utils';
+import { toDateKey } from '../services/portfolioHistory';
+import FormInput from './ui/FormInput';
+import Button from './ui/Button';
+import IconButton from './ui/IconButton';
+import EmptyState from './ui/EmptyState';
+
+export default function ValuationsPanel({ ticker, assetType, currency, valuations, onSave, onDelete, isSaving = false, hasPriceFeed = false }) {
+  const [price, setPrice] = useState('');
+  const [date, setDate] = useState(() => toDateKey(new Date()));
+  const [note, setNote] = useState('');
+  const [error, setError] = useState('');
+
+  const newestFirst = [...valuations].reverse();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const value = Number(price.replace(/,/g, ''));
+    if (!Number.isFinite(value) || value < 0 || price.trim() === '') {
+      setError('Enter the value of one unit');
+      return;
+    }
+    if (!date || date > toDateKey(new Date())) {
+      setError('Pick a date up to today');
+      return;
+    }
+    try {
+      await onSave({ ticker, assetType, price: value, currency, date, note });
+      setPrice('');
+      setNote('');
+      setError('');
+    } catch {
+      // the mutation already showed a toast
+    }
+  };
+
+  return (
+    <div className="bg-[var(--bg-card)] border border-[var(--border-subtle)] rounded-xl overflow-hidden mb-6">
+      <div className="p-6 border-b border-[var(--border-subtle)] space-y-4">
+        <div>
+          <h2 className="text-lg font-bold text-[var(--text-primary)]">Valuations</h2>
+          <p className="text-sm text-[var(--text-secondary)] mt-1">
+            {hasPriceFeed
+              ? `Valuations override the live quote of ${ticker}: its latest valuation (or trade price, when newer) is its current price. Delete them all to go back to the live quote.`
+              : `${ticker} has no price feed. Its latest valuation (or trade price, when newer) is its current price.`}
+          </p>
+        </div>
+        <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-[1fr_1fr_2fr_auto] gap-3 items-start">
+          <FormInput
+            name="valuation-price"
+            value={price}
+            onChange={(e) => { setPrice(e.target.value.replace(/[^\d.,]/g, '')); setError(''); }}
+            placeholder="Value per unit"
+            leftIcon={<span className="text-[var(--text-primary)]">{getCurrencySymbol(currency)}</span>}
+            error={error}
+            disabled={isSaving}
+          />
+          <FormInput
+            name="valuation-date"
+            type="date"
+            value={date}
+            max={toDateKey(new Date())}
+            onChange={(e) => { setDate(e.target.value); setError(''); }}
+            disabled={isSaving}
+          />
+          <FormInput
+            name="valuation-note"
+            value={note}
+            onChange={(e) => setNote(e.target.value.slice(0, 200))}
+            placeholder="Note (optional), e.g. appraisal"
+            disabled={isSaving}
+          />
+          <Button type="submit" disabled={isSaving}>Add</Button>
+        </form>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-left border-collapse">
+          <thead className="bg-[var(--bg-app)]">
+            <tr>
+              <th className="py-3 px-6 text-xs font-semibold text-[var(--text-secondary)]">Date</th>
+              <th className="py-3 px-6 text-xs font-semibold text-[var(--text-secondary)] text-right">Value per unit</th>
+              <th className="py-3 px-6 text-xs font-semibold text-[var(--text-secondary)]">Note</th>
+              <th className="py-3 px-6 text-xs font-semibold text-[var(--text-secondary)] text-right">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-[var(--border-subtle)]">
+            {newestFirst.length > 0 ? (
+              newestFirst.map((valuation) => (
+                <tr key={valuation.id} className="hover:bg-[var(--bg-card-hover)] transition-colors">
+                  <td className="py-3 px-6 text-sm text-[var(--text-primary)]">{valuation.date}</td>
+                  <td className="py-3 px-6 text-right text-sm font-bold text-[var(--text-primary)]">
+                    {formatPrice(valuation.price, false, valuation.currency)}
+                  </td>
+                  <td className="py-3 px-6 text-sm text-[var(--text-secondary)]">{valuation.note || '-'}</td>
+                  <td className="py-3 px-6 text-right">
+                    <IconButton variant="delete" onClick={() => onDelete(valuation.id)} title="Delete valuation" />
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <EmptyState
+                message={hasPriceFeed ? 'No valuations yet - priced from the live quote.' : 'No valuations yet - valued at the last trade price.'}
+                colSpan={4}
+              />
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
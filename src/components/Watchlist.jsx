@@ -0,0 +1,183 @@
+// watchlist - assets followed without owning them, with their latest price
+// and a one-click buy
+
+import React, { useState } from 'react';
+import { CaretUp, CaretDown, ShoppingCartSimpleIcon } from '@phosphor-icons/react';
+import { formatPrice, format24hChange, truncateName } from '../services/utils';
+import { getQuoteCurrency } from '../services/currency';
+import { getAssetsByType } from '../constants/assets';
+import { ASSET_CLASSES, getPriceFeed } from '../constants/assetClasses';
+import { getStockLogo, rememberCryptoInfo } from '../services/api';
+import { useTickerSearch } from '../hooks/useTickerSearch';
+import AssetLogo from './ui/AssetLogo';
+import AssetDropdown from './ui/AssetDropdown';
+import ButtonGroup from './ui/ButtonGroup';
+import FormInput from './ui/FormInput';
+import Button from './ui/Button';
+import IconButton from './ui/IconButton';
+import EmptyState from './ui/EmptyState';
+
+// only assets with a price feed can be watched
+const WATCHABLE_CLASSES = ASSET_CLASSES.filter((c) => c.feed);
+
+export default function Watchlist({ items, prices, heldTickers, onAdd, onRemove, onBuy, isAdding = false }) {
+  return (
+    <div className="space-y-4">
+      <AddToWatchlistForm items={items} onAdd={onAdd} isAdding={isAdding} />
+      <div className="bg-[var(--bg-card)] rounded-xl border border-[var(--border-subtle)] overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full text-left border-collapse min-w-[600px]">
+            <thead>
+              <tr className="border-b border-[var(--border-subtle)]">
+                <th className="py-4 px-6 text-xs font-semibold text-[var(--text-secondary)] whitespace-nowrap">Asset</th>
+                <th className="py-4 px-6 text-xs font-semibold text-[var(--text-secondary)] whitespace-nowrap text-right">Price</th>
+                <th className="py-4 px-6 text-xs font-semibold text-[var(--text-secondary)] whitespace-nowrap text-right">24h</th>
+                <th className="py-4 px-6 text-xs font-semibold text-[var(--text-secondary)] whitespace-nowrap text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-[var(--border-subtle)]">
+              {items.length === 0 ? (
+                <EmptyState message="Your watchlist is empty. Add a ticker above to follow its price before you buy." colSpan={4} />
+              ) : (
+                items.map((item) => (
+                  <WatchlistRow
+                    key={item.id}
+                    item={item}
+                    quote={prices[item.ticker]}
+                    isHeld={heldTickers.has(item.ticker)}
+                    onRemove={onRemove}
+                    onBuy={onBuy}
+                  />
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function WatchlistRow({ item, quote, isHeld, onRemove, onBuy }) {
+  // a failed fetch leaves the price at 0 - show a dash instead of $0.00
+  const hasPrice = quote?.currentPrice > 0;
+  const change24h = format24hChange(quote?.priceChange24h || 0);
+  const logo = quote?.logo || (getPriceFeed(item.assetType) === 'stock' ? getStockLogo(item.ticker) : null);
+
+  return (
+    <tr className="hover:bg-[var(--bg-card-hover)] transition-colors">
+      <td className="py-4 px-6">
+        <div className="flex items-center gap-3">
+          <AssetLogo logo={logo} ticker={item.ticker} name={item.name} size={8} />
+          <div className="font-bold text-sm text-[var(--text-primary)] min-w-0">
+            <div className="truncate">
+              {item.ticker}
+              <span className="mx-1 text-[var(--text-secondary)]">|</span>
+              <span className="text-[var(--text-secondary)] font-normal" title={item.name}>
+                {truncateName(quote?.name || item.name, 20)}
+              </span>
+            </div>
+            {isHeld && <div className="text-xs font-normal text-[var(--text-secondary)]">In portfolio</div>}
+          </div>
+        </div>
+      </td>
+      <td className="py-4 px-6 text-right text-sm font-medium text-[var(--text-primary)]">
+        {hasPrice ? formatPrice(quote.currentPrice, false, getQuoteCurrency(quote)) : '-'}
+      </td>
+      <td className={`py-4 px-6 text-right text-sm font-medium whitespace-nowrap ${change24h.isPositive ? 'text-green' : 'text-red'}`}>
+        {hasPrice ? (
+          <div className="flex items-center gap-1 justify-end">
+            {change24h.isPositive ? <CaretUp size={12} weight="fill" /> : <CaretDown size={12} weight="fill" />}
+            <span>{change24h.formatted}%</span>
+          </div>
+        ) : (
+          <span className="text-[var(--text-secondary)]">-</span>
+        )}
+      </td>
+      <td className="py-4 px-6 text-right">
+        <div className="flex items-center justify-end gap-2">
+          <Button size="sm" icon={ShoppingCartSimpleIcon} onClick={() => onBuy({ ...item, logo })}>Buy</Button>
+          <IconButton variant="delete" onClick={() => onRemove(item)} title="Remove from watchlist" />
+        </div>
+      </td>
+    </tr>
+  );
+}
+
+// ticker input with live search suggestions; any other ticker can be typed
+// and added as is
+function AddToWatchlistForm({ items, onAdd, isAdding }) {
+  const [assetType, setAssetType] = useState('Stock');
+  const [ticker, setTicker] = useState('');
+  const [name, setName] = useState('');
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [error, setError] = useState('');
+
+  const { results, isSearching } = useTickerSearch(name ? '' : ticker, assetType);
+
+  const watched = new Set(items.map((item) => `${item.assetType}:${item.ticker}`));
+  const suggestions = (ticker ? results : getAssetsByType(assetType, 6))
+    .filter((asset) => !watched.has(`${asset.type}:${asset.ticker}`));
+
+  const reset = () => {
+    setTicker('');
+    setName('');
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const symbol = ticker.trim().toUpperCase();
+    if (!symbol) {
+      setError('Enter a ticker');
+      return;
+    }
+    if (watched.has(`${assetType}:${symbol}`)) {
+      setError(`${symbol} is already on your watchlist`);
+      return;
+    }
+    try {
+      await onAdd({ ticker: symbol, name: name || symbol, assetType });
+      reset();
+    } catch {
+      // the mutation already showed a toast
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-col sm:flex-row sm:items-start gap-3">
+      <ButtonGroup
+        variant="pills"
+        options={WATCHABLE_CLASSES.map((c) => c.value)}
+        value={assetType}
+        onChange={(type) => { setAssetType(type); reset(); }}
+        labelMap={Object.fromEntries(WATCHABLE_CLASSES.map((c) => [c.value, c.label]))}
+      />
+      <div className="relative w-full sm:w-64">
+        <FormInput
+          name="watchlist-ticker"
+          value={ticker}
+          onChange={(e) => { setTicker(e.target.value.toUpperCase()); setName(''); setError(''); setShowSuggestions(true); }}
+          onFocus={() => setShowSuggestions(true)}
+          onBlur={() => setTimeout(() => setShowSuggestions(false), 200)}
+          placeholder={assetType === 'Crypto' ? 'e.g. SOL, DOGE' : 'e.g. MSFT, AMZN'}
+          error={error}
+          disabled={isAdding}
+        />
+        {showSuggestions && !name && (
+          <AssetDropdown
+            assets={suggestions}
+            onSelect={(asset) => {
+              if (asset.coinId) rememberCryptoInfo(asset.ticker, asset);
+              setTicker(asset.ticker);
+              setName(asset.name);
+              setShowSuggestions(false);
+            }}
+            title={ticker ? (isSearching ? 'Searching...' : null) : 'Popular'}
+          />
+        )}
+      </div>
+      <Button type="submit" icon="plus" loading={isAdding} disabled={!ticker.trim()}>Watch</Button>
+    </form>
+  );
+}
@@ -1,5 +1,5 @@
 // reusable asset dropdown component for ticker autocomplete
-// used in TransactionFormModal for both popular and search results
+// used in TransactionFormModal and the watchlist for popular and search results
 
 import React from 'react';
 import { getStockLogo } from '../../services/api';
@@ -20,7 +20,7 @@ export default function AssetDropdown({
       )}
       {assets.map((asset) => (
         <AssetDropdownItem 
-          key={asset.ticker} 
+          key={`${asset.type}:${asset.ticker}`} 
           asset={asset} 
           onSelect={onSelect} 
         />
@@ -50,10 +50,16 @@ function AssetDropdownItem({ asset, onSelect }) {
           <span className="text-xs text-[var(--text-secondary)] group-hover:text-[var(--text-primary)] transition-colors">
             {asset.name}
           </span>
+          {/* live search results carry the listing's exchange and currency */}
+          {(asset.exchange || asset.currency) && (
+            <span className="text-[10px] text-[var(--text-secondary)] block">
+              {[asset.exchange, asset.currency].filter(Boolean).join(' · ')}
+            </span>
+          )}
         </div>
       </div>
-      <span className="text-xs bg-[var(--bg-app)] px-2 py-0.5 rounded text-[var(--text-secondary)] border border-[var(--border-subtle)]">
-        {asset.type}
+      <span className="text-xs bg-[var(--bg-app)] px-2 py-0.5 rounded text-[var(--text-secondary)] border border-[var(--border-subtle)] whitespace-nowrap">
+        {asset.instrumentType || asset.type}
       </span>
     </li>
   );
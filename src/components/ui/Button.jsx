@@ -8,6 +8,10 @@ const VARIANTS = {
   primary: {
     base: 'bg-[var(--accent-blue)] text-white font-bold rounded-lg hover:bg-blue-600 transition-colors disabled:opacity-50',
   },
+  // outlined button for secondary actions next to a primary one (import, cancel, back)
+  secondary: {
+    base: 'border border-[var(--border-subtle)] text-[var(--text-secondary)] font-semibold rounded-lg hover:text-[var(--text-primary)] hover:bg-[var(--bg-card-hover)] transition-colors disabled:opacity-50',
+  },
 };
 
 const ICONS = {
@@ -25,6 +29,7 @@ export default function Button({
   fullWidth = false,
   size = 'md',
   className = '',
+  title,
 }) {
   const styles = VARIANTS[variant];
   
@@ -55,6 +60,7 @@ export default function Button({
       onClick={onClick}
       disabled={disabled || loading}
       className={buttonClass}
+      title={title}
     >
       {loading ? (
         <>
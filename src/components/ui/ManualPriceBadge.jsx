@@ -0,0 +1,16 @@
+// small "manual" pill next to a price that comes from a valuation or the last
+// trade instead of a live quote (see services/valuations)
+// used in PortfolioTable and AssetDetails
+
+import React from 'react';
+
+export default function ManualPriceBadge({ valuedAt }) {
+  return (
+    <span
+      className="inline-block px-1.5 py-0.5 rounded text-[10px] font-semibold uppercase tracking-wide border bg-amber-500/10 text-amber-500 border-amber-500/20"
+      title={valuedAt ? `Manual price, valued ${valuedAt}` : 'Manual price'}
+    >
+      manual
+    </span>
+  );
+}
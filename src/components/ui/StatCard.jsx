@@ -2,6 +2,7 @@
 // used in Dashboard for showing portfolio statistics
 
 import React from 'react';
+import { Info } from '@phosphor-icons/react';
 import { formatCurrency } from '../../services/utils';
 
 export default function StatCard({
@@ -11,6 +12,7 @@ export default function StatCard({
   subtitle,
   isPositive,
   hideValues = false,
+  tooltip,
 }) {
   // determine text color based on positive/negative
   const valueColorClass = isPositive !== undefined
@@ -40,8 +42,14 @@ export default function StatCard({
 
   return (
     <div className="bg-transparent sm:bg-[var(--bg-card)] p-0 sm:p-4 rounded-none sm:rounded-xl border-b border-[var(--border-subtle)] sm:border sm:border-[var(--border-subtle)] pb-4 mb-4 sm:mb-0 last:mb-0 last:border-b-0">
-      <div className="text-[var(--text-secondary)] text-[10px] sm:text-xs font-bold uppercase mb-1">
+      <div className="text-[var(--text-secondary)] text-[10px] sm:text-xs font-bold uppercase mb-1 flex items-center gap-1">
         {label}
+        {/* explanation on hover (native title tooltip) */}
+        {tooltip && (
+          <span title={tooltip} className="cursor-help normal-case">
+            <Info size={12} weight="bold" />
+          </span>
+        )}
       </div>
       <div className={`text-sm sm:text-lg font-bold ${valueColorClass} ${typeof value === 'string' ? '' : 'truncate'}`}>
         {displayValue}
@@ -1,38 +1,37 @@
-// reusable badge component for displaying Buy/Sell transaction types
+// reusable badge component for displaying transaction types (buy, sell, income, split, cash)
 // used in Dashboard and AssetDetails transaction tables
 
 import React from 'react';
 
+// [compact, default] classes per type
+const TYPE_STYLES = {
+  buy: ['text-green bg-green-900/20', 'bg-green-500/10 text-green-500 border-green-500/20'],
+  sell: ['text-red bg-red-900/20', 'bg-red-500/10 text-red-500 border-red-500/20'],
+  dividend: ['text-sky-400 bg-sky-900/20', 'bg-sky-500/10 text-sky-500 border-sky-500/20'],
+  interest: ['text-amber-400 bg-amber-900/20', 'bg-amber-500/10 text-amber-500 border-amber-500/20'],
+  staking: ['text-violet-400 bg-violet-900/20', 'bg-violet-500/10 text-violet-500 border-violet-500/20'],
+  split: ['text-slate-400 bg-slate-700/20', 'bg-slate-500/10 text-slate-400 border-slate-500/20'],
+  deposit: ['text-teal-400 bg-teal-900/20', 'bg-teal-500/10 text-teal-500 border-teal-500/20'],
+  withdrawal: ['text-orange-400 bg-orange-900/20', 'bg-orange-500/10 text-orange-500 border-orange-500/20'],
+};
+
 export default function TransactionTypeBadge({ type, variant = 'default' }) {
   // variant can be 'default' (for AssetDetails) or 'compact' (for Dashboard)
-  const isBuy = type === 'Buy' || type === 'buy';
-  
+  const [compactClass, defaultClass] = TYPE_STYLES[type?.toLowerCase()] || TYPE_STYLES.buy;
+
   if (variant === 'compact') {
     // compact style used in Dashboard transactions table
     return (
-      <span
-        className={`text-xs font-bold px-2 py-1 rounded ${
-          isBuy
-            ? 'text-green bg-green-900/20'
-            : 'text-red bg-red-900/20'
-        }`}
-      >
+      <span className={`text-xs font-bold px-2 py-1 rounded ${compactClass}`}>
         {type}
       </span>
     );
   }
-  
+
   // default style used in AssetDetails
   return (
-    <span
-      className={`inline-block px-2 py-0.5 rounded text-xs font-medium border ${
-        isBuy
-          ? 'bg-green-500/10 text-green-500 border-green-500/20'
-          : 'bg-red-500/10 text-red-500 border-red-500/20'
-      }`}
-    >
+    <span className={`inline-block px-2 py-0.5 rounded text-xs font-medium border ${defaultClass}`}>
       {type}
     </span>
   );
 }
-
@@ -0,0 +1,72 @@
+// asset classes stored in asset_class (see migration 014)
+// stocks and ETFs are priced by TwelveData and crypto by CoinGecko; the other
+// classes have no price feed and are valued from manual valuations (the last
+// trade price until one is entered)
+
+export const ASSET_CLASSES = [
+  { value: "Stock", label: "Stocks", feed: "stock" },
+  { value: "ETF", label: "ETFs", feed: "stock" },
+  { value: "Crypto", label: "Crypto", feed: "crypto" },
+  { value: "Bond", label: "Bonds", feed: null },
+  { value: "Option", label: "Options", feed: null },
+  { value: "Cash", label: "Cash", feed: null },
+  { value: "Other", label: "Real estate/Other", feed: null },
+];
+
+export const DEFAULT_ASSET_CLASS = "Stock";
+
+export const ASSET_CLASS_VALUES = ASSET_CLASSES.map((c) => c.value);
+
+// other names brokers and users give the classes (lowercased)
+const ASSET_CLASS_ALIASES = {
+  stock: "Stock",
+  stocks: "Stock",
+  equity: "Stock",
+  share: "Stock",
+  shares: "Stock",
+  etf: "ETF",
+  etfs: "ETF",
+  fund: "ETF",
+  crypto: "Crypto",
+  cryptocurrency: "Crypto",
+  bond: "Bond",
+  bonds: "Bond",
+  "fixed income": "Bond",
+  option: "Option",
+  options: "Option",
+  cash: "Cash",
+  "money market": "Cash",
+  other: "Other",
+  "real estate": "Other",
+  "real estate/other": "Other",
+  property: "Other",
+  custom: "Other",
+  manual: "Other",
+};
+
+/** any stored or imported value as a known class (unknown → Stock) */
+export const toAssetClass = (value) => {
+  if (typeof value !== "string") return DEFAULT_ASSET_CLASS;
+  const key = value.trim().replace(/\n/g, "").toLowerCase();
+  return ASSET_CLASS_ALIASES[key] || DEFAULT_ASSET_CLASS;
+};
+
+export const getAssetClassLabel = (assetType) =>
+  ASSET_CLASSES.find((c) => c.value === assetType)?.label || assetType;
+
+// "stock" (TwelveData), "crypto" (CoinGecko) or null for manually valued classes
+export const getPriceFeed = (assetType) =>
+  ASSET_CLASSES.find((c) => c.value === toAssetClass(assetType))?.feed ?? null;
+
+export const isManuallyPriced = (assetType) => getPriceFeed(assetType) === null;
+
+// what a quantity of the class is counted in ("shares", "units", or the coin)
+export const getUnitLabel = (assetType, ticker) => {
+  switch (toAssetClass(assetType)) {
+    case "Crypto": return ticker;
+    case "Stock":
+    case "ETF": return "shares";
+    case "Option": return "contracts";
+    default: return "units";
+  }
+};
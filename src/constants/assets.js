@@ -69,3 +69,10 @@ export const searchAssets = (query, assetType = null) => {
     return matchesType && matchesQuery;
   });
 };
+
+// benchmarks the performance chart can be compared against
+export const BENCHMARKS = [
+  { ticker: "SPY", name: "S&P 500 (SPY)", type: "Stock", color: "#f59e0b" },
+  { ticker: "QQQ", name: "Nasdaq 100 (QQQ)", type: "Stock", color: "#8b5cf6" },
+  { ticker: "BTC", name: "Bitcoin", type: "Crypto", color: "#ec4899" },
+];
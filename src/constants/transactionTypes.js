@@ -0,0 +1,85 @@
+// transaction types stored in transactions.type (see migrations 002, 006, 007 and 009)
+// income (dividends, interest, staking rewards) is paid either in cash or in
+// units of the asset:
+//   cash  - quantity is the dollar amount and price is 1
+//   units - quantity is the units received and price is their value per unit
+//           when received (that value becomes the new lot's cost basis)
+// a split is a corporate action: quantity is the ratio (new units per old
+// unit - 4 for a 4-for-1 split, 0.1 for a 1-for-10 reverse split), price is 0,
+// and every earlier lot is rescaled on its effective date
+// deposits and withdrawals move cash in and out of a portfolio: ticker is
+// the currency code of the cash (see migration 018), asset class is Cash,
+// quantity is the amount in that currency and price is 1
+
+export const SPLIT_TYPE = "Split";
+
+export const CASH_FLOW_TYPES = [
+  { value: "Deposit", label: "Deposit" },
+  { value: "Withdrawal", label: "Withdrawal" },
+];
+
+export const INCOME_TYPES = [
+  { value: "Dividend", label: "Dividend" },
+  { value: "Interest", label: "Interest" },
+  { value: "Staking", label: "Staking" },
+];
+
+export const INCOME_PAYOUTS = [
+  { value: "cash", label: "Cash" },
+  { value: "units", label: "Units" },
+];
+
+export const DEFAULT_INCOME_PAYOUT = "cash";
+
+// map any stored value to a known payout (unknown → cash)
+export const normalizeIncomePayout = (payout) =>
+  INCOME_PAYOUTS.some((p) => p.value === payout) ? payout : DEFAULT_INCOME_PAYOUT;
+
+const INCOME_TYPE_VALUES = new Set(INCOME_TYPES.map((t) => t.value.toLowerCase()));
+
+export const isIncomeType = (type) =>
+  typeof type === "string" && INCOME_TYPE_VALUES.has(type.toLowerCase());
+
+// income paid in units of the asset (rows without a payout are cash)
+export const isUnitIncome = (tx) => isIncomeType(tx?.type) && tx.payout === "units";
+
+// cash income has no meaningful quantity or price to display
+export const isCashIncome = (tx) => isIncomeType(tx?.type) && !isUnitIncome(tx);
+
+// dollar value of an income transaction (0 for buys and sells)
+export const getIncomeAmount = (tx) =>
+  isIncomeType(tx?.type) ? (Number(tx.quantity) || 0) * (Number(tx.price) || 0) : 0;
+
+export const isSplitType = (type) =>
+  typeof type === "string" && type.toLowerCase() === SPLIT_TYPE.toLowerCase();
+
+// new units per old unit (1 - no change - for anything that is not a split)
+export const getSplitRatio = (tx) => {
+  const ratio = Number(tx?.quantity);
+  return isSplitType(tx?.type) && ratio > 0 ? ratio : 1;
+};
+
+const CASH_FLOW_TYPE_VALUES = new Set(CASH_FLOW_TYPES.map((t) => t.value.toLowerCase()));
+
+export const isCashFlowType = (type) =>
+  typeof type === "string" && CASH_FLOW_TYPE_VALUES.has(type.toLowerCase());
+
+// quantity is a dollar amount: cash income, deposits and withdrawals
+export const isCashAmount = (tx) => isCashIncome(tx) || isCashFlowType(tx?.type);
+
+// quantity × price is a trade or unit income (not a cash amount or a split ratio)
+export const hasUnitPrice = (tx) => !isCashAmount(tx) && !isSplitType(tx?.type);
+
+// units held after applying a transaction to `held`
+export const applyQuantityChange = (held, tx) =>
+  isSplitType(tx?.type) ? held * getSplitRatio(tx) : held + getQuantityChange(tx);
+
+// signed change in units held: buys and unit income add, sells remove,
+// cash income and splits (which scale rather than add) leave it alone
+export const getQuantityChange = (tx) => {
+  const quantity = Number(tx?.quantity) || 0;
+  const type = tx?.type?.toLowerCase();
+  if (type === "buy" || isUnitIncome(tx)) return quantity;
+  if (type === "sell") return -quantity;
+  return 0;
+};
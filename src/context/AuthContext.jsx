@@ -144,6 +144,21 @@ export function AuthProvider({ children }) {
     queryClient.invalidateQueries({
       queryKey: ["transactions", PREVIEW_USER_ID],
     });
+    queryClient.invalidateQueries({
+      queryKey: ["portfolios", PREVIEW_USER_ID],
+    });
+    queryClient.invalidateQueries({
+      queryKey: ["priceAlerts", PREVIEW_USER_ID],
+    });
+    queryClient.invalidateQueries({
+      queryKey: ["watchlist", PREVIEW_USER_ID],
+    });
+    queryClient.invalidateQueries({
+      queryKey: ["allocationTargets", PREVIEW_USER_ID],
+    });
+    queryClient.invalidateQueries({
+      queryKey: ["valuations", PREVIEW_USER_ID],
+    });
   }, [queryClient]);
 
   const previewActive = isPreview && !session;
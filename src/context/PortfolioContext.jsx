@@ -0,0 +1,61 @@
+// which portfolio (account) the app is showing, shared by every page.
+// holds the raw choice only - a portfolio id or "all" - remembered per user in
+// localStorage; useSelectedPortfolio (hooks/usePortfolio.js) resolves it
+// against the user's portfolios
+
+import { createContext, useCallback, useContext, useMemo, useState } from "react";
+import { useAuth } from "./AuthContext";
+
+const PortfolioSelectionContext = createContext(null);
+
+const SELECTED_PORTFOLIO_KEY = "pt-selected-portfolio";
+
+// { [userId]: selection }
+function readSelections() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(SELECTED_PORTFOLIO_KEY));
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+export function PortfolioSelectionProvider({ children }) {
+  const { user } = useAuth();
+  const [selections, setSelections] = useState(readSelections);
+  const userKey = user?.id ?? "anonymous";
+
+  const setSelection = useCallback(
+    (selection) => {
+      setSelections((prev) => {
+        const next = { ...prev, [userKey]: selection };
+        try {
+          localStorage.setItem(SELECTED_PORTFOLIO_KEY, JSON.stringify(next));
+        } catch {
+          // storage unavailable - the choice lasts for this session only
+        }
+        return next;
+      });
+    },
+    [userKey]
+  );
+
+  const value = useMemo(
+    () => ({ selection: selections[userKey] ?? null, setSelection }),
+    [selections, userKey, setSelection]
+  );
+
+  return (
+    <PortfolioSelectionContext.Provider value={value}>
+      {children}
+    </PortfolioSelectionContext.Provider>
+  );
+}
+
+// context modules conventionally export the provider and its hook together
+// eslint-disable-next-line react-refresh/only-export-components
+export function usePortfolioSelection() {
+  const ctx = useContext(PortfolioSelectionContext);
+  if (!ctx) throw new Error("usePortfolioSelection must be used within PortfolioSelectionProvider");
+  return ctx;
+}
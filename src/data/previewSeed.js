@@ -2,6 +2,9 @@ import { CRYPTO_MAP } from "../constants/assets";
 
 export const PREVIEW_USER_ID = "preview";
 
+/** Sandbox accounts; every seed transaction lives in the first one. */
+export const PREVIEW_PORTFOLIOS = [{ id: "preview-main", name: "Main" }];
+
 /** Sample portfolio: mixed stocks/crypto, a sell so FIFO is visible, mixed PnL. */
 export const PREVIEW_TRANSACTIONS = [
   {
@@ -122,3 +125,32 @@ export const SNAPSHOT_PRICES = {
     name: CRYPTO_MAP.ETH.name,
   },
 };
+
+// company profiles of the seed stocks (the shape of fetchStockProfiles) for
+// the sector and region views
+export const SNAPSHOT_PROFILES = {
+  AAPL: { sector: "Technology", industry: "Consumer Electronics", country: "United States" },
+  NVDA: { sector: "Technology", industry: "Semiconductors", country: "United States" },
+  TSLA: { sector: "Consumer Cyclical", industry: "Auto Manufacturers", country: "United States" },
+};
+
+// units of each currency per 1 USD - the preview converts at these fixed
+// rates for every day, so it shows no FX gain
+export const SNAPSHOT_FX_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  SGD: 1.34,
+  JPY: 151.2,
+  CHF: 0.88,
+  CAD: 1.37,
+  AUD: 1.52,
+  HKD: 7.82,
+  NZD: 1.66,
+  SEK: 10.6,
+  NOK: 10.8,
+  DKK: 6.87,
+  CNY: 7.24,
+  INR: 83.4,
+  KRW: 1365,
+};
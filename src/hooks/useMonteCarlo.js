@@ -0,0 +1,46 @@
+// hook that runs a goal projection (simulateGoal params) in a Web Worker so
+// the page stays responsive while thousands of paths are simulated.
+// a new run starts shortly after the params stop changing; results of
+// superseded runs are dropped
+
+import { useEffect, useRef, useState } from 'react';
+
+// wait for typing in the assumption inputs to settle
+const DEBOUNCE_MS = 250;
+
+export function useMonteCarlo(params) {
+  const workerRef = useRef(null);
+  const requestRef = useRef(0);
+  // the result with the params it was computed for
+  const [run, setRun] = useState({ key: null, result: null, error: null });
+  const key = params ? JSON.stringify(params) : null;
+
+  useEffect(() => {
+    const worker = new Worker(new URL('../workers/monteCarlo.worker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    const worker = workerRef.current;
+    if (!key || !worker) return undefined;
+
+    const id = ++requestRef.current;
+    worker.onmessage = (event) => {
+      if (event.data.id !== requestRef.current) return;
+      setRun({ key, result: event.data.result ?? null, error: event.data.error ?? null });
+    };
+    const timer = setTimeout(() => worker.postMessage({ id, params: JSON.parse(key) }), DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [key]);
+
+  // the previous result stays up while the next one runs
+  return {
+    result: key ? run.result : null,
+    error: run.key === key ? run.error : null,
+    isRunning: key !== null && run.key !== key,
+  };
+}
@@ -1,39 +1,188 @@
-import { useMemo } from "react";
+import { useCallback, useEffect, useMemo } from "react";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import toast from "react-hot-toast";
 import {
   fetchTransactions,
   createTransaction,
+  createTransactions,
   updateTransaction,
   deleteTransaction,
   deleteTransactions,
+  fetchCostBasisPreferences,
+  saveCostBasisPreference,
+  fetchPortfolios,
+  createPortfolio,
+  deletePortfolio,
+  fetchPriceAlerts,
+  createPriceAlert,
+  updatePriceAlert,
+  deletePriceAlert,
+  fetchWatchlist,
+  addWatchlistItem,
+  removeWatchlistItem,
+  fetchAllocationTargets,
+  saveAllocationTargets,
+  fetchUserSettings,
+  saveUserSettings,
+  fetchValuations,
+  saveValuation,
+  deleteValuation,
+  fetchPortfolioSnapshots,
+  deletePortfolioSnapshotsFrom,
+  fetchAssetMetadata,
+  saveAssetMetadata,
+  deleteAssetMetadata,
+  fetchGoals,
+  createGoal,
+  updateGoal,
+  deleteGoal,
 } from "../services/supabaseDb";
-import { fetchStockPrices, fetchCryptoPrices } from "../services/api";
-import { normalizeAssetType } from "../services/utils";
+import {
+  fetchStockPrices,
+  fetchCryptoPrices,
+  fetchStockHistory,
+  fetchCryptoHistory,
+  fetchFxRates,
+  fetchStockProfiles,
+} from "../services/api";
+import { formatPrice, setDisplayCurrency } from "../services/utils";
+import {
+  DEFAULT_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  getQuoteCurrency,
+  getRequiredCurrencies,
+  createFxConverter,
+  toBaseCurrency,
+  convertPrices,
+  convertPriceHistory,
+} from "../services/currency";
+import { describeAlert, findTriggeredAlerts } from "../services/priceAlerts";
+import { getHistoryStarts } from "../services/portfolioHistory";
+import { mergeManualPrices, mergeManualPriceHistory } from "../services/valuations";
+import { splitBackupForRestore, remapLotSelections } from "../services/portfolioExport";
+import { isCashFlowType } from "../constants/transactionTypes";
+import { getPriceFeed } from "../constants/assetClasses";
 import { useAuth } from "../context/AuthContext";
+import { usePortfolioSelection } from "../context/PortfolioContext";
 import {
   loadTransactions as loadPreviewTransactions,
   createPreviewTransaction,
+  createPreviewTransactions,
+  replacePreviewTransactions,
   updatePreviewTransaction,
   deletePreviewTransaction,
   deletePreviewTransactions,
   getPreviewPrices,
+  loadPreviewCostBasis,
+  savePreviewCostBasisPreference,
+  loadPreviewPortfolios,
+  createPreviewPortfolio,
+  deletePreviewPortfolio,
+  loadPreviewAlerts,
+  createPreviewAlert,
+  updatePreviewAlert,
+  deletePreviewAlert,
+  loadPreviewWatchlist,
+  addPreviewWatchlistItem,
+  removePreviewWatchlistItem,
+  loadPreviewTargets,
+  savePreviewTargets,
+  loadPreviewSettings,
+  savePreviewSettings,
+  getPreviewFxRates,
+  loadPreviewValuations,
+  savePreviewValuation,
+  deletePreviewValuation,
+  loadPreviewAssetMetadata,
+  savePreviewAssetMetadata,
+  deletePreviewAssetMetadata,
+  getPreviewProfiles,
+  loadPreviewGoals,
+  createPreviewGoal,
+  updatePreviewGoal,
+  deletePreviewGoal,
 } from "../services/previewStore";
 
 // query keys - centralized for consistency
 // use sorted joined strings for stable keys with arrays
 // transactions are scoped per user so one user's cached data can never be
-// served to another account signing in within the same browser session
+// served to another account signing in within the same browser session,
+// and per portfolio so switching accounts never mixes their caches
+// (userTransactions is the prefix that matches every portfolio's cache)
 export const queryKeys = {
-  transactions: (userId) => ["transactions", userId ?? "anonymous"],
+  transactions: (userId, portfolioId) => [
+    "transactions",
+    userId ?? "anonymous",
+    portfolioId ?? ALL_PORTFOLIOS,
+  ],
+  userTransactions: (userId) => ["transactions", userId ?? "anonymous"],
+  portfolios: (userId) => ["portfolios", userId ?? "anonymous"],
   stockPrices: (tickers) => ["stockPrices", [...tickers].sort().join(",")],
   cryptoPrices: (tickers) => ["cryptoPrices", [...tickers].sort().join(",")],
+  // starts: { [ticker]: "YYYY-MM-DD" } → "AAPL@2024-01-02,MSFT@2023-05-01"
+  priceHistory: (kind, starts) => [
+    "priceHistory",
+    kind,
+    Object.entries(starts).map(([ticker, from]) => `${ticker}@${from}`).sort().join(","),
+  ],
+  costBasis: (userId) => ["costBasis", userId ?? "anonymous"],
+  priceAlerts: (userId) => ["priceAlerts", userId ?? "anonymous"],
+  watchlist: (userId) => ["watchlist", userId ?? "anonymous"],
+  allocationTargets: (userId) => ["allocationTargets", userId ?? "anonymous"],
+  userSettings: (userId) => ["userSettings", userId ?? "anonymous"],
+  valuations: (userId) => ["valuations", userId ?? "anonymous"],
+  assetMetadata: (userId) => ["assetMetadata", userId ?? "anonymous"],
+  goals: (userId) => ["goals", userId ?? "anonymous"],
+  stockProfiles: (tickers) => ["stockProfiles", [...tickers].sort().join(",")],
+  snapshots: (userId, portfolioId) => ["snapshots", userId ?? "anonymous", portfolioId ?? ALL_PORTFOLIOS],
+  userSnapshots: (userId) => ["snapshots", userId ?? "anonymous"],
+  fxRates: (base, currencies, from) => ["fxRates", base, [...currencies].sort().join(","), from ?? ""],
+  tickerSearch: (assetType, query) => ["tickerSearch", assetType.toLowerCase(), query.toUpperCase()],
 };
 
-/** Query key for the signed-in user's transactions. */
+// selection value of the "All accounts" aggregate view
+export const ALL_PORTFOLIOS = "all";
+
+/** Query key for the transactions of the selected portfolio (or all of them). */
 export function useTransactionsKey() {
   const { user } = useAuth();
-  return useMemo(() => queryKeys.transactions(user?.id), [user?.id]);
+  const { selectedPortfolioId } = useSelectedPortfolio();
+  return useMemo(
+    () => queryKeys.transactions(user?.id, selectedPortfolioId),
+    [user?.id, selectedPortfolioId]
+  );
+}
+
+// mutations refresh every portfolio's cache: the "All accounts" view and the
+// portfolio the transaction belongs to both change
+function useUserTransactionsKey() {
+  const { user } = useAuth();
+  return useMemo(() => queryKeys.userTransactions(user?.id), [user?.id]);
+}
+
+// a snapshot keeps the values of the day it was taken. once transactions of
+// that day or earlier change (an edit, a backdated add, a delete, an import or
+// a restore) it is stale: drop the snapshots from the earliest changed date on
+// so the chart recomputes those days. takes the changed transactions, before
+// and after the change; preview mode has no snapshots
+function useDropStaleSnapshots() {
+  const queryClient = useQueryClient();
+  const { user, isPreview } = useAuth();
+
+  return useCallback(
+    async (changed) => {
+      const dates = changed.map((tx) => tx?.date).filter(Boolean);
+      if (isPreview || dates.length === 0) return;
+      const from = dates.reduce((min, date) => (date < min ? date : min));
+      try {
+        await deletePortfolioSnapshotsFrom(from, changed.map((tx) => tx?.portfolioId));
+      } catch (err) {
+        toast.error(`Failed to refresh the performance history: ${err.message || "Unknown error"}`);
+      }
+      queryClient.invalidateQueries({ queryKey: queryKeys.userSnapshots(user?.id) });
+    },
+    [queryClient, user?.id, isPreview]
+  );
 }
 
 /** Data layer is ready: signed in to Supabase, or running in preview. */
@@ -42,51 +191,326 @@ export function useSupabaseReady() {
   return { isReady: Boolean(isPreview || (isConfigured && session)) };
 }
 
+// the user's portfolios (accounts), default one first
+export function usePortfolios() {
+  const { isReady } = useSupabaseReady();
+  const { user, isPreview } = useAuth();
+  const portfoliosKey = useMemo(() => queryKeys.portfolios(user?.id), [user?.id]);
+
+  return useQuery({
+    queryKey: portfoliosKey,
+    queryFn: async () => {
+      if (isPreview) return loadPreviewPortfolios();
+      return fetchPortfolios();
+    },
+    enabled: isReady,
+    staleTime: Infinity, // only changes through the portfolio mutations
+  });
+}
+
+/**
+ * the portfolio being viewed. selectedPortfolioId is null for "All accounts";
+ * a remembered portfolio that no longer exists falls back to the first one
+ */
+export function useSelectedPortfolio() {
+  const { data: portfolios = [], isLoading } = usePortfolios();
+  const { selection, setSelection } = usePortfolioSelection();
+
+  const selectedPortfolioId = useMemo(() => {
+    if (selection === ALL_PORTFOLIOS) return null;
+    if (portfolios.some((p) => p.id === selection)) return selection;
+    return portfolios[0]?.id ?? null;
+  }, [selection, portfolios]);
+
+  return {
+    portfolios,
+    isLoading,
+    selectedPortfolioId,
+    selectedPortfolio: portfolios.find((p) => p.id === selectedPortfolioId) ?? null,
+    isAllPortfolios: selectedPortfolioId === null,
+    // id, or ALL_PORTFOLIOS for the aggregate view
+    selectPortfolio: setSelection,
+  };
+}
+
 export function useTransactions() {
   const { isReady } = useSupabaseReady();
   const { isPreview } = useAuth();
+  const { selectedPortfolioId, isLoading: portfoliosLoading } = useSelectedPortfolio();
   const transactionsKey = useTransactionsKey();
 
   return useQuery({
     queryKey: transactionsKey,
     queryFn: async () => {
-      if (isPreview) return loadPreviewTransactions();
-      return fetchTransactions();
+      if (isPreview) return loadPreviewTransactions(selectedPortfolioId);
+      return fetchTransactions(selectedPortfolioId);
+    },
+    // wait for the portfolios so the remembered selection is resolved first
+    enabled: isReady && !portfoliosLoading,
+    staleTime: 5 * 60 * 1000,
+  });
+}
+
+/**
+ * Transactions of every portfolio, whichever one is selected. The transaction
+ * form checks sells and withdrawals against the portfolio a row is filed
+ * under, which need not be the one being viewed. Shares its cache with the
+ * "All accounts" view.
+ */
+export function useAllTransactions() {
+  const { isReady } = useSupabaseReady();
+  const { user, isPreview } = useAuth();
+
+  return useQuery({
+    queryKey: queryKeys.transactions(user?.id, null),
+    queryFn: async () => {
+      if (isPreview) return loadPreviewTransactions(null);
+      return fetchTransactions(null);
     },
     enabled: isReady,
     staleTime: 5 * 60 * 1000,
   });
 }
 
-// hook to fetch prices for all assets
-// separates stocks from crypto and fetches from appropriate APIs (TwelveData vs CoinGecko)
+// cost basis preferences { method, byTicker } - passed to every portfolio
+// calculation so charts, stats and tables use the same lot-matching method
+export function useCostBasis() {
+  const { isReady } = useSupabaseReady();
+  const { user, isPreview } = useAuth();
+  const costBasisKey = useMemo(() => queryKeys.costBasis(user?.id), [user?.id]);
+
+  const query = useQuery({
+    queryKey: costBasisKey,
+    queryFn: async () => {
+      if (isPreview) return loadPreviewCostBasis();
+      return fetchCostBasisPreferences();
+    },
+    enabled: isReady,
+    staleTime: Infinity, // only changes through useSetCostBasisMethod
+  });
+
+  return { costBasis: query.data ?? null, isLoading: query.isLoading };
+}
+
+// hook to change the account default (no ticker) or a per-asset method
+// ({ ticker, method: null } clears the override)
+export function useSetCostBasisMethod() {
+  const queryClient = useQueryClient();
+  const { user, isPreview } = useAuth();
+  const costBasisKey = useMemo(() => queryKeys.costBasis(user?.id), [user?.id]);
+
+  return useMutation({
+    mutationFn: async (preference) =>
+      isPreview
+        ? savePreviewCostBasisPreference(preference)
+        : saveCostBasisPreference(preference),
+    onMutate: async ({ ticker = null, method }) => {
+      await queryClient.cancelQueries({ queryKey: costBasisKey });
+
+      const previousCostBasis = queryClient.getQueryData(costBasisKey);
+
+      // optimistically switch so every view recalculates immediately
+      queryClient.setQueryData(costBasisKey, (old) => {
+        const next = { method: old?.method ?? null, byTicker: { ...(old?.byTicker || {}) } };
+        if (!ticker) next.method = method;
+        else if (method) next.byTicker[ticker] = method;
+        else delete next.byTicker[ticker];
+        return next;
+      });
+
+      return { previousCostBasis };
+    },
+    onError: (err, variables, context) => {
+      queryClient.setQueryData(costBasisKey, context.previousCostBasis);
+      toast.error(
+        `Failed to change cost basis method: ${err.message || "Unknown error"}`
+      );
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: costBasisKey });
+    },
+  });
+}
+
+// account settings ({ baseCurrency }) - values are converted to and shown in
+// the base currency (USD until the settings load, or when they fail to)
+export function useUserSettings() {
+  const { isReady } = useSupabaseReady();
+  const { user, isPreview } = useAuth();
+  const settingsKey = useMemo(() => queryKeys.userSettings(user?.id), [user?.id]);
+
+  const query = useQuery({
+    queryKey: settingsKey,
+    queryFn: () => (isPreview ? loadPreviewSettings() : fetchUserSettings()),
+    enabled: isReady,
+    staleTime: Infinity, // only changes through useSetBaseCurrency
+  });
+
+  return {
+    baseCurrency: query.data?.baseCurrency ?? DEFAULT_CURRENCY,
+    isLoading: query.isLoading,
+  };
+}
+
+/**
+ * Applies the base currency to the formatters' default (formatCurrency,
+ * getCurrencySymbol). Used once, at the top of the app: it follows the
+ * settings data of the signed-in user, so a cached settings hit, a user switch
+ * or a failed fetch always labels values in the currency they were converted
+ * to, and a change re-renders every route below it.
+ */
+export function useDisplayCurrency() {
+  const { baseCurrency } = useUserSettings();
+  // applied while rendering, before the views below format anything
+  setDisplayCurrency(baseCurrency);
+  return baseCurrency;
+}
+
+// hook to change the base currency values are converted to and shown in
+export function useSetBaseCurrency() {
+  const queryClient = useQueryClient();
+  const { user, isPreview } = useAuth();
+  const settingsKey = useMemo(() => queryKeys.userSettings(user?.id), [user?.id]);
+
+  return useMutation({
+    mutationFn: async (baseCurrency) =>
+      isPreview ? savePreviewSettings({ baseCurrency }) : saveUserSettings({ baseCurrency }),
+    onMutate: async (baseCurrency) => {
+      await queryClient.cancelQueries({ queryKey: settingsKey });
+
+      const previousSettings = queryClient.getQueryData(settingsKey);
+
+      queryClient.setQueryData(settingsKey, (old) => ({ ...(old || {}), baseCurrency }));
+
+      return { previousSettings };
+    },
+    onError: (err, variables, context) => {
+      queryClient.setQueryData(settingsKey, context.previousSettings);
+      toast.error(`Failed to change base currency: ${err.message || "Unknown error"}`);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: settingsKey });
+    },
+  });
+}
+
+// rates of `currencies` against the base, daily from `from` on
+function useFxRatesQuery(baseCurrency, currencies, from) {
+  const { isPreview } = useAuth();
+  return useQuery({
+    queryKey: queryKeys.fxRates(baseCurrency, currencies, isPreview ? null : from),
+    queryFn: () =>
+      isPreview
+        ? getPreviewFxRates(baseCurrency, currencies)
+        : fetchFxRates(baseCurrency, currencies, from),
+    enabled: currencies.length > 0,
+    staleTime: 60 * 60 * 1000, // 1 hour - reference rates are published once a day
+  });
+}
+
+// earliest transaction date, where daily rates have to start
+const getFirstDate = (transactions) =>
+  transactions.reduce((min, tx) => (tx.date && (!min || tx.date < min) ? tx.date : min), null);
+
+/**
+ * Converter to the base currency for every supported currency, with daily
+ * rates from the first of `transactions` on. For checks on money that is not
+ * in the views yet - a withdrawal being entered, a file being imported -
+ * which can be in any currency.
+ */
+export function useFxConverter(transactions = []) {
+  const { baseCurrency } = useUserSettings();
+  const currencies = useMemo(
+    () => SUPPORTED_CURRENCIES.filter((currency) => currency !== baseCurrency),
+    [baseCurrency]
+  );
+  const from = useMemo(() => getFirstDate(transactions), [transactions]);
+  const fxQuery = useFxRatesQuery(baseCurrency, currencies, from);
+  const converter = useMemo(() => createFxConverter(fxQuery.data, baseCurrency), [fxQuery.data, baseCurrency]);
+  return { converter, isLoading: fxQuery.isLoading };
+}
+
+/**
+ * Transactions, quotes and daily closes converted to the base currency, for
+ * every calculation that adds up values across assets. Transactions convert
+ * at the rate of their own day (from the first one on), quotes at the latest
+ * rate. Returns the converter too, for FX gains; `missingCurrencies` lists
+ * currencies without a rate (converted 1:1 until one is available).
+ */
+export function useBaseCurrencyValues(transactions = [], prices = {}, history = {}) {
+  const { baseCurrency } = useUserSettings();
+
+  const currencies = useMemo(
+    () => getRequiredCurrencies(transactions, prices, baseCurrency),
+    [transactions, prices, baseCurrency]
+  );
+  const from = useMemo(() => getFirstDate(transactions), [transactions]);
+
+  const fxQuery = useFxRatesQuery(baseCurrency, currencies, from);
+
+  const converted = useMemo(() => {
+    const converter = createFxConverter(fxQuery.data, baseCurrency);
+    const result = {
+      baseCurrency,
+      converter,
+      transactions: toBaseCurrency(transactions, converter),
+      prices: convertPrices(prices, converter),
+      history: convertPriceHistory(history, prices, converter),
+    };
+    return { ...result, missingCurrencies: fxQuery.isLoading ? [] : [...converter.missing] };
+  }, [fxQuery.data, fxQuery.isLoading, baseCurrency, transactions, prices, history]);
+
+  return { ...converted, isLoading: currencies.length > 0 && fxQuery.isLoading };
+}
+
+// hook to fetch prices for all assets plus the watchlist and asset targets
+// separates stocks and ETFs from crypto and fetches from appropriate APIs
+// (TwelveData vs CoinGecko), then merges in the manual prices: valuations
+// override the provider, and assets without a price feed or quoted at 0 fall
+// back to their last trade (see services/valuations for the precedence)
 export function usePrices(transactions = []) {
   const { isPreview } = useAuth();
+  const { data: watchlist } = useWatchlist();
+  const { data: targets } = useAllocationTargets();
+  const { data: valuations } = useValuations();
+  // deposits and withdrawals are cash (ticker = currency) - nothing to price;
+  // watchlist items and asset targets ({ ticker, assetType }) are priced in
+  // the same batch
+  const pricedTransactions = useMemo(
+    () => [
+      ...transactions.filter((tx) => !isCashFlowType(tx.type)),
+      ...(watchlist || []),
+      ...(targets || [])
+        .filter((target) => target.kind === "asset")
+        .map((target) => ({ ticker: target.key, assetType: target.assetType })),
+    ],
+    [transactions, watchlist, targets]
+  );
 
-  // extract unique stock tickers - memoized to prevent unnecessary re-renders
-  // filters out crypto, maps to tickers, removes duplicates with Set
+  // extract unique stock and ETF tickers - memoized to prevent unnecessary re-renders
+  // keeps the TwelveData classes, maps to tickers, removes duplicates with Set
   const stockTickers = useMemo(() => {
     return [
       ...new Set(
-        transactions
-          .filter((tx) => normalizeAssetType(tx.assetType) !== "Crypto")
+        pricedTransactions
+          .filter((tx) => getPriceFeed(tx.assetType) === "stock")
           .map((tx) => tx.ticker)
           .filter(Boolean) // remove empty/null tickers
       ),
     ];
-  }, [transactions]);
+  }, [pricedTransactions]);
 
   // extract unique crypto tickers - same pattern as stocks
   const cryptoTickers = useMemo(() => {
     return [
       ...new Set(
-        transactions
-          .filter((tx) => normalizeAssetType(tx.assetType) === "Crypto")
+        pricedTransactions
+          .filter((tx) => getPriceFeed(tx.assetType) === "crypto")
           .map((tx) => tx.ticker)
           .filter(Boolean)
       ),
     ];
-  }, [transactions]);
+  }, [pricedTransactions]);
 
   // create stable query keys - memoized to prevent unnecessary query refetches
   // query keys must be stable (same reference) for TanStack Query to cache properly
@@ -123,16 +547,24 @@ export function usePrices(transactions = []) {
   );
 
   // combine prices from both queries into a single object
-  // spread operator merges stock and crypto prices (tickers won't overlap)
+  // spread operator merges stock and crypto prices (tickers won't overlap),
+  // then the manual prices take over where the precedence rules say so
   const prices = useMemo(
     () =>
-      snapshotPrices ?? {
-        ...(stocksQuery.data || {}),
-        ...(cryptoQuery.data || {}),
-      },
-    [snapshotPrices, stocksQuery.data, cryptoQuery.data]
+      mergeManualPrices(
+        snapshotPrices ?? {
+          ...(stocksQuery.data || {}),
+          ...(cryptoQuery.data || {}),
+        },
+        transactions,
+        valuations || []
+      ),
+    [snapshotPrices, stocksQuery.data, cryptoQuery.data, transactions, valuations]
   );
 
+  // notify about alerts that the new prices trigger
+  usePriceAlertMonitor(prices);
+
   // determine loading state - only loading if tickers exist to fetch
   // if no tickers, queries are disabled and won't show loading
   const isLoading =
@@ -150,14 +582,127 @@ export function usePrices(transactions = []) {
   };
 }
 
+/**
+ * Daily closes since the first transaction of each held ticker, for the
+ * performance chart: { [ticker]: [[date, close], ...] }. Preview mode has no
+ * live APIs, so the chart values it at the snapshot prices instead. Assets
+ * without a price feed step through their trade prices and valuations, and
+ * valued assets follow their valuations from the first one on.
+ */
+export function usePriceHistory(transactions = []) {
+  const { isPreview } = useAuth();
+  const { data: valuations } = useValuations();
+  const starts = useMemo(() => getHistoryStarts(transactions), [transactions]);
+  const stockQueryKey = useMemo(() => queryKeys.priceHistory("stocks", starts.stocks), [starts]);
+  const cryptoQueryKey = useMemo(() => queryKeys.priceHistory("crypto", starts.crypto), [starts]);
+  const hasStocks = Object.keys(starts.stocks).length > 0;
+  const hasCrypto = Object.keys(starts.crypto).length > 0;
+
+  const stocksQuery = useQuery({
+    queryKey: stockQueryKey,
+    queryFn: () => fetchStockHistory(starts.stocks),
+    enabled: !isPreview && hasStocks,
+    staleTime: 60 * 60 * 1000, // 1 hour - daily closes change once a day
+  });
+
+  const cryptoQuery = useQuery({
+    queryKey: cryptoQueryKey,
+    queryFn: () => fetchCryptoHistory(starts.crypto),
+    enabled: !isPreview && hasCrypto,
+    staleTime: 60 * 60 * 1000,
+  });
+
+  const history = useMemo(
+    () =>
+      mergeManualPriceHistory(
+        { ...(stocksQuery.data || {}), ...(cryptoQuery.data || {}) },
+        transactions,
+        valuations || []
+      ),
+    [stocksQuery.data, cryptoQuery.data, transactions, valuations]
+  );
+
+  return {
+    history,
+    isLoading:
+      !isPreview &&
+      ((hasStocks && stocksQuery.isLoading) || (hasCrypto && cryptoQuery.isLoading)),
+  };
+}
+
+/**
+ * Daily closes of the selected benchmarks since `from` ("YYYY-MM-DD"), for the
+ * performance chart overlay. Goes through the same proxies and caches as the
+ * portfolio history; unavailable in preview mode (no live APIs).
+ */
+export function useBenchmarkHistory(benchmarks = [], from = null) {
+  return useAssetHistory(benchmarks, from);
+}
+
+/**
+ * Daily closes of any assets [{ ticker, type }] since `from`, e.g. a year of
+ * the current holdings for the correlation matrix (their own history only
+ * starts at the first trade). Assets without a price feed are left out.
+ */
+export function useAssetHistory(assets = [], from = null) {
+  const { isPreview } = useAuth();
+  const starts = useMemo(() => {
+    const result = { stocks: {}, crypto: {} };
+    if (!from) return result;
+    assets.forEach((a) => {
+      const feed = getPriceFeed(a.type);
+      if (feed) (feed === "crypto" ? result.crypto : result.stocks)[a.ticker] = from;
+    });
+    return result;
+  }, [assets, from]);
+  const hasStocks = Object.keys(starts.stocks).length > 0;
+  const hasCrypto = Object.keys(starts.crypto).length > 0;
+
+  const stocksQuery = useQuery({
+    queryKey: queryKeys.priceHistory("stocks", starts.stocks),
+    queryFn: () => fetchStockHistory(starts.stocks),
+    enabled: !isPreview && hasStocks,
+    staleTime: 60 * 60 * 1000,
+  });
+
+  const cryptoQuery = useQuery({
+    queryKey: queryKeys.priceHistory("crypto", starts.crypto),
+    queryFn: () => fetchCryptoHistory(starts.crypto),
+    enabled: !isPreview && hasCrypto,
+    staleTime: 60 * 60 * 1000,
+  });
+
+  const history = useMemo(
+    () => ({ ...(stocksQuery.data || {}), ...(cryptoQuery.data || {}) }),
+    [stocksQuery.data, cryptoQuery.data]
+  );
+
+  return {
+    history,
+    isAvailable: !isPreview,
+    isLoading: stocksQuery.isFetching || cryptoQuery.isFetching,
+  };
+}
+
 // hook to add a new transaction
 export function useAddTransaction() {
   const queryClient = useQueryClient();
   const transactionsKey = useTransactionsKey();
+  const userTransactionsKey = useUserTransactionsKey();
   const { isPreview } = useAuth();
 
+  const { selectedPortfolioId } = useSelectedPortfolio();
+
+  const dropStaleSnapshots = useDropStaleSnapshots();
+
+  // new transactions go to the portfolio being viewed unless the form picked one
+  const withPortfolio = (tx) => ({ ...tx, portfolioId: tx.portfolioId || selectedPortfolioId });
+
   return useMutation({
-    mutationFn: isPreview ? createPreviewTransaction : createTransaction,
+    mutationFn: (newTx) =>
+      isPreview
+        ? createPreviewTransaction(withPortfolio(newTx))
+        : createTransaction(withPortfolio(newTx)),
     onMutate: async (newTx) => {
       // cancel any outgoing refetches to prevent race conditions
       // race conditions = when multiple operations compete and interfere with each other
@@ -169,7 +714,7 @@ export function useAddTransaction() {
       // optimistically update UI with temporary id
       queryClient.setQueryData(transactionsKey, (old = []) => [
         ...old,
-        { ...newTx, id: "temp-" + Date.now() },
+        { ...withPortfolio(newTx), id: "temp-" + Date.now() },
       ]);
 
       return { previousTransactions };
@@ -181,12 +726,97 @@ export function useAddTransaction() {
         `Failed to add transaction: ${err.message || "Unknown error"}`
       );
     },
-    onSuccess: () => {
+    onSuccess: (created) => {
       toast.success("Transaction added successfully");
+      dropStaleSnapshots([created]);
     },
     onSettled: () => {
       // refetch to get the real data
-      queryClient.invalidateQueries({ queryKey: transactionsKey });
+      queryClient.invalidateQueries({ queryKey: userTransactionsKey });
+    },
+  });
+}
+
+// hook to bulk-insert transactions (CSV import) into the selected portfolio
+// no optimistic update: imports can be large and the refetch is cheap
+export function useImportTransactions() {
+  const queryClient = useQueryClient();
+  const userTransactionsKey = useUserTransactionsKey();
+  const { isPreview } = useAuth();
+
+  const { selectedPortfolioId } = useSelectedPortfolio();
+  const dropStaleSnapshots = useDropStaleSnapshots();
+
+  return useMutation({
+    mutationFn: async (transactions) => {
+      if (!selectedPortfolioId) throw new Error("Choose a portfolio to import into");
+      const rows = transactions.map((tx) => ({ ...tx, portfolioId: selectedPortfolioId }));
+      return isPreview ? createPreviewTransactions(rows) : createTransactions(rows);
+    },
+    onError: (err) => {
+      toast.error(`Import failed: ${err.message || "Unknown error"}`);
+    },
+    onSuccess: (created) => {
+      toast.success(`Imported ${created.length} transaction(s)`);
+      dropStaleSnapshots(created);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: userTransactionsKey });
+    },
+  });
+}
+
+// hook to replace the selected portfolio's transactions with the contents of
+// a JSON backup. inserts the restored rows before deleting the old ones, so a
+// failed insert never leaves the portfolio empty, and removes them again when
+// a step fails so the portfolio never holds both. buys go in before the sells
+// so specific-lot sells can be pointed at the new ids of the lots they picked
+export function useRestoreTransactions() {
+  const queryClient = useQueryClient();
+  const transactionsKey = useTransactionsKey();
+  const userTransactionsKey = useUserTransactionsKey();
+  const { isPreview } = useAuth();
+
+  const { selectedPortfolioId } = useSelectedPortfolio();
+  const dropStaleSnapshots = useDropStaleSnapshots();
+
+  return useMutation({
+    mutationFn: async ({ transactions, existingIds = [] }) => {
+      if (!selectedPortfolioId) throw new Error("Choose a portfolio to restore into");
+      if (isPreview) return replacePreviewTransactions(transactions, selectedPortfolioId);
+      const { lots, sells } = splitBackupForRestore(
+        transactions.map((tx) => ({ ...tx, portfolioId: selectedPortfolioId }))
+      );
+      const restoredLots = await createTransactions(lots);
+      let restoredSells;
+      try {
+        restoredSells = await createTransactions(remapLotSelections(sells, lots, restoredLots));
+      } catch (err) {
+        // take the buys back out so a retry doesn't duplicate them
+        await deleteTransactions(restoredLots.map((tx) => tx.id));
+        throw err;
+      }
+      const restored = [...restoredLots, ...restoredSells];
+      try {
+        await deleteTransactions(existingIds);
+      } catch (err) {
+        // the old rows are still there: take the backup back out so the
+        // portfolio isn't doubled and a retry starts from the same state
+        await deleteTransactions(restored.map((tx) => tx.id));
+        throw err;
+      }
+      return restored;
+    },
+    onMutate: () => ({ previousTransactions: queryClient.getQueryData(transactionsKey) }),
+    onError: (err) => {
+      toast.error(`Restore failed: ${err.message || "Unknown error"}`);
+    },
+    onSuccess: (restored, variables, context) => {
+      toast.success(`Restored ${restored.length} transaction(s) from backup`);
+      dropStaleSnapshots([...(context.previousTransactions ?? []), ...restored]);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: userTransactionsKey });
     },
   });
 }
@@ -195,7 +825,9 @@ export function useAddTransaction() {
 export function useUpdateTransaction() {
   const queryClient = useQueryClient();
   const transactionsKey = useTransactionsKey();
+  const userTransactionsKey = useUserTransactionsKey();
   const { isPreview } = useAuth();
+  const dropStaleSnapshots = useDropStaleSnapshots();
 
   return useMutation({
     mutationFn: ({ id, data }) =>
@@ -220,11 +852,13 @@ export function useUpdateTransaction() {
         `Failed to update transaction: ${err.message || "Unknown error"}`
       );
     },
-    onSuccess: () => {
+    onSuccess: (updated, { id, data }, context) => {
       toast.success("Transaction updated successfully");
+      const previous = context.previousTransactions?.find((tx) => tx.id === id);
+      dropStaleSnapshots([previous, { ...previous, ...data }]);
     },
     onSettled: () => {
-      queryClient.invalidateQueries({ queryKey: transactionsKey });
+      queryClient.invalidateQueries({ queryKey: userTransactionsKey });
     },
   });
 }
@@ -233,7 +867,9 @@ export function useUpdateTransaction() {
 export function useDeleteTransaction() {
   const queryClient = useQueryClient();
   const transactionsKey = useTransactionsKey();
+  const userTransactionsKey = useUserTransactionsKey();
   const { isPreview } = useAuth();
+  const dropStaleSnapshots = useDropStaleSnapshots();
 
   return useMutation({
     mutationFn: isPreview ? deletePreviewTransaction : deleteTransaction,
@@ -255,11 +891,12 @@ export function useDeleteTransaction() {
         `Failed to delete transaction: ${err.message || "Unknown error"}`
       );
     },
-    onSuccess: () => {
+    onSuccess: (result, id, context) => {
       toast.success("Transaction deleted");
+      dropStaleSnapshots([context.previousTransactions?.find((tx) => tx.id === id)]);
     },
     onSettled: () => {
-      queryClient.invalidateQueries({ queryKey: transactionsKey });
+      queryClient.invalidateQueries({ queryKey: userTransactionsKey });
     },
   });
 }
@@ -268,7 +905,9 @@ export function useDeleteTransaction() {
 export function useDeleteAsset() {
   const queryClient = useQueryClient();
   const transactionsKey = useTransactionsKey();
+  const userTransactionsKey = useUserTransactionsKey();
   const { isPreview } = useAuth();
+  const dropStaleSnapshots = useDropStaleSnapshots();
 
   return useMutation({
     mutationFn: async ({ ticker, transactionIds }) => {
@@ -295,11 +934,595 @@ export function useDeleteAsset() {
       queryClient.setQueryData(transactionsKey, context.previousTransactions);
       toast.error(`Failed to delete asset: ${err.message || "Unknown error"}`);
     },
-    onSuccess: ({ ticker, count }) => {
+    onSuccess: ({ ticker, count }, variables, context) => {
       toast.success(`Removed ${ticker} and ${count} transaction(s)`);
+      dropStaleSnapshots((context.previousTransactions ?? []).filter((tx) => tx.ticker === ticker));
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: userTransactionsKey });
+    },
+  });
+}
+
+// hook to add a portfolio (account); switches to it once created
+export function useCreatePortfolio() {
+  const queryClient = useQueryClient();
+  const { user, isPreview } = useAuth();
+  const { selectPortfolio } = useSelectedPortfolio();
+  const portfoliosKey = useMemo(() => queryKeys.portfolios(user?.id), [user?.id]);
+
+  return useMutation({
+    mutationFn: async (name) =>
+      isPreview ? createPreviewPortfolio(name) : createPortfolio(name),
+    onError: (err) => {
+      toast.error(`Failed to create portfolio: ${err.message || "Unknown error"}`);
+    },
+    onSuccess: (created) => {
+      queryClient.setQueryData(portfoliosKey, (old = []) => [...old, created]);
+      selectPortfolio(created.id);
+      toast.success(`Created portfolio "${created.name}"`);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: portfoliosKey });
+    },
+  });
+}
+
+// hook to delete a portfolio together with its transactions
+export function useDeletePortfolio() {
+  const queryClient = useQueryClient();
+  const { user, isPreview } = useAuth();
+  const portfoliosKey = useMemo(() => queryKeys.portfolios(user?.id), [user?.id]);
+  const userTransactionsKey = useUserTransactionsKey();
+
+  return useMutation({
+    mutationFn: async (portfolio) => {
+      if (isPreview) deletePreviewPortfolio(portfolio.id);
+      else await deletePortfolio(portfolio.id);
+      return portfolio;
+    },
+    onError: (err) => {
+      toast.error(`Failed to delete portfolio: ${err.message || "Unknown error"}`);
+    },
+    onSuccess: (portfolio) => {
+      // the selection falls back to the first remaining portfolio
+      queryClient.setQueryData(portfoliosKey, (old = []) => old.filter((p) => p.id !== portfolio.id));
+      toast.success(`Deleted portfolio "${portfolio.name}"`);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: portfoliosKey });
+      queryClient.invalidateQueries({ queryKey: userTransactionsKey });
+    },
+  });
+}
+
+// price alerts, newest first
+export function usePriceAlerts() {
+  const { isReady } = useSupabaseReady();
+  const { user, isPreview } = useAuth();
+  const alertsKey = useMemo(() => queryKeys.priceAlerts(user?.id), [user?.id]);
+
+  return useQuery({
+    queryKey: alertsKey,
+    queryFn: async () => {
+      if (isPreview) return loadPreviewAlerts();
+      return fetchPriceAlerts();
+    },
+    enabled: isReady,
+    staleTime: Infinity, // only changes through the alert mutations
+  });
+}
+
+// hook to add a price alert
+export function useCreatePriceAlert() {
+  const queryClient = useQueryClient();
+  const { user, isPreview } = useAuth();
+  const alertsKey = useMemo(() => queryKeys.priceAlerts(user?.id), [user?.id]);
+
+  return useMutation({
+    mutationFn: async (alert) =>
+      isPreview ? createPreviewAlert(alert) : createPriceAlert(alert),
+    onError: (err) => {
+      toast.error(`Failed to create alert: ${err.message || "Unknown error"}`);
+    },
+    onSuccess: (created) => {
+      queryClient.setQueryData(alertsKey, (old = []) => [created, ...old]);
+      toast.success(`Alert set: ${describeAlert(created)}`);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: alertsKey });
+    },
+  });
+}
+
+// hook to switch an alert off once it fires, or re-arm it ({ id, active, triggeredAt })
+export function useUpdatePriceAlert() {
+  const queryClient = useQueryClient();
+  const { user, isPreview } = useAuth();
+  const alertsKey = useMemo(() => queryKeys.priceAlerts(user?.id), [user?.id]);
+
+  return useMutation({
+    mutationFn: async ({ id, ...changes }) =>
+      isPreview ? updatePreviewAlert(id, changes) : updatePriceAlert(id, changes),
+    onMutate: async ({ id, active, triggeredAt = null }) => {
+      await queryClient.cancelQueries({ queryKey: alertsKey });
+
+      const previousAlerts = queryClient.getQueryData(alertsKey);
+
+      queryClient.setQueryData(alertsKey, (old = []) =>
+        old.map((alert) => (alert.id === id ? { ...alert, active, triggeredAt } : alert))
+      );
+
+      return { previousAlerts };
+    },
+    onError: (err, variables, context) => {
+      queryClient.setQueryData(alertsKey, context.previousAlerts);
+      toast.error(`Failed to update alert: ${err.message || "Unknown error"}`);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: alertsKey });
+    },
+  });
+}
+
+// hook to delete a price alert
+export function useDeletePriceAlert() {
+  const queryClient = useQueryClient();
+  const { user, isPreview } = useAuth();
+  const alertsKey = useMemo(() => queryKeys.priceAlerts(user?.id), [user?.id]);
+
+  return useMutation({
+    mutationFn: async (id) => (isPreview ? deletePreviewAlert(id) : deletePriceAlert(id)),
+    onMutate: async (id) => {
+      await queryClient.cancelQueries({ queryKey: alertsKey });
+
+      const previousAlerts = queryClient.getQueryData(alertsKey);
+
+      queryClient.setQueryData(alertsKey, (old = []) => old.filter((alert) => alert.id !== id));
+
+      return { previousAlerts };
+    },
+    onError: (err, variables, context) => {
+      queryClient.setQueryData(alertsKey, context.previousAlerts);
+      toast.error(`Failed to delete alert: ${err.message || "Unknown error"}`);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: alertsKey });
+    },
+  });
+}
+
+// in-app toast, plus a system notification when the user allowed them
+const notifyPriceAlert = (alert, quote) => {
+  const currency = getQuoteCurrency(quote);
+  const message = `${describeAlert(alert, currency)} - now ${formatPrice(quote.currentPrice, false, currency)}`;
+  toast.success(message, { duration: 8000 });
+  if (typeof Notification !== "undefined" && Notification.permission === "granted") {
+    try {
+      new Notification("Price alert", { body: message, tag: `price-alert-${alert.id}` });
+    } catch (error) {
+      // some mobile browsers only allow notifications from a service worker
+      console.warn("price alert notification failed", error);
+    }
+  }
+};
+
+// checks active alerts whenever prices change. alerts fire once: they are
+// switched off in the cache before notifying, so another mounted usePrices
+// (or the next refetch) can't fire the same alert again
+function usePriceAlertMonitor(prices) {
+  const queryClient = useQueryClient();
+  const { user } = useAuth();
+  const { data: alerts } = usePriceAlerts();
+  const { mutate: updateAlert } = useUpdatePriceAlert();
+
+  useEffect(() => {
+    const alertsKey = queryKeys.priceAlerts(user?.id);
+    const triggered = findTriggeredAlerts(queryClient.getQueryData(alertsKey), prices);
+    if (!triggered.length) return;
+
+    const triggeredAt = new Date().toISOString();
+    const firedIds = new Set(triggered.map((alert) => alert.id));
+    queryClient.setQueryData(alertsKey, (old = []) =>
+      old.map((alert) => (firedIds.has(alert.id) ? { ...alert, active: false, triggeredAt } : alert))
+    );
+
+    triggered.forEach((alert) => {
+      notifyPriceAlert(alert, prices[alert.ticker]);
+      updateAlert({ id: alert.id, active: false, triggeredAt });
+    });
+  }, [prices, alerts, user?.id, queryClient, updateAlert]);
+}
+
+// watchlist - assets followed without owning them
+export function useWatchlist() {
+  const { isReady } = useSupabaseReady();
+  const { user, isPreview } = useAuth();
+  const watchlistKey = useMemo(() => queryKeys.watchlist(user?.id), [user?.id]);
+
+  return useQuery({
+    queryKey: watchlistKey,
+    queryFn: async () => {
+      if (isPreview) return loadPreviewWatchlist();
+      return fetchWatchlist();
+    },
+    enabled: isReady,
+    staleTime: Infinity, // only changes through the watchlist mutations
+  });
+}
+
+// hook to add an asset to the watchlist ({ ticker, name, assetType })
+export function useAddToWatchlist() {
+  const queryClient = useQueryClient();
+  const { user, isPreview } = useAuth();
+  const watchlistKey = useMemo(() => queryKeys.watchlist(user?.id), [user?.id]);
+
+  return useMutation({
+    mutationFn: async (item) =>
+      isPreview ? addPreviewWatchlistItem(item) : addWatchlistItem(item),
+    onError: (err) => {
+      toast.error(`Failed to add to watchlist: ${err.message || "Unknown error"}`);
+    },
+    onSuccess: (created) => {
+      queryClient.setQueryData(watchlistKey, (old = []) => [...old, created]);
+      toast.success(`Watching ${created.ticker}`);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: watchlistKey });
+    },
+  });
+}
+
+// hook to remove an asset from the watchlist
+export function useRemoveFromWatchlist() {
+  const queryClient = useQueryClient();
+  const { user, isPreview } = useAuth();
+  const watchlistKey = useMemo(() => queryKeys.watchlist(user?.id), [user?.id]);
+
+  return useMutation({
+    mutationFn: async (id) =>
+      isPreview ? removePreviewWatchlistItem(id) : removeWatchlistItem(id),
+    onMutate: async (id) => {
+      await queryClient.cancelQueries({ queryKey: watchlistKey });
+
+      const previousWatchlist = queryClient.getQueryData(watchlistKey);
+
+      queryClient.setQueryData(watchlistKey, (old = []) => old.filter((item) => item.id !== id));
+
+      return { previousWatchlist };
+    },
+    onError: (err, variables, context) => {
+      queryClient.setQueryData(watchlistKey, context.previousWatchlist);
+      toast.error(`Failed to remove from watchlist: ${err.message || "Unknown error"}`);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: watchlistKey });
+    },
+  });
+}
+
+// allocation targets [{ kind, key, assetType, weight }] for drift and rebalancing
+export function useAllocationTargets() {
+  const { isReady } = useSupabaseReady();
+  const { user, isPreview } = useAuth();
+  const targetsKey = useMemo(() => queryKeys.allocationTargets(user?.id), [user?.id]);
+
+  return useQuery({
+    queryKey: targetsKey,
+    queryFn: async () => {
+      if (isPreview) return loadPreviewTargets();
+      return fetchAllocationTargets();
+    },
+    enabled: isReady,
+    staleTime: Infinity, // only changes through useSaveAllocationTargets
+  });
+}
+
+// hook to replace the allocation targets with a new set
+export function useSaveAllocationTargets() {
+  const queryClient = useQueryClient();
+  const { user, isPreview } = useAuth();
+  const targetsKey = useMemo(() => queryKeys.allocationTargets(user?.id), [user?.id]);
+
+  return useMutation({
+    mutationFn: async (targets) =>
+      isPreview ? savePreviewTargets(targets) : saveAllocationTargets(targets),
+    onMutate: async (targets) => {
+      await queryClient.cancelQueries({ queryKey: targetsKey });
+
+      const previousTargets = queryClient.getQueryData(targetsKey);
+
+      queryClient.setQueryData(targetsKey, targets);
+
+      return { previousTargets };
+    },
+    onError: (err, variables, context) => {
+      queryClient.setQueryData(targetsKey, context.previousTargets);
+      toast.error(`Failed to save targets: ${err.message || "Unknown error"}`);
+    },
+    onSuccess: () => {
+      toast.success("Targets saved");
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: targetsKey });
+    },
+  });
+}
+
+// daily snapshots of the selected portfolio (or every portfolio combined),
+// oldest first: [{ date, currency, totalValue, costBasis, cashBalance, holdings }].
+// recorded server-side once a day; none in preview mode
+export function usePortfolioSnapshots() {
+  const { isReady } = useSupabaseReady();
+  const { user, isPreview } = useAuth();
+  const { selectedPortfolioId, isLoading: portfoliosLoading } = useSelectedPortfolio();
+
+  return useQuery({
+    queryKey: queryKeys.snapshots(user?.id, selectedPortfolioId),
+    queryFn: () => fetchPortfolioSnapshots(selectedPortfolioId),
+    enabled: isReady && !isPreview && !portfoliosLoading,
+    staleTime: 60 * 60 * 1000, // a new snapshot is taken once a day
+  });
+}
+
+// manual valuations [{ id, ticker, assetType, price, currency, date, note }],
+// oldest first: the prices of assets without a price feed and overrides of
+// provider quotes
+export function useValuations() {
+  const { isReady } = useSupabaseReady();
+  const { user, isPreview } = useAuth();
+  const valuationsKey = useMemo(() => queryKeys.valuations(user?.id), [user?.id]);
+
+  return useQuery({
+    queryKey: valuationsKey,
+    queryFn: async () => {
+      if (isPreview) return loadPreviewValuations();
+      return fetchValuations();
+    },
+    enabled: isReady,
+    staleTime: Infinity, // only changes through the valuation mutations
+  });
+}
+
+// hook to record a valuation ({ ticker, assetType, price, currency, date, note });
+// a second one for the same asset and day replaces the first
+export function useSaveValuation() {
+  const queryClient = useQueryClient();
+  const { user, isPreview } = useAuth();
+  const valuationsKey = useMemo(() => queryKeys.valuations(user?.id), [user?.id]);
+
+  return useMutation({
+    mutationFn: async (valuation) =>
+      isPreview ? savePreviewValuation(valuation) : saveValuation(valuation),
+    onError: (err) => {
+      toast.error(`Failed to save valuation: ${err.message || "Unknown error"}`);
+    },
+    onSuccess: (saved) => {
+      queryClient.setQueryData(valuationsKey, (old = []) =>
+        [...old.filter((v) => !(v.ticker === saved.ticker && v.date === saved.date)), saved]
+          .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0))
+      );
+      toast.success(`Valued ${saved.ticker} at ${formatPrice(saved.price, false, saved.currency)}`);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: valuationsKey });
+    },
+  });
+}
+
+// hook to delete a valuation
+export function useDeleteValuation() {
+  const queryClient = useQueryClient();
+  const { user, isPreview } = useAuth();
+  const valuationsKey = useMemo(() => queryKeys.valuations(user?.id), [user?.id]);
+
+  return useMutation({
+    mutationFn: async (id) =>
+      isPreview ? deletePreviewValuation(id) : deleteValuation(id),
+    onMutate: async (id) => {
+      await queryClient.cancelQueries({ queryKey: valuationsKey });
+
+      const previousValuations = queryClient.getQueryData(valuationsKey);
+
+      queryClient.setQueryData(valuationsKey, (old = []) => old.filter((v) => v.id !== id));
+
+      return { previousValuations };
+    },
+    onError: (err, variables, context) => {
+      queryClient.setQueryData(valuationsKey, context.previousValuations);
+      toast.error(`Failed to delete valuation: ${err.message || "Unknown error"}`);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: valuationsKey });
+    },
+  });
+}
+
+// company profiles { [ticker]: { sector, industry, country } } of the stocks
+// and ETFs among the assets ({ ticker, assetType }); the ones the provider
+// doesn't cover are missing. preview mode uses the seed profiles
+export function useStockProfiles(assets = []) {
+  const { isPreview } = useAuth();
+  const tickers = useMemo(
+    () => [...new Set(assets.filter((a) => getPriceFeed(a.assetType) === "stock").map((a) => a.ticker).filter(Boolean))],
+    [assets]
+  );
+
+  const query = useQuery({
+    queryKey: queryKeys.stockProfiles(tickers),
+    queryFn: () => fetchStockProfiles(tickers),
+    enabled: !isPreview && tickers.length > 0,
+    staleTime: 24 * 60 * 60 * 1000, // profiles hardly change; api.js caches them for 30 days
+  });
+
+  const profiles = useMemo(() => {
+    if (!isPreview) return query.data || {};
+    return getPreviewProfiles(tickers);
+  }, [isPreview, query.data, tickers]);
+
+  return { profiles, isLoading: !isPreview && tickers.length > 0 && query.isLoading };
+}
+
+// manual asset classifications [{ id, ticker, assetType, sector, industry,
+// country, marketCap }], one per ticker: overrides of the provider's profile
+export function useAssetMetadata() {
+  const { isReady } = useSupabaseReady();
+  const { user, isPreview } = useAuth();
+  const metadataKey = useMemo(() => queryKeys.assetMetadata(user?.id), [user?.id]);
+
+  return useQuery({
+    queryKey: metadataKey,
+    queryFn: async () => {
+      if (isPreview) return loadPreviewAssetMetadata();
+      return fetchAssetMetadata();
+    },
+    enabled: isReady,
+    staleTime: Infinity, // only changes through the metadata mutations
+  });
+}
+
+// hook to save an asset's classification ({ ticker, assetType, sector,
+// industry, country, marketCap }), replacing the previous one
+export function useSaveAssetMetadata() {
+  const queryClient = useQueryClient();
+  const { user, isPreview } = useAuth();
+  const metadataKey = useMemo(() => queryKeys.assetMetadata(user?.id), [user?.id]);
+
+  return useMutation({
+    mutationFn: async (metadata) =>
+      isPreview ? savePreviewAssetMetadata(metadata) : saveAssetMetadata(metadata),
+    onError: (err) => {
+      toast.error(`Failed to save classification: ${err.message || "Unknown error"}`);
+    },
+    onSuccess: (saved) => {
+      queryClient.setQueryData(metadataKey, (old = []) =>
+        [...old.filter((m) => m.ticker !== saved.ticker), saved].sort((a, b) => a.ticker.localeCompare(b.ticker))
+      );
+      toast.success(`Saved classification of ${saved.ticker}`);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: metadataKey });
+    },
+  });
+}
+
+// hook to delete an asset's classification (back to the provider's profile)
+export function useDeleteAssetMetadata() {
+  const queryClient = useQueryClient();
+  const { user, isPreview } = useAuth();
+  const metadataKey = useMemo(() => queryKeys.assetMetadata(user?.id), [user?.id]);
+
+  return useMutation({
+    mutationFn: async (id) =>
+      isPreview ? deletePreviewAssetMetadata(id) : deleteAssetMetadata(id),
+    onMutate: async (id) => {
+      await queryClient.cancelQueries({ queryKey: metadataKey });
+
+      const previousMetadata = queryClient.getQueryData(metadataKey);
+
+      queryClient.setQueryData(metadataKey, (old = []) => old.filter((m) => m.id !== id));
+
+      return { previousMetadata };
+    },
+    onError: (err, variables, context) => {
+      queryClient.setQueryData(metadataKey, context.previousMetadata);
+      toast.error(`Failed to reset classification: ${err.message || "Unknown error"}`);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: metadataKey });
+    },
+  });
+}
+
+// savings goals [{ id, name, targetAmount, targetDate, monthlyContribution }]
+// in the base currency, nearest target date first
+export function useGoals() {
+  const { isReady } = useSupabaseReady();
+  const { user, isPreview } = useAuth();
+  const goalsKey = useMemo(() => queryKeys.goals(user?.id), [user?.id]);
+
+  return useQuery({
+    queryKey: goalsKey,
+    queryFn: async () => {
+      if (isPreview) return loadPreviewGoals();
+      return fetchGoals();
+    },
+    enabled: isReady,
+    staleTime: Infinity, // only changes through the goal mutations
+  });
+}
+
+const byTargetDate = (a, b) => (a.targetDate < b.targetDate ? -1 : a.targetDate > b.targetDate ? 1 : 0);
+
+// hook to add a goal ({ name, targetAmount, targetDate, monthlyContribution })
+export function useCreateGoal() {
+  const queryClient = useQueryClient();
+  const { user, isPreview } = useAuth();
+  const goalsKey = useMemo(() => queryKeys.goals(user?.id), [user?.id]);
+
+  return useMutation({
+    mutationFn: async (goal) =>
+      isPreview ? createPreviewGoal(goal) : createGoal(goal),
+    onError: (err) => {
+      toast.error(`Failed to create goal: ${err.message || "Unknown error"}`);
+    },
+    onSuccess: (created) => {
+      queryClient.setQueryData(goalsKey, (old = []) => [...old, created].sort(byTargetDate));
+      toast.success(`Goal added: ${created.name}`);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: goalsKey });
+    },
+  });
+}
+
+// hook to edit a goal ({ id, ...goal })
+export function useUpdateGoal() {
+  const queryClient = useQueryClient();
+  const { user, isPreview } = useAuth();
+  const goalsKey = useMemo(() => queryKeys.goals(user?.id), [user?.id]);
+
+  return useMutation({
+    mutationFn: async ({ id, ...goal }) =>
+      isPreview ? updatePreviewGoal(id, goal) : updateGoal(id, goal),
+    onError: (err) => {
+      toast.error(`Failed to update goal: ${err.message || "Unknown error"}`);
+    },
+    onSuccess: (updated) => {
+      queryClient.setQueryData(goalsKey, (old = []) =>
+        old.map((goal) => (goal.id === updated.id ? updated : goal)).sort(byTargetDate)
+      );
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: goalsKey });
+    },
+  });
+}
+
+// hook to delete a goal
+export function useDeleteGoal() {
+  const queryClient = useQueryClient();
+  const { user, isPreview } = useAuth();
+  const goalsKey = useMemo(() => queryKeys.goals(user?.id), [user?.id]);
+
+  return useMutation({
+    mutationFn: async (id) =>
+      isPreview ? deletePreviewGoal(id) : deleteGoal(id),
+    onMutate: async (id) => {
+      await queryClient.cancelQueries({ queryKey: goalsKey });
+
+      const previousGoals = queryClient.getQueryData(goalsKey);
+
+      queryClient.setQueryData(goalsKey, (old = []) => old.filter((goal) => goal.id !== id));
+
+      return { previousGoals };
+    },
+    onError: (err, variables, context) => {
+      queryClient.setQueryData(goalsKey, context.previousGoals);
+      toast.error(`Failed to delete goal: ${err.message || "Unknown error"}`);
     },
     onSettled: () => {
-      queryClient.invalidateQueries({ queryKey: transactionsKey });
+      queryClient.invalidateQueries({ queryKey: goalsKey });
     },
   });
 }
@@ -0,0 +1,40 @@
+// risk panel settings shared by the dashboard and the asset pages:
+// the risk-free rate for the Sharpe ratio (yearly, in percent) and the
+// benchmark beta is measured against. remembered in localStorage
+
+import { useCallback, useState } from 'react';
+import { BENCHMARKS } from '../constants/assets';
+
+const RISK_SETTINGS_KEY = 'pt-risk-settings';
+
+export const DEFAULT_RISK_SETTINGS = { riskFreeRate: 4, benchmark: BENCHMARKS[0].ticker };
+
+function readSettings() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(RISK_SETTINGS_KEY));
+    const settings = { ...DEFAULT_RISK_SETTINGS, ...(parsed && typeof parsed === 'object' ? parsed : {}) };
+    if (!Number.isFinite(settings.riskFreeRate)) settings.riskFreeRate = DEFAULT_RISK_SETTINGS.riskFreeRate;
+    if (!BENCHMARKS.some((b) => b.ticker === settings.benchmark)) settings.benchmark = DEFAULT_RISK_SETTINGS.benchmark;
+    return settings;
+  } catch {
+    return DEFAULT_RISK_SETTINGS;
+  }
+}
+
+export function useRiskSettings() {
+  const [settings, setSettings] = useState(readSettings);
+
+  const updateSettings = useCallback((changes) => {
+    setSettings((prev) => {
+      const next = { ...prev, ...changes };
+      try {
+        localStorage.setItem(RISK_SETTINGS_KEY, JSON.stringify(next));
+      } catch {
+        // storage unavailable - the settings last for this session only
+      }
+      return next;
+    });
+  }, []);
+
+  return { ...settings, updateSettings };
+}
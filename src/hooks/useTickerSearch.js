@@ -0,0 +1,50 @@
+// custom hook for ticker autocomplete
+// live provider search (debounced, cached) with the static popular list as
+// the fallback while typing, offline, in preview mode or when the API fails
+
+import { useEffect, useMemo, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { searchSymbols } from '../services/api';
+import { searchAssets } from '../constants/assets';
+import { useAuth } from '../context/AuthContext';
+import { queryKeys } from './usePortfolio';
+
+const DEBOUNCE_MS = 300;
+
+function useDebouncedValue(value, delay) {
+  const [debounced, setDebounced] = useState(value);
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+  return debounced;
+}
+
+export function useTickerSearch(query, assetType = 'stock') {
+  const { isPreview } = useAuth();
+  const term = query?.trim() || '';
+  const debouncedTerm = useDebouncedValue(term, DEBOUNCE_MS);
+  const isOnline = typeof navigator === 'undefined' || navigator.onLine !== false;
+
+  const staticResults = useMemo(
+    () => (term ? searchAssets(term, assetType) : []),
+    [term, assetType]
+  );
+
+  const searchQuery = useQuery({
+    queryKey: queryKeys.tickerSearch(assetType, debouncedTerm),
+    queryFn: () => searchSymbols(debouncedTerm, assetType),
+    enabled: !isPreview && isOnline && debouncedTerm.length > 0,
+    staleTime: 60 * 60 * 1000, // api.js keeps results for a day as well
+    retry: false, // the static list covers failures
+  });
+
+  // live results only once they match what's typed, so a stale query never
+  // replaces the instant static matches
+  const liveResults = debouncedTerm === term && searchQuery.data?.length ? searchQuery.data : null;
+
+  return {
+    results: liveResults ?? staticResults,
+    isSearching: term.length > 0 && (term !== debouncedTerm || searchQuery.isFetching),
+  };
+}
@@ -1,49 +1,85 @@
 // custom hook for managing transaction modal state
 // reduces code duplication between Dashboard and AssetDetails
 
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useRef } from 'react';
 import { useAddTransaction, useUpdateTransaction } from './usePortfolio';
 
+// pre-fill with asset info (from table row or asset details page), plus
+// the order details of a draft (e.g. a rebalancing order) when given
+const toNewTransaction = (assetData) => {
+  const draft = {};
+  ['type', 'quantity', 'price', 'currency', 'date', 'time'].forEach((field) => {
+    if (assetData[field] != null) draft[field] = assetData[field];
+  });
+  return {
+    ticker: assetData.ticker || assetData,
+    name: assetData.name,
+    assetType: assetData.assetType,
+    logo: assetData.logo,
+    ...draft,
+    isNew: true,
+  };
+};
+
 export function useTransactionModal() {
   const [isFormOpen, setIsFormOpen] = useState(false);
   const [editingTransaction, setEditingTransaction] = useState(null);
+  // drafts waiting behind the open one, and how many the review started with
+  const [queuedDrafts, setQueuedDrafts] = useState([]);
+  const [draftCount, setDraftCount] = useState(0);
+  // set when the open form was saved, so closing it moves on to the next draft
+  const savedRef = useRef(false);
   
   const addTransaction = useAddTransaction();
   const updateTransaction = useUpdateTransaction();
 
   // open modal for adding a new transaction
   const openAddModal = useCallback((assetData = null) => {
-    if (assetData) {
-      // pre-fill with asset info (from table row or asset details page)
-      setEditingTransaction({
-        ticker: assetData.ticker || assetData,
-        name: assetData.name,
-        assetType: assetData.assetType,
-        logo: assetData.logo,
-        isNew: true,
-      });
-    } else {
-      setEditingTransaction(null);
-    }
+    setEditingTransaction(assetData ? toNewTransaction(assetData) : null);
+    setQueuedDrafts([]);
+    setDraftCount(0);
+    setIsFormOpen(true);
+  }, []);
+
+  // open the form for each draft in turn (e.g. every rebalancing order), so
+  // each one can be adjusted and goes through the form's checks. saving one
+  // opens the next; closing the form without saving ends the review
+  const openDraftReview = useCallback((drafts) => {
+    if (!drafts.length) return;
+    setEditingTransaction(toNewTransaction(drafts[0]));
+    setQueuedDrafts(drafts.slice(1));
+    setDraftCount(drafts.length);
     setIsFormOpen(true);
   }, []);
 
   // open modal for editing an existing transaction
   const openEditModal = useCallback((transaction) => {
     setEditingTransaction(transaction);
+    setQueuedDrafts([]);
+    setDraftCount(0);
     setIsFormOpen(true);
   }, []);
 
-  // close modal and reset state
+  // close modal and reset state, or move on to the next draft after a save
   const closeModal = useCallback(() => {
+    const saved = savedRef.current;
+    savedRef.current = false;
+    if (saved && queuedDrafts.length > 0) {
+      setEditingTransaction(toNewTransaction(queuedDrafts[0]));
+      setQueuedDrafts(queuedDrafts.slice(1));
+      return;
+    }
     setIsFormOpen(false);
     setEditingTransaction(null);
-  }, []);
+    setQueuedDrafts([]);
+    setDraftCount(0);
+  }, [queuedDrafts]);
 
   // handle adding a new transaction
   // mutateAsync so the modal awaits the server result and stays open on failure
   const handleAddTransaction = useCallback(async (newTx) => {
     await addTransaction.mutateAsync(newTx);
+    savedRef.current = true;
   }, [addTransaction]);
 
   // handle updating an existing transaction
@@ -68,9 +104,12 @@ export function useTransactionModal() {
     editingTransaction,
     isEditMode,
     openAddModal,
+    openDraftReview,
     openEditModal,
     closeModal,
     handleSubmit,
+    // { current, total } while reviewing drafts, otherwise null
+    draftProgress: draftCount > 0 ? { current: draftCount - queuedDrafts.length, total: draftCount } : null,
     isPending: addTransaction.isPending || updateTransaction.isPending,
   };
 }
@@ -6,6 +6,7 @@ import './index.css'
 import App from './App.jsx'
 import ErrorBoundary from './ErrorBoundary.jsx'
 import { AuthProvider } from './context/AuthContext.jsx'
+import { PortfolioSelectionProvider } from './context/PortfolioContext.jsx'
 
 // initialize theme on page load
 const initializeTheme = () => {
@@ -40,6 +41,7 @@ createRoot(document.getElementById('root')).render(
   <StrictMode>
     <QueryClientProvider client={queryClient}>
       <AuthProvider>
+      <PortfolioSelectionProvider>
       <ErrorBoundary>
         <App />
         <Toaster 
@@ -69,6 +71,7 @@ createRoot(document.getElementById('root')).render(
           }}
         />
       </ErrorBoundary>
+      </PortfolioSelectionProvider>
       </AuthProvider>
     </QueryClientProvider>
   </StrictMode>,
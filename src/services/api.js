@@ -1,7 +1,7 @@
 // api services for fetching stock and crypto prices
 // uses centralized caching utilities for localStorage
 
-import { setToCache, getAnyCached, getCachedBatch, getSimpleCache, setSimpleCache } from './cache';
+import { getFromCache, setToCache, getAnyCached, getCachedBatch, getSimpleCache, setSimpleCache } from './cache';
 import { CRYPTO_MAP } from '../constants/assets';
 import { getSupabase } from '../lib/supabaseClient';
 
@@ -26,15 +26,41 @@ const authHeaders = async () => {
 const CACHE_KEY_STOCKS = "portfolio_price_cache_stocks";
 const CACHE_KEY_CRYPTO = "portfolio_price_cache_crypto";
 const CRYPTO_INFO_CACHE_KEY = "portfolio_crypto_info_cache";
+const CACHE_KEY_STOCK_HISTORY = "portfolio_price_history_stocks";
+const CACHE_KEY_CRYPTO_HISTORY = "portfolio_price_history_crypto";
+const CACHE_KEY_SYMBOL_SEARCH = "portfolio_symbol_search_cache";
+const CACHE_KEY_FX_RATES = "portfolio_fx_rates";
+const CACHE_KEY_STOCK_PROFILES = "portfolio_stock_profiles";
+// listed symbols hardly change
+const SEARCH_CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+const SEARCH_RESULT_LIMIT = 10;
+// reference rates are published once per working day
+const FX_CACHE_DURATION = 6 * 60 * 60 * 1000; // 6 hours
+// daily closes only change once a day
+const HISTORY_CACHE_DURATION = 6 * 60 * 60 * 1000; // 6 hours
+// sector and country hardly ever change
+const PROFILE_CACHE_DURATION = 30 * 24 * 60 * 60 * 1000; // 30 days
+// CoinGecko's free/demo plans only serve the past year of daily data
+const COINGECKO_MAX_HISTORY_DAYS = 365;
 
 // API request counter - tracks API requests for debugging and monitoring
 const apiRequestCounter = {
   twelveData: 0,
   coinGecko: 0,
   coinGeckoSearch: 0,
+  twelveDataSearch: 0,
+  twelveDataHistory: 0,
+  twelveDataProfile: 0,
+  coinGeckoHistory: 0,
+  fx: 0,
   sessionStart: new Date().toISOString(),
 };
 
+const countRequests = () =>
+  apiRequestCounter.twelveData + apiRequestCounter.coinGecko + apiRequestCounter.coinGeckoSearch +
+  apiRequestCounter.twelveDataSearch + apiRequestCounter.twelveDataHistory + apiRequestCounter.coinGeckoHistory +
+  apiRequestCounter.twelveDataProfile + apiRequestCounter.fx;
+
 // dev-only console diagnostics; stripped from production builds
 const DEBUG = import.meta.env.DEV;
 
@@ -47,7 +73,7 @@ const logApiRequest = (api, symbols, fromCache = false) => {
 
   apiRequestCounter[api]++;
   if (!DEBUG) return;
-  const total = apiRequestCounter.twelveData + apiRequestCounter.coinGecko + apiRequestCounter.coinGeckoSearch;
+  const total = countRequests();
 
   console.log(
     `🌐 [${api}] API Request #${apiRequestCounter[api]} | ` +
@@ -59,11 +85,16 @@ const logApiRequest = (api, symbols, fromCache = false) => {
 // export counter for console access: apiStats.get(), apiStats.reset()
 export const apiStats = {
   get: () => {
-    const total = apiRequestCounter.twelveData + apiRequestCounter.coinGecko + apiRequestCounter.coinGeckoSearch;
+    const total = countRequests();
     console.table({
       'Twelve Data (stocks)': apiRequestCounter.twelveData,
+      'Twelve Data (history)': apiRequestCounter.twelveDataHistory,
       'CoinGecko (prices)': apiRequestCounter.coinGecko,
+      'CoinGecko (history)': apiRequestCounter.coinGeckoHistory,
       'CoinGecko (search)': apiRequestCounter.coinGeckoSearch,
+      'Twelve Data (search)': apiRequestCounter.twelveDataSearch,
+      'Twelve Data (profiles)': apiRequestCounter.twelveDataProfile,
+      'FX rates': apiRequestCounter.fx,
       'Total': total,
       'Session started': apiRequestCounter.sessionStart,
     });
@@ -73,6 +104,11 @@ export const apiStats = {
     apiRequestCounter.twelveData = 0;
     apiRequestCounter.coinGecko = 0;
     apiRequestCounter.coinGeckoSearch = 0;
+    apiRequestCounter.twelveDataSearch = 0;
+    apiRequestCounter.twelveDataHistory = 0;
+    apiRequestCounter.coinGeckoHistory = 0;
+    apiRequestCounter.twelveDataProfile = 0;
+    apiRequestCounter.fx = 0;
     apiRequestCounter.sessionStart = new Date().toISOString();
     console.log('🔄 API request counters reset');
   },
@@ -144,6 +180,8 @@ const parseStockData = (data) => {
     currentPrice: parseFloat(data.close),
     priceChange24h: parseFloat(data.percent_change || 0),
     name: data.name || null,
+    // listing currency (e.g. EUR on XETRA) - converted to the base currency by currency.js
+    currency: data.currency || null,
   };
 };
 
@@ -217,6 +255,7 @@ export const fetchStockPrices = async (tickers = []) => {
           priceChange24h: parsed.priceChange24h,
           logo: getStockLogo(ticker),
           name: parsed.name,
+          currency: parsed.currency,
         };
         setToCache(CACHE_KEY_STOCKS, ticker, parsed);
       } else {
@@ -371,8 +410,10 @@ export const fetchCryptoPrices = async (cryptoTickers = []) => {
         const cryptoInfo = infoCache[ticker] || CRYPTO_MAP[ticker];
         
         const priceData = {
+          // coins are always priced in USD and converted like any other quote
           currentPrice: liveData.usd || 0,
           priceChange24h: liveData.usd_24h_change || 0,
+          currency: "USD",
           name: cryptoInfo?.name || ticker,
           logo: cryptoInfo?.logo || getCryptoLogo(ticker),
         };
@@ -397,3 +438,364 @@ export const fetchCryptoPrices = async (cryptoTickers = []) => {
     return populateCryptoLogos(priceMap);
   }
 };
+
+// --- historical daily closes (performance chart) ---
+// a series is [[date, close], ...] oldest first, date as "YYYY-MM-DD".
+// cache entries are { from, closes } so a cached series is only reused when
+// it reaches back far enough for the request.
+
+const getCachedHistory = (key, ticker, from) => {
+  const cached = getFromCache(key, ticker, HISTORY_CACHE_DURATION);
+  return cached && cached.from <= from ? cached.closes : null;
+};
+
+// expired (or too short) cached series - better than nothing after an API failure
+const getStaleHistory = (key, ticker) => getAnyCached(key, ticker)?.closes || null;
+
+// parse one symbol of a TwelveData time_series response
+const parseTimeSeries = (data) => {
+  if (!Array.isArray(data?.values)) return null;
+  return data.values
+    .map((v) => [v.datetime?.slice(0, 10), parseFloat(v.close)])
+    .filter(([date, close]) => date && Number.isFinite(close))
+    .sort((a, b) => a[0].localeCompare(b[0]));
+};
+
+/**
+ * daily closes for stocks since each ticker's start date.
+ * starts: { [ticker]: "YYYY-MM-DD" } → { [ticker]: [[date, close], ...] }
+ * uncached tickers are fetched in one batched time_series request from the
+ * earliest start date among them.
+ */
+export const fetchStockHistory = async (starts = {}) => {
+  const tickers = Object.keys(starts).filter((t) => t?.trim());
+  if (!tickers.length) return {};
+
+  const history = {};
+  const uncachedTickers = [];
+  tickers.forEach((ticker) => {
+    const cached = getCachedHistory(CACHE_KEY_STOCK_HISTORY, ticker, starts[ticker]);
+    if (cached) history[ticker] = cached;
+    else uncachedTickers.push(ticker);
+  });
+
+  if (uncachedTickers.length === 0) {
+    logApiRequest('twelveDataHistory', tickers, true);
+    return history;
+  }
+
+  const fallBackToStale = () => {
+    uncachedTickers.forEach((ticker) => {
+      const stale = getStaleHistory(CACHE_KEY_STOCK_HISTORY, ticker);
+      if (stale) history[ticker] = stale;
+    });
+    return history;
+  };
+
+  try {
+    const from = uncachedTickers.map((t) => starts[t]).sort()[0];
+    const symbolsParam = uncachedTickers.map((t) => encodeURIComponent(t.trim())).join(",");
+    logApiRequest('twelveDataHistory', uncachedTickers);
+    // adjust=none: quantities before a split are stored in pre-split units,
+    // so they have to be valued at the unadjusted closes of those days
+    const response = await fetch(
+      `/api/twelve-data/time_series?symbol=${symbolsParam}&interval=1day&start_date=${from}&outputsize=5000&adjust=none`,
+      { headers: await authHeaders() }
+    );
+
+    if (!response.ok) {
+      if (isRateLimited(response)) console.warn("TwelveData rate limit hit, using cached history");
+      return fallBackToStale();
+    }
+
+    const data = await response.json();
+    // single symbol: { meta, values }; multiple: { AAPL: { meta, values }, ... }
+    const isSingleSymbol = uncachedTickers.length === 1;
+    uncachedTickers.forEach((ticker) => {
+      const closes = parseTimeSeries(isSingleSymbol ? data : data[ticker]);
+      if (closes) {
+        history[ticker] = closes;
+        setToCache(CACHE_KEY_STOCK_HISTORY, ticker, { from, closes });
+      } else {
+        const stale = getStaleHistory(CACHE_KEY_STOCK_HISTORY, ticker);
+        if (stale) history[ticker] = stale;
+      }
+    });
+    return history;
+  } catch (error) {
+    console.error("Error fetching stock history:", error);
+    return fallBackToStale();
+  }
+};
+
+// parse a CoinGecko market_chart response: prices are [[ms, price], ...] with
+// one point per day (the last one is the current price); keep the last per date
+const parseMarketChart = (data) => {
+  if (!Array.isArray(data?.prices)) return null;
+  const byDate = new Map();
+  data.prices.forEach(([ms, price]) => {
+    if (Number.isFinite(ms) && Number.isFinite(price)) {
+      byDate.set(new Date(ms).toISOString().slice(0, 10), price);
+    }
+  });
+  return [...byDate.entries()].sort((a, b) => a[0].localeCompare(b[0]));
+};
+
+const fetchCoinHistory = async (ticker, from) => {
+  const cached = getCachedHistory(CACHE_KEY_CRYPTO_HISTORY, ticker, from);
+  if (cached) {
+    logApiRequest('coinGeckoHistory', [ticker], true);
+    return cached;
+  }
+
+  try {
+    const { id } = await getCryptoInfo(ticker);
+    if (!id) return getStaleHistory(CACHE_KEY_CRYPTO_HISTORY, ticker);
+
+    const [year, month, day] = from.split("-").map(Number);
+    const daysSince = Math.ceil((Date.now() - new Date(year, month - 1, day).getTime()) / 86400000) + 1;
+    const days = Math.min(Math.max(daysSince, 1), COINGECKO_MAX_HISTORY_DAYS);
+
+    logApiRequest('coinGeckoHistory', [ticker]);
+    const response = await fetch(
+      `/api/coingecko/v3/coins/${encodeURIComponent(id)}/market_chart?vs_currency=usd&days=${days}&interval=daily`,
+      { headers: await authHeaders() }
+    );
+    if (!response.ok) return getStaleHistory(CACHE_KEY_CRYPTO_HISTORY, ticker);
+
+    const closes = parseMarketChart(await response.json());
+    if (!closes) return getStaleHistory(CACHE_KEY_CRYPTO_HISTORY, ticker);
+    // the series may start after `from` (plan limit); store what was asked for
+    // so the entry isn't refetched on every load
+    setToCache(CACHE_KEY_CRYPTO_HISTORY, ticker, { from, closes });
+    return closes;
+  } catch (error) {
+    console.error(`Error fetching ${ticker} history:`, error);
+    return getStaleHistory(CACHE_KEY_CRYPTO_HISTORY, ticker);
+  }
+};
+
+/**
+ * daily closes for cryptocurrencies since each ticker's start date (at most
+ * the past year). CoinGecko has no batch history endpoint - one request per coin.
+ * starts: { [ticker]: "YYYY-MM-DD" } → { [ticker]: [[date, close], ...] }
+ */
+export const fetchCryptoHistory = async (starts = {}) => {
+  const entries = await Promise.all(
+    Object.entries(starts).map(async ([ticker, from]) => [ticker, await fetchCoinHistory(ticker, from)])
+  );
+  return Object.fromEntries(entries.filter(([, closes]) => closes?.length));
+};
+
+/**
+ * TwelveData symbol_search response → search results, one per symbol (the
+ * first listing wins - prices are fetched by symbol, not exchange):
+ * [{ ticker, name, type: "Stock", instrumentType, exchange, currency }]
+ */
+export const parseSymbolSearch = (data) => {
+  if (!Array.isArray(data?.data)) return [];
+  const seen = new Set();
+  return data.data
+    .filter((item) => {
+      const ticker = item.symbol?.toUpperCase();
+      if (!ticker || seen.has(ticker)) return false;
+      seen.add(ticker);
+      return true;
+    })
+    .slice(0, SEARCH_RESULT_LIMIT)
+    .map((item) => ({
+      ticker: item.symbol.toUpperCase(),
+      name: item.instrument_name || item.symbol,
+      type: "Stock",
+      instrumentType: item.instrument_type || null,
+      exchange: item.exchange || null,
+      currency: item.currency || null,
+    }));
+};
+
+/**
+ * CoinGecko v3/search response → search results, ranked by market cap as
+ * CoinGecko returns them. prices are in USD:
+ * [{ ticker, name, type: "Crypto", instrumentType, exchange, currency, logo, coinId }]
+ */
+export const parseCoinSearch = (data) => {
+  if (!Array.isArray(data?.coins)) return [];
+  const seen = new Set();
+  return data.coins
+    .filter((coin) => {
+      const ticker = coin.symbol?.toUpperCase();
+      if (!ticker || seen.has(ticker)) return false;
+      seen.add(ticker);
+      return true;
+    })
+    .slice(0, SEARCH_RESULT_LIMIT)
+    .map((coin) => ({
+      ticker: coin.symbol.toUpperCase(),
+      name: coin.name || coin.symbol,
+      type: "Crypto",
+      instrumentType: "Cryptocurrency",
+      exchange: null,
+      currency: "USD",
+      logo: coin.large || coin.thumb || null,
+      coinId: coin.id,
+    }));
+};
+
+/**
+ * live ticker search for the autocomplete: TwelveData symbol_search for
+ * stocks, CoinGecko v3/search for crypto. results are cached per query for a
+ * day. throws when the provider can't be reached so callers can fall back
+ * to the static list.
+ */
+export const searchSymbols = async (query, assetType = "Stock") => {
+  const term = query?.trim();
+  if (!term) return [];
+
+  const isCrypto = assetType.toLowerCase() === "crypto";
+  const cacheKey = `${isCrypto ? "crypto" : "stock"}:${term.toUpperCase()}`;
+  const cached = getFromCache(CACHE_KEY_SYMBOL_SEARCH, cacheKey, SEARCH_CACHE_DURATION);
+  if (cached) {
+    logApiRequest(isCrypto ? 'coinGeckoSearch' : 'twelveDataSearch', [term], true);
+    return cached;
+  }
+
+  logApiRequest(isCrypto ? 'coinGeckoSearch' : 'twelveDataSearch', [term]);
+  const url = isCrypto
+    ? `/api/coingecko/v3/search?query=${encodeURIComponent(term)}`
+    : `/api/twelve-data/symbol_search?symbol=${encodeURIComponent(term)}&outputsize=30`;
+  const response = await fetch(url, { headers: await authHeaders() });
+  if (!response.ok) throw new Error(`symbol search failed (${response.status})`);
+
+  const data = await response.json();
+  // TwelveData reports errors (bad key, quota) in a 200 body
+  if (!isCrypto && data?.status === "error") throw new Error(data.message || "symbol search failed");
+
+  const results = isCrypto ? parseCoinSearch(data) : parseSymbolSearch(data);
+  setToCache(CACHE_KEY_SYMBOL_SEARCH, cacheKey, results);
+  return results;
+};
+
+/**
+ * remembers the coin picked from search results so prices and history are
+ * fetched for that coin (several coins can share a symbol)
+ */
+export const rememberCryptoInfo = (ticker, { coinId, name, logo }) => {
+  if (!ticker || !coinId || CRYPTO_MAP[ticker]) return;
+  const cache = getSimpleCache(CRYPTO_INFO_CACHE_KEY);
+  cache[ticker] = { id: coinId, name, logo: logo || getCryptoLogo(ticker) };
+  setSimpleCache(CRYPTO_INFO_CACHE_KEY, cache);
+};
+
+// ============================================
+// COMPANY PROFILES
+// ============================================
+
+/**
+ * TwelveData profile response → { sector, industry, country }, empty fields
+ * as null. null when the provider has no profile for the symbol
+ */
+export const parseStockProfile = (data) => {
+  if (!data || data.status === "error") return null;
+  const field = (value) => (typeof value === "string" && value.trim() ? value.trim() : null);
+  const profile = { sector: field(data.sector), industry: field(data.industry), country: field(data.country) };
+  return profile.sector || profile.industry || profile.country ? profile : null;
+};
+
+/**
+ * sector, industry and country of stocks and ETFs through the TwelveData
+ * profile proxy (one request per symbol), cached for 30 days:
+ * { [ticker]: { sector, industry, country } }. symbols the provider doesn't
+ * cover are cached as uncovered and left out; on rate limits and network
+ * errors the stale cache is used and the rest are tried next time
+ */
+export const fetchStockProfiles = async (tickers = []) => {
+  const uniqueTickers = [...new Set(tickers)].filter((t) => t?.trim());
+  const { cachedMap, uncachedTickers } = getCachedBatch(CACHE_KEY_STOCK_PROFILES, uniqueTickers, PROFILE_CACHE_DURATION);
+  if (Object.keys(cachedMap).length) logApiRequest('twelveDataProfile', Object.keys(cachedMap), true);
+
+  const profiles = { ...cachedMap };
+  const headers = uncachedTickers.length ? await authHeaders() : {};
+  // after a rate limit or a failing proxy the rest fall back to the cache
+  let stopped = false;
+  for (const ticker of uncachedTickers) {
+    const stale = getAnyCached(CACHE_KEY_STOCK_PROFILES, ticker);
+    if (stale) profiles[ticker] = stale;
+    if (stopped) continue;
+    try {
+      logApiRequest('twelveDataProfile', [ticker]);
+      const response = await fetch(`/api/twelve-data/profile?symbol=${encodeURIComponent(ticker.trim())}`, { headers });
+      const data = response.ok ? await response.json() : null;
+      if (!response.ok || isRateLimited(response, data) || data?.code === 429) {
+        stopped = true;
+        continue;
+      }
+      // TwelveData reports errors (bad key, plan limits) in a 200 body; only
+      // an unknown symbol is an answer worth caching
+      if (data?.status === "error" && data.code !== 400 && data.code !== 404) continue;
+      const profile = parseStockProfile(data) || { uncovered: true };
+      setToCache(CACHE_KEY_STOCK_PROFILES, ticker, profile);
+      profiles[ticker] = profile;
+    } catch (error) {
+      console.error("Error fetching stock profile:", error);
+    }
+  }
+
+  return Object.fromEntries(Object.entries(profiles).filter(([, profile]) => !profile.uncovered));
+};
+
+// ============================================
+// FX RATES
+// ============================================
+
+/**
+ * parse a Frankfurter time series ({ base, rates: { [date]: { [currency]: rate } } })
+ * into [[date, rates], ...] oldest first
+ */
+export const parseFxTimeSeries = (data) => {
+  if (!data?.rates || typeof data.rates !== "object") return null;
+  return Object.entries(data.rates)
+    .filter(([date, rates]) => /^\d{4}-\d{2}-\d{2}$/.test(date) && rates && typeof rates === "object")
+    .sort((a, b) => a[0].localeCompare(b[0]));
+};
+
+/**
+ * daily exchange rates through the /api/fx proxy (ECB reference rates).
+ * returns { base, latest, history } with rates in units of each currency per
+ * 1 base (see currency.js), history starting at `from` ("YYYY-MM-DD"), or
+ * null when nothing could be fetched or cached. cached per base and currency
+ * set; a cached series is reused when it reaches back far enough
+ */
+export const fetchFxRates = async (base, currencies = [], from = null) => {
+  const symbols = [...new Set(currencies)].filter((c) => c && c !== base).sort();
+  if (!base || !symbols.length) return { base, latest: {}, history: [] };
+
+  const cacheKey = `${base}:${symbols.join(",")}`;
+  const cached = getFromCache(CACHE_KEY_FX_RATES, cacheKey, FX_CACHE_DURATION);
+  if (cached && (!from || (cached.from && cached.from <= from))) {
+    logApiRequest('fx', symbols, true);
+    return cached;
+  }
+
+  const stale = () => getAnyCached(CACHE_KEY_FX_RATES, cacheKey);
+  try {
+    logApiRequest('fx', symbols);
+    const query = `from=${encodeURIComponent(base)}&to=${encodeURIComponent(symbols.join(","))}`;
+    const headers = await authHeaders();
+    const [latestResponse, historyResponse] = await Promise.all([
+      fetch(`/api/fx/latest?${query}`, { headers }),
+      from ? fetch(`/api/fx/${from}..?${query}`, { headers }) : null,
+    ]);
+    if (!latestResponse.ok || (historyResponse && !historyResponse.ok)) return stale();
+
+    const latest = (await latestResponse.json())?.rates;
+    const history = historyResponse ? parseFxTimeSeries(await historyResponse.json()) : [];
+    if (!latest || !history) return stale();
+
+    const rates = { base, latest, history, from };
+    setToCache(CACHE_KEY_FX_RATES, cacheKey, rates);
+    return rates;
+  } catch (error) {
+    console.error("Error fetching FX rates:", error);
+    return stale();
+  }
+};
@@ -0,0 +1,217 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { parseSymbolSearch, parseCoinSearch, searchSymbols, parseFxTimeSeries, fetchFxRates, parseStockProfile, fetchStockProfiles } from "./api";
+
+function createMemoryStorage() {
+  const store = new Map();
+  return {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => {
+      store.set(key, String(value));
+    },
+    removeItem: (key) => {
+      store.delete(key);
+    },
+    clear: () => store.clear(),
+  };
+}
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+});
+
+describe("parseSymbolSearch", () => {
+  it("keeps the first listing of each symbol with exchange, currency and type", () => {
+    const results = parseSymbolSearch({
+      data: [
+        { symbol: "AAPL", instrument_name: "Apple Inc", exchange: "NASDAQ", currency: "USD", instrument_type: "Common Stock" },
+        { symbol: "AAPL", instrument_name: "Apple Inc", exchange: "BMV", currency: "MXN", instrument_type: "Common Stock" },
+        { symbol: "AAPY", instrument_name: "Kurv Yield Premium Strategy Apple", exchange: "CBOE", currency: "USD", instrument_type: "ETF" },
+      ],
+    });
+    expect(results).toEqual([
+      { ticker: "AAPL", name: "Apple Inc", type: "Stock", instrumentType: "Common Stock", exchange: "NASDAQ", currency: "USD" },
+      { ticker: "AAPY", name: "Kurv Yield Premium Strategy Apple", type: "Stock", instrumentType: "ETF", exchange: "CBOE", currency: "USD" },
+    ]);
+  });
+
+  it("returns nothing for error bodies", () => {
+    expect(parseSymbolSearch({ status: "error", message: "quota" })).toEqual([]);
+    expect(parseSymbolSearch(null)).toEqual([]);
+  });
+});
+
+describe("parseCoinSearch", () => {
+  it("maps coins to uppercase tickers priced in USD, keeping the top-ranked coin per symbol", () => {
+    const results = parseCoinSearch({
+      coins: [
+        { id: "pepe", name: "Pepe", symbol: "pepe", large: "https://img/pepe.png" },
+        { id: "pepe-clone", name: "Pepe Clone", symbol: "PEPE", thumb: "https://img/clone.png" },
+      ],
+    });
+    expect(results).toEqual([
+      {
+        ticker: "PEPE", name: "Pepe", type: "Crypto", instrumentType: "Cryptocurrency",
+        exchange: null, currency: "USD", logo: "https://img/pepe.png", coinId: "pepe",
+      },
+    ]);
+  });
+});
+
+describe("searchSymbols", () => {
+  beforeEach(() => {
+    globalThis.localStorage = createMemoryStorage();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("searches stocks through the TwelveData proxy and caches per query", async () => {
+    const fetchMock = vi.fn(async () =>
+      jsonResponse({ data: [{ symbol: "MSFT", instrument_name: "Microsoft Corp", exchange: "NASDAQ", currency: "USD" }] })
+    );
+    vi.stubGlobal("fetch", fetchMock);
+
+    const first = await searchSymbols(" msft ", "stock");
+    expect(first.map((r) => r.ticker)).toEqual(["MSFT"]);
+    expect(fetchMock.mock.calls[0][0]).toBe("/api/twelve-data/symbol_search?symbol=msft&outputsize=30");
+
+    // same query, any case → served from the cache
+    expect(await searchSymbols("MSFT", "Stock")).toEqual(first);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("searches crypto through the CoinGecko proxy", async () => {
+    const fetchMock = vi.fn(async () => jsonResponse({ coins: [{ id: "solana", name: "Solana", symbol: "SOL" }] }));
+    vi.stubGlobal("fetch", fetchMock);
+
+    const results = await searchSymbols("sol", "crypto");
+    expect(results[0]).toMatchObject({ ticker: "SOL", coinId: "solana", type: "Crypto" });
+    expect(fetchMock.mock.calls[0][0]).toBe("/api/coingecko/v3/search?query=sol");
+  });
+
+  it("throws on failures so the caller can fall back to the static list", async () => {
+    vi.stubGlobal("fetch", vi.fn(async () => jsonResponse({}, 429)));
+    await expect(searchSymbols("nvda", "stock")).rejects.toThrow(/429/);
+
+    vi.stubGlobal("fetch", vi.fn(async () => jsonResponse({ status: "error", message: "invalid api key" })));
+    await expect(searchSymbols("nvda", "stock")).rejects.toThrow(/invalid api key/);
+  });
+
+  it("skips empty queries", async () => {
+    const fetchMock = vi.fn();
+    vi.stubGlobal("fetch", fetchMock);
+    expect(await searchSymbols("  ", "stock")).toEqual([]);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
+
+describe("parseStockProfile", () => {
+  it("keeps sector, industry and country", () => {
+    expect(parseStockProfile({
+      symbol: "AAPL", sector: "Technology", industry: "Consumer Electronics", country: "United States", employees: 164000,
+    })).toEqual({ sector: "Technology", industry: "Consumer Electronics", country: "United States" });
+    expect(parseStockProfile({ symbol: "SPY", sector: "", industry: " ", country: "United States" }))
+      .toEqual({ sector: null, industry: null, country: "United States" });
+  });
+
+  it("is null for errors and empty profiles", () => {
+    expect(parseStockProfile({ status: "error", code: 404, message: "symbol not found" })).toBeNull();
+    expect(parseStockProfile({ symbol: "XYZ", sector: "" })).toBeNull();
+  });
+});
+
+describe("fetchStockProfiles", () => {
+  beforeEach(() => {
+    globalThis.localStorage = createMemoryStorage();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("fetches one profile per symbol and caches covered and uncovered symbols", async () => {
+    const fetchMock = vi.fn(async (url) =>
+      url.includes("AAPL")
+        ? jsonResponse({ symbol: "AAPL", sector: "Technology", industry: "Consumer Electronics", country: "United States" })
+        : jsonResponse({ status: "error", code: 404, message: "symbol not found" })
+    );
+    vi.stubGlobal("fetch", fetchMock);
+
+    const profiles = await fetchStockProfiles(["AAPL", "PRIV", "AAPL"]);
+    expect(profiles).toEqual({ AAPL: { sector: "Technology", industry: "Consumer Electronics", country: "United States" } });
+    expect(fetchMock.mock.calls.map(([url]) => url)).toEqual([
+      "/api/twelve-data/profile?symbol=AAPL",
+      "/api/twelve-data/profile?symbol=PRIV",
+    ]);
+
+    expect(await fetchStockProfiles(["AAPL", "PRIV"])).toEqual(profiles);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it("stops at a rate limit without caching the rest", async () => {
+    const fetchMock = vi.fn(async () => jsonResponse({ code: 429, status: "error", message: "You have run out of API credits" }));
+    vi.stubGlobal("fetch", fetchMock);
+
+    expect(await fetchStockProfiles(["AAPL", "MSFT"])).toEqual({});
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    // tried again next time
+    await fetchStockProfiles(["AAPL"]);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("parseFxTimeSeries", () => {
+  it("orders daily rates oldest first", () => {
+    expect(parseFxTimeSeries({
+      base: "USD",
+      rates: { "2024-01-03": { EUR: 0.91 }, "2024-01-02": { EUR: 0.9 } },
+    })).toEqual([["2024-01-02", { EUR: 0.9 }], ["2024-01-03", { EUR: 0.91 }]]);
+    expect(parseFxTimeSeries({ message: "not found" })).toBeNull();
+  });
+});
+
+describe("fetchFxRates", () => {
+  beforeEach(() => {
+    globalThis.localStorage = createMemoryStorage();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("fetches latest and daily rates through the FX proxy and caches them", async () => {
+    const fetchMock = vi.fn(async (url) =>
+      url.startsWith("/api/fx/latest")
+        ? jsonResponse({ base: "USD", rates: { EUR: 0.92 } })
+        : jsonResponse({ base: "USD", rates: { "2024-01-02": { EUR: 0.9 } } })
+    );
+    vi.stubGlobal("fetch", fetchMock);
+
+    const rates = await fetchFxRates("USD", ["EUR", "USD"], "2024-01-02");
+    expect(rates).toEqual({ base: "USD", latest: { EUR: 0.92 }, history: [["2024-01-02", { EUR: 0.9 }]], from: "2024-01-02" });
+    expect(fetchMock.mock.calls.map(([url]) => url)).toEqual([
+      "/api/fx/latest?from=USD&to=EUR",
+      "/api/fx/2024-01-02..?from=USD&to=EUR",
+    ]);
+
+    // a later start date is covered by the cached series
+    expect(await fetchFxRates("USD", ["EUR"], "2024-03-01")).toEqual(rates);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it("needs no request when everything is in the base currency", async () => {
+    const fetchMock = vi.fn();
+    vi.stubGlobal("fetch", fetchMock);
+    expect(await fetchFxRates("EUR", ["EUR"], "2024-01-02")).toEqual({ base: "EUR", latest: {}, history: [] });
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it("returns null when the proxy fails and nothing is cached", async () => {
+    vi.stubGlobal("fetch", vi.fn(async () => jsonResponse({}, 502)));
+    expect(await fetchFxRates("USD", ["GBP"], "2024-01-02")).toBeNull();
+  });
+});
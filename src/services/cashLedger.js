@@ -0,0 +1,139 @@
+// running cash balance of each portfolio. deposits, sells (net of the fee)
+// and cash income add cash; buys (fee included) and withdrawals take it out.
+// a buy or withdrawal larger than the balance is treated as funded from
+// outside - money that was never recorded as a deposit - so the balance never
+// goes negative and that money still counts as invested capital.
+// callers feed transactions oldest first (sortTransactionsChronologically).
+
+import { DEFAULT_FEE_CURRENCY } from "./costBasis.js";
+import { getIncomeAmount, isCashIncome } from "../constants/transactionTypes.js";
+import { compareTransactionsChronologically, sortTransactionsChronologically } from "./utils.js";
+import { toBaseCurrency } from "./currency.js";
+
+// balances within a cent of zero count as empty (floating point dust)
+const CASH_EPSILON = 0.005;
+
+// fees paid in the traded coin come out of the position, not out of cash
+const getCashFee = (tx) => {
+  const currency = (tx.feeCurrency || DEFAULT_FEE_CURRENCY).toUpperCase();
+  return currency === tx.ticker?.toUpperCase() ? 0 : Number(tx.fee) || 0;
+};
+
+/**
+ * signed change in cash from one transaction.
+ * example: buy 10 @ $100 with a $5 fee → -1005; sell 4 @ $150 with a $5 fee → +595
+ */
+export const getCashDelta = (tx) => {
+  const amount = (Number(tx?.quantity) || 0) * (Number(tx?.price) || 0);
+  const type = tx?.type?.toLowerCase();
+  if (type === "deposit") return amount;
+  if (type === "withdrawal") return -amount;
+  if (type === "buy") return -(amount + getCashFee(tx));
+  if (type === "sell") return amount - getCashFee(tx);
+  if (isCashIncome(tx)) return getIncomeAmount(tx);
+  return 0; // unit income and splits don't touch cash
+};
+
+/**
+ * running cash per portfolio. apply() each transaction in chronological
+ * order; it returns { amount, funded } for transactions that move cash
+ * (funded is the part paid from outside) and null otherwise
+ */
+export const createCashLedger = () => {
+  const balances = {}; // { [portfolioId]: balance } ("" for transactions without one)
+  const totals = { deposits: 0, withdrawals: 0, externalFunding: 0 };
+
+  const apply = (tx) => {
+    const amount = getCashDelta(tx);
+    if (amount === 0) return null;
+
+    const type = tx.type?.toLowerCase();
+    if (type === "deposit") totals.deposits += amount;
+    if (type === "withdrawal") totals.withdrawals -= amount;
+
+    const key = tx.portfolioId || "";
+    let balance = (balances[key] || 0) + amount;
+    let funded = 0;
+    if (balance < -CASH_EPSILON) {
+      funded = -balance;
+      totals.externalFunding += funded;
+      balance = 0;
+    }
+    balances[key] = Math.abs(balance) < CASH_EPSILON ? 0 : balance;
+    return { amount, funded };
+  };
+
+  const getBalance = () => Object.values(balances).reduce((sum, balance) => sum + balance, 0);
+
+  return { balances, totals, apply, getBalance };
+};
+
+/**
+ * cash balance and invested capital across the given transactions.
+ * netContributions = deposits - withdrawals + externalFunding.
+ * entries are the cash movements oldest first, each with the running balance:
+ * [{ id, date, time, type, ticker, portfolioId, amount, funded, balance }]
+ */
+export const calculateCashLedger = (transactions) => {
+  const ledger = createCashLedger();
+  const entries = [];
+
+  sortTransactionsChronologically(transactions).forEach((tx) => {
+    const movement = ledger.apply(tx);
+    if (!movement) return;
+    entries.push({
+      id: tx.id,
+      date: tx.date,
+      time: tx.time,
+      type: tx.type,
+      ticker: tx.ticker,
+      portfolioId: tx.portfolioId ?? null,
+      ...movement,
+      balance: ledger.getBalance(),
+    });
+  });
+
+  const { deposits, withdrawals, externalFunding } = ledger.totals;
+  return {
+    balance: ledger.getBalance(),
+    deposits,
+    withdrawals,
+    externalFunding,
+    netContributions: deposits - withdrawals + externalFunding,
+    entries,
+  };
+};
+
+/**
+ * cash available for a withdrawal at `date`/`time`, in the withdrawal's
+ * `currency`. transactions are in their own currencies: each converts to the
+ * base at the rate of its day so deposits, trades and fees in different
+ * currencies add up, and the balance converts back at the withdrawal's rate.
+ * example: €1,000 deposited (at 1.10) and a $500 buy → $600 → €545.45
+ */
+export const calculateAvailableCash = (transactions, { date, time, currency }, converter) => {
+  const cutoff = { date, time, type: "Withdrawal" };
+  const prior = transactions.filter((tx) => compareTransactionsChronologically(tx, cutoff) <= 0);
+  return calculateCashLedger(toBaseCurrency(prior, converter)).balance / converter.rate(currency, date);
+};
+
+/**
+ * first withdrawal larger than the cash held just before it, compared in the
+ * base currency (see calculateAvailableCash). `isChecked` limits the search to
+ * some of the withdrawals (by ledger entry), e.g. the ones being added.
+ * returns its ledger entry or null
+ */
+export const findOverdrawnWithdrawal = (transactions, converter, isChecked = () => true) =>
+  calculateCashLedger(toBaseCurrency(transactions, converter)).entries.find(
+    (entry) => entry.type?.toLowerCase() === "withdrawal" && entry.funded > CASH_EPSILON && isChecked(entry)
+  ) ?? null;
+
+/**
+ * return on invested capital: what the portfolio (holdings + cash) is worth
+ * over the money put into it.
+ * example: $12,000 total value on $10,000 net contributions → gain $2,000, 20%
+ */
+export const calculateReturnOnInvestedCapital = (totalValue, netContributions) => {
+  const gain = totalValue - netContributions;
+  return { gain, percent: netContributions > 0 ? (gain / netContributions) * 100 : 0 };
+};
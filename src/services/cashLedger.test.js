@@ -0,0 +1,148 @@
+import { describe, it, expect } from "vitest";
+import {
+  getCashDelta,
+  calculateCashLedger,
+  calculateReturnOnInvestedCapital,
+  calculateAvailableCash,
+  findOverdrawnWithdrawal,
+} from "./cashLedger";
+import { calculatePortfolioData } from "./utils";
+import { createFxConverter } from "./currency";
+
+// helper: build a transaction with sensible defaults
+const tx = (overrides) => ({
+  ticker: "AAPL",
+  type: "Buy",
+  quantity: 1,
+  price: 100,
+  date: "2024-01-01",
+  time: "10:00",
+  assetType: "Stock",
+  ...overrides,
+});
+
+const deposit = (amount, overrides) => tx({ ticker: "USD", type: "Deposit", quantity: amount, price: 1, ...overrides });
+const withdrawal = (amount, overrides) => tx({ ticker: "USD", type: "Withdrawal", quantity: amount, price: 1, ...overrides });
+
+describe("getCashDelta", () => {
+  it("debits buys and credits sells, fees included", () => {
+    expect(getCashDelta(tx({ quantity: 10, price: 100, fee: 5 }))).toBe(-1005);
+    expect(getCashDelta(tx({ type: "Sell", quantity: 4, price: 150, fee: 5 }))).toBe(595);
+  });
+
+  it("leaves coin-denominated fees out of cash", () => {
+    expect(getCashDelta(tx({ ticker: "BTC", quantity: 1, price: 100, fee: 0.01, feeCurrency: "BTC" }))).toBe(-100);
+  });
+
+  it("credits cash income but not unit income or splits", () => {
+    expect(getCashDelta(tx({ type: "Dividend", payout: "cash", quantity: 12.5, price: 1 }))).toBe(12.5);
+    expect(getCashDelta(tx({ type: "Staking", payout: "units", quantity: 0.1, price: 50 }))).toBe(0);
+    expect(getCashDelta(tx({ type: "Split", quantity: 4, price: 0 }))).toBe(0);
+  });
+
+  it("moves deposits and withdrawals in and out", () => {
+    expect(getCashDelta(deposit(1000))).toBe(1000);
+    expect(getCashDelta(withdrawal(250))).toBe(-250);
+  });
+});
+
+describe("calculateCashLedger", () => {
+  it("keeps a running balance oldest first", () => {
+    const ledger = calculateCashLedger([
+      tx({ type: "Sell", quantity: 5, price: 120, date: "2024-03-01" }),
+      deposit(2000, { date: "2024-01-01" }),
+      tx({ quantity: 10, price: 100, date: "2024-02-01" }),
+      withdrawal(500, { date: "2024-04-01" }),
+    ]);
+    expect(ledger.entries.map((e) => [e.type, e.amount, e.balance])).toEqual([
+      ["Deposit", 2000, 2000],
+      ["Buy", -1000, 1000],
+      ["Sell", 600, 1600],
+      ["Withdrawal", -500, 1100],
+    ]);
+    expect(ledger).toMatchObject({ balance: 1100, deposits: 2000, withdrawals: 500, externalFunding: 0, netContributions: 1500 });
+  });
+
+  it("treats buys beyond the cash balance as funded from outside", () => {
+    // no deposits recorded: every dollar spent counts as invested capital
+    const ledger = calculateCashLedger([
+      deposit(300),
+      tx({ quantity: 10, price: 100, date: "2024-02-01" }),
+      tx({ type: "Sell", quantity: 10, price: 150, date: "2024-03-01" }),
+    ]);
+    expect(ledger.entries[1]).toMatchObject({ amount: -1000, funded: 700, balance: 0 });
+    expect(ledger).toMatchObject({ balance: 1500, externalFunding: 700, netContributions: 1000 });
+  });
+
+  it("uses a same-day deposit before a buy at the same time", () => {
+    const ledger = calculateCashLedger([tx({ quantity: 1, price: 100 }), deposit(100)]);
+    expect(ledger).toMatchObject({ balance: 0, externalFunding: 0, netContributions: 100 });
+  });
+
+  it("keeps each portfolio's cash apart", () => {
+    const ledger = calculateCashLedger([
+      deposit(1000, { portfolioId: "main" }),
+      tx({ quantity: 5, price: 100, date: "2024-02-01", portfolioId: "ira" }),
+    ]);
+    // the IRA buy can't spend the main account's cash
+    expect(ledger).toMatchObject({ balance: 1000, externalFunding: 500, netContributions: 1500 });
+  });
+
+  it("is ignored by the lot engine", () => {
+    const txs = [deposit(5000), tx({ quantity: 10, price: 100 }), withdrawal(100, { date: "2024-02-01" })];
+    const holdings = calculatePortfolioData(txs, {});
+    expect(holdings.map((a) => a.ticker)).toEqual(["AAPL"]);
+  });
+});
+
+describe("withdrawals across currencies", () => {
+  // 1 USD buys 0.8 EUR, so 1 EUR = 1.25 USD
+  const converter = createFxConverter({ base: "USD", latest: { EUR: 0.8 }, history: [] }, "USD");
+  const history = [
+    deposit(1000, { currency: "EUR", date: "2024-01-01" }),
+    tx({ quantity: 5, price: 100, currency: "USD", date: "2024-01-02" }),
+  ];
+
+  it("adds up cash held in different currencies in the base", () => {
+    // €1,000 = $1,250, less the $500 buy = $750 = €600
+    expect(calculateAvailableCash(history, { date: "2024-01-03", time: "10:00", currency: "EUR" }, converter)).toBeCloseTo(600);
+    expect(calculateAvailableCash(history, { date: "2024-01-03", time: "10:00", currency: "USD" }, converter)).toBeCloseTo(750);
+    // only what happened before the withdrawal counts
+    expect(calculateAvailableCash(history, { date: "2024-01-01", time: "12:00", currency: "USD" }, converter)).toBeCloseTo(1250);
+  });
+
+  it("finds the first withdrawal the cash does not cover", () => {
+    const fits = [...history, withdrawal(600, { id: "w1", currency: "EUR", date: "2024-01-03" })];
+    expect(findOverdrawnWithdrawal(fits, converter)).toBeNull();
+    const overdraws = [...fits, withdrawal(1, { id: "w2", currency: "USD", date: "2024-01-04" })];
+    expect(findOverdrawnWithdrawal(overdraws, converter)).toMatchObject({ id: "w2", date: "2024-01-04" });
+  });
+
+  it("only reports the withdrawals it is asked to check", () => {
+    const overdraws = [
+      ...history,
+      withdrawal(5000, { id: "old", date: "2024-01-03" }),
+      withdrawal(700, { id: "new", currency: "EUR", date: "2024-01-04" }),
+    ];
+    expect(findOverdrawnWithdrawal(overdraws, converter, (entry) => entry.id === "new")).toMatchObject({ id: "new" });
+    expect(findOverdrawnWithdrawal(overdraws.slice(0, -1), converter, (entry) => entry.id === "new")).toBeNull();
+  });
+});
+
+describe("calculateReturnOnInvestedCapital", () => {
+  it("measures total value against net contributions", () => {
+    expect(calculateReturnOnInvestedCapital(12000, 10000)).toEqual({ gain: 2000, percent: 20 });
+    expect(calculateReturnOnInvestedCapital(500, 0)).toEqual({ gain: 500, percent: 0 });
+  });
+
+  it("counts cash and income in the return", () => {
+    // $1,000 in, bought and sold at a $200 profit, $30 dividend: $1,230 cash on $1,000
+    const { balance, netContributions } = calculateCashLedger([
+      deposit(1000),
+      tx({ quantity: 10, price: 100, date: "2024-02-01" }),
+      tx({ type: "Sell", quantity: 10, price: 120, date: "2024-03-01" }),
+      tx({ type: "Dividend", payout: "cash", quantity: 30, price: 1, date: "2024-02-15" }),
+    ]);
+    expect(calculateReturnOnInvestedCapital(balance, netContributions).percent).toBeCloseTo(23);
+  });
+});
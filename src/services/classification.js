@@ -0,0 +1,154 @@
+// sector, industry, country/region and market cap of each holding, for the
+// sector and region allocation views.
+//
+// precedence per field: the user's manual classification (asset_metadata,
+// migration 016), then the provider's company profile (TwelveData, stocks and
+// ETFs only), then a default for the asset class (crypto is its own sector
+// with no home region). anything left is "Unclassified".
+
+export const UNCLASSIFIED = "Unclassified";
+
+// TwelveData's profile has no market cap, so the bucket is only set by hand
+export const MARKET_CAP_BUCKETS = [
+  { value: "mega", label: "Mega cap", range: "over $200B" },
+  { value: "large", label: "Large cap", range: "$10B–$200B" },
+  { value: "mid", label: "Mid cap", range: "$2B–$10B" },
+  { value: "small", label: "Small cap", range: "$300M–$2B" },
+  { value: "micro", label: "Micro cap", range: "under $300M" },
+];
+
+export const getMarketCapLabel = (bucket) => MARKET_CAP_BUCKETS.find((b) => b.value === bucket)?.label ?? null;
+
+// country names as TwelveData writes them (and common short forms), lowercased
+const COUNTRY_REGIONS = {
+  "united states": "North America",
+  "united states of america": "North America",
+  usa: "North America",
+  us: "North America",
+  canada: "North America",
+  bermuda: "North America",
+  "united kingdom": "Europe",
+  uk: "Europe",
+  ireland: "Europe",
+  germany: "Europe",
+  france: "Europe",
+  netherlands: "Europe",
+  switzerland: "Europe",
+  sweden: "Europe",
+  norway: "Europe",
+  denmark: "Europe",
+  finland: "Europe",
+  spain: "Europe",
+  italy: "Europe",
+  portugal: "Europe",
+  belgium: "Europe",
+  austria: "Europe",
+  luxembourg: "Europe",
+  poland: "Europe",
+  greece: "Europe",
+  "czech republic": "Europe",
+  jersey: "Europe",
+  guernsey: "Europe",
+  japan: "Asia Pacific",
+  china: "Asia Pacific",
+  "hong kong": "Asia Pacific",
+  taiwan: "Asia Pacific",
+  "south korea": "Asia Pacific",
+  korea: "Asia Pacific",
+  singapore: "Asia Pacific",
+  india: "Asia Pacific",
+  australia: "Asia Pacific",
+  "new zealand": "Asia Pacific",
+  indonesia: "Asia Pacific",
+  malaysia: "Asia Pacific",
+  thailand: "Asia Pacific",
+  philippines: "Asia Pacific",
+  vietnam: "Asia Pacific",
+  mexico: "Latin America",
+  brazil: "Latin America",
+  argentina: "Latin America",
+  chile: "Latin America",
+  colombia: "Latin America",
+  peru: "Latin America",
+  uruguay: "Latin America",
+  "cayman islands": "Latin America",
+  israel: "Middle East & Africa",
+  "united arab emirates": "Middle East & Africa",
+  "saudi arabia": "Middle East & Africa",
+  qatar: "Middle East & Africa",
+  "south africa": "Middle East & Africa",
+  nigeria: "Middle East & Africa",
+  egypt: "Middle East & Africa",
+  kenya: "Middle East & Africa",
+  turkey: "Middle East & Africa",
+};
+
+/** region of a country name, "Rest of world" for countries not in the list, null without one */
+export const getRegion = (country) => {
+  if (typeof country !== "string" || !country.trim()) return null;
+  return COUNTRY_REGIONS[country.trim().toLowerCase()] ?? "Rest of world";
+};
+
+// what an asset class says without a profile or an override
+const CLASS_DEFAULTS = {
+  Crypto: { sector: "Crypto", region: "Global" },
+  Bond: { sector: "Fixed Income" },
+  Cash: { sector: "Cash" },
+};
+
+const FIELDS = ["sector", "industry", "country", "marketCap"];
+
+/**
+ * classification of one asset ({ ticker, assetType }) from its profile
+ * ({ sector, industry, country }) and manual override ({ sector, industry,
+ * country, marketCap }), either may be missing.
+ * returns { sector, industry, country, region, marketCap, source } with
+ * source "manual" when the override sets any field, "provider" with a
+ * profile, otherwise null
+ */
+export const classifyAsset = (asset, profile = null, override = null) => {
+  const defaults = CLASS_DEFAULTS[asset.assetType] || {};
+  const result = { source: null };
+  FIELDS.forEach((field) => {
+    result[field] = override?.[field] || profile?.[field] || defaults[field] || null;
+  });
+  result.region = getRegion(result.country) ?? defaults.region ?? null;
+  if (FIELDS.some((field) => override?.[field])) result.source = "manual";
+  else if (profile) result.source = "provider";
+  return result;
+};
+
+/**
+ * { [ticker]: classifyAsset(...) } for the holdings. profiles:
+ * { [ticker]: profile }; overrides: [{ ticker, ...fields }]
+ */
+export const classifyAssets = (assets = [], profiles = {}, overrides = []) => {
+  const overrideByTicker = new Map(overrides.map((o) => [o.ticker, o]));
+  return Object.fromEntries(
+    assets.map((asset) => [asset.ticker, classifyAsset(asset, profiles[asset.ticker], overrideByTicker.get(asset.ticker))])
+  );
+};
+
+/**
+ * allocation pie slices by "sector" or "region": [{ name, value, isCash }],
+ * largest first. cash holdings and uninvested cash are one Cash slice at the
+ * end in either view; holdings without the field count as Unclassified
+ */
+export const groupAllocation = (portfolioData = [], classifications = {}, by = "sector", cashBalance = 0) => {
+  const totals = {};
+  let cash = Math.max(cashBalance, 0);
+  portfolioData.forEach((asset) => {
+    if (!(asset.totalValue > 0)) return;
+    if (asset.assetType === "Cash") {
+      cash += asset.totalValue;
+      return;
+    }
+    const name = classifications[asset.ticker]?.[by] || UNCLASSIFIED;
+    totals[name] = (totals[name] || 0) + asset.totalValue;
+  });
+
+  const slices = Object.entries(totals)
+    .map(([name, value]) => ({ name, value }))
+    .sort((a, b) => b.value - a.value);
+  return cash > 0 ? [...slices, { name: "Cash", value: cash, isCash: true }] : slices;
+};
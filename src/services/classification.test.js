@@ -0,0 +1,83 @@
+import { describe, it, expect } from "vitest";
+import { classifyAsset, classifyAssets, groupAllocation, getRegion, getMarketCapLabel, UNCLASSIFIED } from "./classification";
+
+const aaplProfile = { sector: "Technology", industry: "Consumer Electronics", country: "United States" };
+
+describe("getRegion", () => {
+  it("maps countries to regions", () => {
+    expect(getRegion("United States")).toBe("North America");
+    expect(getRegion(" taiwan ")).toBe("Asia Pacific");
+    expect(getRegion("Netherlands")).toBe("Europe");
+    expect(getRegion("Atlantis")).toBe("Rest of world");
+    expect(getRegion("")).toBeNull();
+    expect(getRegion(null)).toBeNull();
+  });
+});
+
+describe("classifyAsset", () => {
+  it("takes the provider profile", () => {
+    expect(classifyAsset({ ticker: "AAPL", assetType: "Stock" }, aaplProfile)).toEqual({
+      ...aaplProfile,
+      region: "North America",
+      marketCap: null,
+      source: "provider",
+    });
+  });
+
+  it("lets manual fields override the profile one by one", () => {
+    const result = classifyAsset(
+      { ticker: "TSM", assetType: "Stock" },
+      { sector: "Technology", industry: "Semiconductors", country: "United States" },
+      { ticker: "TSM", sector: null, industry: "", country: "Taiwan", marketCap: "mega" }
+    );
+    expect(result).toMatchObject({
+      sector: "Technology",
+      industry: "Semiconductors",
+      country: "Taiwan",
+      region: "Asia Pacific",
+      marketCap: "mega",
+      source: "manual",
+    });
+    expect(getMarketCapLabel(result.marketCap)).toBe("Mega cap");
+  });
+
+  it("falls back to the asset class", () => {
+    expect(classifyAsset({ ticker: "BTC", assetType: "Crypto" })).toMatchObject({ sector: "Crypto", region: "Global", source: null });
+    expect(classifyAsset({ ticker: "T-BILL", assetType: "Bond" })).toMatchObject({ sector: "Fixed Income", region: null });
+    expect(classifyAsset({ ticker: "HOUSE", assetType: "Other" })).toMatchObject({ sector: null, region: null });
+  });
+});
+
+describe("groupAllocation", () => {
+  const portfolioData = [
+    { ticker: "AAPL", assetType: "Stock", totalValue: 500 },
+    { ticker: "NVDA", assetType: "Stock", totalValue: 300 },
+    { ticker: "BTC", assetType: "Crypto", totalValue: 600 },
+    { ticker: "HOUSE", assetType: "Other", totalValue: 100 },
+    { ticker: "MMF", assetType: "Cash", totalValue: 50 },
+    { ticker: "OLD", assetType: "Stock", totalValue: 0 },
+  ];
+  const classifications = classifyAssets(
+    portfolioData,
+    { AAPL: aaplProfile, NVDA: { sector: "Technology", country: "United States" } },
+    []
+  );
+
+  it("adds up holdings by sector with cash last", () => {
+    expect(groupAllocation(portfolioData, classifications, "sector", 150)).toEqual([
+      { name: "Technology", value: 800 },
+      { name: "Crypto", value: 600 },
+      { name: UNCLASSIFIED, value: 100 },
+      { name: "Cash", value: 200, isCash: true },
+    ]);
+  });
+
+  it("adds up holdings by region", () => {
+    expect(groupAllocation(portfolioData, classifications, "region")).toEqual([
+      { name: "North America", value: 800 },
+      { name: "Global", value: 600 },
+      { name: UNCLASSIFIED, value: 100 },
+      { name: "Cash", value: 50, isCash: true },
+    ]);
+  });
+});
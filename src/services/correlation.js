@@ -0,0 +1,117 @@
+// how much the holdings move together, and how diversified that leaves the
+// portfolio.
+//
+// correlations come from daily price returns in each asset's own currency.
+// each pair is compared on the days both have a close, so a stock's
+// Friday → Monday return lines up with the crypto move over the same weekend.
+
+// fewer common days than this and a correlation is too noisy to show
+export const MIN_CORRELATION_DAYS = 20;
+// pairs at or above this are flagged as moving together
+export const HIGH_CORRELATION = 0.7;
+
+/**
+ * Pearson correlation of two assets' daily returns on the days both have a
+ * close (from `from`, "YYYY-MM-DD", when given). closes: [[date, close], ...]
+ * oldest first. returns { correlation, days }, or null with fewer than
+ * `minDays` common returns or a flat series.
+ */
+export const calculateCorrelation = (closesA = [], closesB = [], { from = null, minDays = MIN_CORRELATION_DAYS } = {}) => {
+  const closesByDate = new Map(closesB.filter(([date]) => !from || date >= from));
+  const common = closesA.filter(([date, close]) => (!from || date >= from) && close > 0 && closesByDate.get(date) > 0);
+
+  const a = [], b = [];
+  for (let i = 1; i < common.length; i++) {
+    const [date, close] = common[i];
+    const [previousDate, previousClose] = common[i - 1];
+    a.push(close / previousClose - 1);
+    b.push(closesByDate.get(date) / closesByDate.get(previousDate) - 1);
+  }
+  if (a.length < minDays) return null;
+
+  const meanA = a.reduce((sum, v) => sum + v, 0) / a.length;
+  const meanB = b.reduce((sum, v) => sum + v, 0) / b.length;
+  let covariance = 0, varianceA = 0, varianceB = 0;
+  for (let i = 0; i < a.length; i++) {
+    covariance += (a[i] - meanA) * (b[i] - meanB);
+    varianceA += (a[i] - meanA) ** 2;
+    varianceB += (b[i] - meanB) ** 2;
+  }
+  if (!(varianceA > 0) || !(varianceB > 0)) return null;
+  // clamp the rounding of perfectly (anti-)correlated series
+  const correlation = Math.max(-1, Math.min(1, covariance / Math.sqrt(varianceA * varianceB)));
+  return { correlation, days: a.length };
+};
+
+/**
+ * correlation of every pair of `tickers` from history ({ [ticker]: closes }).
+ * matrix[i][j] is the correlation of tickers[i] and tickers[j] - 1 on the
+ * diagonal, null where there isn't enough common history.
+ */
+export const calculateCorrelationMatrix = (tickers = [], history = {}, options = {}) => {
+  const matrix = tickers.map(() => tickers.map(() => null));
+  tickers.forEach((ticker, i) => {
+    matrix[i][i] = history[ticker]?.length ? 1 : null;
+    for (let j = i + 1; j < tickers.length; j++) {
+      const result = calculateCorrelation(history[ticker], history[tickers[j]], options);
+      matrix[i][j] = matrix[j][i] = result ? result.correlation : null;
+    }
+  });
+  return matrix;
+};
+
+/**
+ * pairs of the matrix correlated at `threshold` or more, most correlated
+ * first: [{ a, b, correlation }]
+ */
+export const findCorrelatedPairs = (tickers, matrix, threshold = HIGH_CORRELATION) => {
+  const pairs = [];
+  tickers.forEach((a, i) => {
+    for (let j = i + 1; j < tickers.length; j++) {
+      const correlation = matrix[i][j];
+      if (correlation !== null && correlation >= threshold) pairs.push({ a, b: tickers[j], correlation });
+    }
+  });
+  return pairs.sort((x, y) => y.correlation - x.correlation);
+};
+
+/**
+ * effective number of bets: how many equally weighted, independent holdings
+ * the portfolio is worth.
+ * - `byWeight` is the inverse Herfindahl index 1 / Σw² - 4 equal holdings
+ *   are 4 bets, one holding at 90% is barely more than 1
+ * - `byCorrelation` also counts holdings that move together as one bet:
+ *   (Σw)² / wᵀCw with C the correlation matrix. equal to byWeight when
+ *   nothing is correlated, 1 when everything moves in lockstep. pairs without
+ *   a correlation are counted as independent
+ * weights: [{ ticker, value }]; tickers/matrix from calculateCorrelationMatrix.
+ * returns { byWeight, byCorrelation, holdings }, or null without any value
+ */
+export const calculateEffectiveBets = (weights = [], tickers = [], matrix = []) => {
+  const holdings = weights.filter((w) => w.value > 0);
+  const total = holdings.reduce((sum, w) => sum + w.value, 0);
+  if (!(total > 0)) return null;
+  const shares = holdings.map((w) => ({ ticker: w.ticker, weight: w.value / total }));
+
+  const index = new Map(tickers.map((ticker, i) => [ticker, i]));
+  const correlationOf = (a, b) => {
+    if (a === b) return 1;
+    const i = index.get(a), j = index.get(b);
+    return i === undefined || j === undefined ? 0 : matrix[i][j] ?? 0;
+  };
+
+  let concentration = 0, variance = 0;
+  shares.forEach((x) => {
+    concentration += x.weight ** 2;
+    shares.forEach((y) => {
+      variance += x.weight * y.weight * correlationOf(x.ticker, y.ticker);
+    });
+  });
+
+  return {
+    byWeight: 1 / concentration,
+    // negative correlations can push wᵀCw towards 0; never count more bets than holdings
+    byCorrelation: variance > 0 ? Math.min(1 / variance, shares.length) : shares.length,
+    holdings: shares.length,
+  };
+};
@@ -0,0 +1,126 @@
+import { describe, it, expect } from "vitest";
+import {
+  calculateCorrelation,
+  calculateCorrelationMatrix,
+  findCorrelatedPairs,
+  calculateEffectiveBets,
+} from "./correlation";
+import { adjustHistoryForSplits } from "./portfolioHistory";
+
+// closes on consecutive days from 2024-01-01
+const closes = (values) =>
+  values.map((close, i) => {
+    const date = new Date(Date.UTC(2024, 0, 1 + i));
+    return [date.toISOString().slice(0, 10), close];
+  });
+
+// a price path from daily returns
+const path = (returns, start = 100) => {
+  const values = [start];
+  returns.forEach((r) => values.push(values[values.length - 1] * (1 + r)));
+  return values;
+};
+
+const returns = [0.01, -0.02, 0.015, 0.005, -0.01, 0.02, -0.005, 0.01, -0.015, 0.0];
+
+describe("calculateCorrelation", () => {
+  it("is 1 for assets moving in step and -1 for opposite moves", () => {
+    const a = closes(path(returns));
+    const doubled = closes(path(returns.map((r) => r * 2)));
+    const opposite = closes(path(returns.map((r) => -r)));
+    expect(calculateCorrelation(a, doubled, { minDays: 5 }).correlation).toBeCloseTo(1);
+    expect(calculateCorrelation(a, opposite, { minDays: 5 })).toEqual({ correlation: expect.closeTo(-1), days: 10 });
+  });
+
+  it("is not thrown off by a split once the closes are adjusted", () => {
+    const a = closes(path(returns));
+    // b moves with a but has a 10-for-1 split on its 6th day
+    const b = closes(path(returns, 1000).map((close, i) => (i >= 5 ? close / 10 : close)));
+    const split = { ticker: "B", type: "Split", quantity: 10, price: 0, date: b[5][0] };
+    expect(calculateCorrelation(a, b, { minDays: 5 }).correlation).toBeLessThan(0.5);
+    const adjusted = adjustHistoryForSplits({ A: a, B: b }, [split]);
+    expect(calculateCorrelation(adjusted.A, adjusted.B, { minDays: 5 }).correlation).toBeCloseTo(1);
+  });
+
+  it("compares returns over the days both have a close", () => {
+    // b has no close on the 3rd; a's 2nd → 4th return is compared with b's
+    const a = [["2024-01-01", 100], ["2024-01-02", 110], ["2024-01-03", 90], ["2024-01-04", 99], ["2024-01-05", 99]];
+    const b = [["2024-01-01", 50], ["2024-01-02", 55], ["2024-01-04", 49.5], ["2024-01-05", 49.5]];
+    // a: +10%, -10%, 0; b: +10%, -10%, 0
+    expect(calculateCorrelation(a, b, { minDays: 3 }).correlation).toBeCloseTo(1);
+  });
+
+  it("needs enough common days and some movement", () => {
+    const a = closes(path(returns));
+    expect(calculateCorrelation(a, a)).toBeNull(); // 10 returns, 20 needed by default
+    expect(calculateCorrelation(a, closes(path(returns)), { from: "2024-01-08", minDays: 5 })).toBeNull();
+    expect(calculateCorrelation(a, closes(new Array(11).fill(100)), { minDays: 5 })).toBeNull();
+  });
+});
+
+describe("calculateCorrelationMatrix", () => {
+  it("fills a symmetric matrix with 1 on the diagonal", () => {
+    const history = {
+      A: closes(path(returns)),
+      B: closes(path(returns.map((r) => -r))),
+    };
+    const matrix = calculateCorrelationMatrix(["A", "B", "C"], history, { minDays: 5 });
+    expect(matrix[0][0]).toBe(1);
+    expect(matrix[0][1]).toBeCloseTo(-1);
+    expect(matrix[1][0]).toBe(matrix[0][1]);
+    expect(matrix[2]).toEqual([null, null, null]); // no history for C
+  });
+});
+
+describe("findCorrelatedPairs", () => {
+  it("lists the pairs above the threshold, most correlated first", () => {
+    const matrix = [
+      [1, 0.8, 0.95],
+      [0.8, 1, 0.2],
+      [0.95, 0.2, 1],
+    ];
+    expect(findCorrelatedPairs(["NVDA", "BTC", "TSM"], matrix)).toEqual([
+      { a: "NVDA", b: "TSM", correlation: 0.95 },
+      { a: "NVDA", b: "BTC", correlation: 0.8 },
+    ]);
+  });
+});
+
+describe("calculateEffectiveBets", () => {
+  const weights = [
+    { ticker: "A", value: 250 },
+    { ticker: "B", value: 250 },
+    { ticker: "C", value: 250 },
+    { ticker: "D", value: 250 },
+  ];
+
+  it("counts equal independent holdings as one bet each", () => {
+    expect(calculateEffectiveBets(weights)).toEqual({ byWeight: 4, byCorrelation: 4, holdings: 4 });
+  });
+
+  it("counts a dominant holding as close to one bet", () => {
+    const bets = calculateEffectiveBets([{ ticker: "A", value: 900 }, { ticker: "B", value: 100 }]);
+    expect(bets.byWeight).toBeCloseTo(1 / 0.82);
+  });
+
+  it("counts holdings that move together as one bet", () => {
+    const tickers = ["A", "B", "C", "D"];
+    const lockstep = tickers.map(() => tickers.map(() => 1));
+    expect(calculateEffectiveBets(weights, tickers, lockstep).byCorrelation).toBeCloseTo(1);
+
+    // A and B in lockstep are one holding of half the portfolio: 1 / (0.5² + 0.25² + 0.25²)
+    const paired = [
+      [1, 1, 0, 0],
+      [1, 1, 0, 0],
+      [0, 0, 1, null],
+      [0, 0, null, 1],
+    ];
+    const bets = calculateEffectiveBets(weights, tickers, paired);
+    expect(bets.byCorrelation).toBeCloseTo(16 / 6);
+    expect(bets.byWeight).toBe(4);
+  });
+
+  it("is null without any value", () => {
+    expect(calculateEffectiveBets([{ ticker: "A", value: 0 }])).toBeNull();
+  });
+});
@@ -0,0 +1,207 @@
+// lot-matching engine shared by every cost basis calculation (holdings,
+// realized P&L, history chart). buys open lots; sells consume open lots in an
+// order decided by the selected cost basis method.
+// callers feed transactions oldest first (sortTransactionsChronologically).
+
+import { isIncomeType, isUnitIncome, isSplitType, getSplitRatio, isCashFlowType } from "../constants/transactionTypes.js";
+
+export const COST_BASIS_METHODS = [
+  { value: "fifo", label: "FIFO", description: "Oldest lots are sold first" },
+  { value: "lifo", label: "LIFO", description: "Newest lots are sold first" },
+  { value: "hifo", label: "HIFO", description: "Highest-cost lots are sold first" },
+  { value: "average", label: "Average cost", description: "Every share carries the average purchase price" },
+  { value: "specific", label: "Specific lot", description: "Pick the lots each sell closes (FIFO when none are picked)" },
+];
+
+export const DEFAULT_COST_BASIS_METHOD = "fifo";
+
+// fees are in dollars unless fee_currency names the traded asset
+export const DEFAULT_FEE_CURRENCY = "USD";
+
+// remaining lot quantities at or below this count as fully sold
+const LOT_EPSILON = 1e-9;
+
+const METHOD_VALUES = new Set(COST_BASIS_METHODS.map((m) => m.value));
+
+// map any stored/legacy value to a known method (unknown → FIFO)
+export const normalizeCostBasisMethod = (method) => {
+  const normalized = typeof method === "string" ? method.trim().toLowerCase() : "";
+  return METHOD_VALUES.has(normalized) ? normalized : DEFAULT_COST_BASIS_METHOD;
+};
+
+export const getCostBasisLabel = (method) =>
+  COST_BASIS_METHODS.find((m) => m.value === normalizeCostBasisMethod(method)).label;
+
+/**
+ * effective method for a ticker.
+ * costBasis: { method, byTicker: { [ticker]: method } } - per-asset wins over the account default
+ */
+export const resolveCostBasisMethod = (costBasis, ticker) =>
+  normalizeCostBasisMethod(costBasis?.byTicker?.[ticker] || costBasis?.method);
+
+/**
+ * money value of a transaction's fee (in the transaction's currency). crypto
+ * fees can be paid in the coin itself (feeCurrency = ticker); those are
+ * valued at the trade price
+ */
+export const getFeeAmount = (tx) => {
+  const fee = Number(tx?.fee) || 0;
+  if (fee <= 0) return 0;
+  const currency = (tx.feeCurrency || DEFAULT_FEE_CURRENCY).toUpperCase();
+  if (currency !== DEFAULT_FEE_CURRENCY && currency === tx.ticker?.toUpperCase()) {
+    return fee * (Number(tx.price) || 0);
+  }
+  return fee;
+};
+
+// consume up to `quantity` from lots in the given order
+const consumeInOrder = (orderedLots, quantity, matched) => {
+  let remaining = quantity;
+  for (const lot of orderedLots) {
+    if (remaining <= LOT_EPSILON) break;
+    if (lot.quantity <= LOT_EPSILON) continue; // skip exhausted lots
+    const shares = Math.min(remaining, lot.quantity);
+    lot.quantity -= shares;
+    remaining -= shares;
+    matched.push({ lotId: lot.id, quantity: shares, price: lot.price, date: lot.date });
+  }
+  return remaining;
+};
+
+// order open lots for a method: FIFO oldest first, LIFO newest first,
+// HIFO most expensive first (oldest first between equal prices)
+const orderLots = (lots, method) => {
+  if (method === "lifo") return [...lots].reverse();
+  if (method === "hifo") {
+    return lots
+      .map((lot, index) => ({ lot, index }))
+      .sort((a, b) => b.lot.price - a.lot.price || a.index - b.index)
+      .map(({ lot }) => lot);
+  }
+  return lots;
+};
+
+/**
+ * remove `quantity` shares from open lots (mutates the lots).
+ * average cost takes every open lot down pro rata, so each sold share costs
+ * the running average and the remaining average is unchanged.
+ * specific uses lotSelections [{ lotId, quantity }] first, then FIFO for the rest.
+ * returns { costBasis, matched: [{ lotId, quantity, price, date }] }
+ */
+export const matchLots = (lots, quantity, method = DEFAULT_COST_BASIS_METHOD, lotSelections = null) => {
+  const matched = [];
+  const openLots = lots.filter((lot) => lot.quantity > LOT_EPSILON);
+
+  if (method === "average") {
+    const held = openLots.reduce((sum, lot) => sum + lot.quantity, 0);
+    const ratio = held > 0 ? Math.min(quantity / held, 1) : 0;
+    openLots.forEach((lot) => {
+      const shares = lot.quantity * ratio;
+      lot.quantity -= shares;
+      matched.push({ lotId: lot.id, quantity: shares, price: lot.price, date: lot.date });
+    });
+  } else {
+    let remaining = quantity;
+    if (method === "specific" && lotSelections?.length) {
+      for (const selection of lotSelections) {
+        const lot = openLots.find((l) => l.id === selection.lotId);
+        if (!lot) continue; // lot edited/deleted since it was picked
+        // a picked lot can have less left than requested (earlier edits) - the shortfall falls through to FIFO
+        const wanted = Math.min(remaining, Number(selection.quantity) || 0);
+        remaining -= wanted - consumeInOrder([lot], wanted, matched);
+      }
+    }
+    consumeInOrder(orderLots(openLots, method), remaining, matched);
+  }
+
+  const costBasis = matched.reduce((sum, m) => sum + m.quantity * m.price, 0);
+  return { costBasis, matched };
+};
+
+// lots never cross accounts: each portfolio holds its own position per ticker
+// (transactions without a portfolio share one position per ticker)
+export const getPositionKey = (tx) => (tx.portfolioId ? `${tx.portfolioId}/${tx.ticker}` : tx.ticker);
+
+/**
+ * running positions per portfolio and ticker (see getPositionKey). apply()
+ * each transaction in chronological order; positions[key] holds
+ * { ticker, portfolioId, quantity, totalCost, lots } afterwards.
+ * fees are part of the trade: a buy's fee is added to its lot cost and a
+ * sell's fee is taken off its proceeds.
+ * income paid in units opens a lot at its value when received; cash income,
+ * deposits and withdrawals leave positions untouched. a split multiplies the
+ * units of every open lot by its ratio and divides their per-unit price, so
+ * total cost is unchanged.
+ * apply() returns { costBasis, matched, proceeds, fee } for sells and null otherwise
+ */
+export const createLotLedger = (costBasis = null) => {
+  const positions = {};
+
+  const apply = (tx) => {
+    // deposits and withdrawals hold no units
+    if (isCashFlowType(tx.type)) return null;
+
+    const ticker = tx.ticker;
+    const key = getPositionKey(tx);
+    if (!positions[key]) {
+      positions[key] = {
+        ticker,
+        portfolioId: tx.portfolioId ?? null,
+        quantity: 0,
+        totalCost: 0,
+        method: resolveCostBasisMethod(costBasis, ticker),
+        lots: [], // [{ id, date, time, price, quantity, originalQuantity }] - oldest first
+      };
+    }
+    const position = positions[key];
+    const quantity = Number(tx.quantity) || 0;
+    const price = Number(tx.price) || 0;
+    const fee = getFeeAmount(tx);
+
+    if (isIncomeType(tx.type) && !isUnitIncome(tx)) return null;
+
+    if (isSplitType(tx.type)) {
+      const ratio = getSplitRatio(tx);
+      position.lots.forEach((lot) => {
+        lot.quantity *= ratio;
+        lot.originalQuantity *= ratio;
+        lot.price /= ratio;
+      });
+      position.quantity *= ratio;
+      return null;
+    }
+
+    if (tx.type?.toLowerCase() !== "sell") {
+      const cost = quantity * price + fee;
+      position.quantity += quantity;
+      position.totalCost += cost;
+      // each buy (or unit income) is a lot, identified by its transaction id.
+      // lot price is the per-unit cost including the buy fee
+      position.lots.push({
+        id: tx.id ?? `lot-${position.lots.length}`,
+        date: tx.date,
+        time: tx.time,
+        price: quantity > 0 ? cost / quantity : price,
+        quantity,
+        originalQuantity: quantity,
+      });
+      return null;
+    }
+
+    const match = matchLots(position.lots, quantity, position.method, tx.lotSelections);
+    // subtract the matched cost basis of sold shares, not the sell price
+    position.quantity -= quantity;
+    position.totalCost -= match.costBasis;
+    return { ...match, proceeds: quantity * price - fee, fee };
+  };
+
+  return { positions, apply };
+};
+
+// lots that still hold shares
+export const getOpenLots = (position) =>
+  (position?.lots || []).filter((lot) => lot.quantity > LOT_EPSILON);
+
+// every position of one ticker (one per portfolio)
+export const getTickerPositions = (positions, ticker) =>
+  Object.values(positions).filter((position) => position.ticker === ticker);
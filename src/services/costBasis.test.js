@@ -0,0 +1,119 @@
+import { describe, it, expect } from "vitest";
+import {
+  matchLots,
+  createLotLedger,
+  normalizeCostBasisMethod,
+  resolveCostBasisMethod,
+} from "./costBasis";
+import { calculatePortfolioData, calculateRealizedPnL, calculateOpenLotsAt } from "./utils";
+
+// helper: build a transaction with sensible defaults
+const tx = (overrides) => ({
+  ticker: "AAPL",
+  type: "Buy",
+  quantity: 1,
+  price: 100,
+  date: "2024-01-01",
+  time: "10:00",
+  assetType: "Stock",
+  name: "Apple",
+  ...overrides,
+});
+
+// three lots: 10 @ $100 (oldest), 10 @ $150, 10 @ $120 (newest)
+const lots = () => [
+  { id: "a", price: 100, quantity: 10, date: "2024-01-01" },
+  { id: "b", price: 150, quantity: 10, date: "2024-02-01" },
+  { id: "c", price: 120, quantity: 10, date: "2024-03-01" },
+];
+
+describe("matchLots", () => {
+  it.each([
+    ["fifo", 12, 10 * 100 + 2 * 150, ["a", "b"]],
+    ["lifo", 12, 10 * 120 + 2 * 150, ["c", "b"]],
+    ["hifo", 12, 10 * 150 + 2 * 120, ["b", "c"]],
+  ])("%s consumes lots in method order", (method, quantity, expectedCost, order) => {
+    const { costBasis, matched } = matchLots(lots(), quantity, method);
+    expect(costBasis).toBeCloseTo(expectedCost);
+    expect(matched.map((m) => m.lotId)).toEqual(order);
+  });
+
+  it("average cost sells at the running average and keeps it unchanged", () => {
+    const open = lots();
+    const { costBasis } = matchLots(open, 15, "average");
+    expect(costBasis).toBeCloseTo(15 * (3700 / 30));
+    const remainingQty = open.reduce((sum, l) => sum + l.quantity, 0);
+    const remainingCost = open.reduce((sum, l) => sum + l.quantity * l.price, 0);
+    expect(remainingQty).toBeCloseTo(15);
+    expect(remainingCost / remainingQty).toBeCloseTo(3700 / 30);
+  });
+
+  it("specific lot uses the picked lots and falls back to FIFO for the rest", () => {
+    const { costBasis, matched } = matchLots(lots(), 12, "specific", [{ lotId: "c", quantity: 8 }]);
+    expect(matched.map((m) => [m.lotId, m.quantity])).toEqual([["c", 8], ["a", 4]]);
+    expect(costBasis).toBeCloseTo(8 * 120 + 4 * 100);
+  });
+
+  it("ignores picked lots that no longer exist", () => {
+    const { matched } = matchLots(lots(), 3, "specific", [{ lotId: "gone", quantity: 3 }]);
+    expect(matched).toEqual([{ lotId: "a", quantity: 3, price: 100, date: "2024-01-01" }]);
+  });
+
+  it("lot selections are ignored by the other methods", () => {
+    const { matched } = matchLots(lots(), 2, "fifo", [{ lotId: "c", quantity: 2 }]);
+    expect(matched[0].lotId).toBe("a");
+  });
+});
+
+describe("createLotLedger", () => {
+  it("applies the per-asset method over the account default", () => {
+    const ledger = createLotLedger({ method: "lifo", byTicker: { BTC: "hifo" } });
+    ledger.apply(tx({ ticker: "AAPL" }));
+    ledger.apply(tx({ ticker: "BTC" }));
+    expect(ledger.positions.AAPL.method).toBe("lifo");
+    expect(ledger.positions.BTC.method).toBe("hifo");
+  });
+});
+
+describe("method helpers", () => {
+  it("normalizes unknown methods to FIFO", () => {
+    expect(normalizeCostBasisMethod("HIFO")).toBe("hifo");
+    expect(normalizeCostBasisMethod("nope")).toBe("fifo");
+    expect(normalizeCostBasisMethod(null)).toBe("fifo");
+    expect(resolveCostBasisMethod(null, "AAPL")).toBe("fifo");
+  });
+});
+
+describe("portfolio calculations with a cost basis method", () => {
+  const txs = [
+    tx({ id: "b1", quantity: 10, price: 100, date: "2024-01-01" }),
+    tx({ id: "b2", quantity: 10, price: 200, date: "2024-02-01" }),
+    tx({ id: "s1", type: "Sell", quantity: 10, price: 180, date: "2024-03-01" }),
+  ];
+
+  it.each([
+    ["fifo", 2000, 800],
+    ["lifo", 1000, -200],
+    ["hifo", 1000, -200],
+    ["average", 1500, 300],
+  ])("%s drives remaining cost basis and realized P&L", (method, remainingCost, realized) => {
+    const [asset] = calculatePortfolioData(txs, {}, { method });
+    expect(asset.totalCost).toBeCloseTo(remainingCost);
+    expect(asset.realizedPnl).toBeCloseTo(realized);
+    expect(calculateRealizedPnL(txs, { method }).total).toBeCloseTo(realized);
+  });
+
+  it("honours lots picked on a sell under the specific method", () => {
+    const picked = txs.map((t) => (t.id === "s1" ? { ...t, lotSelections: [{ lotId: "b2", quantity: 10 }] } : t));
+    const [asset] = calculatePortfolioData(picked, {}, { method: "specific" });
+    expect(asset.realizedPnl).toBeCloseTo(-200);
+    expect(asset.lots.map((l) => l.id)).toEqual(["b1"]);
+  });
+
+  it("lists the lots open just before a sell", () => {
+    const open = calculateOpenLotsAt(txs, "AAPL", { date: "2024-03-01", time: "10:00", excludeId: "s1" });
+    expect(open.map((l) => [l.id, l.quantity])).toEqual([["b1", 10], ["b2", 10]]);
+    const early = calculateOpenLotsAt(txs, "AAPL", { date: "2024-01-15", time: "09:00" });
+    expect(early.map((l) => l.id)).toEqual(["b1"]);
+  });
+});
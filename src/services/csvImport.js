@@ -0,0 +1,329 @@
+// CSV import helpers for bringing broker/exchange exports into the app.
+// parsing and column mapping are kept free of React so they can be unit tested.
+
+import { normalizeAssetType } from "./utils";
+import { DEFAULT_CURRENCY, SUPPORTED_CURRENCIES } from "./currency";
+import { isIncomeType, isSplitType, isCashFlowType } from "../constants/transactionTypes";
+
+// fields a mapped CSV row can fill (mirrors what createTransaction expects)
+export const IMPORT_FIELDS = [
+  { key: "ticker", label: "Ticker", required: true },
+  { key: "type", label: "Type", required: false },
+  { key: "quantity", label: "Quantity", required: true },
+  { key: "price", label: "Price", required: true },
+  { key: "currency", label: "Currency", required: false },
+  { key: "date", label: "Date", required: true },
+  { key: "time", label: "Time", required: false },
+  { key: "assetType", label: "Asset class", required: false },
+  { key: "name", label: "Name", required: false },
+  { key: "fee", label: "Fee", required: false },
+  { key: "feeCurrency", label: "Fee currency", required: false },
+  { key: "payout", label: "Paid in (income)", required: false },
+];
+
+export const DATE_FORMATS = ["YYYY-MM-DD", "MM/DD/YYYY", "DD/MM/YYYY"];
+
+// header aliases seen in common broker and exchange exports (lowercased)
+const HEADER_ALIASES = {
+  ticker: ["ticker", "symbol", "asset", "coin", "instrument", "security"],
+  type: ["type", "side", "action", "transaction type", "order type", "buy/sell"],
+  quantity: ["quantity", "qty", "shares", "units", "amount", "size"],
+  price: ["price", "unit price", "price per share", "execution price", "fill price", "rate"],
+  currency: ["currency", "ccy", "price currency", "trade currency", "settlement currency"],
+  date: ["date", "trade date", "datetime", "timestamp", "time (utc)", "executed at", "date/time"],
+  time: ["time", "trade time"],
+  assetType: ["asset class", "asset type", "class", "category"],
+  name: ["name", "description", "security name", "company"],
+  fee: ["fee", "fees", "commission", "commissions", "fee amount", "transaction fee"],
+  feeCurrency: ["fee currency", "fee asset", "fee coin", "commission asset"],
+  payout: ["payout", "paid in", "income payout"],
+};
+
+// parse CSV text into { headers, rows } (RFC 4180: quoted fields, escaped
+// quotes, commas and newlines inside quotes, CRLF line endings, UTF-8 BOM)
+export const parseCsv = (text) => {
+  if (!text) return { headers: [], rows: [] };
+
+  const input = text.replace(/^\uFEFF/, "");
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  // flush the last record when the file has no trailing newline
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // drop blank lines
+  const nonEmpty = records.filter((r) => r.some((value) => value.trim() !== ""));
+  if (nonEmpty.length === 0) return { headers: [], rows: [] };
+
+  const headers = nonEmpty[0].map((h) => h.trim());
+  const rows = nonEmpty.slice(1).map((values) => {
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = (values[index] ?? "").trim();
+    });
+    return row;
+  });
+
+  return { headers, rows };
+};
+
+// guess which CSV header feeds each field, based on common header names
+// returns { ticker: "Symbol", quantity: "Qty", ... } (unmatched fields are "")
+export const guessColumnMapping = (headers = []) => {
+  const mapping = {};
+  const used = new Set();
+
+  IMPORT_FIELDS.forEach(({ key }) => {
+    const aliases = HEADER_ALIASES[key] || [];
+    const match = headers.find(
+      (header) => !used.has(header) && aliases.includes(header.trim().toLowerCase())
+    );
+    mapping[key] = match || "";
+    if (match) used.add(match);
+  });
+
+  return mapping;
+};
+
+// strip currency symbols, thousands separators and whitespace from a number
+// example: parseImportNumber("$1,234.50") returns 1234.5
+export const parseImportNumber = (value) => {
+  if (value === null || value === undefined) return NaN;
+  const raw = String(value).trim();
+  if (!raw) return NaN;
+  // accounting format: (123.45) is negative
+  const isParenthesized = /^\(.*\)$/.test(raw);
+  const cleaned = raw.replace(/[^\d.eE+-]/g, "");
+  const num = parseFloat(cleaned);
+  if (isNaN(num)) return NaN;
+  return isParenthesized ? -Math.abs(num) : num;
+};
+
+// map broker wording onto "Buy" / "Sell", an income type, "Split", "Deposit" or
+// "Withdrawal" (null when unrecognized)
+export const parseImportType = (value) => {
+  const normalized = String(value || "").trim().toLowerCase();
+  if (!normalized) return null;
+  if (["buy", "b", "bought", "purchase", "market buy", "limit buy"].includes(normalized)) return "Buy";
+  if (["sell", "s", "sold", "sale", "market sell", "limit sell"].includes(normalized)) return "Sell";
+  if (normalized.startsWith("buy")) return "Buy";
+  if (normalized.startsWith("sell")) return "Sell";
+  if (["dividend", "div", "cash dividend", "qualified dividend", "dividend reinvestment", "drip"].includes(normalized)) return "Dividend";
+  if (["interest", "interest income", "credit interest"].includes(normalized)) return "Interest";
+  if (["staking", "staking reward", "staking rewards", "reward", "rewards"].includes(normalized)) return "Staking";
+  if (["split", "stock split", "reverse split"].includes(normalized)) return "Split";
+  if (["deposit", "cash deposit", "transfer in", "contribution", "funding"].includes(normalized)) return "Deposit";
+  if (["withdrawal", "withdraw", "cash withdrawal", "transfer out", "distribution"].includes(normalized)) return "Withdrawal";
+  return null;
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+const isValidDateParts = (year, month, day) => {
+  const d = new Date(year, month - 1, day);
+  return (
+    d.getFullYear() === year && d.getMonth() === month - 1 && d.getDate() === day
+  );
+};
+
+// parse a date cell into { date: "YYYY-MM-DD", time: "HH:MM" | "" }
+// accepts an optional time after the date ("2024-01-15 14:30", ISO "T" form)
+// returns null when the value cannot be read in the chosen format
+export const parseImportDate = (value, format = "YYYY-MM-DD") => {
+  const raw = String(value || "").trim();
+  if (!raw) return null;
+
+  // full ISO timestamps with a zone (e.g. exchange exports in UTC) are
+  // converted to local wall-clock time, matching how the form stores dates
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}.*(Z|[+-]\d{2}:?\d{2})$/.test(raw)) {
+    const parsed = new Date(raw);
+    if (isNaN(parsed.getTime())) return null;
+    return {
+      date: `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`,
+      time: `${pad(parsed.getHours())}:${pad(parsed.getMinutes())}`,
+    };
+  }
+
+  // split on the first "T" or whitespace only, so "2:30 PM" stays together
+  const [, datePart, timePart = ""] = raw.match(/^([^T\s]+)(?:[T\s]+(.*))?$/) || [];
+  if (!datePart) return null;
+  let year, month, day;
+
+  if (format === "YYYY-MM-DD") {
+    const match = datePart.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+    if (!match) return null;
+    [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+  } else {
+    const match = datePart.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+    if (!match) return null;
+    const first = Number(match[1]);
+    const second = Number(match[2]);
+    year = Number(match[3]);
+    [month, day] = format === "MM/DD/YYYY" ? [first, second] : [second, first];
+  }
+
+  if (!isValidDateParts(year, month, day)) return null;
+
+  return {
+    date: `${year}-${pad(month)}-${pad(day)}`,
+    time: parseImportTime(timePart) || "",
+  };
+};
+
+// parse "14:30", "14:30:59" or "2:30 PM" into "HH:MM" ("" when missing/invalid)
+export const parseImportTime = (value) => {
+  const raw = String(value || "").trim();
+  if (!raw) return "";
+  const match = raw.match(/^(\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?\s*([ap]m)?$/i);
+  if (!match) return "";
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const meridiem = match[3]?.toLowerCase();
+  if (meridiem === "pm" && hours < 12) hours += 12;
+  if (meridiem === "am" && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return "";
+  return `${pad(hours)}:${pad(minutes)}`;
+};
+
+/**
+ * turn parsed CSV rows into transactions using a column mapping.
+ * options: { dateFormat, defaultAssetType, defaultCurrency }
+ * returns { transactions, errors } where errors are { row, message } with
+ * 1-based row numbers that match the spreadsheet (header is row 1)
+ */
+export const mapRowsToTransactions = (rows, mapping, options = {}) => {
+  const { dateFormat = "YYYY-MM-DD", defaultAssetType = "Stock", defaultCurrency = DEFAULT_CURRENCY } = options;
+  const transactions = [];
+  const errors = [];
+  const cell = (row, key) => (mapping[key] ? row[mapping[key]] ?? "" : "");
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2;
+    const rowErrors = [];
+
+    const signedQuantity = parseImportNumber(cell(row, "quantity"));
+    const quantity = Math.abs(signedQuantity);
+    if (isNaN(signedQuantity) || quantity <= 0) rowErrors.push("quantity must be a positive number");
+
+    // without a mapped type column, signed quantities decide the side
+    let type = mapping.type ? parseImportType(cell(row, "type")) : null;
+    if (mapping.type && !type) {
+      rowErrors.push(`unrecognized type "${cell(row, "type")}"`);
+    } else if (!mapping.type) {
+      type = signedQuantity < 0 ? "Sell" : "Buy";
+    }
+
+    // price (or amount) and a cash fee are in the row's currency
+    const currency = cell(row, "currency").trim().toUpperCase() || defaultCurrency;
+    if (!/^[A-Z]{3}$/.test(currency)) rowErrors.push(`currency "${currency}" is not a 3-letter code`);
+    // only currencies the exchange rates cover can be converted to the base
+    else if (!SUPPORTED_CURRENCIES.includes(currency)) rowErrors.push(`currency "${currency}" is not supported`);
+
+    // deposits and withdrawals are cash: the quantity column is the amount,
+    // filed under the currency code
+    const isCashFlow = isCashFlowType(type);
+    const ticker = isCashFlow ? currency : cell(row, "ticker").toUpperCase().trim();
+    if (!ticker) rowErrors.push("missing ticker");
+    else if (ticker.length > 10) rowErrors.push(`ticker "${ticker}" is too long`);
+
+    // income rows: cash payouts use the quantity column as the amount (price 1);
+    // staking defaults to units, dividends and interest to cash
+    const isIncome = isIncomeType(type);
+    const payoutCell = cell(row, "payout").trim().toLowerCase();
+    const payout = !isIncome ? null : payoutCell || (type === "Staking" ? "units" : "cash");
+    if (isIncome && !["cash", "units"].includes(payout)) rowErrors.push(`payout "${payoutCell}" must be cash or units`);
+
+    // splits carry their ratio in the quantity column and no price
+    let price = Math.abs(parseImportNumber(cell(row, "price")));
+    if (payout === "cash" || isCashFlow) price = 1;
+    else if (isSplitType(type)) price = 0;
+    if (isSplitType(type) && quantity === 1) rowErrors.push("split ratio cannot be 1");
+    if (isNaN(price)) rowErrors.push("price must be a number");
+
+    // brokers often export fees as negative amounts
+    const fee = cell(row, "fee").trim() && !isCashFlow ? Math.abs(parseImportNumber(cell(row, "fee"))) : 0;
+    if (isNaN(fee)) rowErrors.push("fee must be a number");
+    // fees are paid in the row's currency or in the traded coin itself
+    const feeCurrency = cell(row, "feeCurrency").trim().toUpperCase() || currency;
+    if (feeCurrency !== currency && feeCurrency !== ticker) {
+      rowErrors.push(`fee currency "${feeCurrency}" must be ${currency} or ${ticker || "the ticker"}`);
+    }
+
+    const parsedDate = parseImportDate(cell(row, "date"), dateFormat);
+    if (!parsedDate) {
+      rowErrors.push(`date "${cell(row, "date")}" does not match ${dateFormat}`);
+    } else if (new Date(parsedDate.date) > new Date()) {
+      rowErrors.push("date cannot be in the future");
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push({ row: rowNumber, message: rowErrors.join("; ") });
+      return;
+    }
+
+    // an explicit time column wins over a time embedded in the date cell;
+    // rows without any time are placed at local midnight
+    const time = parseImportTime(cell(row, "time")) || parsedDate.time || "00:00";
+    const assetType = isCashFlow
+      ? "Cash"
+      : mapping.assetType && cell(row, "assetType")
+      ? normalizeAssetType(cell(row, "assetType"))
+      : normalizeAssetType(defaultAssetType);
+
+    transactions.push({
+      ticker,
+      name: isCashFlow ? "Cash" : cell(row, "name") || ticker,
+      type,
+      quantity,
+      price,
+      currency,
+      date: parsedDate.date,
+      time,
+      assetType,
+      fee,
+      feeCurrency: fee > 0 ? feeCurrency : currency,
+      payout,
+      sourceRow: rowNumber,
+    });
+  });
+
+  return { transactions, errors };
+};
@@ -0,0 +1,265 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseCsv,
+  guessColumnMapping,
+  parseImportNumber,
+  parseImportType,
+  parseImportDate,
+  parseImportTime,
+  mapRowsToTransactions,
+} from "./csvImport";
+
+describe("parseCsv", () => {
+  it("parses headers and rows", () => {
+    const { headers, rows } = parseCsv("Symbol,Qty,Price\nAAPL,10,150\nMSFT,2,400\n");
+    expect(headers).toEqual(["Symbol", "Qty", "Price"]);
+    expect(rows).toEqual([
+      { Symbol: "AAPL", Qty: "10", Price: "150" },
+      { Symbol: "MSFT", Qty: "2", Price: "400" },
+    ]);
+  });
+
+  it("handles quoted fields, escaped quotes, CRLF and a BOM", () => {
+    const text = '\uFEFFName,Price\r\n"Berkshire ""B"", Inc.","1,234.50"\r\n';
+    const { headers, rows } = parseCsv(text);
+    expect(headers).toEqual(["Name", "Price"]);
+    expect(rows[0]).toEqual({ Name: 'Berkshire "B", Inc.', Price: "1,234.50" });
+  });
+
+  it("skips blank lines and tolerates a missing trailing newline", () => {
+    const { rows } = parseCsv("a,b\n\n1,2\n\n3,4");
+    expect(rows).toEqual([{ a: "1", b: "2" }, { a: "3", b: "4" }]);
+  });
+
+  it("returns empty results for empty input", () => {
+    expect(parseCsv("")).toEqual({ headers: [], rows: [] });
+  });
+});
+
+describe("guessColumnMapping", () => {
+  it("matches common broker header names case-insensitively", () => {
+    const mapping = guessColumnMapping(["Trade Date", "Symbol", "Side", "Qty", "Price", "Fees"]);
+    expect(mapping).toMatchObject({
+      date: "Trade Date",
+      ticker: "Symbol",
+      type: "Side",
+      quantity: "Qty",
+      price: "Price",
+      time: "",
+    });
+  });
+});
+
+describe("parseImportNumber", () => {
+  it.each([
+    ["$1,234.50", 1234.5],
+    ["-3", -3],
+    ["(12.5)", -12.5],
+    ["0.00001234", 0.00001234],
+    ["", NaN],
+    ["abc", NaN],
+  ])("parses %o", (input, expected) => {
+    expect(parseImportNumber(input)).toEqual(expected);
+  });
+});
+
+describe("parseImportType", () => {
+  it.each([
+    ["BUY", "Buy"],
+    ["Bought", "Buy"],
+    ["Market Sell", "Sell"],
+    ["s", "Sell"],
+    ["Cash Dividend", "Dividend"],
+    ["staking reward", "Staking"],
+    ["Transfer In", "Deposit"],
+    ["withdraw", "Withdrawal"],
+    ["transfer", null],
+  ])("maps %o to %o", (input, expected) => {
+    expect(parseImportType(input)).toBe(expected);
+  });
+});
+
+describe("parseImportDate", () => {
+  it("reads ISO dates with an optional time", () => {
+    expect(parseImportDate("2024-01-15")).toEqual({ date: "2024-01-15", time: "" });
+    expect(parseImportDate("2024-01-15 14:30:05")).toEqual({ date: "2024-01-15", time: "14:30" });
+  });
+
+  it("keeps a 12-hour time together with its meridiem", () => {
+    expect(parseImportDate("01/15/2024 2:30 PM", "MM/DD/YYYY")).toEqual({
+      date: "2024-01-15",
+      time: "14:30",
+    });
+  });
+
+  it("honours US and day-first formats", () => {
+    expect(parseImportDate("03/04/2024", "MM/DD/YYYY").date).toBe("2024-03-04");
+    expect(parseImportDate("03/04/2024", "DD/MM/YYYY").date).toBe("2024-04-03");
+  });
+
+  it("rejects impossible dates and format mismatches", () => {
+    expect(parseImportDate("2024-02-30")).toBeNull();
+    expect(parseImportDate("15/01/2024", "MM/DD/YYYY")).toBeNull();
+    expect(parseImportDate("01/15/2024", "YYYY-MM-DD")).toBeNull();
+  });
+});
+
+describe("parseImportTime", () => {
+  it.each([
+    ["09:05", "09:05"],
+    ["12:00 AM", "00:00"],
+    ["12:15 pm", "12:15"],
+    ["25:00", ""],
+    ["", ""],
+  ])("parses %o", (input, expected) => {
+    expect(parseImportTime(input)).toBe(expected);
+  });
+});
+
+describe("mapRowsToTransactions", () => {
+  const mapping = {
+    ticker: "Symbol",
+    type: "Side",
+    quantity: "Qty",
+    price: "Price",
+    date: "Date",
+    time: "",
+    assetType: "",
+    name: "",
+  };
+
+  it("builds transactions in the shape createTransaction expects", () => {
+    const rows = [{ Symbol: "aapl", Side: "BUY", Qty: "10", Price: "$150.00", Date: "2024-01-15" }];
+    const { transactions, errors } = mapRowsToTransactions(rows, mapping);
+    expect(errors).toEqual([]);
+    expect(transactions).toEqual([
+      {
+        ticker: "AAPL",
+        name: "AAPL",
+        type: "Buy",
+        quantity: 10,
+        price: 150,
+        currency: "USD",
+        date: "2024-01-15",
+        time: "00:00",
+        assetType: "Stock",
+        fee: 0,
+        feeCurrency: "USD",
+        payout: null,
+        sourceRow: 2,
+      },
+    ]);
+  });
+
+  it("reports invalid rows with spreadsheet row numbers and keeps the rest", () => {
+    const rows = [
+      { Symbol: "AAPL", Side: "Buy", Qty: "10", Price: "150", Date: "2024-01-15" },
+      { Symbol: "", Side: "Transfer", Qty: "0", Price: "x", Date: "nope" },
+    ];
+    const { transactions, errors } = mapRowsToTransactions(rows, mapping);
+    expect(transactions).toHaveLength(1);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].row).toBe(3);
+    expect(errors[0].message).toMatch(/missing ticker/);
+    expect(errors[0].message).toMatch(/unrecognized type/);
+  });
+
+  it("uses the quantity sign for the side when no type column is mapped", () => {
+    const rows = [{ Symbol: "BTC", Qty: "-0.5", Price: "60000", Date: "2024-01-15" }];
+    const { transactions } = mapRowsToTransactions(
+      rows,
+      { ...mapping, type: "" },
+      { defaultAssetType: "crypto" }
+    );
+    expect(transactions[0]).toMatchObject({ type: "Sell", quantity: 0.5, assetType: "Crypto" });
+  });
+
+  it("reads fees, including negative broker amounts and coin-denominated fees", () => {
+    const rows = [
+      { Symbol: "AAPL", Side: "Buy", Qty: "1", Price: "100", Date: "2024-01-15", Fee: "-1.25", FeeCcy: "" },
+      { Symbol: "BTC", Side: "Buy", Qty: "1", Price: "100", Date: "2024-01-15", Fee: "0.001", FeeCcy: "btc" },
+      { Symbol: "ETH", Side: "Buy", Qty: "1", Price: "100", Date: "2024-01-15", Fee: "0.1", FeeCcy: "BNB" },
+    ];
+    const { transactions, errors } = mapRowsToTransactions(rows, { ...mapping, fee: "Fee", feeCurrency: "FeeCcy" });
+    expect(transactions[0]).toMatchObject({ fee: 1.25, feeCurrency: "USD" });
+    expect(transactions[1]).toMatchObject({ fee: 0.001, feeCurrency: "BTC" });
+    expect(errors).toEqual([{ row: 4, message: 'fee currency "BNB" must be USD or ETH' }]);
+  });
+
+  it("reads the row currency and keeps cash fees in it", () => {
+    const rows = [
+      { Symbol: "SAP", Side: "Buy", Qty: "2", Price: "120", Date: "2024-01-15", Ccy: "eur", Fee: "1", FeeCcy: "" },
+      { Symbol: "VOD", Side: "Buy", Qty: "1", Price: "0.7", Date: "2024-01-15", Ccy: "", Fee: "1", FeeCcy: "USD" },
+      { Symbol: "D05", Side: "Buy", Qty: "1", Price: "30", Date: "2024-01-15", Ccy: "S$", Fee: "", FeeCcy: "" },
+    ];
+    const { transactions, errors } = mapRowsToTransactions(
+      rows,
+      { ...mapping, currency: "Ccy", fee: "Fee", feeCurrency: "FeeCcy" },
+      { defaultCurrency: "GBP" }
+    );
+    expect(transactions).toHaveLength(1);
+    expect(transactions[0]).toMatchObject({ currency: "EUR", fee: 1, feeCurrency: "EUR" });
+    expect(errors).toEqual([
+      { row: 3, message: 'fee currency "USD" must be GBP or VOD' },
+      { row: 4, message: 'currency "S$" is not a 3-letter code' },
+    ]);
+  });
+
+  it("rejects currencies the exchange rates do not cover", () => {
+    const rows = [
+      { Symbol: "SAP", Side: "Buy", Qty: "2", Price: "120", Date: "2024-01-15", Ccy: "EUR" },
+      { Symbol: "PETR4", Side: "Buy", Qty: "10", Price: "38", Date: "2024-01-15", Ccy: "BRL" },
+      { Symbol: "", Side: "Deposit", Qty: "1000", Price: "", Date: "2024-01-15", Ccy: "XYZ" },
+    ];
+    const { transactions, errors } = mapRowsToTransactions(rows, { ...mapping, currency: "Ccy" });
+    expect(transactions.map((t) => t.ticker)).toEqual(["SAP"]);
+    expect(errors).toEqual([
+      { row: 3, message: 'currency "BRL" is not supported' },
+      { row: 4, message: 'currency "XYZ" is not supported' },
+    ]);
+  });
+
+  it("reads income rows: cash amounts at price 1, units at their value", () => {
+    const rows = [
+      { Symbol: "AAPL", Side: "Dividend", Qty: "12.50", Price: "", Date: "2024-02-15" },
+      { Symbol: "ETH", Side: "Staking Reward", Qty: "0.01", Price: "2500", Date: "2024-02-15" },
+      { Symbol: "MSFT", Side: "Dividend", Qty: "1", Price: "400", Date: "2024-02-15", PaidIn: "shares" },
+    ];
+    const { transactions, errors } = mapRowsToTransactions(rows, { ...mapping, payout: "PaidIn" });
+    expect(transactions[0]).toMatchObject({ type: "Dividend", payout: "cash", quantity: 12.5, price: 1 });
+    expect(transactions[1]).toMatchObject({ type: "Staking", payout: "units", quantity: 0.01, price: 2500 });
+    expect(errors).toEqual([{ row: 4, message: 'payout "shares" must be cash or units' }]);
+  });
+
+  it("reads splits with the ratio in the quantity column", () => {
+    const rows = [
+      { Symbol: "NVDA", Side: "Stock Split", Qty: "10", Price: "", Date: "2024-06-10" },
+      { Symbol: "NVDA", Side: "Split", Qty: "1", Price: "", Date: "2024-06-10" },
+    ];
+    const { transactions, errors } = mapRowsToTransactions(rows, mapping);
+    expect(transactions[0]).toMatchObject({ type: "Split", quantity: 10, price: 0, payout: null });
+    expect(errors).toEqual([{ row: 3, message: "split ratio cannot be 1" }]);
+  });
+
+  it("reads deposits and withdrawals as cash without needing a ticker", () => {
+    const rows = [
+      { Symbol: "", Side: "Deposit", Qty: "5,000", Price: "", Date: "2024-01-02" },
+      { Symbol: "", Side: "Withdrawal", Qty: "-250", Price: "", Date: "2024-03-01" },
+    ];
+    const { transactions, errors } = mapRowsToTransactions(rows, mapping);
+    expect(errors).toEqual([]);
+    expect(transactions[0]).toMatchObject({ ticker: "USD", name: "Cash", assetType: "Cash", type: "Deposit", quantity: 5000, price: 1, fee: 0 });
+    expect(transactions[1]).toMatchObject({ ticker: "USD", type: "Withdrawal", quantity: 250, price: 1, fee: 0 });
+  });
+
+  it("files cash under its own currency", () => {
+    const rows = [{ Symbol: "", Side: "Deposit", Qty: "1000", Price: "", Date: "2024-01-02", Ccy: "EUR" }];
+    const { transactions } = mapRowsToTransactions(rows, { ...mapping, currency: "Ccy" });
+    expect(transactions[0]).toMatchObject({ ticker: "EUR", currency: "EUR", assetType: "Cash", quantity: 1000 });
+  });
+
+  it("rejects future dates", () => {
+    const rows = [{ Symbol: "AAPL", Side: "Buy", Qty: "1", Price: "1", Date: "2999-01-01" }];
+    expect(mapRowsToTransactions(rows, mapping).errors[0].message).toMatch(/future/);
+  });
+});
@@ -0,0 +1,191 @@
+// currencies and conversion to the base currency.
+//
+// every transaction has a currency (its price and a cash fee are in it) and
+// every quote has the currency it is listed in (TwelveData reports it; crypto
+// is priced in USD). values, cost basis and P&L are shown in the user's base
+// currency: each transaction is converted at the rate of its own day and
+// current prices at the latest rate, so cost basis keeps the rate that was
+// actually paid. the difference that comes from the rate moving since is the
+// FX gain, reported apart from the price gain.
+//
+// fx is { base, latest: { [currency]: rate }, history: [[date, { [currency]: rate }], ...] }
+// with rates in units of the currency per 1 base (as the FX proxy returns them)
+
+import { calculatePortfolioData } from "./utils.js";
+
+export const DEFAULT_CURRENCY = "USD";
+
+// currencies a transaction or the base can be in (all quoted by the ECB
+// reference rates behind the FX proxy)
+export const SUPPORTED_CURRENCIES = [
+  "USD", "EUR", "GBP", "SGD", "JPY", "CHF", "CAD", "AUD", "HKD", "NZD", "SEK", "NOK", "DKK", "CNY", "INR", "KRW",
+];
+
+export const normalizeCurrency = (currency) => {
+  const code = String(currency || "").trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : DEFAULT_CURRENCY;
+};
+
+// currency a quote is listed in (crypto and older cached quotes: USD)
+export const getQuoteCurrency = (quote) => normalizeCurrency(quote?.currency);
+
+// a fee paid in the traded coin is valued at the trade price; any other fee
+// is money in feeCurrency
+const isCoinFee = (tx) => !!tx.ticker && (tx.feeCurrency || "").toUpperCase() === tx.ticker.toUpperCase();
+
+/**
+ * fee currency to store for a transaction: the traded coin for a crypto fee
+ * paid in the coin, otherwise the transaction's own currency
+ */
+export const resolveFeeCurrency = (tx) =>
+  Number(tx?.fee) > 0 && isCoinFee(tx) ? tx.ticker : normalizeCurrency(tx?.currency);
+
+/**
+ * currencies (other than the base) that rates are needed for: every
+ * transaction's currency and fee currency, and every quote's currency
+ */
+export const getRequiredCurrencies = (transactions = [], prices = {}, base = DEFAULT_CURRENCY) => {
+  const currencies = new Set();
+  transactions.forEach((tx) => {
+    currencies.add(normalizeCurrency(tx.currency));
+    if (Number(tx.fee) > 0 && !isCoinFee(tx)) currencies.add(normalizeCurrency(tx.feeCurrency));
+  });
+  Object.values(prices).forEach((quote) => currencies.add(getQuoteCurrency(quote)));
+  currencies.delete(normalizeCurrency(base));
+  return [...currencies].sort();
+};
+
+/**
+ * converter for rates in `fx`. returns { base, rate(currency, date), missing }:
+ * rate() is the amount of base per 1 unit of the currency on the given day
+ * (the last published rate on or before it; the latest rate without a date).
+ * currencies without any rate convert 1:1 and are collected in `missing`
+ */
+export const createFxConverter = (fx, base = DEFAULT_CURRENCY) => {
+  const baseCurrency = normalizeCurrency(base);
+  const history = fx?.base === baseCurrency ? fx.history || [] : [];
+  const latest = fx?.base === baseCurrency ? fx.latest || {} : {};
+  const missing = new Set();
+
+  // quoted units of `currency` per 1 base on or before `date`
+  const lookup = (currency, date) => {
+    if (date && history.length) {
+      // binary search for the last day on or before `date`
+      let lo = 0;
+      let hi = history.length - 1;
+      let found = -1;
+      while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (history[mid][0] <= date) {
+          found = mid;
+          lo = mid + 1;
+        } else {
+          hi = mid - 1;
+        }
+      }
+      for (let i = found; i >= 0; i--) {
+        if (history[i][1][currency] > 0) return history[i][1][currency];
+      }
+      // before the first published rate: the earliest one is the closest
+      for (let i = found + 1; i < history.length; i++) {
+        if (history[i][1][currency] > 0) return history[i][1][currency];
+      }
+    }
+    return latest[currency] > 0 ? latest[currency] : null;
+  };
+
+  const rate = (currency, date = null) => {
+    const code = normalizeCurrency(currency);
+    if (code === baseCurrency) return 1;
+    const quoted = lookup(code, date);
+    if (!quoted) {
+      missing.add(code);
+      return 1;
+    }
+    return 1 / quoted;
+  };
+
+  return { base: baseCurrency, rate, missing };
+};
+
+// a transaction's money fields converted with `rateOf(currency)`, now in `currency`
+const convertTransaction = (tx, rateOf, currency) => {
+  const txRate = rateOf(normalizeCurrency(tx.currency));
+  const fee = Number(tx.fee) || 0;
+  const coinFee = isCoinFee(tx);
+  return {
+    ...tx,
+    price: (Number(tx.price) || 0) * txRate,
+    totalCost: tx.totalCost != null ? (Number(tx.totalCost) || 0) * txRate : tx.totalCost,
+    fee: coinFee ? fee : fee * rateOf(normalizeCurrency(tx.feeCurrency || tx.currency)),
+    feeCurrency: coinFee ? tx.feeCurrency : currency,
+    currency,
+  };
+};
+
+/**
+ * transactions with prices and fees in the base currency, each at the rate
+ * of its own day - feed these (not the originals) to the P&L and cash engines
+ */
+export const toBaseCurrency = (transactions = [], converter) =>
+  transactions.map((tx) => convertTransaction(tx, (currency) => converter.rate(currency, tx.date), converter.base));
+
+/** quotes with currentPrice in the base currency at the latest rate */
+export const convertPrices = (prices = {}, converter) =>
+  Object.fromEntries(
+    Object.entries(prices).map(([ticker, quote]) => {
+      const currency = getQuoteCurrency(quote);
+      return [ticker, { ...quote, currentPrice: (Number(quote.currentPrice) || 0) * converter.rate(currency), currency: converter.base }];
+    })
+  );
+
+/**
+ * daily closes ({ [ticker]: [[date, close], ...] }) in the base currency at
+ * each day's rate; a ticker's closes are in its quote currency
+ */
+export const convertPriceHistory = (history = {}, prices = {}, converter) =>
+  Object.fromEntries(
+    Object.entries(history).map(([ticker, closes]) => {
+      const currency = getQuoteCurrency(prices[ticker]);
+      return [ticker, (closes || []).map(([date, close]) => [date, close * converter.rate(currency, date)])];
+    })
+  );
+
+/**
+ * splits each holding's unrealized P&L (in the base currency) into the part
+ * from the price moving and the part from the exchange rate moving.
+ * the cost basis in the quote currency is what the lots cost at the rates of
+ * their own days; revalued at today's rate, its difference to the cost basis
+ * in the base currency is the FX gain:
+ *   fxGain = costInQuoteCurrency × rateNow − costInBase
+ *   priceGain = pnl − fxGain
+ * portfolioData: calculatePortfolioData output for the converted
+ * transactions; transactions and prices: the originals.
+ * returns portfolioData with fxGain and priceGain on every entry
+ */
+export const addFxGains = (portfolioData = [], transactions = [], prices = {}, costBasis = null, converter) => {
+  if (!portfolioData.length) return portfolioData;
+
+  // every asset's transactions in its own quote currency (via the base
+  // currency, at the rates of their days)
+  const byTicker = {};
+  transactions.forEach((tx) => {
+    (byTicker[tx.ticker] ||= []).push(tx);
+  });
+
+  return portfolioData.map((asset) => {
+    const quoteCurrency = getQuoteCurrency(prices[asset.ticker]);
+    const local = (byTicker[asset.ticker] || []).map((tx) =>
+      convertTransaction(
+        tx,
+        (currency) => converter.rate(currency, tx.date) / converter.rate(quoteCurrency, tx.date),
+        quoteCurrency
+      )
+    );
+    const localAsset = calculatePortfolioData(local, {}, costBasis).find((a) => a.ticker === asset.ticker);
+    if (!localAsset) return { ...asset, fxGain: 0, priceGain: asset.pnl };
+
+    const fxGain = localAsset.totalCost * converter.rate(quoteCurrency) - asset.totalCost;
+    return { ...asset, fxGain, priceGain: asset.pnl - fxGain };
+  });
+};
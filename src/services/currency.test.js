@@ -0,0 +1,122 @@
+import { describe, expect, it } from "vitest";
+import {
+  createFxConverter,
+  getRequiredCurrencies,
+  resolveFeeCurrency,
+  toBaseCurrency,
+  convertPrices,
+  convertPriceHistory,
+  addFxGains,
+} from "./currency";
+import { calculatePortfolioData } from "./utils";
+
+// USD base: EUR per 1 USD (EURUSD 1.10 in January, 1.20 now)
+const fx = {
+  base: "USD",
+  latest: { EUR: 1 / 1.2, GBP: 0.8 },
+  history: [
+    ["2024-01-02", { EUR: 1 / 1.1, GBP: 0.78 }],
+    ["2024-01-03", { EUR: 1 / 1.12 }],
+    ["2024-01-05", { EUR: 1 / 1.15, GBP: 0.79 }],
+  ],
+};
+
+describe("createFxConverter", () => {
+  it("uses the last rate on or before the day and the latest without one", () => {
+    const { rate } = createFxConverter(fx, "USD");
+    expect(rate("USD", "2024-01-03")).toBe(1);
+    expect(rate("EUR", "2024-01-02")).toBeCloseTo(1.1);
+    // weekend: Friday's rate
+    expect(rate("EUR", "2024-01-04")).toBeCloseTo(1.12);
+    // no GBP on the 3rd: the 2nd
+    expect(rate("GBP", "2024-01-03")).toBeCloseTo(1 / 0.78);
+    // before the series: its first rate
+    expect(rate("EUR", "2023-12-29")).toBeCloseTo(1.1);
+    expect(rate("EUR")).toBeCloseTo(1.2);
+  });
+
+  it("converts currencies without rates 1:1 and reports them", () => {
+    const converter = createFxConverter(fx, "USD");
+    expect(converter.rate("SGD", "2024-01-02")).toBe(1);
+    expect([...converter.missing]).toEqual(["SGD"]);
+    // rates for another base are ignored
+    expect(createFxConverter(fx, "EUR").rate("USD")).toBe(1);
+  });
+});
+
+describe("getRequiredCurrencies", () => {
+  it("collects transaction, fee and quote currencies other than the base", () => {
+    const transactions = [
+      { ticker: "SAP", currency: "EUR", fee: 1, feeCurrency: "EUR" },
+      { ticker: "BTC", currency: "USD", fee: 0.001, feeCurrency: "BTC" },
+    ];
+    expect(getRequiredCurrencies(transactions, { VOD: { currency: "GBP" }, BTC: {} }, "USD")).toEqual(["EUR", "GBP"]);
+  });
+});
+
+describe("resolveFeeCurrency", () => {
+  it("keeps coin fees and puts anything else in the transaction currency", () => {
+    expect(resolveFeeCurrency({ ticker: "BTC", fee: 0.001, feeCurrency: "BTC", currency: "USD" })).toBe("BTC");
+    expect(resolveFeeCurrency({ ticker: "SAP", fee: 2, feeCurrency: "USD", currency: "EUR" })).toBe("EUR");
+    expect(resolveFeeCurrency({ ticker: "AAPL", fee: 0 })).toBe("USD");
+  });
+});
+
+describe("toBaseCurrency", () => {
+  it("converts prices and cash fees at each transaction's day", () => {
+    const converter = createFxConverter(fx, "USD");
+    const [sap, btc] = toBaseCurrency([
+      { ticker: "SAP", type: "Buy", quantity: 10, price: 100, fee: 5, feeCurrency: "EUR", currency: "EUR", date: "2024-01-02" },
+      { ticker: "BTC", type: "Buy", quantity: 1, price: 40000, fee: 0.001, feeCurrency: "BTC", currency: "USD", date: "2024-01-05" },
+    ], converter);
+    expect(sap).toMatchObject({ currency: "USD", feeCurrency: "USD" });
+    expect(sap.price).toBeCloseTo(110);
+    expect(sap.fee).toBeCloseTo(5.5);
+    expect(btc).toMatchObject({ price: 40000, fee: 0.001, feeCurrency: "BTC" });
+  });
+});
+
+describe("convertPrices and convertPriceHistory", () => {
+  it("converts quotes at the latest rate and closes at each day's rate", () => {
+    const converter = createFxConverter(fx, "USD");
+    const prices = { SAP: { currentPrice: 110, currency: "EUR" }, AAPL: { currentPrice: 200 } };
+    const converted = convertPrices(prices, converter);
+    expect(converted.SAP.currentPrice).toBeCloseTo(132);
+    expect(converted.SAP.currency).toBe("USD");
+    expect(converted.AAPL.currentPrice).toBe(200);
+
+    const history = convertPriceHistory({ SAP: [["2024-01-02", 100], ["2024-01-05", 100]] }, prices, converter);
+    expect(history.SAP[0][1]).toBeCloseTo(110);
+    expect(history.SAP[1][1]).toBeCloseTo(115);
+  });
+});
+
+describe("addFxGains", () => {
+  it("splits unrealized P&L into price and FX gain", () => {
+    const converter = createFxConverter(fx, "USD");
+    const transactions = [
+      { id: "1", ticker: "SAP", type: "Buy", quantity: 10, price: 100, currency: "EUR", date: "2024-01-02", time: "10:00", assetType: "Stock" },
+    ];
+    const prices = { SAP: { currentPrice: 110, currency: "EUR" } };
+    const portfolioData = calculatePortfolioData(toBaseCurrency(transactions, converter), convertPrices(prices, converter));
+    const [sap] = addFxGains(portfolioData, transactions, prices, null, converter);
+
+    // cost $1,100 (€1,000 at 1.10), value $1,320 (€1,100 at 1.20)
+    expect(sap.totalCost).toBeCloseTo(1100);
+    expect(sap.pnl).toBeCloseTo(220);
+    // €1,000 of cost now worth $1,200: $100 from the euro rising
+    expect(sap.fxGain).toBeCloseTo(100);
+    // €100 of price gain at today's rate
+    expect(sap.priceGain).toBeCloseTo(120);
+  });
+
+  it("reports no FX gain for holdings quoted in the base currency", () => {
+    const converter = createFxConverter(fx, "USD");
+    const transactions = [
+      { id: "1", ticker: "AAPL", type: "Buy", quantity: 2, price: 150, currency: "USD", date: "2024-01-02", time: "10:00", assetType: "Stock" },
+    ];
+    const prices = { AAPL: { currentPrice: 200, currency: "USD" } };
+    const portfolioData = calculatePortfolioData(toBaseCurrency(transactions, converter), convertPrices(prices, converter));
+    expect(addFxGains(portfolioData, transactions, prices, null, converter)[0]).toMatchObject({ fxGain: 0, priceGain: 100 });
+  });
+});
@@ -0,0 +1,124 @@
+// database rows ↔ client objects. shared by supabaseDb (browser) and the
+// daily snapshot job in api/ (plain Node), so this module and everything it
+// imports use explicit .js extensions and stay free of browser globals.
+
+import { normalizeAssetType } from "./utils.js";
+import { normalizeCostBasisMethod, DEFAULT_FEE_CURRENCY } from "./costBasis.js";
+import { normalizeCurrency } from "./currency.js";
+
+// stored UTC timestamps back to the local date and time they were entered in
+export const parseDatetime = (datetime) => {
+  if (!datetime) return { date: "", time: "" };
+  try {
+    const dateObj = new Date(datetime);
+    if (isNaN(dateObj.getTime())) {
+      return { date: datetime.split("T")[0] || datetime, time: "" };
+    }
+    const year = dateObj.getFullYear();
+    const month = String(dateObj.getMonth() + 1).padStart(2, "0");
+    const day = String(dateObj.getDate()).padStart(2, "0");
+    const date = `${year}-${month}-${day}`;
+    const hours = String(dateObj.getHours()).padStart(2, "0");
+    const minutes = String(dateObj.getMinutes()).padStart(2, "0");
+    const time = `${hours}:${minutes}`;
+    return { date, time };
+  } catch {
+    return { date: datetime, time: "" };
+  }
+};
+
+export const mapRowToTransaction = (row) => {
+  const quantity = parseFloat(row.quantity || 0);
+  const priceRaw = row.price;
+  const price = priceRaw != null ? parseFloat(priceRaw) : 0;
+  const totalCost = parseFloat(row.total_cost || 0);
+  const assetType = normalizeAssetType(row.asset_class);
+  const { date, time } = parseDatetime(row.occurred_at);
+  return {
+    id: row.id,
+    ticker: row.ticker || "",
+    type: row.type || "Buy",
+    quantity,
+    price,
+    date,
+    time,
+    assetType,
+    name: row.name || row.ticker || "",
+    totalCost: totalCost || quantity * price,
+    fee: parseFloat(row.fee || 0),
+    feeCurrency: row.fee_currency || DEFAULT_FEE_CURRENCY,
+    currency: normalizeCurrency(row.currency),
+    lotSelections: row.lot_selections || null,
+    payout: row.payout || null,
+    portfolioId: row.portfolio_id || null,
+  };
+};
+
+// cost basis preference rows: the account default has ticker = "" and
+// per-asset overrides the ticker. returns { method, byTicker }
+export const toCostBasisPreferences = (rows = []) => {
+  const preferences = { method: null, byTicker: {} };
+  rows.forEach((row) => {
+    const method = normalizeCostBasisMethod(row.method);
+    if (row.ticker) preferences.byTicker[row.ticker] = method;
+    else preferences.method = method;
+  });
+  return preferences;
+};
+
+// manual valuations (migration 014)
+export const toClientValuation = (row) => ({
+  id: row.id,
+  ticker: row.ticker,
+  assetType: normalizeAssetType(row.asset_class),
+  price: Number(row.price),
+  currency: normalizeCurrency(row.currency),
+  date: row.valued_on,
+  note: row.note || "",
+});
+
+// daily portfolio snapshots (migration 015); portfolioId null is every
+// portfolio combined
+export const toSnapshotRow = (userId, snapshot) => ({
+  user_id: userId,
+  portfolio_id: snapshot.portfolioId,
+  snapshot_date: snapshot.date,
+  currency: snapshot.currency,
+  total_value: snapshot.totalValue,
+  cost_basis: snapshot.costBasis,
+  cash_balance: snapshot.cashBalance,
+  holdings: snapshot.holdings,
+});
+
+export const toClientSnapshot = (row) => ({
+  portfolioId: row.portfolio_id || null,
+  date: row.snapshot_date,
+  currency: normalizeCurrency(row.currency),
+  totalValue: Number(row.total_value),
+  costBasis: Number(row.cost_basis),
+  cashBalance: Number(row.cash_balance),
+  holdings: Array.isArray(row.holdings) ? row.holdings : [],
+});
+
+// manual asset classification (migration 016); a null field keeps the
+// provider's value
+export const toClientAssetMetadata = (row) => ({
+  id: row.id,
+  ticker: row.ticker,
+  assetType: normalizeAssetType(row.asset_class),
+  sector: row.sector || null,
+  industry: row.industry || null,
+  country: row.country || null,
+  marketCap: row.market_cap || null,
+  updatedAt: row.updated_at,
+});
+
+// savings goals (migration 017), amounts in the base currency
+export const toClientGoal = (row) => ({
+  id: row.id,
+  name: row.name,
+  targetAmount: Number(row.target_amount),
+  targetDate: row.target_date,
+  monthlyContribution: Number(row.monthly_contribution),
+  createdAt: row.created_at,
+});
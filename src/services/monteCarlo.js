@@ -0,0 +1,119 @@
+// Monte Carlo projection of the portfolio value for savings goals.
+//
+// each run compounds the current value month by month with a random return
+// (lognormal: normally distributed log returns, so values never go below
+// zero) and adds the monthly contribution at the end of every month. the
+// spread of the runs gives percentile bands; the share of runs at or above
+// the target on the target date is the probability of reaching the goal.
+//
+// plain functions with no DOM or React, so they run in the worker
+// (workers/monteCarlo.worker.js) and in the tests alike.
+
+import { calculateDailyReturns, calculateVolatility } from "./risk";
+
+const DAYS_PER_YEAR = 365;
+
+export const DEFAULT_RUNS = 5000;
+// 50 years of months - further out the bands say nothing
+export const MAX_MONTHS = 600;
+export const PERCENTILES = [10, 25, 50, 75, 90];
+// less history than this gives too noisy an estimate to project from
+export const MIN_ESTIMATE_DAYS = 90;
+// long-run stock market figures, used without enough history
+export const DEFAULT_ASSUMPTIONS = { expectedReturn: 0.07, volatility: 0.15 };
+
+/**
+ * expected yearly return (compounded, 0.07 = 7%) and annualized volatility
+ * from the flow-adjusted daily returns of a daily value series
+ * (calculatePortfolioHistory points). null with fewer than minDays returns.
+ */
+export const estimateAssumptions = (points = [], { minDays = MIN_ESTIMATE_DAYS } = {}) => {
+  const returns = calculateDailyReturns(points).map((r) => r.value);
+  if (returns.length < minDays) return null;
+  const meanDaily = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  return {
+    expectedReturn: Math.pow(1 + meanDaily, DAYS_PER_YEAR) - 1,
+    volatility: calculateVolatility(returns),
+    days: returns.length,
+  };
+};
+
+/** whole months from a date to a "YYYY-MM-DD" target date, at least 0 */
+export const monthsUntil = (targetDate, from = new Date()) => {
+  const [year, month, day] = targetDate.split("-").map(Number);
+  let months = (year - from.getFullYear()) * 12 + (month - 1 - from.getMonth());
+  if (day < from.getDate()) months -= 1;
+  return Math.max(months, 0);
+};
+
+// mulberry32: a small seeded generator so a projection (and a test) can be
+// repeated exactly
+export const createRandom = (seed = Date.now()) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// standard normal draws (Box-Muller)
+const createNormal = (random) => () => {
+  const u = 1 - random(); // (0, 1] so the log is finite
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+// p-th percentile of sorted values, interpolating between neighbours
+const percentile = (sorted, p) => {
+  const index = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.min(lower + 1, sorted.length - 1);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+const toBand = (month, values) => {
+  const sorted = Float64Array.from(values).sort();
+  const band = { month };
+  PERCENTILES.forEach((p) => {
+    band[`p${p}`] = percentile(sorted, p);
+  });
+  return band;
+};
+
+/**
+ * simulates the portfolio from startValue over `months` months.
+ * expectedReturn and volatility are yearly (0.07 = 7%); target is optional.
+ * returns { bands: [{ month, p10, p25, p50, p75, p90 }] from month 0 (today)
+ * to the last month, probability (share of runs ending at or above target,
+ * null without one), runs }
+ */
+export const simulateGoal = ({
+  startValue = 0,
+  monthlyContribution = 0,
+  months,
+  expectedReturn = DEFAULT_ASSUMPTIONS.expectedReturn,
+  volatility = DEFAULT_ASSUMPTIONS.volatility,
+  target = null,
+  runs = DEFAULT_RUNS,
+  seed,
+}) => {
+  const steps = Math.min(Math.max(Math.round(months) || 0, 0), MAX_MONTHS);
+  const normal = createNormal(createRandom(seed));
+  // monthly log returns with the yearly expected return as their mean growth
+  const sigma = Math.max(volatility, 0) / Math.sqrt(12);
+  const drift = Math.log(1 + Math.max(expectedReturn, -0.99)) / 12 - (sigma * sigma) / 2;
+
+  const values = new Float64Array(runs).fill(Math.max(startValue, 0));
+  const bands = [toBand(0, values)];
+  for (let month = 1; month <= steps; month++) {
+    for (let run = 0; run < runs; run++) {
+      values[run] = values[run] * Math.exp(drift + sigma * normal()) + monthlyContribution;
+    }
+    bands.push(toBand(month, values));
+  }
+
+  const probability = target > 0 ? values.reduce((count, v) => count + (v >= target ? 1 : 0), 0) / runs : null;
+  return { bands, probability, runs };
+};
@@ -0,0 +1,86 @@
+import { describe, it, expect } from "vitest";
+import { estimateAssumptions, monthsUntil, simulateGoal, createRandom } from "./monteCarlo";
+
+// daily value series from 2024-01-01 growing by `growth` a day
+const growingSeries = (days, growth, start = 1000) =>
+  Array.from({ length: days }, (_, i) => ({
+    dateKey: new Date(Date.UTC(2024, 0, 1 + i)).toISOString().slice(0, 10),
+    value: start * Math.pow(1 + growth, i),
+    flow: 0,
+  }));
+
+describe("estimateAssumptions", () => {
+  it("annualizes the daily returns of the history", () => {
+    const estimate = estimateAssumptions(growingSeries(101, 0.0002));
+    expect(estimate.days).toBe(100);
+    expect(estimate.expectedReturn).toBeCloseTo(Math.pow(1.0002, 365) - 1, 10);
+    expect(estimate.volatility).toBeCloseTo(0, 10);
+  });
+
+  it("ignores deposits and needs enough history", () => {
+    const points = growingSeries(101, 0);
+    points[50] = { ...points[50], value: 2000, flow: 1000 };
+    points.slice(51).forEach((p) => { p.value = 2000; });
+    expect(estimateAssumptions(points).expectedReturn).toBeCloseTo(0, 10);
+    expect(estimateAssumptions(growingSeries(30, 0.001))).toBeNull();
+  });
+});
+
+describe("monthsUntil", () => {
+  it("counts whole months to the target date", () => {
+    const from = new Date(2025, 0, 15);
+    expect(monthsUntil("2025-12-15", from)).toBe(11);
+    expect(monthsUntil("2025-12-14", from)).toBe(10);
+    expect(monthsUntil("2035-01-15", from)).toBe(120);
+    expect(monthsUntil("2024-06-01", from)).toBe(0);
+  });
+});
+
+describe("createRandom", () => {
+  it("repeats the same numbers for a seed", () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const draws = [a(), a(), a()];
+    expect([b(), b(), b()]).toEqual(draws);
+    draws.forEach((d) => expect(d >= 0 && d < 1).toBe(true));
+  });
+});
+
+describe("simulateGoal", () => {
+  it("compounds the expected return and adds contributions without volatility", () => {
+    const { bands, probability } = simulateGoal({
+      startValue: 1000,
+      months: 12,
+      expectedReturn: 0.12,
+      volatility: 0,
+      target: 1100,
+      runs: 10,
+    });
+    expect(bands).toHaveLength(13);
+    expect(bands[0]).toMatchObject({ month: 0, p10: 1000, p90: 1000 });
+    expect(bands[12].p50).toBeCloseTo(1120);
+    expect(probability).toBe(1);
+
+    const saving = simulateGoal({ startValue: 0, monthlyContribution: 100, months: 12, expectedReturn: 0, volatility: 0, target: 1500, runs: 10 });
+    expect(saving.bands[12].p50).toBeCloseTo(1200);
+    expect(saving.probability).toBe(0);
+  });
+
+  it("spreads the runs into ordered percentile bands", () => {
+    const params = { startValue: 10000, monthlyContribution: 200, months: 120, expectedReturn: 0.07, volatility: 0.2, target: 50000, runs: 2000, seed: 7 };
+    const result = simulateGoal(params);
+    const last = result.bands[120];
+    expect(last.p10).toBeLessThan(last.p25);
+    expect(last.p25).toBeLessThan(last.p50);
+    expect(last.p50).toBeLessThan(last.p75);
+    expect(last.p75).toBeLessThan(last.p90);
+    expect(result.probability).toBeGreaterThan(0);
+    expect(result.probability).toBeLessThan(1);
+    // the same seed gives the same projection
+    expect(simulateGoal(params)).toEqual(result);
+  });
+
+  it("has no probability without a target", () => {
+    expect(simulateGoal({ startValue: 100, months: 0, runs: 10 })).toMatchObject({ bands: [{ month: 0, p50: 100 }], probability: null });
+  });
+});
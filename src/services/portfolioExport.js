@@ -0,0 +1,232 @@
+// export helpers: transactions and holdings to CSV, plus a versioned JSON
+// backup that can be restored. kept free of React so it can be unit tested.
+
+import {
+  formatTransactionType,
+  normalizeAssetType,
+  validateSellQuantities,
+} from "./utils";
+import { normalizeCurrency } from "./currency";
+import { isIncomeType, isSplitType, isCashFlowType, normalizeIncomePayout } from "../constants/transactionTypes";
+
+export const BACKUP_FORMAT = "portfolio-tracker-backup";
+export const BACKUP_VERSION = 1;
+
+// quote a CSV cell only when needed (commas, quotes, newlines)
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// build CSV text from a header row and an array of value arrays
+export const toCsv = (headers, rows) =>
+  [headers, ...rows].map((row) => row.map(escapeCsvValue).join(",")).join("\r\n") + "\r\n";
+
+// round to a fixed number of decimals without trailing float noise
+const round = (value, decimals = 2) =>
+  Number.isFinite(value) ? Number(value.toFixed(decimals)) : 0;
+
+// strip database ids and derived fields so a backup only holds what
+// createTransaction needs. `id` numbers the row within the backup: specific-lot
+// sells name the buys they close by it, since restored rows get new ids
+const toPortableTransaction = (tx, id) => ({
+  id,
+  ticker: tx.ticker,
+  name: tx.name || tx.ticker,
+  type: formatTransactionType(tx.type),
+  quantity: Number(tx.quantity),
+  price: Number(tx.price),
+  // backups written before currencies existed are all USD
+  currency: normalizeCurrency(tx.currency),
+  date: tx.date,
+  time: tx.time || "",
+  assetType: normalizeAssetType(tx.assetType),
+  fee: Number(tx.fee) || 0,
+  feeCurrency: tx.feeCurrency || normalizeCurrency(tx.currency),
+  payout: isIncomeType(tx.type) ? normalizeIncomePayout(tx.payout) : null,
+  lotSelections: formatTransactionType(tx.type) === "Sell" && tx.lotSelections?.length ? tx.lotSelections : null,
+});
+
+// transactions CSV - header names match what the CSV importer recognizes,
+// so an exported file can be imported again without remapping columns
+export const transactionsToCsv = (transactions = []) => {
+  const headers = ["Date", "Time", "Type", "Ticker", "Name", "Asset Class", "Quantity", "Price", "Currency", "Fee", "Fee Currency", "Payout", "Total Cost"];
+  const rows = [...transactions]
+    .sort((a, b) => `${a.date}T${a.time || ""}`.localeCompare(`${b.date}T${b.time || ""}`))
+    .map((tx) => [
+      tx.date,
+      tx.time || "",
+      formatTransactionType(tx.type),
+      tx.ticker,
+      tx.name || tx.ticker,
+      normalizeAssetType(tx.assetType),
+      tx.quantity,
+      tx.price,
+      normalizeCurrency(tx.currency),
+      Number(tx.fee) || 0,
+      tx.feeCurrency || normalizeCurrency(tx.currency),
+      isIncomeType(tx.type) ? normalizeIncomePayout(tx.payout) : "",
+      round(Number(tx.quantity) * Number(tx.price)),
+    ]);
+  return toCsv(headers, rows);
+};
+
+// holdings snapshot rows from calculatePortfolioData output (current prices,
+// selected cost basis method, amounts in the base currency)
+export const buildHoldingsSnapshot = (portfolioData = []) =>
+  portfolioData.map((asset) => ({
+    ticker: asset.ticker,
+    name: asset.name,
+    assetType: asset.assetType,
+    quantity: asset.quantity,
+    avgPrice: asset.avgPrice,
+    costBasis: round(asset.totalCost),
+    currentPrice: asset.currentPrice,
+    marketValue: round(asset.totalValue),
+    pnl: round(asset.pnl),
+    pnlPercent: asset.totalCost > 0 ? round((asset.pnl / asset.totalCost) * 100) : 0,
+  }));
+
+export const holdingsToCsv = (portfolioData = []) => {
+  const headers = [
+    "Ticker", "Name", "Asset Class", "Quantity", "Avg Price", "Cost Basis",
+    "Current Price", "Market Value", "Unrealized P&L", "P&L %",
+  ];
+  const rows = buildHoldingsSnapshot(portfolioData).map((h) => [
+    h.ticker, h.name, h.assetType, h.quantity, h.avgPrice, h.costBasis,
+    h.currentPrice, h.marketValue, h.pnl, h.pnlPercent,
+  ]);
+  return toCsv(headers, rows);
+};
+
+/**
+ * versioned JSON backup: every transaction plus a holdings snapshot.
+ * only `transactions` is read back on restore; the snapshot is for reference.
+ */
+export const buildBackup = (transactions = [], portfolioData = [], exportedAt = new Date()) => {
+  const holdings = buildHoldingsSnapshot(portfolioData);
+  const backupIds = new Map(transactions.map((tx, index) => [tx.id, index + 1]));
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    transactions: transactions.map((tx, index) =>
+      toPortableTransaction(
+        {
+          ...tx,
+          // lots outside the backup can't be picked again after a restore
+          lotSelections: tx.lotSelections
+            ?.filter((selection) => backupIds.has(selection.lotId))
+            .map((selection) => ({ lotId: backupIds.get(selection.lotId), quantity: Number(selection.quantity) })),
+        },
+        index + 1
+      )
+    ),
+    holdings,
+    totals: {
+      marketValue: round(holdings.reduce((sum, h) => sum + h.marketValue, 0)),
+      costBasis: round(holdings.reduce((sum, h) => sum + h.costBasis, 0)),
+      pnl: round(holdings.reduce((sum, h) => sum + h.pnl, 0)),
+    },
+  };
+};
+
+/**
+ * parse and validate a backup file's text.
+ * returns { transactions, exportedAt }; throws an Error with a user-facing message
+ */
+export const parseBackup = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("This file is not valid JSON.");
+  }
+
+  if (data?.format !== BACKUP_FORMAT) {
+    throw new Error("This file is not a Portfolio Tracker backup.");
+  }
+  if (typeof data.version !== "number" || data.version > BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version ${data.version}. Update the app and try again.`);
+  }
+  if (!Array.isArray(data.transactions)) {
+    throw new Error("The backup has no transactions list.");
+  }
+
+  // backups written before lot picking was kept have no ids: number the rows
+  const ids = data.transactions.map((tx, index) => tx?.id ?? index + 1);
+  if (new Set(ids).size !== ids.length) {
+    throw new Error("The backup has duplicate transaction ids.");
+  }
+
+  const transactions = data.transactions.map((tx, index) => {
+    const quantity = Number(tx?.quantity);
+    const price = Number(tx?.price);
+    // version 1 backups written before fees existed have no fee field
+    const fee = tx?.fee === undefined ? 0 : Number(tx.fee);
+    const type = formatTransactionType(tx?.type);
+    if (!tx?.ticker || !/^\d{4}-\d{2}-\d{2}$/.test(tx?.date || "")) {
+      throw new Error(`Transaction ${index + 1} is missing a ticker or date.`);
+    }
+    if (!(quantity > 0) || !(price >= 0) || !(fee >= 0) || !(["Buy", "Sell"].includes(type) || isIncomeType(type) || isSplitType(type) || isCashFlowType(type))) {
+      throw new Error(`Transaction ${index + 1} (${tx.ticker}) has an invalid type, quantity, price or fee.`);
+    }
+    const lotSelections = tx.lotSelections ?? null;
+    const isPickable = (selection) => ids.includes(selection?.lotId) && Number(selection.quantity) > 0;
+    if (lotSelections !== null && !(Array.isArray(lotSelections) && lotSelections.every(isPickable))) {
+      throw new Error(`Transaction ${index + 1} (${tx.ticker}) picks lots that are not in the backup.`);
+    }
+    return toPortableTransaction({ ...tx, quantity, price, fee, type, lotSelections }, ids[index]);
+  });
+
+  const check = validateSellQuantities(transactions);
+  if (!check.valid) {
+    throw new Error(`The backup's ${check.ticker} sells exceed its ${check.ticker} buys.`);
+  }
+
+  return { transactions, exportedAt: data.exportedAt || null };
+};
+
+/**
+ * splits restored backup rows into two insert batches: the rows that open lots
+ * (buys, unit income) go first, then the sells that may pick those lots by
+ * backup id. see remapLotSelections
+ */
+export const splitBackupForRestore = (transactions = []) => ({
+  lots: transactions.filter((tx) => tx.type !== "Sell"),
+  sells: transactions.filter((tx) => tx.type === "Sell"),
+});
+
+/**
+ * points each sell's picked lots at the ids the lot rows got on insert.
+ * `created` holds the inserted `lots` rows in the same order
+ */
+export const remapLotSelections = (sells, lots, created) => {
+  const newIds = new Map(lots.map((tx, index) => [tx.id, created[index]?.id]));
+  return sells.map((tx) => ({
+    ...tx,
+    lotSelections: tx.lotSelections?.length
+      ? tx.lotSelections.map((selection) => ({ ...selection, lotId: newIds.get(selection.lotId) }))
+      : null,
+  }));
+};
+
+// date stamp for export filenames (local date)
+export const exportFileName = (prefix, extension, now = new Date()) => {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${prefix}-${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}.${extension}`;
+};
+
+// trigger a browser download for generated text content
+export const downloadFile = (fileName, content, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
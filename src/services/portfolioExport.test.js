@@ -0,0 +1,172 @@
+import { describe, it, expect } from "vitest";
+import {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  toCsv,
+  transactionsToCsv,
+  holdingsToCsv,
+  buildBackup,
+  parseBackup,
+  splitBackupForRestore,
+  remapLotSelections,
+  exportFileName,
+} from "./portfolioExport";
+import { parseCsv, guessColumnMapping, mapRowsToTransactions } from "./csvImport";
+import { calculatePortfolioData, calculateRealizedPnL } from "./utils";
+
+// helper: build a transaction with sensible defaults
+const tx = (overrides) => ({
+  id: "id-" + Math.random(),
+  ticker: "AAPL",
+  type: "Buy",
+  quantity: 1,
+  price: 100,
+  date: "2024-01-01",
+  time: "10:00",
+  assetType: "Stock",
+  name: "Apple",
+  ...overrides,
+});
+
+const transactions = [
+  tx({ quantity: 10, price: 100, date: "2024-01-01" }),
+  tx({ type: "Sell", quantity: 4, price: 150, date: "2024-02-01", fee: 1.5, feeCurrency: "USD" }),
+  tx({ ticker: "BTC", name: "Bitcoin", assetType: "Crypto", quantity: 0.5, price: 40000, date: "2024-01-15" }),
+];
+
+describe("toCsv", () => {
+  it("quotes cells containing commas, quotes or newlines", () => {
+    expect(toCsv(["a", "b"], [["x,y", 'say "hi"'], ["line\nbreak", 3]])).toBe(
+      'a,b\r\n"x,y","say ""hi"""\r\n"line\nbreak",3\r\n'
+    );
+  });
+});
+
+describe("transactionsToCsv", () => {
+  it("writes oldest first with a total cost column", () => {
+    const { headers, rows } = parseCsv(transactionsToCsv(transactions));
+    expect(headers).toEqual([
+      "Date", "Time", "Type", "Ticker", "Name", "Asset Class", "Quantity", "Price", "Currency", "Fee", "Fee Currency", "Payout", "Total Cost",
+    ]);
+    expect(rows.map((r) => r.Date)).toEqual(["2024-01-01", "2024-01-15", "2024-02-01"]);
+    expect(rows[1]).toMatchObject({ Ticker: "BTC", "Asset Class": "Crypto", "Total Cost": "20000" });
+  });
+
+  it("round-trips through the CSV importer without remapping", () => {
+    const { headers, rows } = parseCsv(transactionsToCsv(transactions));
+    const { transactions: imported, errors } = mapRowsToTransactions(rows, guessColumnMapping(headers));
+    expect(errors).toEqual([]);
+    const pick = ({ ticker, type, quantity, price, date, time, assetType, fee = 0 }) => ({
+      ticker, type, quantity, price, date, time, assetType, fee,
+    });
+    expect(imported.map(pick)).toEqual([transactions[0], transactions[2], transactions[1]].map(pick));
+  });
+
+  it("keeps each transaction's currency through a re-import", () => {
+    const sap = tx({ ticker: "SAP", currency: "EUR", fee: 2, feeCurrency: "EUR" });
+    const { headers, rows } = parseCsv(transactionsToCsv([sap]));
+    expect(rows[0]).toMatchObject({ Currency: "EUR", "Fee Currency": "EUR" });
+    const { transactions: imported } = mapRowsToTransactions(rows, guessColumnMapping(headers));
+    expect(imported[0]).toMatchObject({ currency: "EUR", fee: 2, feeCurrency: "EUR" });
+  });
+});
+
+describe("holdingsToCsv", () => {
+  it("exports FIFO cost basis and P&L at current prices", () => {
+    const portfolio = calculatePortfolioData(transactions, {
+      AAPL: { currentPrice: 200 },
+      BTC: { currentPrice: 50000 },
+    });
+    const { rows } = parseCsv(holdingsToCsv(portfolio));
+    const aapl = rows.find((r) => r.Ticker === "AAPL");
+    expect(aapl).toMatchObject({
+      Quantity: "6",
+      "Cost Basis": "600",
+      "Market Value": "1200",
+      "Unrealized P&L": "600",
+      "P&L %": "100",
+    });
+  });
+});
+
+describe("backup round trip", () => {
+  it("restores exactly the transactions that were exported", () => {
+    const portfolio = calculatePortfolioData(transactions, {});
+    const backup = buildBackup(transactions, portfolio, new Date("2024-03-01T00:00:00Z"));
+    expect(backup.format).toBe(BACKUP_FORMAT);
+    expect(backup.version).toBe(BACKUP_VERSION);
+    expect(backup.exportedAt).toBe("2024-03-01T00:00:00.000Z");
+    expect(backup.holdings).toHaveLength(2);
+
+    const restored = parseBackup(JSON.stringify(backup));
+    expect(restored.exportedAt).toBe(backup.exportedAt);
+    expect(restored.transactions).toEqual(
+      transactions.map(({ ticker, name, type, quantity, price, date, time, assetType, fee = 0 }, index) => ({
+        id: index + 1, ticker, name, type, quantity, price, currency: "USD", date, time, assetType, fee, feeCurrency: "USD", payout: null, lotSelections: null,
+      }))
+    );
+  });
+
+  it("round-trips income transactions with their payout", () => {
+    const withIncome = [
+      ...transactions,
+      tx({ type: "Dividend", payout: "cash", quantity: 12.5, price: 1, date: "2024-02-15" }),
+      tx({ ticker: "BTC", assetType: "Crypto", type: "Staking", payout: "units", quantity: 0.01, price: 42000, date: "2024-02-20" }),
+    ];
+    const restored = parseBackup(JSON.stringify(buildBackup(withIncome, [])));
+    expect(restored.transactions.slice(3).map(({ type, payout, quantity }) => ({ type, payout, quantity }))).toEqual([
+      { type: "Dividend", payout: "cash", quantity: 12.5 },
+      { type: "Staking", payout: "units", quantity: 0.01 },
+    ]);
+  });
+
+  it("keeps the lots a specific-lot sell picked through a restore", () => {
+    const costBasis = { method: "specific" };
+    const picked = [
+      tx({ id: "buy-1", quantity: 10, price: 100, date: "2024-01-01" }),
+      tx({ id: "buy-2", quantity: 10, price: 200, date: "2024-02-01" }),
+      tx({ id: "sell-1", type: "Sell", quantity: 5, price: 300, date: "2024-03-01", lotSelections: [{ lotId: "buy-2", quantity: 5 }] }),
+    ];
+    const { transactions: parsed } = parseBackup(JSON.stringify(buildBackup(picked, [])));
+    expect(parsed[2].lotSelections).toEqual([{ lotId: 2, quantity: 5 }]);
+
+    // insert the way the restore does: buys get new ids, then the sells follow
+    const { lots, sells } = splitBackupForRestore(parsed);
+    const restoredLots = lots.map((row, index) => ({ ...row, id: `new-${index}` }));
+    const restored = [...restoredLots, ...remapLotSelections(sells, lots, restoredLots).map((row) => ({ ...row, id: "new-sell" }))];
+
+    const before = calculateRealizedPnL(picked, costBasis);
+    const after = calculateRealizedPnL(restored, costBasis);
+    expect(before.total).toBe(500);
+    expect(after.total).toBe(before.total);
+    expect(after.sales[0].lots).toEqual([{ lotId: "new-1", quantity: 5, price: 200, date: "2024-02-01" }]);
+  });
+
+  it("drops picked lots that are not in the backup", () => {
+    const sell = tx({ type: "Sell", quantity: 1, lotSelections: [{ lotId: "elsewhere", quantity: 1 }] });
+    const backup = buildBackup([tx({ quantity: 1, date: "2023-12-01" }), sell], []);
+    expect(backup.transactions[1].lotSelections).toBeNull();
+  });
+
+  it.each([
+    ["not json", /not valid JSON/],
+    [JSON.stringify({ format: "other" }), /not a Portfolio Tracker backup/],
+    [JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION + 1, transactions: [] }), /Unsupported backup version/],
+    [JSON.stringify({ format: BACKUP_FORMAT, version: 1 }), /no transactions list/],
+    [JSON.stringify({ format: BACKUP_FORMAT, version: 1, transactions: [{ ticker: "AAPL", date: "2024-01-01", type: "Buy", quantity: -1, price: 1 }] }), /invalid type, quantity, price or fee/],
+    [JSON.stringify({ format: BACKUP_FORMAT, version: 1, transactions: [{ ticker: "AAPL", date: "2024-01-01", type: "Sell", quantity: 1, price: 1, lotSelections: [{ lotId: 9, quantity: 1 }] }] }), /picks lots that are not in the backup/],
+  ])("rejects malformed backups (%#)", (text, message) => {
+    expect(() => parseBackup(text)).toThrow(message);
+  });
+
+  it("rejects a backup whose sells are not covered", () => {
+    const backup = buildBackup([tx({ type: "Sell", quantity: 1 })], []);
+    expect(() => parseBackup(JSON.stringify(backup))).toThrow(/sells exceed/);
+  });
+});
+
+describe("exportFileName", () => {
+  it("stamps the local date", () => {
+    expect(exportFileName("portfolio-backup", "json", new Date(2024, 0, 5))).toBe("portfolio-backup-2024-01-05.json");
+  });
+});
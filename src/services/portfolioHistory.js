@@ -0,0 +1,159 @@
+// portfolio value over time for the performance chart. replays the
+// transactions day by day through the lot engine and the cash ledger and
+// values the open positions at each day's close.
+
+import { createLotLedger } from "./costBasis";
+import { createCashLedger } from "./cashLedger";
+import { sortTransactionsChronologically, calculateValue } from "./utils";
+import { hasUnitPrice, isCashFlowType, isSplitType, getSplitRatio } from "../constants/transactionTypes";
+import { getPriceFeed } from "../constants/assetClasses";
+
+/** local calendar date as "YYYY-MM-DD" */
+export const toDateKey = (date) => {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// local midnight of a "YYYY-MM-DD" date
+// (parsing parts avoids the UTC shift of new Date("YYYY-MM-DD"))
+const parseDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * start of a chart period ("7d", "1m", "3m", "ytd", "1y"), or null for "all"
+ */
+export const getCutoffDate = (period, now = new Date()) => {
+  const date = new Date(now);
+  switch (period) {
+    case "7d": return new Date(date.setDate(date.getDate() - 7));
+    case "1m": return new Date(date.setMonth(date.getMonth() - 1));
+    case "3m": return new Date(date.setMonth(date.getMonth() - 3));
+    case "ytd": return new Date(date.getFullYear(), 0, 1);
+    case "1y": return new Date(date.setFullYear(date.getFullYear() - 1));
+    default: return null;
+  }
+};
+
+/**
+ * close on the given date, or the last close before it (weekends, holidays).
+ * closes: [[date, close], ...] oldest first. null when the series starts later.
+ */
+export const getCloseOnDate = (closes, dateKey) => {
+  if (!closes?.length) return null;
+  let lo = 0, hi = closes.length - 1, found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (closes[mid][0] <= dateKey) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found === -1 ? null : closes[found][1];
+};
+
+/**
+ * daily closes ({ [ticker]: [[date, close], ...] }) adjusted for the splits
+ * in `transactions`: closes before a split are divided by its ratio, so a
+ * 4-for-1 split is not a -75% day. for analytics built on returns (risk,
+ * correlation) - portfolio values keep the raw closes, which go with the
+ * quantities held before the split.
+ * example: closes 400, 410 then a 4:1 split, 105 → 100, 102.5, 105
+ */
+export const adjustHistoryForSplits = (history = {}, transactions = []) => {
+  const splits = {};
+  transactions.forEach((tx) => {
+    if (!isSplitType(tx.type) || !history[tx.ticker]) return;
+    (splits[tx.ticker] ||= []).push({ date: tx.date, ratio: getSplitRatio(tx) });
+  });
+  if (Object.keys(splits).length === 0) return history;
+
+  const adjusted = { ...history };
+  Object.entries(splits).forEach(([ticker, tickerSplits]) => {
+    adjusted[ticker] = history[ticker].map(([date, close]) => {
+      // the split day's close is already in post-split units
+      const factor = tickerSplits.reduce((product, split) => (split.date > date ? product * split.ratio : product), 1);
+      return [date, close / factor];
+    });
+  });
+  return adjusted;
+};
+
+/**
+ * earliest transaction date per priced ticker, split by price feed - what
+ * fetchStockHistory / fetchCryptoHistory need. assets without a feed are
+ * left out (their history comes from valuations).
+ * example: { stocks: { AAPL: "2023-04-03" }, crypto: { BTC: "2024-01-15" } }
+ */
+export const getHistoryStarts = (transactions) => {
+  const starts = { stocks: {}, crypto: {} };
+  transactions.forEach((tx) => {
+    if (!tx.ticker || !tx.date || isCashFlowType(tx.type)) return;
+    const feed = getPriceFeed(tx.assetType);
+    if (!feed) return;
+    const group = feed === "crypto" ? starts.crypto : starts.stocks;
+    if (!group[tx.ticker] || tx.date < group[tx.ticker]) group[tx.ticker] = tx.date;
+  });
+  return starts;
+};
+
+/**
+ * one point per calendar day from the first transaction through `today`:
+ * [{ dateKey, timestamp, value, costBasis, flow }] where value is holdings +
+ * cash and flow is the money added (+) or taken out (-) that day: deposits,
+ * withdrawals and buys not covered by the cash balance.
+ *
+ * each position is valued at that day's close from `history`. before a
+ * ticker's series starts it falls back to its last trade price, and tickers
+ * without any history (preview mode, API failure) use the current price.
+ */
+export const calculatePortfolioHistory = (transactions, { prices = {}, history = {}, costBasis = null, today = new Date() } = {}) => {
+  if (!transactions?.length) return [];
+
+  const txsByDate = new Map();
+  sortTransactionsChronologically(transactions).forEach((tx) => {
+    if (!txsByDate.has(tx.date)) txsByDate.set(tx.date, []);
+    txsByDate.get(tx.date).push(tx);
+  });
+
+  // same lot-matching engine as calculatePortfolioData, with the running cash alongside
+  const ledger = createLotLedger(costBasis);
+  const cashLedger = createCashLedger();
+  const lastTradePrice = {};
+
+  const priceOn = (ticker, dateKey) => {
+    const closes = history[ticker];
+    if (!closes?.length) return prices[ticker]?.currentPrice || 0;
+    return getCloseOnDate(closes, dateKey) ?? lastTradePrice[ticker] ?? closes[0][1];
+  };
+
+  const points = [];
+  const endKey = toDateKey(today);
+  const firstKey = [...txsByDate.keys()][0];
+  // step by calendar day (not 24h) so DST changes can't skip or repeat a date
+  for (let date = parseDateKey(firstKey); toDateKey(date) <= endKey; date.setDate(date.getDate() + 1)) {
+    const dateKey = toDateKey(date);
+    let flow = 0;
+    (txsByDate.get(dateKey) || []).forEach((tx) => {
+      ledger.apply(tx);
+      const movement = cashLedger.apply(tx);
+      if (movement) flow += (isCashFlowType(tx.type) ? movement.amount : 0) + movement.funded;
+      if (hasUnitPrice(tx) && Number(tx.price) > 0) lastTradePrice[tx.ticker] = Number(tx.price);
+    });
+
+    let value = cashLedger.getBalance(), dayCostBasis = 0;
+    Object.values(ledger.positions).forEach((position) => {
+      if (position.quantity > 0) {
+        value += calculateValue(position.quantity, priceOn(position.ticker, dateKey));
+        dayCostBasis += position.totalCost;
+      }
+    });
+
+    points.push({ dateKey, timestamp: date.getTime(), value, costBasis: dayCostBasis, flow });
+  }
+
+  return points;
+};
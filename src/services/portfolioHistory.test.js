@@ -0,0 +1,142 @@
+import { describe, it, expect } from "vitest";
+import {
+  toDateKey,
+  getCloseOnDate,
+  getHistoryStarts,
+  adjustHistoryForSplits,
+  calculatePortfolioHistory,
+} from "./portfolioHistory";
+import { calculateDailyReturns, calculateMaxDrawdown, toDailySeries } from "./risk";
+
+// helper: build a transaction with sensible defaults
+const tx = (overrides) => ({
+  ticker: "AAPL",
+  type: "Buy",
+  quantity: 1,
+  price: 100,
+  date: "2024-01-01",
+  time: "10:00",
+  assetType: "Stock",
+  ...overrides,
+});
+
+const closes = [
+  ["2024-01-02", 101],
+  ["2024-01-03", 103],
+  ["2024-01-05", 110],
+];
+
+describe("getCloseOnDate", () => {
+  it("returns the close of the day or the last one before it", () => {
+    expect(getCloseOnDate(closes, "2024-01-03")).toBe(103);
+    expect(getCloseOnDate(closes, "2024-01-04")).toBe(103); // no close that day
+    expect(getCloseOnDate(closes, "2024-02-01")).toBe(110);
+  });
+
+  it("returns null before the series starts or without a series", () => {
+    expect(getCloseOnDate(closes, "2024-01-01")).toBeNull();
+    expect(getCloseOnDate([], "2024-01-01")).toBeNull();
+    expect(getCloseOnDate(undefined, "2024-01-01")).toBeNull();
+  });
+});
+
+describe("adjustHistoryForSplits", () => {
+  const history = {
+    NVDA: [["2024-06-06", 1200], ["2024-06-07", 1210], ["2024-06-10", 121], ["2024-06-11", 122]],
+    AAPL: closes,
+  };
+  const split = tx({ ticker: "NVDA", type: "Split", quantity: 10, price: 0, date: "2024-06-10" });
+
+  it("divides the closes before a split by its ratio", () => {
+    const adjusted = adjustHistoryForSplits(history, [tx({ ticker: "NVDA" }), split]);
+    expect(adjusted.NVDA).toEqual([["2024-06-06", 120], ["2024-06-07", 121], ["2024-06-10", 121], ["2024-06-11", 122]]);
+    expect(adjusted.AAPL).toBe(closes);
+    expect(adjustHistoryForSplits(history, [tx()])).toBe(history);
+  });
+
+  it("keeps a split out of the daily returns", () => {
+    const raw = calculateDailyReturns(toDailySeries(history.NVDA));
+    expect(Math.min(...raw.map((r) => r.value))).toBeCloseTo(-0.9);
+    const adjusted = toDailySeries(adjustHistoryForSplits(history, [split]).NVDA);
+    expect(Math.min(...calculateDailyReturns(adjusted).map((r) => r.value))).toBeCloseTo(0);
+    expect(calculateMaxDrawdown(adjusted).maxDrawdown).toBeCloseTo(0);
+  });
+});
+
+describe("getHistoryStarts", () => {
+  it("finds each ticker's first date and skips cash movements", () => {
+    const starts = getHistoryStarts([
+      tx({ date: "2024-03-01" }),
+      tx({ date: "2024-01-15", type: "Sell" }),
+      tx({ ticker: "BTC", assetType: "Crypto", date: "2024-02-01" }),
+      tx({ ticker: "USD", type: "Deposit", date: "2023-01-01" }),
+    ]);
+    expect(starts).toEqual({ stocks: { AAPL: "2024-01-15" }, crypto: { BTC: "2024-02-01" } });
+  });
+
+  it("fetches ETFs with stocks and leaves out assets without a price feed", () => {
+    const starts = getHistoryStarts([
+      tx({ ticker: "VOO", assetType: "ETF" }),
+      tx({ ticker: "UST30", assetType: "Bond" }),
+      tx({ ticker: "HOUSE", assetType: "Other" }),
+    ]);
+    expect(starts).toEqual({ stocks: { VOO: "2024-01-01" }, crypto: {} });
+  });
+});
+
+describe("calculatePortfolioHistory", () => {
+  const today = new Date(2024, 0, 5);
+
+  it("values holdings at each day's close, one point per day", () => {
+    const points = calculatePortfolioHistory([tx({ quantity: 10, date: "2024-01-01" })], {
+      history: { AAPL: closes },
+      today,
+    });
+    expect(points.map((p) => [p.dateKey, p.value])).toEqual([
+      ["2024-01-01", 1000], // before the series: last trade price
+      ["2024-01-02", 1010],
+      ["2024-01-03", 1030],
+      ["2024-01-04", 1030],
+      ["2024-01-05", 1100],
+    ]);
+    expect(points.every((p) => p.costBasis === 1000)).toBe(true);
+    expect(toDateKey(new Date(points[2].timestamp))).toBe("2024-01-03");
+  });
+
+  it("includes cash and follows buys and sells", () => {
+    const points = calculatePortfolioHistory(
+      [
+        tx({ ticker: "USD", type: "Deposit", quantity: 2000, price: 1, date: "2024-01-01" }),
+        tx({ quantity: 10, date: "2024-01-02" }),
+        tx({ type: "Sell", quantity: 5, price: 110, date: "2024-01-05" }),
+      ],
+      { history: { AAPL: closes }, today }
+    );
+    expect(points.map((p) => p.value)).toEqual([2000, 1000 + 1010, 1000 + 1030, 1000 + 1030, 1550 + 550]);
+  });
+
+  it("records money added and taken out as each day's flow", () => {
+    const points = calculatePortfolioHistory(
+      [
+        tx({ ticker: "USD", type: "Deposit", quantity: 500, price: 1, date: "2024-01-01" }),
+        tx({ quantity: 10, date: "2024-01-02" }), // 500 from cash, 500 from outside
+        tx({ type: "Sell", quantity: 10, price: 103, date: "2024-01-03" }),
+        tx({ ticker: "USD", type: "Withdrawal", quantity: 200, price: 1, date: "2024-01-04" }),
+      ],
+      { history: { AAPL: closes }, today }
+    );
+    expect(points.map((p) => p.flow)).toEqual([500, 500, 0, -200, 0]);
+  });
+
+  it("falls back to the current price for tickers without history", () => {
+    const points = calculatePortfolioHistory([tx({ quantity: 2, date: "2024-01-04" })], {
+      prices: { AAPL: { currentPrice: 150 } },
+      today,
+    });
+    expect(points.map((p) => p.value)).toEqual([300, 300]);
+  });
+
+  it("is empty without transactions", () => {
+    expect(calculatePortfolioHistory([], { today })).toEqual([]);
+  });
+});
@@ -1,8 +1,27 @@
-import { PREVIEW_TRANSACTIONS, SNAPSHOT_PRICES } from "../data/previewSeed";
+import { PREVIEW_TRANSACTIONS, PREVIEW_PORTFOLIOS, SNAPSHOT_PRICES, SNAPSHOT_FX_RATES, SNAPSHOT_PROFILES } from "../data/previewSeed";
 import { formatTransactionType, normalizeAssetType } from "./utils";
+import { normalizeCostBasisMethod } from "./costBasis";
+import { normalizeCurrency, resolveFeeCurrency } from "./currency";
+import { isIncomeType, hasUnitPrice, normalizeIncomePayout } from "../constants/transactionTypes";
+import { isManuallyPriced } from "../constants/assetClasses";
+import { splitBackupForRestore, remapLotSelections } from "./portfolioExport";
 
 export const PREVIEW_MODE_KEY = "pt-preview-mode";
 export const PREVIEW_TX_KEY = "pt-preview-transactions";
+export const PREVIEW_COST_BASIS_KEY = "pt-preview-cost-basis";
+export const PREVIEW_PORTFOLIOS_KEY = "pt-preview-portfolios";
+export const PREVIEW_ALERTS_KEY = "pt-preview-alerts";
+export const PREVIEW_WATCHLIST_KEY = "pt-preview-watchlist";
+export const PREVIEW_TARGETS_KEY = "pt-preview-allocation-targets";
+export const PREVIEW_SETTINGS_KEY = "pt-preview-settings";
+export const PREVIEW_VALUATIONS_KEY = "pt-preview-valuations";
+export const PREVIEW_METADATA_KEY = "pt-preview-asset-metadata";
+export const PREVIEW_GOALS_KEY = "pt-preview-goals";
+
+// transactions saved before portfolios existed belong to the default one
+const DEFAULT_PREVIEW_PORTFOLIO_ID = PREVIEW_PORTFOLIOS[0].id;
+const withPortfolio = (tx) =>
+  tx.portfolioId ? tx : { ...tx, portfolioId: DEFAULT_PREVIEW_PORTFOLIO_ID };
 
 function getStorage() {
   try {
@@ -16,7 +35,7 @@ function getStorage() {
 }
 
 function cloneSeed() {
-  return JSON.parse(JSON.stringify(PREVIEW_TRANSACTIONS));
+  return JSON.parse(JSON.stringify(PREVIEW_TRANSACTIONS)).map(withPortfolio);
 }
 
 export function isPreviewEnabled() {
@@ -39,23 +58,34 @@ export function saveTransactions(txs) {
   storage.setItem(PREVIEW_TX_KEY, JSON.stringify(txs));
 }
 
-export function loadTransactions() {
+// every sandbox transaction, or only those of one portfolio
+export function loadTransactions(portfolioId = null) {
+  const inPortfolio = (tx) => !portfolioId || tx.portfolioId === portfolioId;
   const storage = getStorage();
   const raw = storage?.getItem(PREVIEW_TX_KEY);
   if (raw) {
     try {
       const parsed = JSON.parse(raw);
-      if (Array.isArray(parsed)) return parsed;
+      if (Array.isArray(parsed)) return parsed.map(withPortfolio).filter(inPortfolio);
     } catch {
       // fall through to seed
     }
   }
   const seeded = cloneSeed();
   saveTransactions(seeded);
-  return seeded;
+  return seeded.filter(inPortfolio);
 }
 
+// restores the seed transactions and portfolios (and clears price alerts,
+// the watchlist, allocation targets, valuations, asset classifications and goals)
 export function resetTransactions() {
+  getStorage()?.removeItem(PREVIEW_PORTFOLIOS_KEY);
+  getStorage()?.removeItem(PREVIEW_ALERTS_KEY);
+  getStorage()?.removeItem(PREVIEW_WATCHLIST_KEY);
+  getStorage()?.removeItem(PREVIEW_TARGETS_KEY);
+  getStorage()?.removeItem(PREVIEW_VALUATIONS_KEY);
+  getStorage()?.removeItem(PREVIEW_METADATA_KEY);
+  getStorage()?.removeItem(PREVIEW_GOALS_KEY);
   const seeded = cloneSeed();
   saveTransactions(seeded);
   return seeded;
@@ -72,10 +102,13 @@ function toClientTransaction(input, id) {
   const quantity = parseFloat(input.quantity);
   const price = parseFloat(input.price);
   const totalCost = quantity * price;
+  const type = formatTransactionType(input.type);
+  const fee = parseFloat(input.fee) || 0;
+  const ticker = input.ticker || "";
   return {
     id,
-    ticker: input.ticker || "",
-    type: formatTransactionType(input.type),
+    ticker,
+    type,
     quantity,
     price,
     date: input.date || "",
@@ -83,6 +116,12 @@ function toClientTransaction(input, id) {
     assetType: normalizeAssetType(input.assetType || input.assetClass),
     name: input.name || input.ticker || "",
     totalCost,
+    fee,
+    feeCurrency: resolveFeeCurrency({ ...input, ticker, fee }),
+    currency: normalizeCurrency(input.currency),
+    lotSelections: type === "Sell" && input.lotSelections?.length ? input.lotSelections : null,
+    payout: isIncomeType(type) ? normalizeIncomePayout(input.payout) : null,
+    portfolioId: input.portfolioId || DEFAULT_PREVIEW_PORTFOLIO_ID,
   };
 }
 
@@ -94,9 +133,34 @@ export function createPreviewTransaction(transaction) {
   return created;
 }
 
+export function createPreviewTransactions(transactions) {
+  if (!transactions?.length) return [];
+  const txs = loadTransactions();
+  const created = transactions.map((tx) => toClientTransaction(tx, nextId()));
+  saveTransactions([...txs, ...created]);
+  return created;
+}
+
+// swap the whole sandbox - or one portfolio of it - for restored
+// transactions (backup restore)
+export function replacePreviewTransactions(transactions = [], portfolioId = null) {
+  const toRestored = (tx) => toClientTransaction(portfolioId ? { ...tx, portfolioId } : tx, nextId());
+  const { lots, sells } = splitBackupForRestore(transactions);
+  const restoredLots = lots.map(toRestored);
+  const restored = [...restoredLots, ...remapLotSelections(sells, lots, restoredLots).map(toRestored)];
+  const kept = portfolioId ? loadTransactions().filter((tx) => tx.portfolioId !== portfolioId) : [];
+  saveTransactions([...kept, ...restored]);
+  return restored;
+}
+
 export function updatePreviewTransaction(id, transaction) {
   const txs = loadTransactions();
-  const updated = toClientTransaction(transaction, id);
+  const existing = txs.find((tx) => tx.id === id);
+  // an edit keeps the transaction in its portfolio unless it names another
+  const updated = toClientTransaction(
+    { ...transaction, portfolioId: transaction.portfolioId || existing?.portfolioId },
+    id
+  );
   const next = txs.map((tx) => (tx.id === id ? { ...tx, ...updated, id } : tx));
   saveTransactions(next);
   return updated;
@@ -116,21 +180,357 @@ export function deletePreviewTransactions(ids) {
   return ids.length;
 }
 
-/** Snapshot prices plus a synthetic quote for any ticker the user added. */
+/** Sandbox portfolios (accounts): [{ id, name }], the default one first. */
+export function loadPreviewPortfolios() {
+  const raw = getStorage()?.getItem(PREVIEW_PORTFOLIOS_KEY);
+  if (raw) {
+    try {
+      const parsed = JSON.parse(raw);
+      if (Array.isArray(parsed) && parsed.length) return parsed;
+    } catch {
+      // fall through to the seed
+    }
+  }
+  return PREVIEW_PORTFOLIOS.map((portfolio) => ({ ...portfolio }));
+}
+
+function savePreviewPortfolios(portfolios) {
+  getStorage()?.setItem(PREVIEW_PORTFOLIOS_KEY, JSON.stringify(portfolios));
+}
+
+// same contract as createPortfolio: names are unique per user
+export function createPreviewPortfolio(name) {
+  const trimmed = (name || "").trim();
+  if (!trimmed) throw new Error("Portfolio name is required");
+  const portfolios = loadPreviewPortfolios();
+  if (portfolios.some((p) => p.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`A portfolio named "${trimmed}" already exists`);
+  }
+  const created = { id: nextId(), name: trimmed };
+  savePreviewPortfolios([...portfolios, created]);
+  return created;
+}
+
+// removes the portfolio and its transactions (like the on delete cascade)
+export function deletePreviewPortfolio(id) {
+  savePreviewPortfolios(loadPreviewPortfolios().filter((p) => p.id !== id));
+  saveTransactions(loadTransactions().filter((tx) => tx.portfolioId !== id));
+  return true;
+}
+
+/** Cost basis preferences for the sandbox: { method, byTicker }. */
+export function loadPreviewCostBasis() {
+  const raw = getStorage()?.getItem(PREVIEW_COST_BASIS_KEY);
+  if (raw) {
+    try {
+      const parsed = JSON.parse(raw);
+      return { method: parsed.method || null, byTicker: parsed.byTicker || {} };
+    } catch {
+      // fall through to defaults
+    }
+  }
+  return { method: null, byTicker: {} };
+}
+
+// same contract as saveCostBasisPreference: method null clears a per-asset override
+export function savePreviewCostBasisPreference({ ticker = null, method }) {
+  const preferences = loadPreviewCostBasis();
+  if (!ticker) {
+    preferences.method = method ? normalizeCostBasisMethod(method) : null;
+  } else if (method) {
+    preferences.byTicker[ticker] = normalizeCostBasisMethod(method);
+  } else {
+    delete preferences.byTicker[ticker];
+  }
+  getStorage()?.setItem(PREVIEW_COST_BASIS_KEY, JSON.stringify(preferences));
+  return { ticker, method };
+}
+
+/** Price alerts for the sandbox, newest first (same shape as fetchPriceAlerts). */
+export function loadPreviewAlerts() {
+  const raw = getStorage()?.getItem(PREVIEW_ALERTS_KEY);
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function savePreviewAlerts(alerts) {
+  getStorage()?.setItem(PREVIEW_ALERTS_KEY, JSON.stringify(alerts));
+}
+
+export function createPreviewAlert({ ticker, assetType, condition, threshold }) {
+  const created = {
+    id: nextId(),
+    ticker: ticker.trim().toUpperCase(),
+    assetType: normalizeAssetType(assetType),
+    condition,
+    threshold: Number(threshold),
+    active: true,
+    triggeredAt: null,
+    createdAt: new Date().toISOString(),
+  };
+  savePreviewAlerts([created, ...loadPreviewAlerts()]);
+  return created;
+}
+
+export function updatePreviewAlert(id, { active, triggeredAt }) {
+  let updated = null;
+  savePreviewAlerts(
+    loadPreviewAlerts().map((alert) => {
+      if (alert.id !== id) return alert;
+      updated = { ...alert, active, triggeredAt: triggeredAt ?? null };
+      return updated;
+    })
+  );
+  if (!updated) throw new Error("Alert not found");
+  return updated;
+}
+
+export function deletePreviewAlert(id) {
+  savePreviewAlerts(loadPreviewAlerts().filter((alert) => alert.id !== id));
+  return true;
+}
+
+/** Watchlist for the sandbox, oldest first (same shape as fetchWatchlist). */
+export function loadPreviewWatchlist() {
+  const raw = getStorage()?.getItem(PREVIEW_WATCHLIST_KEY);
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+export function addPreviewWatchlistItem({ ticker, name, assetType }) {
+  const items = loadPreviewWatchlist();
+  const symbol = ticker.trim().toUpperCase();
+  const type = normalizeAssetType(assetType);
+  if (items.some((item) => item.ticker === symbol && item.assetType === type)) {
+    throw new Error(`${symbol} is already on your watchlist`);
+  }
+  const created = {
+    id: nextId(),
+    ticker: symbol,
+    name: name?.trim() || symbol,
+    assetType: type,
+    createdAt: new Date().toISOString(),
+  };
+  getStorage()?.setItem(PREVIEW_WATCHLIST_KEY, JSON.stringify([...items, created]));
+  return created;
+}
+
+export function removePreviewWatchlistItem(id) {
+  const items = loadPreviewWatchlist().filter((item) => item.id !== id);
+  getStorage()?.setItem(PREVIEW_WATCHLIST_KEY, JSON.stringify(items));
+  return true;
+}
+
+/** Allocation targets for the sandbox (same shape as fetchAllocationTargets). */
+export function loadPreviewTargets() {
+  const raw = getStorage()?.getItem(PREVIEW_TARGETS_KEY);
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+export function savePreviewTargets(targets) {
+  const saved = targets.map((target) => ({
+    kind: target.kind,
+    key: target.key,
+    assetType: target.kind === "asset" ? normalizeAssetType(target.assetType) : null,
+    weight: Number(target.weight),
+  }));
+  getStorage()?.setItem(PREVIEW_TARGETS_KEY, JSON.stringify(saved));
+  return saved;
+}
+
+/**
+ * Snapshot prices plus a synthetic quote for any ticker the user added.
+ * Assets without a price feed are left to their valuations (see services/valuations).
+ */
 export function getPreviewPrices(transactions = []) {
   const prices = { ...SNAPSHOT_PRICES };
 
   for (const tx of transactions) {
     const ticker = tx.ticker?.toUpperCase();
-    if (!ticker || SNAPSHOT_PRICES[ticker]) continue;
+    // cash income (price 1) and splits (price 0) carry no market price
+    if (!ticker || SNAPSHOT_PRICES[ticker] || !hasUnitPrice(tx) || isManuallyPriced(tx.assetType)) continue;
     // last transaction in the list wins for tickers without a snapshot
     prices[ticker] = {
       currentPrice: Number(tx.price) || 0,
       priceChange24h: 0,
       logo: null,
       name: tx.name || ticker,
+      currency: normalizeCurrency(tx.currency),
     };
   }
 
   return prices;
 }
+
+/** Manual valuations for the sandbox, oldest first (same shape as fetchValuations). */
+export function loadPreviewValuations() {
+  const raw = getStorage()?.getItem(PREVIEW_VALUATIONS_KEY);
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+// same contract as saveValuation: one valuation per asset and day
+export function savePreviewValuation({ ticker, assetType, price, currency, date, note }) {
+  const symbol = ticker.trim().toUpperCase();
+  const saved = {
+    id: nextId(),
+    ticker: symbol,
+    assetType: normalizeAssetType(assetType),
+    price: Number(price),
+    currency: normalizeCurrency(currency),
+    date,
+    note: note?.trim() || "",
+  };
+  const valuations = [
+    ...loadPreviewValuations().filter((v) => !(v.ticker === symbol && v.date === date)),
+    saved,
+  ].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  getStorage()?.setItem(PREVIEW_VALUATIONS_KEY, JSON.stringify(valuations));
+  return saved;
+}
+
+export function deletePreviewValuation(id) {
+  const valuations = loadPreviewValuations().filter((v) => v.id !== id);
+  getStorage()?.setItem(PREVIEW_VALUATIONS_KEY, JSON.stringify(valuations));
+  return true;
+}
+
+/** Seed company profiles in the shape of fetchStockProfiles (other tickers are uncovered). */
+export function getPreviewProfiles(tickers = []) {
+  return Object.fromEntries(tickers.filter((t) => SNAPSHOT_PROFILES[t]).map((t) => [t, SNAPSHOT_PROFILES[t]]));
+}
+
+/** Manual asset classifications for the sandbox (same shape as fetchAssetMetadata). */
+export function loadPreviewAssetMetadata() {
+  const raw = getStorage()?.getItem(PREVIEW_METADATA_KEY);
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+// same contract as saveAssetMetadata: one classification per ticker
+export function savePreviewAssetMetadata({ ticker, assetType, sector, industry, country, marketCap }) {
+  const symbol = ticker.trim().toUpperCase();
+  const saved = {
+    id: nextId(),
+    ticker: symbol,
+    assetType: normalizeAssetType(assetType),
+    sector: sector?.trim() || null,
+    industry: industry?.trim() || null,
+    country: country?.trim() || null,
+    marketCap: marketCap || null,
+    updatedAt: new Date().toISOString(),
+  };
+  const metadata = [...loadPreviewAssetMetadata().filter((m) => m.ticker !== symbol), saved]
+    .sort((a, b) => a.ticker.localeCompare(b.ticker));
+  getStorage()?.setItem(PREVIEW_METADATA_KEY, JSON.stringify(metadata));
+  return saved;
+}
+
+export function deletePreviewAssetMetadata(id) {
+  const metadata = loadPreviewAssetMetadata().filter((m) => m.id !== id);
+  getStorage()?.setItem(PREVIEW_METADATA_KEY, JSON.stringify(metadata));
+  return true;
+}
+
+/** Savings goals for the sandbox, nearest target date first (same shape as fetchGoals). */
+export function loadPreviewGoals() {
+  const raw = getStorage()?.getItem(PREVIEW_GOALS_KEY);
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function savePreviewGoals(goals) {
+  const sorted = [...goals].sort((a, b) => (a.targetDate < b.targetDate ? -1 : a.targetDate > b.targetDate ? 1 : 0));
+  getStorage()?.setItem(PREVIEW_GOALS_KEY, JSON.stringify(sorted));
+}
+
+const toPreviewGoal = ({ name, targetAmount, targetDate, monthlyContribution }) => ({
+  name: name.trim(),
+  targetAmount: Number(targetAmount),
+  targetDate,
+  monthlyContribution: Number(monthlyContribution) || 0,
+});
+
+export function createPreviewGoal(goal) {
+  const created = { id: nextId(), ...toPreviewGoal(goal), createdAt: new Date().toISOString() };
+  savePreviewGoals([...loadPreviewGoals(), created]);
+  return created;
+}
+
+export function updatePreviewGoal(id, goal) {
+  let updated = null;
+  savePreviewGoals(
+    loadPreviewGoals().map((existing) => {
+      if (existing.id !== id) return existing;
+      updated = { ...existing, ...toPreviewGoal(goal) };
+      return updated;
+    })
+  );
+  if (!updated) throw new Error("Goal not found");
+  return updated;
+}
+
+export function deletePreviewGoal(id) {
+  savePreviewGoals(loadPreviewGoals().filter((goal) => goal.id !== id));
+  return true;
+}
+
+/** Display settings for the sandbox (same shape as fetchUserSettings). */
+export function loadPreviewSettings() {
+  const raw = getStorage()?.getItem(PREVIEW_SETTINGS_KEY);
+  try {
+    return { baseCurrency: normalizeCurrency(raw ? JSON.parse(raw).baseCurrency : null) };
+  } catch {
+    return { baseCurrency: normalizeCurrency(null) };
+  }
+}
+
+export function savePreviewSettings({ baseCurrency }) {
+  const settings = { baseCurrency: normalizeCurrency(baseCurrency) };
+  getStorage()?.setItem(PREVIEW_SETTINGS_KEY, JSON.stringify(settings));
+  return settings;
+}
+
+/**
+ * Fixed snapshot exchange rates in the shape of fetchFxRates (no history, so
+ * every day converts at the same rate).
+ */
+export function getPreviewFxRates(base, currencies = []) {
+  const baseRate = SNAPSHOT_FX_RATES[base] || 1;
+  const latest = {};
+  currencies.forEach((currency) => {
+    if (SNAPSHOT_FX_RATES[currency]) latest[currency] = SNAPSHOT_FX_RATES[currency] / baseRate;
+  });
+  return { base, latest, history: [] };
+}
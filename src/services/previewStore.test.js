@@ -1,5 +1,5 @@
 import { beforeEach, describe, expect, it } from "vitest";
-import { PREVIEW_TRANSACTIONS, SNAPSHOT_PRICES } from "../data/previewSeed";
+import { PREVIEW_TRANSACTIONS, PREVIEW_PORTFOLIOS, SNAPSHOT_PRICES } from "../data/previewSeed";
 import {
   PREVIEW_MODE_KEY,
   PREVIEW_TX_KEY,
@@ -9,10 +9,39 @@ import {
   saveTransactions,
   resetTransactions,
   createPreviewTransaction,
+  createPreviewTransactions,
+  replacePreviewTransactions,
   updatePreviewTransaction,
   deletePreviewTransaction,
   deletePreviewTransactions,
   getPreviewPrices,
+  loadPreviewCostBasis,
+  savePreviewCostBasisPreference,
+  loadPreviewPortfolios,
+  createPreviewPortfolio,
+  deletePreviewPortfolio,
+  loadPreviewAlerts,
+  createPreviewAlert,
+  updatePreviewAlert,
+  deletePreviewAlert,
+  loadPreviewWatchlist,
+  addPreviewWatchlistItem,
+  removePreviewWatchlistItem,
+  loadPreviewTargets,
+  savePreviewTargets,
+  loadPreviewSettings,
+  savePreviewSettings,
+  loadPreviewValuations,
+  savePreviewValuation,
+  deletePreviewValuation,
+  loadPreviewAssetMetadata,
+  savePreviewAssetMetadata,
+  deletePreviewAssetMetadata,
+  loadPreviewGoals,
+  createPreviewGoal,
+  updatePreviewGoal,
+  deletePreviewGoal,
+  getPreviewFxRates,
 } from "./previewStore";
 
 function createMemoryStorage() {
@@ -91,6 +120,29 @@ describe("preview transactions", () => {
     expect(loadTransactions().some((tx) => tx.id === created.id)).toBe(false);
   });
 
+  it("bulk-creates transactions in one write", () => {
+    loadTransactions();
+    const created = createPreviewTransactions([
+      { ticker: "MSFT", type: "buy", quantity: 2, price: 400, date: "2026-05-01", time: "10:00", assetType: "Stock" },
+      { ticker: "SOL", type: "Buy", quantity: 3, price: 150, date: "2026-05-02", time: "09:00", assetType: "crypto" },
+    ]);
+    expect(created).toHaveLength(2);
+    expect(new Set(created.map((tx) => tx.id)).size).toBe(2);
+    expect(created[1]).toMatchObject({ assetType: "Crypto", totalCost: 450 });
+    expect(loadTransactions()).toHaveLength(PREVIEW_TRANSACTIONS.length + 2);
+    expect(createPreviewTransactions([])).toEqual([]);
+  });
+
+  it("replaces the whole sandbox when restoring a backup", () => {
+    loadTransactions();
+    const restored = replacePreviewTransactions([
+      { ticker: "NVDA", type: "Buy", quantity: 1, price: 900, date: "2026-04-01", time: "", assetType: "Stock" },
+    ]);
+    expect(restored).toHaveLength(1);
+    expect(restored[0].id).toBeTruthy();
+    expect(loadTransactions()).toEqual(restored);
+  });
+
   it("batch-deletes by id", () => {
     const txs = loadTransactions();
     const ids = txs.slice(0, 2).map((tx) => tx.id);
@@ -111,6 +163,171 @@ describe("preview transactions", () => {
   });
 });
 
+describe("preview portfolios", () => {
+  const buy = (portfolioId) => ({
+    ticker: "MSFT", type: "Buy", quantity: 1, price: 400, date: "2026-05-01", time: "10:00", portfolioId,
+  });
+
+  it("files seed and unassigned transactions under the default portfolio", () => {
+    const [main] = PREVIEW_PORTFOLIOS;
+    expect(loadPreviewPortfolios()).toEqual(PREVIEW_PORTFOLIOS);
+    expect(loadTransactions().every((tx) => tx.portfolioId === main.id)).toBe(true);
+    expect(createPreviewTransaction(buy()).portfolioId).toBe(main.id);
+  });
+
+  it("keeps each portfolio's transactions apart", () => {
+    const ira = createPreviewPortfolio("  IRA ");
+    expect(ira.name).toBe("IRA");
+    expect(() => createPreviewPortfolio("ira")).toThrow(/already exists/);
+    expect(() => createPreviewPortfolio(" ")).toThrow(/required/);
+
+    const created = createPreviewTransaction(buy(ira.id));
+    expect(loadTransactions(ira.id)).toEqual([created]);
+    expect(loadTransactions(PREVIEW_PORTFOLIOS[0].id)).toHaveLength(PREVIEW_TRANSACTIONS.length);
+    expect(loadTransactions()).toHaveLength(PREVIEW_TRANSACTIONS.length + 1);
+
+    // edits without a portfolio stay where they are
+    const { portfolioId: _omit, ...withoutPortfolio } = created;
+    expect(updatePreviewTransaction(created.id, { ...withoutPortfolio, quantity: 2 }).portfolioId).toBe(ira.id);
+  });
+
+  it("restores a backup into one portfolio without touching the others", () => {
+    const ira = createPreviewPortfolio("IRA");
+    createPreviewTransaction(buy(ira.id));
+    const restored = replacePreviewTransactions([buy(), buy()], ira.id);
+    expect(restored.every((tx) => tx.portfolioId === ira.id)).toBe(true);
+    expect(loadTransactions(ira.id)).toEqual(restored);
+    expect(loadTransactions()).toHaveLength(PREVIEW_TRANSACTIONS.length + 2);
+  });
+
+  it("deletes a portfolio with its transactions, and reset restores the seed", () => {
+    const ira = createPreviewPortfolio("IRA");
+    createPreviewTransaction(buy(ira.id));
+    expect(deletePreviewPortfolio(ira.id)).toBe(true);
+    expect(loadPreviewPortfolios().map((p) => p.id)).toEqual([PREVIEW_PORTFOLIOS[0].id]);
+    expect(loadTransactions()).toHaveLength(PREVIEW_TRANSACTIONS.length);
+
+    createPreviewPortfolio("Exchange");
+    resetTransactions();
+    expect(loadPreviewPortfolios()).toEqual(PREVIEW_PORTFOLIOS);
+  });
+});
+
+describe("preview price alerts", () => {
+  it("creates, fires, re-arms and deletes alerts; reset clears them", () => {
+    expect(loadPreviewAlerts()).toEqual([]);
+    const first = createPreviewAlert({ ticker: " btc ", assetType: "crypto", condition: "above", threshold: "100000" });
+    expect(first).toMatchObject({ ticker: "BTC", assetType: "Crypto", threshold: 100000, active: true, triggeredAt: null });
+    const second = createPreviewAlert({ ticker: "AAPL", assetType: "Stock", condition: "change_down", threshold: 5 });
+    expect(loadPreviewAlerts().map((a) => a.id)).toEqual([second.id, first.id]);
+
+    const fired = updatePreviewAlert(first.id, { active: false, triggeredAt: "2026-05-01T10:00:00.000Z" });
+    expect(fired).toMatchObject({ active: false, triggeredAt: "2026-05-01T10:00:00.000Z" });
+    expect(updatePreviewAlert(first.id, { active: true }).triggeredAt).toBeNull();
+    expect(() => updatePreviewAlert("missing", { active: true })).toThrow(/not found/);
+
+    expect(deletePreviewAlert(second.id)).toBe(true);
+    expect(loadPreviewAlerts().map((a) => a.id)).toEqual([first.id]);
+
+    resetTransactions();
+    expect(loadPreviewAlerts()).toEqual([]);
+  });
+});
+
+describe("preview watchlist", () => {
+  it("adds tickers once per asset class, removes them, and reset clears them", () => {
+    expect(loadPreviewWatchlist()).toEqual([]);
+    const msft = addPreviewWatchlistItem({ ticker: " msft ", name: "Microsoft Corp.", assetType: "stock" });
+    expect(msft).toMatchObject({ ticker: "MSFT", name: "Microsoft Corp.", assetType: "Stock" });
+    const sol = addPreviewWatchlistItem({ ticker: "SOL", assetType: "Crypto" });
+    expect(sol.name).toBe("SOL");
+    expect(() => addPreviewWatchlistItem({ ticker: "msft", assetType: "Stock" })).toThrow(/already on your watchlist/);
+    expect(loadPreviewWatchlist().map((item) => item.ticker)).toEqual(["MSFT", "SOL"]);
+
+    expect(removePreviewWatchlistItem(msft.id)).toBe(true);
+    expect(loadPreviewWatchlist()).toEqual([sol]);
+
+    resetTransactions();
+    expect(loadPreviewWatchlist()).toEqual([]);
+  });
+});
+
+describe("preview allocation targets", () => {
+  it("saves the whole set, normalizes it, and reset clears it", () => {
+    expect(loadPreviewTargets()).toEqual([]);
+    savePreviewTargets([
+      { kind: "class", key: "Stock", weight: "60" },
+      { kind: "asset", key: "BTC", assetType: "crypto", weight: 40 },
+    ]);
+    expect(loadPreviewTargets()).toEqual([
+      { kind: "class", key: "Stock", assetType: null, weight: 60 },
+      { kind: "asset", key: "BTC", assetType: "Crypto", weight: 40 },
+    ]);
+
+    savePreviewTargets([{ kind: "class", key: "Cash", weight: 10 }]);
+    expect(loadPreviewTargets()).toHaveLength(1);
+
+    resetTransactions();
+    expect(loadPreviewTargets()).toEqual([]);
+  });
+});
+
+describe("preview valuations", () => {
+  it("keeps one valuation per asset and day, oldest first, and reset clears them", () => {
+    expect(loadPreviewValuations()).toEqual([]);
+    const june = savePreviewValuation({ ticker: " house ", assetType: "other", price: "320000", currency: "eur", date: "2024-06-01", note: " appraisal " });
+    expect(june).toMatchObject({ ticker: "HOUSE", assetType: "Other", price: 320000, currency: "EUR", note: "appraisal" });
+    savePreviewValuation({ ticker: "HOUSE", assetType: "Other", price: 300000, currency: "EUR", date: "2024-01-01" });
+    const replaced = savePreviewValuation({ ticker: "HOUSE", assetType: "Other", price: 325000, currency: "EUR", date: "2024-06-01" });
+    expect(loadPreviewValuations().map((v) => v.price)).toEqual([300000, 325000]);
+
+    expect(deletePreviewValuation(replaced.id)).toBe(true);
+    expect(loadPreviewValuations()).toHaveLength(1);
+
+    resetTransactions();
+    expect(loadPreviewValuations()).toEqual([]);
+  });
+});
+
+describe("preview asset metadata", () => {
+  it("keeps one classification per ticker and reset clears them", () => {
+    expect(loadPreviewAssetMetadata()).toEqual([]);
+    savePreviewAssetMetadata({ ticker: " vwrl ", assetType: "etf", sector: " Diversified ", country: "", marketCap: "large" });
+    const replaced = savePreviewAssetMetadata({ ticker: "VWRL", assetType: "ETF", sector: "Diversified", country: "Ireland" });
+    expect(loadPreviewAssetMetadata()).toEqual([
+      expect.objectContaining({ ticker: "VWRL", assetType: "ETF", sector: "Diversified", industry: null, country: "Ireland", marketCap: null }),
+    ]);
+
+    expect(deletePreviewAssetMetadata(replaced.id)).toBe(true);
+    expect(loadPreviewAssetMetadata()).toEqual([]);
+
+    savePreviewAssetMetadata({ ticker: "BTC", assetType: "Crypto", country: "El Salvador" });
+    resetTransactions();
+    expect(loadPreviewAssetMetadata()).toEqual([]);
+  });
+});
+
+describe("preview goals", () => {
+  it("creates, updates and deletes goals, nearest target date first, and reset clears them", () => {
+    expect(loadPreviewGoals()).toEqual([]);
+    const retirement = createPreviewGoal({ name: " Retirement ", targetAmount: "1000000", targetDate: "2035-12-31", monthlyContribution: "2000" });
+    expect(retirement).toMatchObject({ name: "Retirement", targetAmount: 1000000, monthlyContribution: 2000 });
+    createPreviewGoal({ name: "House", targetAmount: 80000, targetDate: "2028-06-30", monthlyContribution: "" });
+    expect(loadPreviewGoals().map((g) => g.name)).toEqual(["House", "Retirement"]);
+
+    const updated = updatePreviewGoal(retirement.id, { name: "Retirement", targetAmount: 1200000, targetDate: "2027-01-01", monthlyContribution: 2500 });
+    expect(updated).toMatchObject({ id: retirement.id, targetAmount: 1200000, monthlyContribution: 2500 });
+    expect(loadPreviewGoals().map((g) => g.name)).toEqual(["Retirement", "House"]);
+    expect(() => updatePreviewGoal("missing", updated)).toThrow("Goal not found");
+
+    expect(deletePreviewGoal(retirement.id)).toBe(true);
+    expect(loadPreviewGoals()).toHaveLength(1);
+
+    resetTransactions();
+    expect(loadPreviewGoals()).toEqual([]);
+  });
+});
+
 describe("getPreviewPrices", () => {
   it("returns snapshot quotes for seed tickers", () => {
     const prices = getPreviewPrices(PREVIEW_TRANSACTIONS);
@@ -136,6 +353,73 @@ describe("getPreviewPrices", () => {
       priceChange24h: 0,
       logo: null,
       name: "Microsoft Corp.",
+      currency: "USD",
+    });
+  });
+
+  it("quotes user-added tickers in their transaction currency", () => {
+    const prices = getPreviewPrices([{ ticker: "SAP", name: "SAP SE", price: 190, currency: "EUR" }]);
+    expect(prices.SAP).toMatchObject({ currentPrice: 190, currency: "EUR" });
+  });
+
+  it("leaves assets without a price feed to their valuations", () => {
+    expect(getPreviewPrices([{ ticker: "UST30", assetType: "Bond", price: 98 }]).UST30).toBeUndefined();
+  });
+});
+
+describe("preview settings and FX rates", () => {
+  it("defaults the base currency to USD and saves a new one", () => {
+    expect(loadPreviewSettings()).toEqual({ baseCurrency: "USD" });
+    expect(savePreviewSettings({ baseCurrency: "eur" })).toEqual({ baseCurrency: "EUR" });
+    expect(loadPreviewSettings()).toEqual({ baseCurrency: "EUR" });
+  });
+
+  it("derives snapshot rates for any base", () => {
+    const fx = getPreviewFxRates("EUR", ["USD", "GBP", "XXX"]);
+    expect(fx.base).toBe("EUR");
+    expect(fx.history).toEqual([]);
+    expect(fx.latest.USD).toBeCloseTo(1 / 0.92);
+    expect(fx.latest.GBP).toBeCloseTo(0.79 / 0.92);
+    expect(fx.latest.XXX).toBeUndefined();
+  });
+});
+
+describe("preview cost basis preferences", () => {
+  it("defaults to no preference (FIFO)", () => {
+    expect(loadPreviewCostBasis()).toEqual({ method: null, byTicker: {} });
+  });
+
+  it("stores the account default and per-asset overrides", () => {
+    savePreviewCostBasisPreference({ method: "HIFO" });
+    savePreviewCostBasisPreference({ ticker: "BTC", method: "average" });
+    expect(loadPreviewCostBasis()).toEqual({ method: "hifo", byTicker: { BTC: "average" } });
+
+    // clearing an override falls back to the account default
+    savePreviewCostBasisPreference({ ticker: "BTC", method: null });
+    expect(loadPreviewCostBasis().byTicker).toEqual({});
+  });
+
+  it("keeps picked lots on sells only", () => {
+    const sell = createPreviewTransaction({
+      ticker: "AAPL", type: "Sell", quantity: 1, price: 1, date: "2026-05-01",
+      lotSelections: [{ lotId: "x", quantity: 1 }],
+    });
+    const buy = createPreviewTransaction({
+      ticker: "AAPL", type: "Buy", quantity: 1, price: 1, date: "2026-05-01",
+      lotSelections: [{ lotId: "x", quantity: 1 }],
+    });
+    expect(sell.lotSelections).toEqual([{ lotId: "x", quantity: 1 }]);
+    expect(buy.lotSelections).toBeNull();
+  });
+
+  it("stores the payout on income and drops it elsewhere", () => {
+    const dividend = createPreviewTransaction({
+      ticker: "AAPL", type: "dividend", payout: "units", quantity: 0.1, price: 200, date: "2026-05-01",
     });
+    const interest = createPreviewTransaction({ ticker: "AAPL", type: "Interest", quantity: 3, price: 1, date: "2026-05-01" });
+    const buy = createPreviewTransaction({ ticker: "AAPL", type: "Buy", payout: "units", quantity: 1, price: 1, date: "2026-05-01" });
+    expect(dividend).toMatchObject({ type: "Dividend", payout: "units" });
+    expect(interest.payout).toBe("cash");
+    expect(buy.payout).toBeNull();
   });
 });
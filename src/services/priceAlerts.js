@@ -0,0 +1,70 @@
+// price alerts: "BTC above $100,000", "AAPL down 5% in 24h".
+// alerts are { id, ticker, assetType, condition, threshold, active, triggeredAt, createdAt };
+// a price alert's threshold is in the asset's quote currency, a 24h-change
+// alert's in percent.
+
+import { formatCurrency } from "./utils";
+
+export const ALERT_CONDITIONS = [
+  { value: "above", label: "Price above" },
+  { value: "below", label: "Price below" },
+  { value: "change_up", label: "Up % in 24h" },
+  { value: "change_down", label: "Down % in 24h" },
+];
+
+const CONDITION_VALUES = new Set(ALERT_CONDITIONS.map((c) => c.value));
+
+export const isPercentCondition = (condition) => condition === "change_up" || condition === "change_down";
+
+/**
+ * human-readable alert, e.g. "BTC above $100,000.00" or "AAPL down 5% in 24h";
+ * currency is the asset's quote currency (USD when unknown)
+ */
+export const describeAlert = (alert, currency = "USD") => {
+  const { ticker, condition, threshold } = alert;
+  switch (condition) {
+    case "above": return `${ticker} above ${formatCurrency(threshold, false, currency)}`;
+    case "below": return `${ticker} below ${formatCurrency(threshold, false, currency)}`;
+    case "change_up": return `${ticker} up ${threshold}% in 24h`;
+    case "change_down": return `${ticker} down ${threshold}% in 24h`;
+    default: return ticker;
+  }
+};
+
+/**
+ * checks user input before an alert is saved.
+ * returns { valid: true } or { valid: false, message }
+ */
+export const validateAlert = ({ ticker, condition, threshold }) => {
+  if (!ticker?.trim()) return { valid: false, message: "Choose an asset" };
+  if (!CONDITION_VALUES.has(condition)) return { valid: false, message: "Choose a condition" };
+  const value = Number(threshold);
+  if (!Number.isFinite(value) || value <= 0) {
+    return { valid: false, message: isPercentCondition(condition) ? "Enter a percentage above 0" : "Enter a price above 0" };
+  }
+  if (isPercentCondition(condition) && value >= 1000) return { valid: false, message: "Percentage is too large" };
+  return { valid: true };
+};
+
+/**
+ * whether an alert's condition holds for a quote { currentPrice, priceChange24h }.
+ * quotes without a price (failed fetch → 0) never trigger
+ */
+export const isAlertMet = (alert, quote) => {
+  const price = Number(quote?.currentPrice);
+  if (!Number.isFinite(price) || price <= 0) return false;
+  const change = Number(quote.priceChange24h) || 0;
+  const threshold = Number(alert.threshold);
+
+  switch (alert.condition) {
+    case "above": return price >= threshold;
+    case "below": return price <= threshold;
+    case "change_up": return change >= threshold;
+    case "change_down": return change <= -threshold;
+    default: return false;
+  }
+};
+
+/** active alerts whose condition holds for the given prices */
+export const findTriggeredAlerts = (alerts = [], prices = {}) =>
+  alerts.filter((alert) => alert.active && isAlertMet(alert, prices[alert.ticker]));
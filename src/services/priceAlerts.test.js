@@ -0,0 +1,60 @@
+import { describe, it, expect } from "vitest";
+import { describeAlert, validateAlert, isAlertMet, findTriggeredAlerts } from "./priceAlerts";
+
+const alert = (overrides) => ({ id: "a1", ticker: "BTC", condition: "above", threshold: 100000, active: true, ...overrides });
+
+describe("describeAlert", () => {
+  it("reads like the alert it sets", () => {
+    expect(describeAlert(alert())).toBe("BTC above $100,000.00");
+    expect(describeAlert(alert({ ticker: "AAPL", condition: "change_down", threshold: 5 }))).toBe("AAPL down 5% in 24h");
+  });
+});
+
+describe("validateAlert", () => {
+  it("accepts a complete alert", () => {
+    expect(validateAlert({ ticker: "AAPL", condition: "below", threshold: "150" })).toEqual({ valid: true });
+  });
+
+  it.each([
+    [{ ticker: "", condition: "above", threshold: 1 }, "Choose an asset"],
+    [{ ticker: "AAPL", condition: "sideways", threshold: 1 }, "Choose a condition"],
+    [{ ticker: "AAPL", condition: "above", threshold: "0" }, "Enter a price above 0"],
+    [{ ticker: "AAPL", condition: "change_up", threshold: "" }, "Enter a percentage above 0"],
+    [{ ticker: "AAPL", condition: "change_up", threshold: 5000 }, "Percentage is too large"],
+  ])("rejects %o", (input, message) => {
+    expect(validateAlert(input)).toEqual({ valid: false, message });
+  });
+});
+
+describe("isAlertMet", () => {
+  it("compares the price with the threshold, inclusive", () => {
+    expect(isAlertMet(alert(), { currentPrice: 100000 })).toBe(true);
+    expect(isAlertMet(alert(), { currentPrice: 99999 })).toBe(false);
+    expect(isAlertMet(alert({ condition: "below", threshold: 50 }), { currentPrice: 49.5 })).toBe(true);
+  });
+
+  it("compares the 24h change in percent", () => {
+    const down5 = alert({ condition: "change_down", threshold: 5 });
+    expect(isAlertMet(down5, { currentPrice: 95, priceChange24h: -5.2 })).toBe(true);
+    expect(isAlertMet(down5, { currentPrice: 95, priceChange24h: 5.2 })).toBe(false);
+    expect(isAlertMet(alert({ condition: "change_up", threshold: 5 }), { currentPrice: 95, priceChange24h: 5 })).toBe(true);
+  });
+
+  it("never fires on a missing price", () => {
+    expect(isAlertMet(alert({ condition: "below", threshold: 10 }), { currentPrice: 0 })).toBe(false);
+    expect(isAlertMet(alert({ condition: "below", threshold: 10 }), undefined)).toBe(false);
+  });
+});
+
+describe("findTriggeredAlerts", () => {
+  it("returns the active alerts that are met", () => {
+    const alerts = [
+      alert({ id: "hit" }),
+      alert({ id: "inactive", active: false }),
+      alert({ id: "miss", threshold: 200000 }),
+      alert({ id: "no-price", ticker: "ETH" }),
+    ];
+    const triggered = findTriggeredAlerts(alerts, { BTC: { currentPrice: 150000 } });
+    expect(triggered.map((a) => a.id)).toEqual(["hit"]);
+  });
+});
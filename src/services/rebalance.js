@@ -0,0 +1,241 @@
+// target allocation, drift and rebalancing orders.
+//
+// targets are { kind: "asset" | "class", key, weight, assetType } with weight
+// in percent (assetType only for asset targets),
+// e.g. 60% Stock (class), 30% BTC (asset), 10% Cash (class). each holding
+// counts toward its own asset target if it has one, otherwise toward its
+// asset class target; holdings without either are "untargeted" (target 0%).
+
+import { normalizeAssetType } from "./utils";
+import { ASSET_CLASS_VALUES, getAssetClassLabel } from "../constants/assetClasses";
+
+export const CASH_CLASS = "Cash";
+// classes a target can be set for (cash is the uninvested balance plus any
+// Cash-class holdings such as money market funds)
+export const TARGET_CLASSES = ASSET_CLASS_VALUES;
+export const UNTARGETED_ID = "untargeted";
+// orders below this many dollars aren't worth placing
+export const MIN_ORDER_AMOUNT = 1;
+const WEIGHT_EPSILON = 0.01;
+
+export const getTargetId = (target) => `${target.kind}:${target.key}`;
+
+export const getTargetLabel = (target) =>
+  target.kind === "class" ? getAssetClassLabel(target.key) : target.key;
+
+/**
+ * checks a set of targets before saving.
+ * returns { valid, message, total, isComplete } - isComplete when the
+ * weights add up to 100% (required for rebalancing, not for saving)
+ */
+export const validateTargets = (targets = []) => {
+  const total = targets.reduce((sum, t) => sum + (Number(t.weight) || 0), 0);
+  const result = (valid, message = null) => ({
+    valid,
+    message,
+    total,
+    isComplete: Math.abs(total - 100) < WEIGHT_EPSILON,
+  });
+
+  const seen = new Set();
+  for (const target of targets) {
+    if (!target.key?.trim()) return result(false, "Choose an asset or class for every target");
+    const weight = Number(target.weight);
+    if (!Number.isFinite(weight) || weight <= 0 || weight > 100) {
+      return result(false, `Target for ${getTargetLabel(target)} must be between 0 and 100%`);
+    }
+    const id = getTargetId(target);
+    if (seen.has(id)) return result(false, `${getTargetLabel(target)} has more than one target`);
+    seen.add(id);
+  }
+  if (total > 100 + WEIGHT_EPSILON) return result(false, `Targets add up to ${Number(total.toFixed(2))}% - at most 100% is allowed`);
+  return result(true);
+};
+
+/**
+ * actual against target weights.
+ * portfolioData: calculatePortfolioData output; prices: usePrices map (for
+ * targeted assets that aren't held yet).
+ * returns { total, buckets: [{ id, kind, key, label, targetWeight, value,
+ * weight, drift, driftValue, holdings }] } - weights are fractions, drift is
+ * weight - targetWeight and driftValue the dollars above (+) or below (-) target
+ */
+export const calculateDrift = (portfolioData = [], cashBalance = 0, targets = [], prices = {}) => {
+  const buckets = new Map();
+  targets.forEach((target) => {
+    buckets.set(getTargetId(target), {
+      id: getTargetId(target),
+      kind: target.kind,
+      key: target.key,
+      label: getTargetLabel(target),
+      assetType: target.kind === "asset" ? normalizeAssetType(target.assetType) : null,
+      targetWeight: (Number(target.weight) || 0) / 100,
+      value: 0,
+      holdings: [],
+    });
+  });
+
+  const untargeted = () => {
+    if (!buckets.has(UNTARGETED_ID)) {
+      buckets.set(UNTARGETED_ID, {
+        id: UNTARGETED_ID, kind: null, key: null, label: "No target", assetType: null, targetWeight: 0, value: 0, holdings: [],
+      });
+    }
+    return buckets.get(UNTARGETED_ID);
+  };
+
+  portfolioData.forEach((asset) => {
+    if (!(asset.quantity > 0)) return;
+    const assetType = normalizeAssetType(asset.assetType);
+    const bucket =
+      buckets.get(`asset:${asset.ticker}`) ||
+      buckets.get(`class:${assetType}`) ||
+      untargeted();
+    bucket.value += asset.totalValue;
+    bucket.holdings.push({
+      ticker: asset.ticker,
+      name: asset.name,
+      assetType,
+      logo: asset.logo,
+      quantity: asset.quantity,
+      price: asset.currentPrice,
+      value: asset.totalValue,
+    });
+  });
+
+  // an asset target that isn't held yet can still be bought at its quote
+  buckets.forEach((bucket) => {
+    if (bucket.kind !== "asset" || bucket.holdings.length) return;
+    const quote = prices[bucket.key];
+    if (quote?.currentPrice > 0) {
+      bucket.holdings.push({
+        ticker: bucket.key,
+        name: quote.name || bucket.key,
+        assetType: bucket.assetType,
+        logo: quote.logo,
+        quantity: 0,
+        price: quote.currentPrice,
+        value: 0,
+      });
+    }
+  });
+
+  const cash = Math.max(cashBalance, 0);
+  if (cash > 0) (buckets.get(`class:${CASH_CLASS}`) || untargeted()).value += cash;
+
+  const total = [...buckets.values()].reduce((sum, b) => sum + b.value, 0);
+  return {
+    total,
+    buckets: [...buckets.values()].map((bucket) => {
+      const weight = total > 0 ? bucket.value / total : 0;
+      return {
+        ...bucket,
+        weight,
+        drift: weight - bucket.targetWeight,
+        driftValue: bucket.value - bucket.targetWeight * total,
+      };
+    }),
+  };
+};
+
+// shares of `amount` per holding, in proportion to what each holds
+// (equal shares when nothing is held yet)
+const splitAcrossHoldings = (holdings, amount) => {
+  const held = holdings.reduce((sum, h) => sum + h.value, 0);
+  return holdings.map((holding) => ({
+    holding,
+    amount: held > 0 ? (amount * holding.value) / held : amount / holdings.length,
+  }));
+};
+
+/**
+ * buy/sell orders that move the portfolio toward its targets.
+ * - mode "invest": spend `amount` of new cash on the most underweight
+ *   buckets, without selling anything
+ * - mode "full": buy and sell until every bucket is on target, with `amount`
+ *   added first (untargeted holdings are sold)
+ * a class bucket's order is split across its holdings by their value.
+ * returns { orders: [{ ticker, name, assetType, logo, type, amount, price,
+ * quantity, sellAll }], cashAfter, unallocated: [{ label, amount }] } - unallocated
+ * are buys for classes with nothing to buy yet (add an asset target)
+ */
+export const planRebalance = (drift, { mode = "invest", amount = 0, cashBalance = 0 } = {}) => {
+  const added = Math.max(Number(amount) || 0, 0);
+  const total = drift.total + added;
+  const investable = drift.buckets.filter((bucket) => !(bucket.kind === "class" && bucket.key === CASH_CLASS));
+
+  // dollars to move per bucket: + buy, - sell
+  let deltas;
+  if (mode === "full") {
+    deltas = investable.map((bucket) => [bucket, bucket.targetWeight * total - bucket.value]);
+  } else {
+    const shortfalls = investable.map((bucket) => [bucket, Math.max(bucket.targetWeight * total - bucket.value, 0)]);
+    const needed = shortfalls.reduce((sum, [, s]) => sum + s, 0);
+    const scale = needed > added ? added / needed : 1;
+    deltas = shortfalls.map(([bucket, s]) => [bucket, s * scale]);
+  }
+
+  const orders = [];
+  const unallocated = [];
+  deltas.forEach(([bucket, delta]) => {
+    if (Math.abs(delta) < MIN_ORDER_AMOUNT) return;
+    const tradable = bucket.holdings.filter((h) => h.price > 0);
+    if (!tradable.length) {
+      if (delta > 0) unallocated.push({ label: bucket.label, amount: delta });
+      return;
+    }
+    splitAcrossHoldings(tradable, Math.abs(delta)).forEach(({ holding, amount: orderAmount }) => {
+      const isSell = delta < 0;
+      // never sell more than is held
+      const value = isSell ? Math.min(orderAmount, holding.value) : orderAmount;
+      if (value < MIN_ORDER_AMOUNT) return;
+      const sellAll = isSell && value >= holding.value;
+      orders.push({
+        ticker: holding.ticker,
+        name: holding.name,
+        assetType: holding.assetType,
+        logo: holding.logo,
+        type: isSell ? "Sell" : "Buy",
+        amount: value,
+        price: holding.price,
+        quantity: sellAll ? holding.quantity : value / holding.price,
+        sellAll,
+      });
+    });
+  });
+
+  const bought = orders.filter((o) => o.type === "Buy").reduce((sum, o) => sum + o.amount, 0);
+  const sold = orders.filter((o) => o.type === "Sell").reduce((sum, o) => sum + o.amount, 0);
+  return {
+    // sells first, so their proceeds are there for the buys
+    orders: orders.sort((a, b) => (a.type === b.type ? b.amount - a.amount : a.type === "Sell" ? -1 : 1)),
+    cashAfter: Math.max(cashBalance, 0) + added + sold - bought,
+    unallocated,
+  };
+};
+
+/**
+ * orders as transactions dated `now`, ready to be reviewed and recorded.
+ * quantities are rounded to 8 decimals (down for sells, so they stay
+ * covered); a sell of the whole position keeps its exact quantity
+ */
+export const ordersToTransactions = (orders, now = new Date()) => {
+  const pad = (n) => String(n).padStart(2, "0");
+  const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  const time = `${pad(now.getHours())}:${pad(now.getMinutes())}`;
+  const factor = 1e8;
+  return orders.map((order) => {
+    const round = order.type === "Sell" ? Math.floor : Math.round;
+    return {
+      ticker: order.ticker,
+      name: order.name,
+      assetType: order.assetType,
+      logo: order.logo,
+      type: order.type,
+      quantity: order.sellAll ? order.quantity : round(order.quantity * factor) / factor,
+      price: order.price,
+      date,
+      time,
+    };
+  });
+};
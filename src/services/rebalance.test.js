@@ -0,0 +1,154 @@
+import { describe, expect, it } from "vitest";
+import {
+  validateTargets,
+  calculateDrift,
+  planRebalance,
+  ordersToTransactions,
+  UNTARGETED_ID,
+} from "./rebalance";
+
+const holding = (ticker, assetType, quantity, price) => ({
+  ticker,
+  name: ticker,
+  assetType,
+  quantity,
+  currentPrice: price,
+  totalValue: quantity * price,
+});
+
+// $6,000 of stocks, $3,000 of BTC, $1,000 cash
+const portfolio = [
+  holding("AAPL", "Stock", 20, 200), // 4,000
+  holding("MSFT", "Stock", 5, 400), // 2,000
+  holding("BTC", "Crypto", 0.05, 60000), // 3,000
+];
+
+const targets = [
+  { kind: "class", key: "Stock", weight: 50 },
+  { kind: "asset", key: "BTC", assetType: "Crypto", weight: 40 },
+  { kind: "class", key: "Cash", weight: 10 },
+];
+
+const byId = (drift) => Object.fromEntries(drift.buckets.map((b) => [b.id, b]));
+
+describe("validateTargets", () => {
+  it("accepts partial sets and flags complete ones", () => {
+    expect(validateTargets([{ kind: "class", key: "Stock", weight: 60 }])).toMatchObject({ valid: true, isComplete: false, total: 60 });
+    expect(validateTargets(targets)).toMatchObject({ valid: true, isComplete: true, total: 100 });
+  });
+
+  it("rejects bad weights, duplicates and totals above 100%", () => {
+    expect(validateTargets([{ kind: "class", key: "Stock", weight: 0 }]).valid).toBe(false);
+    expect(validateTargets([{ kind: "class", key: "", weight: 10 }]).message).toMatch(/Choose/);
+    expect(validateTargets([
+      { kind: "asset", key: "BTC", weight: 10 },
+      { kind: "asset", key: "BTC", weight: 20 },
+    ]).message).toMatch(/more than one/);
+    expect(validateTargets([
+      { kind: "class", key: "Stock", weight: 70 },
+      { kind: "class", key: "Crypto", weight: 40 },
+    ]).message).toMatch(/110%/);
+  });
+});
+
+describe("calculateDrift", () => {
+  it("groups holdings under asset targets first, then class targets", () => {
+    const drift = calculateDrift(portfolio, 1000, targets);
+    const buckets = byId(drift);
+    expect(drift.total).toBe(10000);
+    expect(buckets["class:Stock"]).toMatchObject({ value: 6000, weight: 0.6, targetWeight: 0.5 });
+    expect(buckets["class:Stock"].holdings.map((h) => h.ticker)).toEqual(["AAPL", "MSFT"]);
+    expect(buckets["asset:BTC"].driftValue).toBeCloseTo(-1000);
+    expect(buckets["class:Cash"].drift).toBeCloseTo(0);
+  });
+
+  it("puts holdings and cash without a target in an untargeted bucket", () => {
+    const buckets = byId(calculateDrift(portfolio, 500, [{ kind: "class", key: "Stock", weight: 100 }]));
+    expect(buckets[UNTARGETED_ID]).toMatchObject({ value: 3500, targetWeight: 0 });
+  });
+
+  it("counts Cash-class holdings with the cash and keeps ETFs apart from stocks", () => {
+    const buckets = byId(calculateDrift(
+      [...portfolio, holding("VMFXX", "Cash", 500, 1), holding("VOO", "ETF", 2, 500)],
+      500,
+      [...targets, { kind: "class", key: "ETF", weight: 0.01 }]
+    ));
+    expect(buckets["class:Cash"].value).toBe(1000);
+    expect(buckets["class:ETF"]).toMatchObject({ value: 1000, label: "ETFs" });
+    expect(buckets["class:Stock"].value).toBe(6000);
+  });
+
+  it("prices asset targets that aren't held yet from the quotes", () => {
+    const buckets = byId(calculateDrift(portfolio, 0, [{ kind: "asset", key: "ETH", assetType: "crypto", weight: 10 }], {
+      ETH: { currentPrice: 2500, name: "Ethereum" },
+    }));
+    expect(buckets["asset:ETH"].holdings).toEqual([
+      expect.objectContaining({ ticker: "ETH", assetType: "Crypto", price: 2500, quantity: 0, value: 0 }),
+    ]);
+  });
+});
+
+describe("planRebalance", () => {
+  it("invests new cash in the underweight buckets without selling", () => {
+    const drift = calculateDrift(portfolio, 1000, targets);
+    // total becomes 12,000: BTC needs 4,800 - 3,000 = 1,800; stocks are over target
+    const plan = planRebalance(drift, { mode: "invest", amount: 2000, cashBalance: 1000 });
+    expect(plan.orders).toHaveLength(1);
+    expect(plan.orders[0]).toMatchObject({ ticker: "BTC", type: "Buy" });
+    expect(plan.orders[0].amount).toBeCloseTo(1800);
+    expect(plan.orders[0].quantity).toBeCloseTo(0.03);
+    expect(plan.cashAfter).toBeCloseTo(1200);
+  });
+
+  it("scales buys down when the cash doesn't cover every shortfall", () => {
+    const drift = calculateDrift(portfolio, 0, [
+      { kind: "class", key: "Stock", weight: 40 },
+      { kind: "class", key: "Crypto", weight: 60 },
+    ]);
+    // total 10,000: crypto needs 6,000 - 3,000; only 600 to spend
+    const plan = planRebalance(drift, { mode: "invest", amount: 600 });
+    expect(plan.orders.map((o) => [o.ticker, Math.round(o.amount)])).toEqual([["BTC", 600]]);
+  });
+
+  it("fully rebalances with sells first, split across a class's holdings by value", () => {
+    const drift = calculateDrift(portfolio, 1000, targets);
+    const plan = planRebalance(drift, { mode: "full", cashBalance: 1000 });
+    // stocks 6,000 → 5,000: sell 1,000 split 2:1 between AAPL and MSFT; BTC 3,000 → 4,000
+    expect(plan.orders.map((o) => [o.type, o.ticker, Math.round(o.amount)])).toEqual([
+      ["Sell", "AAPL", 667],
+      ["Sell", "MSFT", 333],
+      ["Buy", "BTC", 1000],
+    ]);
+    expect(plan.cashAfter).toBeCloseTo(1000);
+  });
+
+  it("sells untargeted holdings entirely and reports classes with nothing to buy", () => {
+    const drift = calculateDrift(portfolio, 0, [
+      { kind: "class", key: "Stock", weight: 80 },
+      { kind: "asset", key: "SOL", assetType: "Crypto", weight: 20 },
+    ]);
+    const plan = planRebalance(drift, { mode: "full" });
+    const btcSell = plan.orders.find((o) => o.ticker === "BTC");
+    expect(btcSell).toMatchObject({ type: "Sell", quantity: 0.05, sellAll: true });
+    expect(plan.unallocated).toEqual([{ label: "SOL", amount: 1800 }]);
+  });
+
+  it("skips orders below a dollar", () => {
+    const onTarget = calculateDrift([holding("AAPL", "Stock", 1, 100)], 0, [{ kind: "class", key: "Stock", weight: 100 }]);
+    expect(planRebalance(onTarget, { mode: "full" }).orders).toEqual([]);
+  });
+});
+
+describe("ordersToTransactions", () => {
+  it("dates orders now and rounds sell quantities down", () => {
+    const now = new Date(2026, 4, 1, 9, 5);
+    const [sell, sellAll, buy] = ordersToTransactions([
+      { ticker: "AAPL", name: "Apple", assetType: "Stock", type: "Sell", amount: 10, price: 3, quantity: 10 / 3 },
+      { ticker: "BTC", name: "Bitcoin", assetType: "Crypto", type: "Sell", amount: 1, price: 1, quantity: 0.123456789, sellAll: true },
+      { ticker: "MSFT", name: "Microsoft", assetType: "Stock", type: "Buy", amount: 20, price: 3, quantity: 20 / 3 },
+    ], now);
+    expect(sell).toMatchObject({ type: "Sell", quantity: 3.33333333, price: 3, date: "2026-05-01", time: "09:05" });
+    expect(sellAll.quantity).toBe(0.123456789);
+    expect(buy.quantity).toBe(6.66666667);
+  });
+});
@@ -0,0 +1,156 @@
+// period returns from the daily portfolio history (calculatePortfolioHistory).
+//
+// time-weighted return (TWR) chains the daily returns, so money added or
+// taken out doesn't move it - it measures the investments.
+// money-weighted return (XIRR) is the rate that discounts what was put in to
+// what the portfolio is worth now, so the timing and size of contributions
+// count - it measures the investor's actual result.
+
+import { getCloseOnDate } from "./portfolioHistory";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_YEAR = 365;
+// values within a cent of zero count as an empty portfolio
+const VALUE_EPSILON = 0.005;
+
+/**
+ * chained daily return of points [{ value, flow }] oldest first. the first
+ * point is the starting value; each later day's flow is assumed to arrive at
+ * the start of that day (money is invested at the trade price and valued at
+ * the close). days that start empty (nothing held, nothing added) are skipped.
+ * example: 1000 → 1100 (+10%), then +1100 deposited and 2200 → 1980 (-10%) → -1%
+ */
+export const calculateTimeWeightedReturn = (points) => {
+  let growth = 1;
+  for (let i = 1; i < points.length; i++) {
+    const invested = points[i - 1].value + (points[i].flow || 0);
+    if (invested > VALUE_EPSILON) growth *= points[i].value / invested;
+  }
+  return growth - 1;
+};
+
+// net present value of dated cash flows at an annual rate
+const npv = (cashflows, rate) => {
+  const t0 = cashflows[0].timestamp;
+  return cashflows.reduce(
+    (sum, cf) => sum + cf.amount / Math.pow(1 + rate, (cf.timestamp - t0) / DAY_MS / DAYS_PER_YEAR),
+    0
+  );
+};
+
+/**
+ * annualized internal rate of return of irregular cash flows (Excel's XIRR).
+ * cashflows: [{ timestamp, amount }] - money in negative, money out positive.
+ * returns null without both signs or when no rate solves it.
+ * example: -1000 on Jan 1 2023, +1100 on Jan 1 2024 → 0.1
+ */
+export const calculateXirr = (cashflows) => {
+  const flows = cashflows.filter((cf) => cf.amount !== 0).sort((a, b) => a.timestamp - b.timestamp);
+  if (!flows.some((cf) => cf.amount < 0) || !flows.some((cf) => cf.amount > 0)) return null;
+
+  // bisection on a bracket where npv changes sign: npv falls as the rate rises
+  // for the usual invest-then-withdraw shape, and bisection can't diverge the
+  // way Newton's method does on very short periods
+  let low = -0.9999, high = 1;
+  let npvLow = npv(flows, low);
+  let npvHigh = npv(flows, high);
+  while (npvLow * npvHigh > 0 && high < 1e6) {
+    high *= 10;
+    npvHigh = npv(flows, high);
+  }
+  if (!Number.isFinite(npvLow) || !Number.isFinite(npvHigh) || npvLow * npvHigh > 0) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = npv(flows, mid);
+    if (Math.abs(npvMid) < 1e-7 || high - low < 1e-10) return mid;
+    if (npvLow * npvMid < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      npvLow = npvMid;
+    }
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * TWR and XIRR over the part of the history from `cutoff` (a Date, or null
+ * for all of it). the period starts from the last close before the cutoff;
+ * a portfolio opened inside the period starts from nothing.
+ * returns null when there is no history in the period:
+ * { twr, xirr, mwr, years, startValue, endValue, netFlows }
+ * - twr and mwr are for the whole period (not annualized)
+ * - xirr is annualized; mwr is the same rate over the period's length
+ */
+export const calculatePeriodReturns = (points, cutoff = null) => {
+  const cutoffTime = cutoff ? cutoff.getTime() : -Infinity;
+  const inPeriod = points.filter((p) => p.timestamp >= cutoffTime);
+  if (!inPeriod.length) return null;
+
+  const before = points.filter((p) => p.timestamp < cutoffTime);
+  const start = before.length
+    ? { timestamp: before[before.length - 1].timestamp, value: before[before.length - 1].value, flow: 0 }
+    : { timestamp: inPeriod[0].timestamp, value: 0, flow: 0 };
+  const end = inPeriod[inPeriod.length - 1];
+
+  const twr = calculateTimeWeightedReturn([start, ...inPeriod]);
+
+  // the investor's view: the starting value and every contribution go in,
+  // the ending value comes out
+  const cashflows = [
+    { timestamp: start.timestamp, amount: -start.value },
+    ...inPeriod.map((p) => ({ timestamp: p.timestamp, amount: -(p.flow || 0) })),
+    { timestamp: end.timestamp, amount: end.value },
+  ];
+  const years = Math.max(end.timestamp - start.timestamp, DAY_MS) / DAY_MS / DAYS_PER_YEAR;
+  const xirr = calculateXirr(cashflows);
+
+  return {
+    twr,
+    xirr,
+    mwr: xirr === null ? null : Math.pow(1 + xirr, years) - 1,
+    years,
+    startValue: start.value,
+    endValue: end.value,
+    netFlows: inPeriod.reduce((sum, p) => sum + (p.flow || 0), 0),
+  };
+};
+
+/**
+ * cumulative returns for the benchmark overlay: every point in the period
+ * with the portfolio's TWR since the period start and each benchmark's price
+ * return over the same days. benchmarks: { [ticker]: [[date, close], ...] }.
+ * [{ dateKey, timestamp, portfolio, [ticker]: return | null }] - a benchmark
+ * is null before its series starts.
+ */
+export const calculateBenchmarkComparison = (points, benchmarks = {}, cutoff = null) => {
+  const cutoffTime = cutoff ? cutoff.getTime() : -Infinity;
+  const inPeriod = points.filter((p) => p.timestamp >= cutoffTime);
+  if (!inPeriod.length) return [];
+
+  const before = points.filter((p) => p.timestamp < cutoffTime);
+  const start = before.length ? before[before.length - 1] : { ...inPeriod[0], value: 0, flow: 0 };
+
+  // benchmarks start from their close on the period's first day (or their
+  // first close, when the series begins inside the period)
+  const bases = {};
+  Object.entries(benchmarks).forEach(([ticker, closes]) => {
+    if (closes?.length) bases[ticker] = getCloseOnDate(closes, start.dateKey) ?? closes[0][1];
+  });
+
+  let growth = 1;
+  let previous = start;
+  return inPeriod.map((point) => {
+    const invested = previous.value + (point.flow || 0);
+    if (invested > VALUE_EPSILON) growth *= point.value / invested;
+    previous = point;
+
+    const row = { dateKey: point.dateKey, timestamp: point.timestamp, portfolio: growth - 1 };
+    Object.keys(bases).forEach((ticker) => {
+      const close = getCloseOnDate(benchmarks[ticker], point.dateKey);
+      row[ticker] = close === null || !bases[ticker] ? null : close / bases[ticker] - 1;
+    });
+    return row;
+  });
+};
@@ -0,0 +1,189 @@
+import { describe, it, expect } from "vitest";
+import {
+  calculateTimeWeightedReturn,
+  calculateXirr,
+  calculatePeriodReturns,
+  calculateBenchmarkComparison,
+} from "./returns";
+import { calculatePortfolioHistory, getCutoffDate } from "./portfolioHistory";
+
+const day = (iso) => Date.UTC(...iso.split("-").map((n, i) => (i === 1 ? Number(n) - 1 : Number(n))));
+const point = (iso, value, flow = 0) => ({ timestamp: day(iso), value, flow });
+
+describe("calculateTimeWeightedReturn", () => {
+  it("chains daily returns", () => {
+    // +10% then -10%
+    expect(calculateTimeWeightedReturn([{ value: 1000 }, { value: 1100 }, { value: 990 }])).toBeCloseTo(-0.01);
+  });
+
+  it("ignores the size and timing of deposits", () => {
+    // same market moves, but 1,100 deposited before the drop
+    const twr = calculateTimeWeightedReturn([{ value: 1000 }, { value: 1100 }, { value: 1980, flow: 1100 }]);
+    expect(twr).toBeCloseTo(-0.01);
+  });
+
+  it("treats withdrawals as money leaving, not as a loss", () => {
+    const twr = calculateTimeWeightedReturn([{ value: 1000 }, { value: 550, flow: -500 }]);
+    expect(twr).toBeCloseTo(0.1);
+  });
+
+  it("skips days that start empty", () => {
+    expect(calculateTimeWeightedReturn([{ value: 0 }, { value: 0 }, { value: 1050, flow: 1000 }])).toBeCloseTo(0.05);
+    expect(calculateTimeWeightedReturn([{ value: 0 }])).toBe(0);
+  });
+});
+
+describe("calculateXirr", () => {
+  it("returns the annual rate of a one-year investment", () => {
+    expect(calculateXirr([
+      { timestamp: day("2023-01-01"), amount: -1000 },
+      { timestamp: day("2024-01-01"), amount: 1100 },
+    ])).toBeCloseTo(0.1, 6);
+  });
+
+  it("matches Excel's XIRR example", () => {
+    const rate = calculateXirr([
+      { timestamp: day("2008-01-01"), amount: -10000 },
+      { timestamp: day("2008-03-01"), amount: 2750 },
+      { timestamp: day("2008-10-30"), amount: 4250 },
+      { timestamp: day("2009-02-15"), amount: 3250 },
+      { timestamp: day("2009-04-01"), amount: 2750 },
+    ]);
+    expect(rate).toBeCloseTo(0.373362535, 6);
+  });
+
+  it("handles losses and unsorted flows", () => {
+    const rate = calculateXirr([
+      { timestamp: day("2024-01-01"), amount: 800 },
+      { timestamp: day("2023-01-01"), amount: -1000 },
+    ]);
+    expect(rate).toBeCloseTo(-0.2, 6);
+  });
+
+  it("returns null without money both in and out", () => {
+    expect(calculateXirr([{ timestamp: day("2023-01-01"), amount: -1000 }])).toBeNull();
+    expect(calculateXirr([
+      { timestamp: day("2023-01-01"), amount: 1000 },
+      { timestamp: day("2024-01-01"), amount: 0 },
+    ])).toBeNull();
+    expect(calculateXirr([])).toBeNull();
+  });
+});
+
+describe("calculatePeriodReturns", () => {
+  it("returns null when the period has no history", () => {
+    expect(calculatePeriodReturns([], null)).toBeNull();
+    expect(calculatePeriodReturns([point("2024-01-01", 100)], new Date(day("2024-02-01")))).toBeNull();
+  });
+
+  it("measures a whole-history period from the first contribution", () => {
+    const points = [point("2023-01-01", 1000, 1000), point("2023-07-01", 1050), point("2024-01-01", 1100)];
+    const returns = calculatePeriodReturns(points, null);
+    expect(returns.twr).toBeCloseTo(0.1);
+    expect(returns.xirr).toBeCloseTo(0.1, 6);
+    expect(returns.mwr).toBeCloseTo(0.1, 6);
+    expect(returns).toMatchObject({ startValue: 0, endValue: 1100, netFlows: 1000 });
+  });
+
+  it("starts from the last close before the cutoff", () => {
+    const points = [point("2024-01-01", 900, 900), point("2024-01-31", 1000), point("2024-02-15", 1050), point("2024-03-01", 1100)];
+    const returns = calculatePeriodReturns(points, new Date(day("2024-02-01")));
+    expect(returns.startValue).toBe(1000);
+    expect(returns.twr).toBeCloseTo(0.1);
+    expect(returns.netFlows).toBe(0);
+    // 10% over 30 days: the period return matches, annualized is much larger
+    expect(returns.mwr).toBeCloseTo(0.1, 6);
+    expect(returns.xirr).toBeGreaterThan(1);
+    expect(returns.years).toBeCloseTo(30 / 365);
+  });
+
+  it("tells TWR and XIRR apart when money arrives before a drop", () => {
+    // 1,000 grows 20% in H1, then 10,000 more goes in and everything falls 10%
+    const points = [
+      point("2023-01-01", 1000, 1000),
+      point("2023-07-01", 1200),
+      point("2023-07-02", 11200, 10000),
+      point("2024-01-01", 10080),
+    ];
+    const returns = calculatePeriodReturns(points, null);
+    expect(returns.twr).toBeCloseTo(0.08); // +20% then -10%
+    expect(returns.mwr).toBeLessThan(0); // most of the money lost 10%
+  });
+});
+
+describe("calculateBenchmarkComparison", () => {
+  const keyed = (iso, value, flow = 0) => ({ ...point(iso, value, flow), dateKey: iso });
+  const points = [
+    keyed("2024-01-01", 1000, 1000),
+    keyed("2024-01-02", 1100),
+    keyed("2024-01-03", 2310, 1100), // deposit, then +5%
+  ];
+  const spy = [["2024-01-01", 400], ["2024-01-02", 420], ["2024-01-03", 440]];
+
+  it("puts the portfolio's TWR next to each benchmark's price return", () => {
+    const rows = calculateBenchmarkComparison(points, { SPY: spy }, null);
+    expect(rows.map((r) => r.dateKey)).toEqual(["2024-01-01", "2024-01-02", "2024-01-03"]);
+    expect(rows[1].portfolio).toBeCloseTo(0.1);
+    expect(rows[2].portfolio).toBeCloseTo(0.155);
+    expect(rows[2].SPY).toBeCloseTo(0.1);
+  });
+
+  it("restarts both series at the period start", () => {
+    const rows = calculateBenchmarkComparison(points, { SPY: spy }, new Date(day("2024-01-03")));
+    expect(rows).toHaveLength(1);
+    expect(rows[0].portfolio).toBeCloseTo(0.05);
+    expect(rows[0].SPY).toBeCloseTo(440 / 420 - 1);
+  });
+
+  it("leaves a benchmark empty before its series starts", () => {
+    const rows = calculateBenchmarkComparison(points, { BTC: [["2024-01-02", 40000], ["2024-01-03", 44000]] }, null);
+    expect(rows.map((r) => r.BTC)).toEqual([null, 0, expect.closeTo(0.1)]);
+  });
+
+  it("skips benchmarks without data", () => {
+    const rows = calculateBenchmarkComparison(points, { QQQ: [] }, null);
+    expect(rows[0]).not.toHaveProperty("QQQ");
+    expect(calculateBenchmarkComparison([], { SPY: spy }, null)).toEqual([]);
+  });
+});
+
+describe("returns from transaction history", () => {
+  it("keeps TWR at the market return regardless of deposits", () => {
+    const tx = (overrides) => ({ ticker: "AAPL", type: "Buy", price: 100, time: "10:00", assetType: "Stock", ...overrides });
+    const points = calculatePortfolioHistory(
+      [
+        tx({ ticker: "USD", type: "Deposit", quantity: 1000, price: 1, date: "2024-01-01" }),
+        tx({ quantity: 10, date: "2024-01-01" }),
+        // more money arrives and is invested at the day's price
+        tx({ ticker: "USD", type: "Deposit", quantity: 1100, price: 1, date: "2024-01-03" }),
+        tx({ quantity: 10, price: 110, date: "2024-01-03" }),
+      ],
+      {
+        history: { AAPL: [["2024-01-01", 100], ["2024-01-02", 110], ["2024-01-03", 110], ["2024-01-04", 121]] },
+        today: new Date(2024, 0, 4),
+      }
+    );
+    const returns = calculatePeriodReturns(points, null);
+    expect(returns.twr).toBeCloseTo(0.21); // AAPL went 100 → 121
+    expect(returns.netFlows).toBe(2100);
+    expect(returns.endValue).toBeCloseTo(2420);
+  });
+});
+
+describe("getCutoffDate", () => {
+  const now = new Date(2024, 5, 15, 12, 0); // Jun 15 2024
+
+  it("maps chart periods to their start", () => {
+    expect(getCutoffDate("7d", now)).toEqual(new Date(2024, 5, 8, 12, 0));
+    expect(getCutoffDate("1m", now)).toEqual(new Date(2024, 4, 15, 12, 0));
+    expect(getCutoffDate("3m", now)).toEqual(new Date(2024, 2, 15, 12, 0));
+    expect(getCutoffDate("ytd", now)).toEqual(new Date(2024, 0, 1));
+    expect(getCutoffDate("1y", now)).toEqual(new Date(2023, 5, 15, 12, 0));
+    expect(getCutoffDate("all", now)).toBeNull();
+  });
+
+  it("doesn't modify the date passed in", () => {
+    getCutoffDate("7d", now);
+    expect(now).toEqual(new Date(2024, 5, 15, 12, 0));
+  });
+});
@@ -0,0 +1,180 @@
+// risk metrics from a daily value series: the portfolio history
+// (calculatePortfolioHistory) or an asset's closes (toDailySeries).
+//
+// the series has one point per calendar day - weekends and holidays repeat
+// the last close - so annualizing uses 365 periods a year for stocks and
+// crypto alike. daily returns are flow-adjusted like the time-weighted return
+// (services/returns), so deposits and withdrawals are not gains or losses.
+
+import { getCloseOnDate, toDateKey } from "./portfolioHistory";
+
+const DAYS_PER_YEAR = 365;
+// values within a cent of zero count as an empty portfolio
+const VALUE_EPSILON = 0.005;
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// sample standard deviation (n - 1)
+const standardDeviation = (values) => {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+};
+
+// "YYYY-MM-DD" of the next calendar day
+const nextDateKey = (dateKey) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * daily closes [[date, close], ...] as a calendar-day value series
+ * [{ dateKey, value }] from `from` (or the first close) through the last
+ * close; days without a close repeat the one before.
+ */
+export const toDailySeries = (closes = [], from = null) => {
+  if (!closes.length) return [];
+  const last = closes[closes.length - 1][0];
+  let dateKey = from && from > closes[0][0] ? from : closes[0][0];
+  const points = [];
+  for (; dateKey <= last; dateKey = nextDateKey(dateKey)) {
+    points.push({ dateKey, value: getCloseOnDate(closes, dateKey) });
+  }
+  return points;
+};
+
+/**
+ * return of each day against the day before: [{ dateKey, value }]. a day's
+ * flow (money added or taken out) is assumed to arrive at its start, as in
+ * calculateTimeWeightedReturn; days that start empty are skipped.
+ * example: 100 → 110 → 99 gives +10%, -10%
+ */
+export const calculateDailyReturns = (points = []) => {
+  const returns = [];
+  for (let i = 1; i < points.length; i++) {
+    const invested = points[i - 1].value + (points[i].flow || 0);
+    if (invested > VALUE_EPSILON) returns.push({ dateKey: points[i].dateKey, value: points[i].value / invested - 1 });
+  }
+  return returns;
+};
+
+/** annualized standard deviation of daily returns (numbers) */
+export const calculateVolatility = (returns, periodsPerYear = DAYS_PER_YEAR) =>
+  standardDeviation(returns) * Math.sqrt(periodsPerYear);
+
+/**
+ * largest fall from a high, on the flow-adjusted growth of the series (so a
+ * withdrawal is not a drawdown and a deposit is not a recovery).
+ * returns { maxDrawdown, peakDate, troughDate, recoveryDate } - maxDrawdown
+ * is 0 or negative (-0.25 = 25% below the peak); recoveryDate is the first
+ * day back at the peak, null while still below it. the dates are null
+ * without a drawdown.
+ */
+export const calculateMaxDrawdown = (points = []) => {
+  // growth of 1 invested at the first non-empty point
+  const growthSeries = [];
+  let growth = 1;
+  points.forEach((point, i) => {
+    const invested = i === 0 ? point.value : points[i - 1].value + (point.flow || 0);
+    if (invested <= VALUE_EPSILON) return;
+    if (i > 0 && growthSeries.length) growth *= point.value / invested;
+    growthSeries.push({ dateKey: point.dateKey, growth });
+  });
+
+  const result = { maxDrawdown: 0, peakDate: null, troughDate: null, recoveryDate: null };
+  let peak = null;
+  let troughPeak = null;
+  growthSeries.forEach((point) => {
+    if (!peak || point.growth >= peak.growth) {
+      peak = point;
+      return;
+    }
+    const drawdown = point.growth / peak.growth - 1;
+    if (drawdown < result.maxDrawdown) {
+      result.maxDrawdown = drawdown;
+      result.peakDate = peak.dateKey;
+      result.troughDate = point.dateKey;
+      troughPeak = peak.growth;
+    }
+  });
+
+  if (result.troughDate) {
+    // tolerance for the rounding of the chained returns
+    const recovered = growthSeries.find((p) => p.dateKey > result.troughDate && p.growth >= troughPeak * (1 - 1e-9));
+    result.recoveryDate = recovered?.dateKey ?? null;
+  }
+  return result;
+};
+
+/**
+ * annualized excess return over annualized volatility. riskFreeRate is a
+ * yearly rate (0.04 = 4%). null when the returns don't vary.
+ */
+export const calculateSharpeRatio = (returns, riskFreeRate = 0, periodsPerYear = DAYS_PER_YEAR) => {
+  const deviation = standardDeviation(returns);
+  if (!(deviation > 0)) return null;
+  const riskFreeDaily = Math.pow(1 + riskFreeRate, 1 / periodsPerYear) - 1;
+  return ((mean(returns) - riskFreeDaily) * periodsPerYear) / (deviation * Math.sqrt(periodsPerYear));
+};
+
+/**
+ * beta of returns against benchmark returns of the same days (two number
+ * arrays of equal length): covariance / benchmark variance. null with fewer
+ * than two days or a flat benchmark.
+ */
+export const calculateBeta = (returns, benchmarkReturns) => {
+  if (returns.length < 2 || returns.length !== benchmarkReturns.length) return null;
+  const avg = mean(returns);
+  const benchmarkAvg = mean(benchmarkReturns);
+  let covariance = 0, variance = 0;
+  for (let i = 0; i < returns.length; i++) {
+    covariance += (returns[i] - avg) * (benchmarkReturns[i] - benchmarkAvg);
+    variance += (benchmarkReturns[i] - benchmarkAvg) ** 2;
+  }
+  return variance > 0 ? covariance / variance : null;
+};
+
+/**
+ * every risk metric over the part of the series from `cutoff` (a Date, or
+ * null for all of it), starting from the last point before the cutoff.
+ * benchmark: the benchmark's closes [[date, close], ...] for beta.
+ * returns null with fewer than two daily returns:
+ * { volatility, sharpe, beta, maxDrawdown, peakDate, troughDate, recoveryDate, days }
+ * - beta is null without benchmark closes on at least two of the days
+ */
+export const calculateRiskMetrics = (points = [], { cutoff = null, riskFreeRate = 0, benchmark = null } = {}) => {
+  const cutoffKey = cutoff ? toDateKey(cutoff) : "";
+  const firstIndex = points.findIndex((p) => p.dateKey >= cutoffKey);
+  if (firstIndex === -1) return null;
+  // the period's first return is measured from the close before it
+  const window = points.slice(Math.max(firstIndex - 1, 0));
+  if (firstIndex > 0) window[0] = { ...window[0], flow: 0 };
+
+  const daily = calculateDailyReturns(window);
+  if (daily.length < 2) return null;
+  const returns = daily.map((r) => r.value);
+
+  // the benchmark's return on each of the same days
+  let beta = null;
+  if (benchmark?.length) {
+    const pairs = { returns: [], benchmark: [] };
+    for (let i = 1; i < window.length; i++) {
+      const invested = window[i - 1].value + (window[i].flow || 0);
+      const close = getCloseOnDate(benchmark, window[i].dateKey);
+      const previous = getCloseOnDate(benchmark, window[i - 1].dateKey);
+      if (invested <= VALUE_EPSILON || close === null || !previous) continue;
+      pairs.returns.push(window[i].value / invested - 1);
+      pairs.benchmark.push(close / previous - 1);
+    }
+    beta = calculateBeta(pairs.returns, pairs.benchmark);
+  }
+
+  return {
+    volatility: calculateVolatility(returns),
+    sharpe: calculateSharpeRatio(returns, riskFreeRate),
+    beta,
+    ...calculateMaxDrawdown(window),
+    days: returns.length,
+  };
+};
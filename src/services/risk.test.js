@@ -0,0 +1,144 @@
+import { describe, it, expect } from "vitest";
+import {
+  toDailySeries,
+  calculateDailyReturns,
+  calculateVolatility,
+  calculateMaxDrawdown,
+  calculateSharpeRatio,
+  calculateBeta,
+  calculateRiskMetrics,
+} from "./risk";
+
+// one point per day from 2024-01-01
+const series = (values, flows = {}) =>
+  values.map((value, i) => ({
+    dateKey: `2024-01-${String(i + 1).padStart(2, "0")}`,
+    value,
+    flow: flows[i] || 0,
+  }));
+
+describe("toDailySeries", () => {
+  it("fills days without a close with the one before", () => {
+    const closes = [["2024-01-05", 100], ["2024-01-08", 103]]; // Friday, Monday
+    expect(toDailySeries(closes)).toEqual([
+      { dateKey: "2024-01-05", value: 100 },
+      { dateKey: "2024-01-06", value: 100 },
+      { dateKey: "2024-01-07", value: 100 },
+      { dateKey: "2024-01-08", value: 103 },
+    ]);
+    expect(toDailySeries(closes, "2024-01-07").map((p) => p.dateKey)).toEqual(["2024-01-07", "2024-01-08"]);
+  });
+});
+
+describe("calculateDailyReturns", () => {
+  it("takes deposits out of the day's return", () => {
+    // +10%, then 1,100 deposited and 2,200 → 1,980 is -10%
+    const returns = calculateDailyReturns(series([1000, 1100, 1980], { 2: 1100 }));
+    expect(returns.map((r) => r.value)).toEqual([expect.closeTo(0.1), expect.closeTo(-0.1)]);
+  });
+
+  it("skips days that start empty", () => {
+    expect(calculateDailyReturns(series([0, 1050], { 1: 1000 })).map((r) => r.value)).toEqual([expect.closeTo(0.05)]);
+    expect(calculateDailyReturns(series([0, 0]))).toEqual([]);
+  });
+});
+
+describe("calculateVolatility", () => {
+  it("annualizes the sample standard deviation", () => {
+    // sample deviation of +10%, -10%, +10% is 11.547%
+    expect(calculateVolatility([0.1, -0.1, 0.1])).toBeCloseTo(2.206052, 5);
+    expect(calculateVolatility([0.1, -0.1, 0.1], 252)).toBeCloseTo(1.833030, 5);
+  });
+
+  it("is zero for a single or a flat return", () => {
+    expect(calculateVolatility([0.05])).toBe(0);
+    expect(calculateVolatility([0.01, 0.01, 0.01])).toBeCloseTo(0);
+  });
+});
+
+describe("calculateMaxDrawdown", () => {
+  it("finds the deepest fall with its peak, trough and recovery", () => {
+    const result = calculateMaxDrawdown(series([100, 120, 90, 95, 110, 130]));
+    expect(result).toEqual({
+      maxDrawdown: expect.closeTo(-0.25),
+      peakDate: "2024-01-02",
+      troughDate: "2024-01-03",
+      recoveryDate: "2024-01-06",
+    });
+  });
+
+  it("reports an unrecovered drawdown without a recovery date", () => {
+    const result = calculateMaxDrawdown(series([100, 110, 105, 80, 90]));
+    expect(result.maxDrawdown).toBeCloseTo(-0.272727, 5);
+    expect(result.troughDate).toBe("2024-01-04");
+    expect(result.recoveryDate).toBeNull();
+  });
+
+  it("doesn't count deposits as a recovery or withdrawals as a fall", () => {
+    // -20%, then 100 deposited without any gain
+    expect(calculateMaxDrawdown(series([100, 80, 180], { 2: 100 }))).toMatchObject({
+      maxDrawdown: expect.closeTo(-0.2),
+      recoveryDate: null,
+    });
+    // half withdrawn, value unchanged otherwise
+    expect(calculateMaxDrawdown(series([100, 50], { 1: -50 })).maxDrawdown).toBe(0);
+  });
+
+  it("has no dates while the series only rises", () => {
+    expect(calculateMaxDrawdown(series([100, 101, 102]))).toEqual({
+      maxDrawdown: 0, peakDate: null, troughDate: null, recoveryDate: null,
+    });
+  });
+});
+
+describe("calculateSharpeRatio", () => {
+  const returns = [0.01, -0.005, 0.02, 0, -0.01];
+
+  it("divides the annualized excess return by the volatility", () => {
+    expect(calculateSharpeRatio(returns, 0, 252)).toBeCloseTo(3.954918, 5);
+    expect(calculateSharpeRatio(returns, 0.04, 252)).toBeCloseTo(3.749724, 5);
+  });
+
+  it("is null when returns don't vary", () => {
+    expect(calculateSharpeRatio([0.01, 0.01])).toBeNull();
+  });
+});
+
+describe("calculateBeta", () => {
+  it("measures the move against the benchmark", () => {
+    expect(calculateBeta([0.2, -0.2, 0.2], [0.1, -0.1, 0.1])).toBeCloseTo(2);
+    expect(calculateBeta([-0.05, 0.05, -0.05], [0.1, -0.1, 0.1])).toBeCloseTo(-0.5);
+  });
+
+  it("is null for a flat benchmark or too few days", () => {
+    expect(calculateBeta([0.1, 0.2], [0.01, 0.01])).toBeNull();
+    expect(calculateBeta([0.1], [0.1])).toBeNull();
+  });
+});
+
+describe("calculateRiskMetrics", () => {
+  it("aligns the benchmark's closes with the series by date", () => {
+    // twice the benchmark's moves; the benchmark has no close on the 3rd
+    const points = series([100, 120, 120, 96, 115.2]);
+    const benchmark = [["2024-01-01", 100], ["2024-01-02", 110], ["2024-01-04", 99], ["2024-01-05", 108.9]];
+    const metrics = calculateRiskMetrics(points, { benchmark });
+    expect(metrics.beta).toBeCloseTo(2);
+    expect(metrics.days).toBe(4);
+    expect(metrics.maxDrawdown).toBeCloseTo(-0.2);
+  });
+
+  it("measures the period from the close before the cutoff", () => {
+    const points = series([100, 50, 55, 60.5]);
+    const metrics = calculateRiskMetrics(points, { cutoff: new Date(2024, 0, 3) });
+    // 50 → 55 → 60.5: two +10% days, no drawdown in the period
+    expect(metrics.days).toBe(2);
+    expect(metrics.volatility).toBeCloseTo(0);
+    expect(metrics.maxDrawdown).toBe(0);
+    expect(metrics.beta).toBeNull();
+  });
+
+  it("is null without two daily returns", () => {
+    expect(calculateRiskMetrics(series([100, 110]))).toBeNull();
+    expect(calculateRiskMetrics([])).toBeNull();
+  });
+});
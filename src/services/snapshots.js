@@ -0,0 +1,90 @@
+// daily portfolio snapshots: total value, cost basis and holdings recorded
+// once a day by the api/snapshots job (migration 015), so past values survive
+// later price moves and the performance chart can read them instead of
+// recomputing every day.
+//
+// the job runs in plain Node, so this module and the engines it loads
+// (utils, costBasis, cashLedger, currency, valuations, dbRows) import with
+// explicit .js extensions.
+
+import { calculatePortfolioData } from "./utils.js";
+import { calculateCashLedger } from "./cashLedger.js";
+import { toBaseCurrency, convertPrices } from "./currency.js";
+import { mergeManualPrices } from "./valuations.js";
+
+/**
+ * one snapshot of `transactions`, valued like the dashboard: manual prices
+ * merged into the quotes (see services/valuations), everything converted to
+ * converter.base and lots matched by calculatePortfolioData (FIFO unless
+ * costBasis picks another method).
+ * returns { currency, totalValue, costBasis, cashBalance, holdings, unpriced }
+ * with holdings [{ ticker, assetType, quantity, price, value, costBasis }] and
+ * unpriced the held tickers without any price (their quote failed to load),
+ * which would be counted at 0
+ */
+export const buildSnapshot = (transactions = [], { quotes = {}, valuations = [], costBasis = null, converter }) => {
+  const baseTransactions = toBaseCurrency(transactions, converter);
+  const prices = convertPrices(mergeManualPrices(quotes, transactions, valuations), converter);
+
+  const holdings = calculatePortfolioData(baseTransactions, prices, costBasis).map((asset) => ({
+    ticker: asset.ticker,
+    assetType: asset.assetType,
+    quantity: asset.quantity,
+    price: asset.currentPrice,
+    value: asset.totalValue,
+    costBasis: asset.totalCost,
+  }));
+  const cashBalance = calculateCashLedger(baseTransactions).balance;
+  const unpriced = holdings.filter((h) => !prices[h.ticker]).map((h) => h.ticker);
+
+  return {
+    currency: converter.base,
+    totalValue: holdings.reduce((sum, h) => sum + h.value, 0) + cashBalance,
+    costBasis: holdings.reduce((sum, h) => sum + h.costBasis, 0),
+    cashBalance,
+    holdings,
+    unpriced,
+  };
+};
+
+/**
+ * a user's snapshots for one day: every portfolio combined (portfolioId
+ * null, the "All accounts" view) and each portfolio with transactions
+ */
+export const buildUserSnapshots = (transactions = [], date, options) => {
+  const byPortfolio = new Map();
+  transactions.forEach((tx) => {
+    if (!tx.portfolioId) return;
+    if (!byPortfolio.has(tx.portfolioId)) byPortfolio.set(tx.portfolioId, []);
+    byPortfolio.get(tx.portfolioId).push(tx);
+  });
+
+  return [
+    { portfolioId: null, date, ...buildSnapshot(transactions, options) },
+    ...[...byPortfolio].map(([portfolioId, portfolioTransactions]) => ({
+      portfolioId,
+      date,
+      ...buildSnapshot(portfolioTransactions, options),
+    })),
+  ];
+};
+
+/**
+ * the daily chart history (calculatePortfolioHistory points) with the value
+ * and cost basis of every day that has a snapshot taken from the snapshot.
+ * only snapshots in `currency` are used - they were recorded in the base
+ * currency of the day they were taken. snapshots made stale by a later change
+ * to the transactions of their day or earlier are deleted by the transaction
+ * mutations (hooks/usePortfolio), so the days left here are still current
+ */
+export const applySnapshots = (points = [], snapshots = [], currency) => {
+  const byDate = new Map(
+    snapshots.filter((snapshot) => snapshot.currency === currency).map((snapshot) => [snapshot.date, snapshot])
+  );
+  if (byDate.size === 0) return points;
+
+  return points.map((point) => {
+    const snapshot = byDate.get(point.dateKey);
+    return snapshot ? { ...point, value: snapshot.totalValue, costBasis: snapshot.costBasis, snapshot: true } : point;
+  });
+};
@@ -0,0 +1,102 @@
+import { describe, it, expect } from "vitest";
+import { buildSnapshot, buildUserSnapshots, applySnapshots } from "./snapshots";
+import { createFxConverter } from "./currency";
+
+const tx = (overrides) => ({
+  id: "t1",
+  ticker: "AAPL",
+  type: "Buy",
+  quantity: 10,
+  price: 100,
+  date: "2024-01-02",
+  time: "10:00",
+  assetType: "Stock",
+  name: "Apple",
+  currency: "USD",
+  portfolioId: "p1",
+  ...overrides,
+});
+
+const usd = createFxConverter(null, "USD");
+
+describe("buildSnapshot", () => {
+  it("values holdings with FIFO lots plus cash", () => {
+    const snapshot = buildSnapshot(
+      [
+        tx({ id: "d1", type: "Deposit", ticker: "USD", quantity: 2000, price: 1, date: "2024-01-01" }),
+        tx({ id: "b1" }),
+        tx({ id: "b2", price: 120, date: "2024-01-03" }),
+        tx({ id: "s1", type: "Sell", quantity: 5, price: 130, date: "2024-01-04" }),
+      ],
+      { quotes: { AAPL: { currentPrice: 150, currency: "USD" } }, converter: usd }
+    );
+    // 15 left: 5 @ $100 + 10 @ $120 = $1,700 cost; cash 2000 - 1000 - 1000
+    // (the other $200 of the second buy is new money) + 650
+    expect(snapshot.holdings).toEqual([
+      { ticker: "AAPL", assetType: "Stock", quantity: 15, price: 150, value: 2250, costBasis: 1700 },
+    ]);
+    expect(snapshot.cashBalance).toBe(650);
+    expect(snapshot.totalValue).toBe(2900);
+    expect(snapshot.costBasis).toBe(1700);
+    expect(snapshot.currency).toBe("USD");
+    expect(snapshot.unpriced).toEqual([]);
+  });
+
+  it("lists held assets without a quote", () => {
+    const snapshot = buildSnapshot([tx(), tx({ id: "b2", ticker: "MSFT" })], {
+      quotes: { AAPL: { currentPrice: 150 } },
+      converter: usd,
+    });
+    expect(snapshot.unpriced).toEqual(["MSFT"]);
+  });
+
+  it("converts to the base currency and uses manual prices", () => {
+    const eur = createFxConverter({ base: "EUR", latest: { USD: 1.25 }, history: [["2024-01-02", { USD: 1.1 }]] }, "EUR");
+    const snapshot = buildSnapshot([tx({ ticker: "HOUSE", assetType: "Other", quantity: 1, price: 110 })], {
+      valuations: [{ ticker: "HOUSE", price: 125, currency: "USD", date: "2024-06-01" }],
+      converter: eur,
+    });
+    expect(snapshot.currency).toBe("EUR");
+    expect(snapshot.holdings[0].value).toBeCloseTo(100); // $125 at 1.25
+    expect(snapshot.costBasis).toBeCloseTo(100); // $110 at 1.10
+  });
+});
+
+describe("buildUserSnapshots", () => {
+  it("records every portfolio combined and each portfolio", () => {
+    const snapshots = buildUserSnapshots(
+      [tx({ id: "b1" }), tx({ id: "b2", portfolioId: "p2", quantity: 2 })],
+      "2024-06-03",
+      { quotes: { AAPL: { currentPrice: 150 } }, converter: usd }
+    );
+    expect(snapshots.map((s) => [s.portfolioId, s.date, s.totalValue])).toEqual([
+      [null, "2024-06-03", 1800],
+      ["p1", "2024-06-03", 1500],
+      ["p2", "2024-06-03", 300],
+    ]);
+  });
+});
+
+describe("applySnapshots", () => {
+  const points = [
+    { dateKey: "2024-06-01", value: 100, costBasis: 90, flow: 0 },
+    { dateKey: "2024-06-02", value: 110, costBasis: 90, flow: 0 },
+  ];
+
+  it("takes value and cost basis from snapshots in the same currency", () => {
+    const result = applySnapshots(
+      points,
+      [
+        { date: "2024-06-01", currency: "USD", totalValue: 105, costBasis: 91 },
+        { date: "2024-06-02", currency: "EUR", totalValue: 99, costBasis: 80 },
+      ],
+      "USD"
+    );
+    expect(result[0]).toEqual({ dateKey: "2024-06-01", value: 105, costBasis: 91, flow: 0, snapshot: true });
+    expect(result[1]).toBe(points[1]);
+  });
+
+  it("leaves the history alone without snapshots", () => {
+    expect(applySnapshots(points, [], "USD")).toBe(points);
+  });
+});
@@ -1,6 +1,18 @@
 // Supabase CRUD for portfolio transactions (JWT + RLS on the server).
 
 import { normalizeAssetType, formatTransactionType } from "./utils";
+import { normalizeCostBasisMethod } from "./costBasis";
+import { normalizeCurrency, resolveFeeCurrency } from "./currency";
+import {
+  parseDatetime,
+  mapRowToTransaction,
+  toClientValuation,
+  toCostBasisPreferences,
+  toClientSnapshot,
+  toClientAssetMetadata,
+  toClientGoal,
+} from "./dbRows";
+import { isIncomeType, normalizeIncomePayout } from "../constants/transactionTypes";
 import { getSupabase } from "../lib/supabaseClient";
 
 // user-entered date/time is interpreted in the browser's local timezone,
@@ -15,48 +27,10 @@ export const combineDateAndTime = (date, time) => {
   return date;
 };
 
-export const parseDatetime = (datetime) => {
-  if (!datetime) return { date: "", time: "" };
-  try {
-    const dateObj = new Date(datetime);
-    if (isNaN(dateObj.getTime())) {
-      return { date: datetime.split("T")[0] || datetime, time: "" };
-    }
-    const year = dateObj.getFullYear();
-    const month = String(dateObj.getMonth() + 1).padStart(2, "0");
-    const day = String(dateObj.getDate()).padStart(2, "0");
-    const date = `${year}-${month}-${day}`;
-    const hours = String(dateObj.getHours()).padStart(2, "0");
-    const minutes = String(dateObj.getMinutes()).padStart(2, "0");
-    const time = `${hours}:${minutes}`;
-    return { date, time };
-  } catch {
-    return { date: datetime, time: "" };
-  }
-};
-
-const mapRowToTransaction = (row) => {
-  const quantity = parseFloat(row.quantity || 0);
-  const priceRaw = row.price;
-  const price = priceRaw != null ? parseFloat(priceRaw) : 0;
-  const totalCost = parseFloat(row.total_cost || 0);
-  const assetType = normalizeAssetType(row.asset_class);
-  const { date, time } = parseDatetime(row.occurred_at);
-  return {
-    id: row.id,
-    ticker: row.ticker || "",
-    type: row.type || "Buy",
-    quantity,
-    price,
-    date,
-    time,
-    assetType,
-    name: row.name || row.ticker || "",
-    totalCost: totalCost || quantity * price,
-  };
-};
+export { parseDatetime };
 
-export const fetchTransactions = async () => {
+// transactions of one portfolio, or of every portfolio when portfolioId is null
+export const fetchTransactions = async (portfolioId = null) => {
   const supabase = getSupabase();
   if (!supabase) return [];
 
@@ -67,11 +41,13 @@ export const fetchTransactions = async () => {
   } = await supabase.auth.getSession();
   if (!session?.user) return [];
 
-  const { data, error } = await supabase
+  let query = supabase
     .from("transactions")
     .select("*")
-    .eq("user_id", session.user.id)
-    .order("occurred_at", { ascending: false });
+    .eq("user_id", session.user.id);
+  if (portfolioId) query = query.eq("portfolio_id", portfolioId);
+
+  const { data, error } = await query.order("occurred_at", { ascending: false });
 
   if (error) {
     console.error("supabase fetch error:", error);
@@ -81,30 +57,50 @@ export const fetchTransactions = async () => {
   return (data || []).map(mapRowToTransaction);
 };
 
-export const createTransaction = async (transaction) => {
-  const supabase = getSupabase();
-  if (!supabase) throw new Error("Supabase is not configured");
-
-  const originalPrice = transaction.price;
+// build the database row for a client-side transaction (shared by insert,
+// bulk insert and update so the column mapping lives in one place)
+const buildTransactionRow = (transaction) => {
   const quantity = parseFloat(transaction.quantity);
-  const price = parseFloat(originalPrice);
-  const totalCost = quantity * price;
-  const transactionType = formatTransactionType(transaction.type);
+  const price = parseFloat(transaction.price);
   const assetClass = normalizeAssetType(
     transaction.assetType || transaction.assetClass || "Stock"
   );
-  const occurredAt = combineDateAndTime(transaction.date, transaction.time);
+  const type = formatTransactionType(transaction.type);
+  const fee = parseFloat(transaction.fee) || 0;
 
-  const row = {
+  return {
     ticker: transaction.ticker,
     name: transaction.name || transaction.ticker,
-    type: transactionType,
+    type,
     quantity,
     price,
-    total_cost: totalCost,
-    asset_class: assetClass === "Crypto" ? "Crypto" : "Stock",
-    occurred_at: occurredAt,
+    total_cost: quantity * price,
+    asset_class: assetClass,
+    occurred_at: combineDateAndTime(transaction.date, transaction.time),
+    fee,
+    // price and cash fees are in this currency (migration 013)
+    currency: normalizeCurrency(transaction.currency),
+    // the transaction's currency, or the traded coin (see migrations 005 and 013)
+    fee_currency: resolveFeeCurrency({ ...transaction, fee }),
+    // lots picked for a sell under the "specific" cost basis method
+    lot_selections:
+      type === "Sell" && transaction.lotSelections?.length
+        ? transaction.lotSelections
+        : null,
+    // how income was paid (migration 006); null for buys and sells
+    payout: isIncomeType(type) ? normalizeIncomePayout(transaction.payout) : null,
+    // portfolio the transaction is filed under (migration 008); left out when
+    // unknown so an update keeps the stored one
+    portfolio_id: transaction.portfolioId || undefined,
   };
+};
+
+export const createTransaction = async (transaction) => {
+  const supabase = getSupabase();
+  if (!supabase) throw new Error("Supabase is not configured");
+
+  const originalPrice = transaction.price;
+  const row = buildTransactionRow(transaction);
 
   const { data, error } = await supabase
     .from("transactions")
@@ -118,13 +114,13 @@ export const createTransaction = async (transaction) => {
   }
 
   const finalPrice =
-    originalPrice != null ? parseFloat(originalPrice) : price;
+    originalPrice != null ? parseFloat(originalPrice) : row.price;
 
   return {
     ...transaction,
     id: data.id,
     price: finalPrice,
-    totalCost,
+    totalCost: row.total_cost,
     assetType:
       transaction.assetType ||
       transaction.assetClass ||
@@ -132,29 +128,33 @@ export const createTransaction = async (transaction) => {
   };
 };
 
-export const updateTransaction = async (id, transaction) => {
+// insert many transactions in a single request (used by CSV import).
+// postgres runs the multi-row insert atomically, so a failure inserts nothing
+export const createTransactions = async (transactions) => {
   const supabase = getSupabase();
   if (!supabase) throw new Error("Supabase is not configured");
+  if (!transactions?.length) return [];
 
-  const quantity = parseFloat(transaction.quantity);
-  const price = parseFloat(transaction.price);
-  const totalCost = quantity * price;
-  const transactionType = formatTransactionType(transaction.type);
-  const assetClass = normalizeAssetType(
-    transaction.assetType || transaction.assetClass || "Stock"
-  );
-  const occurredAt = combineDateAndTime(transaction.date, transaction.time);
+  const rows = transactions.map(buildTransactionRow);
 
-  const row = {
-    ticker: transaction.ticker,
-    name: transaction.name || transaction.ticker,
-    type: transactionType,
-    quantity,
-    price,
-    total_cost: totalCost,
-    asset_class: assetClass === "Crypto" ? "Crypto" : "Stock",
-    occurred_at: occurredAt,
-  };
+  const { data, error } = await supabase
+    .from("transactions")
+    .insert(rows)
+    .select();
+
+  if (error) {
+    console.error("supabase bulk create error:", error);
+    throw new Error(error.message || "failed to create records");
+  }
+
+  return (data || []).map(mapRowToTransaction);
+};
+
+export const updateTransaction = async (id, transaction) => {
+  const supabase = getSupabase();
+  if (!supabase) throw new Error("Supabase is not configured");
+
+  const row = buildTransactionRow(transaction);
 
   const { error } = await supabase
     .from("transactions")
@@ -169,7 +169,7 @@ export const updateTransaction = async (id, transaction) => {
   return {
     ...transaction,
     id,
-    totalCost,
+    totalCost: row.total_cost,
     assetType: transaction.assetType || transaction.assetClass,
   };
 };
@@ -200,3 +200,682 @@ export const deleteTransactions = async (ids) => {
   }
   return ids.length;
 };
+
+// cost basis preferences: the account default is stored with ticker = ""
+// and per-asset overrides with the ticker. returns { method, byTicker }
+export const fetchCostBasisPreferences = async () => {
+  const supabase = getSupabase();
+  if (!supabase) return { method: null, byTicker: {} };
+
+  const {
+    data: { session },
+  } = await supabase.auth.getSession();
+  if (!session?.user) return { method: null, byTicker: {} };
+
+  const { data, error } = await supabase
+    .from("cost_basis_preferences")
+    .select("ticker, method")
+    .eq("user_id", session.user.id);
+
+  if (error) {
+    console.error("supabase cost basis fetch error:", error);
+    throw new Error(error.message || "failed to fetch cost basis preferences");
+  }
+
+  return toCostBasisPreferences(data || []);
+};
+
+// set the account default (no ticker) or a per-asset override.
+// method null removes a per-asset override so the asset follows the default again
+export const saveCostBasisPreference = async ({ ticker = null, method }) => {
+  const supabase = getSupabase();
+  if (!supabase) throw new Error("Supabase is not configured");
+
+  const {
+    data: { session },
+  } = await supabase.auth.getSession();
+  if (!session?.user) throw new Error("Not signed in");
+
+  const key = { user_id: session.user.id, ticker: ticker || "" };
+
+  const { error } = method
+    ? await supabase.from("cost_basis_preferences").upsert(
+        { ...key, method: normalizeCostBasisMethod(method), updated_at: new Date().toISOString() },
+        { onConflict: "user_id,ticker" }
+      )
+    : await supabase.from("cost_basis_preferences").delete().match(key);
+
+  if (error) {
+    console.error("supabase cost basis save error:", error);
+    throw new Error(error.message || "failed to save cost basis preference");
+  }
+  return { ticker, method };
+};
+
+// portfolios (accounts), oldest first so the default "Main" portfolio leads
+export const fetchPortfolios = async () => {
+  const supabase = getSupabase();
+  if (!supabase) return [];
+
+  const {
+    data: { session },
+  } = await supabase.auth.getSession();
+  if (!session?.user) return [];
+
+  const { data, error } = await supabase
+    .from("portfolios")
+    .select("id, name, created_at")
+    .eq("user_id", session.user.id)
+    .order("created_at", { ascending: true });
+
+  if (error) {
+    console.error("supabase portfolios fetch error:", error);
+    throw new Error(error.message || "failed to fetch portfolios");
+  }
+
+  return (data || []).map((row) => ({ id: row.id, name: row.name }));
+};
+
+export const createPortfolio = async (name) => {
+  const supabase = getSupabase();
+  if (!supabase) throw new Error("Supabase is not configured");
+
+  const { data, error } = await supabase
+    .from("portfolios")
+    .insert({ name: name.trim() })
+    .select("id, name")
+    .single();
+
+  if (error) {
+    console.error("supabase portfolio create error:", error);
+    // unique (user_id, name)
+    if (error.code === "23505") throw new Error(`A portfolio named "${name.trim()}" already exists`);
+    throw new Error(error.message || "failed to create portfolio");
+  }
+  return data;
+};
+
+// removes the portfolio and (on delete cascade) every transaction in it
+export const deletePortfolio = async (id) => {
+  const supabase = getSupabase();
+  if (!supabase) throw new Error("Supabase is not configured");
+
+  const { error } = await supabase.from("portfolios").delete().eq("id", id);
+
+  if (error) {
+    console.error("supabase portfolio delete error:", error);
+    throw new Error(error.message || "failed to delete portfolio");
+  }
+  return true;
+};
+
+// price alerts (migration 010), newest first
+const toClientAlert = (row) => ({
+  id: row.id,
+  ticker: row.ticker,
+  assetType: normalizeAssetType(row.asset_class),
+  condition: row.condition,
+  threshold: Number(row.threshold),
+  active: row.active,
+  triggeredAt: row.triggered_at || null,
+  createdAt: row.created_at,
+});
+
+const ALERT_COLUMNS = "id, ticker, asset_class, condition, threshold, active, triggered_at, created_at";
+
+export const fetchPriceAlerts = async () => {
+  const supabase = getSupabase();
+  if (!supabase) return [];
+
+  const {
+    data: { session },
+  } = await supabase.auth.getSession();
+  if (!session?.user) return [];
+
+  const { data, error } = await supabase
+    .from("price_alerts")
+    .select(ALERT_COLUMNS)
+    .eq("user_id", session.user.id)
+    .order("created_at", { ascending: false });
+
+  if (error) {
+    console.error("supabase price alerts fetch error:", error);
+    throw new Error(error.message || "failed to fetch price alerts");
+  }
+
+  return (data || []).map(toClientAlert);
+};
+
+export const createPriceAlert = async ({ ticker, assetType, condition, threshold }) => {
+  const supabase = getSupabase();
+  if (!supabase) throw new Error("Supabase is not configured");
+
+  const { data, error } = await supabase
+    .from("price_alerts")
+    .insert({
+      ticker: ticker.trim().toUpperCase(),
+      asset_class: normalizeAssetType(assetType),
+      condition,
+      threshold: Number(threshold),
+    })
+    .select(ALERT_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error("supabase price alert create error:", error);
+    throw new Error(error.message || "failed to create price alert");
+  }
+  return toClientAlert(data);
+};
+
+// switch an alert off when it fires ({ active: false, triggeredAt }) or re-arm it
+export const updatePriceAlert = async (id, { active, triggeredAt }) => {
+  const supabase = getSupabase();
+  if (!supabase) throw new Error("Supabase is not configured");
+
+  const { data, error } = await supabase
+    .from("price_alerts")
+    .update({ active, triggered_at: triggeredAt ?? null })
+    .eq("id", id)
+    .select(ALERT_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error("supabase price alert update error:", error);
+    throw new Error(error.message || "failed to update price alert");
+  }
+  return toClientAlert(data);
+};
+
+export const deletePriceAlert = async (id) => {
+  const supabase = getSupabase();
+  if (!supabase) throw new Error("Supabase is not configured");
+
+  const { error } = await supabase.from("price_alerts").delete().eq("id", id);
+
+  if (error) {
+    console.error("supabase price alert delete error:", error);
+    throw new Error(error.message || "failed to delete price alert");
+  }
+  return true;
+};
+
+// watchlist (migration 011), oldest first so new tickers go to the bottom
+const toClientWatchlistItem = (row) => ({
+  id: row.id,
+  ticker: row.ticker,
+  name: row.name || row.ticker,
+  assetType: normalizeAssetType(row.asset_class),
+  createdAt: row.created_at,
+});
+
+export const fetchWatchlist = async () => {
+  const supabase = getSupabase();
+  if (!supabase) return [];
+
+  const {
+    data: { session },
+  } = await supabase.auth.getSession();
+  if (!session?.user) return [];
+
+  const { data, error } = await supabase
+    .from("watchlist")
+    .select("id, ticker, name, asset_class, created_at")
+    .eq("user_id", session.user.id)
+    .order("created_at", { ascending: true });
+
+  if (error) {
+    console.error("supabase watchlist fetch error:", error);
+    throw new Error(error.message || "failed to fetch watchlist");
+  }
+
+  return (data || []).map(toClientWatchlistItem);
+};
+
+export const addWatchlistItem = async ({ ticker, name, assetType }) => {
+  const supabase = getSupabase();
+  if (!supabase) throw new Error("Supabase is not configured");
+
+  const symbol = ticker.trim().toUpperCase();
+  const { data, error } = await supabase
+    .from("watchlist")
+    .insert({
+      ticker: symbol,
+      name: name?.trim() || null,
+      asset_class: normalizeAssetType(assetType),
+    })
+    .select("id, ticker, name, asset_class, created_at")
+    .single();
+
+  if (error) {
+    console.error("supabase watchlist add error:", error);
+    // unique (user_id, ticker, asset_class)
+    if (error.code === "23505") throw new Error(`${symbol} is already on your watchlist`);
+    throw new Error(error.message || "failed to add to watchlist");
+  }
+  return toClientWatchlistItem(data);
+};
+
+export const removeWatchlistItem = async (id) => {
+  const supabase = getSupabase();
+  if (!supabase) throw new Error("Supabase is not configured");
+
+  const { error } = await supabase.from("watchlist").delete().eq("id", id);
+
+  if (error) {
+    console.error("supabase watchlist remove error:", error);
+    throw new Error(error.message || "failed to remove from watchlist");
+  }
+  return true;
+};
+
+// allocation targets (migration 012) { kind, key, assetType, weight }
+const toClientTarget = (row) => ({
+  kind: row.kind,
+  key: row.key,
+  assetType: row.kind === "asset" ? normalizeAssetType(row.asset_class) : null,
+  weight: Number(row.weight),
+});
+
+export const fetchAllocationTargets = async () => {
+  const supabase = getSupabase();
+  if (!supabase) return [];
+
+  const {
+    data: { session },
+  } = await supabase.auth.getSession();
+  if (!session?.user) return [];
+
+  const { data, error } = await supabase
+    .from("allocation_targets")
+    .select("kind, key, asset_class, weight")
+    .eq("user_id", session.user.id)
+    .order("weight", { ascending: false });
+
+  if (error) {
+    console.error("supabase allocation targets fetch error:", error);
+    throw new Error(error.message || "failed to fetch allocation targets");
+  }
+
+  return (data || []).map(toClientTarget);
+};
+
+// replaces the whole set: upserts the given targets, then deletes the rest
+export const saveAllocationTargets = async (targets) => {
+  const supabase = getSupabase();
+  if (!supabase) throw new Error("Supabase is not configured");
+
+  const {
+    data: { session },
+  } = await supabase.auth.getSession();
+  if (!session?.user) throw new Error("Not signed in");
+
+  const userId = session.user.id;
+  let keptIds = [];
+  if (targets.length) {
+    const { data, error } = await supabase
+      .from("allocation_targets")
+      .upsert(
+        targets.map((target) => ({
+          user_id: userId,
+          kind: target.kind,
+          key: target.key,
+          asset_class: target.kind === "asset" ? normalizeAssetType(target.assetType) : null,
+          weight: Number(target.weight),
+          updated_at: new Date().toISOString(),
+        })),
+        { onConflict: "user_id,kind,key" }
+      )
+      .select("id");
+
+    if (error) {
+      console.error("supabase allocation targets save error:", error);
+      throw new Error(error.message || "failed to save allocation targets");
+    }
+    keptIds = (data || []).map((row) => row.id);
+  }
+
+  let removal = supabase.from("allocation_targets").delete().eq("user_id", userId);
+  if (keptIds.length) removal = removal.not("id", "in", `(${keptIds.join(",")})`);
+  const { error: deleteError } = await removal;
+
+  if (deleteError) {
+    console.error("supabase allocation targets cleanup error:", deleteError);
+    throw new Error(deleteError.message || "failed to save allocation targets");
+  }
+  return targets;
+};
+
+// display settings (migration 013); no row means the defaults
+export const fetchUserSettings = async () => {
+  const supabase = getSupabase();
+  if (!supabase) return { baseCurrency: normalizeCurrency(null) };
+
+  const {
+    data: { session },
+  } = await supabase.auth.getSession();
+  if (!session?.user) return { baseCurrency: normalizeCurrency(null) };
+
+  const { data, error } = await supabase
+    .from("user_settings")
+    .select("base_currency")
+    .eq("user_id", session.user.id)
+    .maybeSingle();
+
+  if (error) {
+    console.error("supabase user settings fetch error:", error);
+    throw new Error(error.message || "failed to fetch settings");
+  }
+
+  return { baseCurrency: normalizeCurrency(data?.base_currency) };
+};
+
+export const saveUserSettings = async ({ baseCurrency }) => {
+  const supabase = getSupabase();
+  if (!supabase) throw new Error("Supabase is not configured");
+
+  const {
+    data: { session },
+  } = await supabase.auth.getSession();
+  if (!session?.user) throw new Error("Not signed in");
+
+  const settings = { baseCurrency: normalizeCurrency(baseCurrency) };
+  const { error } = await supabase.from("user_settings").upsert(
+    {
+      user_id: session.user.id,
+      base_currency: settings.baseCurrency,
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: "user_id" }
+  );
+
+  if (error) {
+    console.error("supabase user settings save error:", error);
+    throw new Error(error.message || "failed to save settings");
+  }
+  return settings;
+};
+
+// manual valuations (migration 014), oldest first: prices of assets without a
+// price feed and overrides of provider quotes
+const VALUATION_COLUMNS = "id, ticker, asset_class, price, currency, valued_on, note";
+
+export const fetchValuations = async () => {
+  const supabase = getSupabase();
+  if (!supabase) return [];
+
+  const {
+    data: { session },
+  } = await supabase.auth.getSession();
+  if (!session?.user) return [];
+
+  const { data, error } = await supabase
+    .from("asset_valuations")
+    .select(VALUATION_COLUMNS)
+    .eq("user_id", session.user.id)
+    .order("valued_on", { ascending: true });
+
+  if (error) {
+    console.error("supabase valuations fetch error:", error);
+    throw new Error(error.message || "failed to fetch valuations");
+  }
+
+  return (data || []).map(toClientValuation);
+};
+
+// one valuation per asset and day: a second one for the same day replaces it
+export const saveValuation = async ({ ticker, assetType, price, currency, date, note }) => {
+  const supabase = getSupabase();
+  if (!supabase) throw new Error("Supabase is not configured");
+
+  const {
+    data: { session },
+  } = await supabase.auth.getSession();
+  if (!session?.user) throw new Error("Not signed in");
+
+  const { data, error } = await supabase
+    .from("asset_valuations")
+    .upsert(
+      {
+        user_id: session.user.id,
+        ticker: ticker.trim().toUpperCase(),
+        asset_class: normalizeAssetType(assetType),
+        price: Number(price),
+        currency: normalizeCurrency(currency),
+        valued_on: date,
+        note: note?.trim() || null,
+      },
+      { onConflict: "user_id,ticker,valued_on" }
+    )
+    .select(VALUATION_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error("supabase valuation save error:", error);
+    throw new Error(error.message || "failed to save valuation");
+  }
+  return toClientValuation(data);
+};
+
+export const deleteValuation = async (id) => {
+  const supabase = getSupabase();
+  if (!supabase) throw new Error("Supabase is not configured");
+
+  const { error } = await supabase.from("asset_valuations").delete().eq("id", id);
+
+  if (error) {
+    console.error("supabase valuation delete error:", error);
+    throw new Error(error.message || "failed to delete valuation");
+  }
+  return true;
+};
+
+// daily portfolio snapshots (migration 015) of one portfolio, or of every
+// portfolio combined when portfolioId is null; oldest first. written by the
+// api/snapshots job - the browser only reads them
+export const fetchPortfolioSnapshots = async (portfolioId = null) => {
+  const supabase = getSupabase();
+  if (!supabase) return [];
+
+  const {
+    data: { session },
+  } = await supabase.auth.getSession();
+  if (!session?.user) return [];
+
+  let query = supabase
+    .from("portfolio_snapshots")
+    .select("portfolio_id, snapshot_date, currency, total_value, cost_basis, cash_balance, holdings")
+    .eq("user_id", session.user.id);
+  query = portfolioId ? query.eq("portfolio_id", portfolioId) : query.is("portfolio_id", null);
+
+  const { data, error } = await query.order("snapshot_date", { ascending: true });
+
+  if (error) {
+    console.error("supabase snapshots fetch error:", error);
+    throw new Error(error.message || "failed to fetch portfolio snapshots");
+  }
+
+  return (data || []).map(toClientSnapshot);
+};
+
+// snapshots from `date` on of the given portfolios and of every portfolio
+// combined - a change to the transactions of those days makes them stale
+export const deletePortfolioSnapshotsFrom = async (date, portfolioIds = []) => {
+  const supabase = getSupabase();
+  if (!supabase) throw new Error("Supabase is not configured");
+
+  const {
+    data: { session },
+  } = await supabase.auth.getSession();
+  if (!session?.user) return;
+
+  const ids = [...new Set(portfolioIds.filter(Boolean))];
+  let query = supabase
+    .from("portfolio_snapshots")
+    .delete()
+    .eq("user_id", session.user.id)
+    .gte("snapshot_date", date);
+  query = ids.length ? query.or(`portfolio_id.is.null,portfolio_id.in.(${ids.join(",")})`) : query;
+
+  const { error } = await query;
+
+  if (error) {
+    console.error("supabase snapshots delete error:", error);
+    throw new Error(error.message || "failed to delete portfolio snapshots");
+  }
+};
+
+// manual asset classification (migration 016), one row per ticker
+const METADATA_COLUMNS = "id, ticker, asset_class, sector, industry, country, market_cap, updated_at";
+
+export const fetchAssetMetadata = async () => {
+  const supabase = getSupabase();
+  if (!supabase) return [];
+
+  const {
+    data: { session },
+  } = await supabase.auth.getSession();
+  if (!session?.user) return [];
+
+  const { data, error } = await supabase
+    .from("asset_metadata")
+    .select(METADATA_COLUMNS)
+    .eq("user_id", session.user.id)
+    .order("ticker", { ascending: true });
+
+  if (error) {
+    console.error("supabase asset metadata fetch error:", error);
+    throw new Error(error.message || "failed to fetch asset metadata");
+  }
+
+  return (data || []).map(toClientAssetMetadata);
+};
+
+// replaces the ticker's classification; empty fields fall back to the provider
+export const saveAssetMetadata = async ({ ticker, assetType, sector, industry, country, marketCap }) => {
+  const supabase = getSupabase();
+  if (!supabase) throw new Error("Supabase is not configured");
+
+  const {
+    data: { session },
+  } = await supabase.auth.getSession();
+  if (!session?.user) throw new Error("Not signed in");
+
+  const { data, error } = await supabase
+    .from("asset_metadata")
+    .upsert(
+      {
+        user_id: session.user.id,
+        ticker: ticker.trim().toUpperCase(),
+        asset_class: normalizeAssetType(assetType),
+        sector: sector?.trim() || null,
+        industry: industry?.trim() || null,
+        country: country?.trim() || null,
+        market_cap: marketCap || null,
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: "user_id,ticker" }
+    )
+    .select(METADATA_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error("supabase asset metadata save error:", error);
+    throw new Error(error.message || "failed to save asset metadata");
+  }
+  return toClientAssetMetadata(data);
+};
+
+export const deleteAssetMetadata = async (id) => {
+  const supabase = getSupabase();
+  if (!supabase) throw new Error("Supabase is not configured");
+
+  const { error } = await supabase.from("asset_metadata").delete().eq("id", id);
+
+  if (error) {
+    console.error("supabase asset metadata delete error:", error);
+    throw new Error(error.message || "failed to delete asset metadata");
+  }
+  return true;
+};
+
+// savings goals (migration 017), nearest target date first
+const GOAL_COLUMNS = "id, name, target_amount, target_date, monthly_contribution, created_at";
+
+const toGoalRow = ({ name, targetAmount, targetDate, monthlyContribution }) => ({
+  name: name.trim(),
+  target_amount: Number(targetAmount),
+  target_date: targetDate,
+  monthly_contribution: Number(monthlyContribution) || 0,
+});
+
+export const fetchGoals = async () => {
+  const supabase = getSupabase();
+  if (!supabase) return [];
+
+  const {
+    data: { session },
+  } = await supabase.auth.getSession();
+  if (!session?.user) return [];
+
+  const { data, error } = await supabase
+    .from("goals")
+    .select(GOAL_COLUMNS)
+    .eq("user_id", session.user.id)
+    .order("target_date", { ascending: true });
+
+  if (error) {
+    console.error("supabase goals fetch error:", error);
+    throw new Error(error.message || "failed to fetch goals");
+  }
+
+  return (data || []).map(toClientGoal);
+};
+
+export const createGoal = async (goal) => {
+  const supabase = getSupabase();
+  if (!supabase) throw new Error("Supabase is not configured");
+
+  const { data, error } = await supabase
+    .from("goals")
+    .insert(toGoalRow(goal))
+    .select(GOAL_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error("supabase goal create error:", error);
+    throw new Error(error.message || "failed to create goal");
+  }
+  return toClientGoal(data);
+};
+
+export const updateGoal = async (id, goal) => {
+  const supabase = getSupabase();
+  if (!supabase) throw new Error("Supabase is not configured");
+
+  const { data, error } = await supabase
+    .from("goals")
+    .update(toGoalRow(goal))
+    .eq("id", id)
+    .select(GOAL_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error("supabase goal update error:", error);
+    throw new Error(error.message || "failed to update goal");
+  }
+  return toClientGoal(data);
+};
+
+export const deleteGoal = async (id) => {
+  const supabase = getSupabase();
+  if (!supabase) throw new Error("Supabase is not configured");
+
+  const { error } = await supabase.from("goals").delete().eq("id", id);
+
+  if (error) {
+    console.error("supabase goal delete error:", error);
+    throw new Error(error.message || "failed to delete goal");
+  }
+  return true;
+};
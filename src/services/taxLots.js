@@ -0,0 +1,150 @@
+// tax lot report: every sell split into the lots it closed, with the
+// short-term/long-term split by holding period and a Form 8949-style CSV.
+// built on the same lot matching as calculatePortfolioData (FIFO unless the
+// account or asset picks another cost basis method).
+
+import { calculateRealizedPnL } from "./utils";
+import { toCsv } from "./portfolioExport";
+
+export const TAX_TERMS = {
+  short: { label: "Short-term", part: "Part I" },
+  long: { label: "Long-term", part: "Part II" },
+};
+
+// lot shares at or below this are dust left by pro rata matching
+const LOT_EPSILON = 1e-9;
+
+const round = (value, decimals = 2) =>
+  Number.isFinite(value) ? Number(value.toFixed(decimals)) : 0;
+
+/**
+ * more than one year between acquisition and disposal (YYYY-MM-DD dates).
+ * the holding period starts the day after acquisition, so a lot sold on its
+ * first anniversary is still short-term; lots bought on Feb 29 turn one year
+ * old on Feb 28
+ */
+export const isLongTermHolding = (acquired, sold) => {
+  if (!acquired || !sold) return false;
+  const [year, month, day] = acquired.split("-");
+  const anniversary = `${Number(year) + 1}-${month}-${month === "02" && day === "29" ? "28" : day}`;
+  return sold > anniversary;
+};
+
+// last name recorded per ticker
+const describeTickers = (transactions) => {
+  const names = {};
+  transactions.forEach((tx) => {
+    if (tx.ticker) names[tx.ticker] = { name: tx.name || tx.ticker, assetType: tx.assetType };
+  });
+  return names;
+};
+
+/**
+ * one row per sell and matched lot, oldest sale first:
+ * { id, saleId, ticker, name, assetType, quantity, acquired, sold, proceeds,
+ *   costBasis, gain, term: "short" | "long" }
+ * a sell's proceeds (net of its fee) are spread over its lots by quantity;
+ * lot cost basis includes the buy fee
+ */
+export const calculateTaxLots = (transactions = [], costBasis = null) => {
+  const tickers = describeTickers(transactions);
+  const { sales } = calculateRealizedPnL(transactions, costBasis);
+
+  return sales.flatMap((sale) => {
+    const lots = sale.lots.filter((lot) => lot.quantity > LOT_EPSILON);
+    const matchedQuantity = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+
+    return lots.map((lot) => {
+      const proceeds = matchedQuantity > 0 ? sale.proceeds * (lot.quantity / matchedQuantity) : 0;
+      const lotCost = lot.quantity * lot.price;
+      return {
+        id: `${sale.id}-${lot.lotId}`,
+        saleId: sale.id,
+        ticker: sale.ticker,
+        name: tickers[sale.ticker]?.name || sale.ticker,
+        assetType: tickers[sale.ticker]?.assetType,
+        quantity: lot.quantity,
+        acquired: lot.date,
+        sold: sale.date,
+        proceeds,
+        costBasis: lotCost,
+        gain: proceeds - lotCost,
+        term: isLongTermHolding(lot.date, sale.date) ? "long" : "short",
+      };
+    });
+  });
+};
+
+// years with at least one sale, newest first
+export const getTaxYears = (taxLots = []) =>
+  [...new Set(taxLots.map((lot) => Number(lot.sold.slice(0, 4))))].sort((a, b) => b - a);
+
+// lots sold in the given tax year (calendar year); null keeps every year
+export const filterByTaxYear = (taxLots = [], year = null) =>
+  year ? taxLots.filter((lot) => lot.sold.startsWith(`${year}-`)) : taxLots;
+
+/**
+ * proceeds, cost basis and gain per term plus the overall total:
+ * { short, long, total } each { count, proceeds, costBasis, gain }
+ */
+export const summarizeTaxLots = (taxLots = []) => {
+  const empty = () => ({ count: 0, proceeds: 0, costBasis: 0, gain: 0 });
+  const summary = { short: empty(), long: empty(), total: empty() };
+  taxLots.forEach((lot) => {
+    [summary[lot.term], summary.total].forEach((bucket) => {
+      bucket.count += 1;
+      bucket.proceeds += lot.proceeds;
+      bucket.costBasis += lot.costBasis;
+      bucket.gain += lot.gain;
+    });
+  });
+  return summary;
+};
+
+// YYYY-MM-DD → MM/DD/YYYY as printed on the form
+const toFormDate = (date) => {
+  const [year, month, day] = date.split("-");
+  return `${month}/${day}/${year}`;
+};
+
+/**
+ * Form 8949-style CSV: Part I (short-term) then Part II (long-term) lots in
+ * columns (a) to (h), each part closed by its totals row. codes (f) and
+ * adjustments (g) are left for the filer
+ */
+export const taxLotsToForm8949Csv = (taxLots = []) => {
+  const headers = [
+    "Part",
+    "(a) Description of property",
+    "(b) Date acquired",
+    "(c) Date sold or disposed of",
+    "(d) Proceeds (sales price)",
+    "(e) Cost or other basis",
+    "(f) Code(s)",
+    "(g) Amount of adjustment",
+    "(h) Gain or (loss)",
+  ];
+  const summary = summarizeTaxLots(taxLots);
+
+  const rows = Object.entries(TAX_TERMS).flatMap(([term, { label, part }]) => {
+    const lots = taxLots.filter((lot) => lot.term === term);
+    if (lots.length === 0) return [];
+    const totals = summary[term];
+    return [
+      ...lots.map((lot) => [
+        part,
+        `${round(lot.quantity, 8)} ${lot.ticker}${lot.name && lot.name !== lot.ticker ? ` (${lot.name})` : ""}`,
+        toFormDate(lot.acquired),
+        toFormDate(lot.sold),
+        round(lot.proceeds),
+        round(lot.costBasis),
+        "",
+        "",
+        round(lot.gain),
+      ]),
+      [part, `Totals - ${label.toLowerCase()}`, "", "", round(totals.proceeds), round(totals.costBasis), "", "", round(totals.gain)],
+    ];
+  });
+
+  return toCsv(headers, rows);
+};
@@ -0,0 +1,120 @@
+import { describe, it, expect } from "vitest";
+import {
+  isLongTermHolding,
+  calculateTaxLots,
+  getTaxYears,
+  filterByTaxYear,
+  summarizeTaxLots,
+  taxLotsToForm8949Csv,
+} from "./taxLots";
+
+const tx = (overrides) => ({
+  id: "t1",
+  ticker: "AAPL",
+  type: "Buy",
+  quantity: 1,
+  price: 100,
+  date: "2023-01-10",
+  time: "10:00",
+  assetType: "Stock",
+  name: "Apple",
+  ...overrides,
+});
+
+describe("isLongTermHolding", () => {
+  it("needs more than one year", () => {
+    expect(isLongTermHolding("2023-03-15", "2024-03-15")).toBe(false);
+    expect(isLongTermHolding("2023-03-15", "2024-03-16")).toBe(true);
+    expect(isLongTermHolding("2023-03-15", "2023-12-31")).toBe(false);
+  });
+
+  it("counts a Feb 29 purchase as one year old on Feb 28", () => {
+    expect(isLongTermHolding("2024-02-29", "2025-02-28")).toBe(false);
+    expect(isLongTermHolding("2024-02-29", "2025-03-01")).toBe(true);
+  });
+});
+
+describe("calculateTaxLots", () => {
+  // buy 10 @ $100, buy 10 @ $150, sell 15 @ $200 → FIFO closes all of the
+  // first lot (long-term) and half of the second (short-term)
+  const txs = [
+    tx({ id: "b1", quantity: 10, price: 100, date: "2023-01-10" }),
+    tx({ id: "b2", quantity: 10, price: 150, date: "2024-02-01" }),
+    tx({ id: "s1", type: "Sell", quantity: 15, price: 200, fee: 15, date: "2024-06-03" }),
+  ];
+
+  it("splits each sell into the lots it closed", () => {
+    const lots = calculateTaxLots(txs);
+    expect(lots).toHaveLength(2);
+    expect(lots[0]).toMatchObject({
+      id: "s1-b1",
+      ticker: "AAPL",
+      name: "Apple",
+      quantity: 10,
+      acquired: "2023-01-10",
+      sold: "2024-06-03",
+      costBasis: 1000,
+      term: "long",
+    });
+    // proceeds net of the $15 fee, spread by quantity: 2985 × 10/15
+    expect(lots[0].proceeds).toBeCloseTo(1990);
+    expect(lots[0].gain).toBeCloseTo(990);
+    expect(lots[1]).toMatchObject({ quantity: 5, acquired: "2024-02-01", costBasis: 750, term: "short" });
+    expect(lots[1].proceeds).toBeCloseTo(995);
+  });
+
+  it("follows the selected cost basis method", () => {
+    const lots = calculateTaxLots(txs, { method: "lifo" });
+    expect(lots.map((lot) => [lot.acquired, lot.quantity])).toEqual([
+      ["2024-02-01", 10],
+      ["2023-01-10", 5],
+    ]);
+  });
+
+  it("keeps the acquisition date through a split", () => {
+    const lots = calculateTaxLots([
+      tx({ id: "b1", quantity: 1, price: 400, date: "2022-05-01" }),
+      tx({ id: "x1", type: "Split", quantity: 4, price: 0, date: "2023-05-01" }),
+      tx({ id: "s1", type: "Sell", quantity: 4, price: 120, date: "2023-09-01" }),
+    ]);
+    expect(lots[0]).toMatchObject({ acquired: "2022-05-01", quantity: 4, costBasis: 400, term: "long" });
+  });
+});
+
+describe("tax years and totals", () => {
+  const lots = [
+    { term: "short", sold: "2023-04-01", proceeds: 100, costBasis: 80, gain: 20 },
+    { term: "long", sold: "2024-05-01", proceeds: 300, costBasis: 350, gain: -50 },
+    { term: "short", sold: "2024-07-01", proceeds: 50, costBasis: 40, gain: 10 },
+  ];
+
+  it("lists sale years newest first and filters by year", () => {
+    expect(getTaxYears(lots)).toEqual([2024, 2023]);
+    expect(filterByTaxYear(lots, 2024)).toHaveLength(2);
+    expect(filterByTaxYear(lots, null)).toBe(lots);
+  });
+
+  it("sums each term and the total", () => {
+    const summary = summarizeTaxLots(lots);
+    expect(summary.short).toEqual({ count: 2, proceeds: 150, costBasis: 120, gain: 30 });
+    expect(summary.long.gain).toBe(-50);
+    expect(summary.total).toEqual({ count: 3, proceeds: 450, costBasis: 470, gain: -20 });
+  });
+});
+
+describe("taxLotsToForm8949Csv", () => {
+  it("writes short-term then long-term lots with a totals row per part", () => {
+    const csv = taxLotsToForm8949Csv([
+      { ticker: "AAPL", name: "Apple, Inc.", quantity: 10, acquired: "2022-01-10", sold: "2024-06-03", proceeds: 1990.004, costBasis: 1000, gain: 990.004, term: "long" },
+      { ticker: "BTC", name: "BTC", quantity: 0.5, acquired: "2024-02-01", sold: "2024-06-03", proceeds: 30000, costBasis: 25000, gain: 5000, term: "short" },
+    ]);
+    const lines = csv.trim().split("\r\n");
+    expect(lines[0]).toBe(
+      "Part,(a) Description of property,(b) Date acquired,(c) Date sold or disposed of,(d) Proceeds (sales price),(e) Cost or other basis,(f) Code(s),(g) Amount of adjustment,(h) Gain or (loss)"
+    );
+    expect(lines[1]).toBe("Part I,0.5 BTC,02/01/2024,06/03/2024,30000,25000,,,5000");
+    expect(lines[2]).toBe("Part I,Totals - short-term,,,30000,25000,,,5000");
+    expect(lines[3]).toBe('Part II,"10 AAPL (Apple, Inc.)",01/10/2022,06/03/2024,1990,1000,,,990');
+    expect(lines[4]).toBe("Part II,Totals - long-term,,,1990,1000,,,990");
+  });
+});
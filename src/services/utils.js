@@ -1,6 +1,10 @@
 // this file contains helper functions used throughout the app
 // these are utility functions that format numbers and calculate values
 
+import { createLotLedger, getOpenLots, getPositionKey, getTickerPositions } from "./costBasis.js";
+import { applyQuantityChange, getIncomeAmount, getQuantityChange, isIncomeType, isCashFlowType } from "../constants/transactionTypes.js";
+import { toAssetClass } from "../constants/assetClasses.js";
+
 // format a number with up to 10 decimal places, showing only what's necessary
 // example: formatNumber(1.50000000) returns "1.5"
 export const formatNumber = (value, maxDecimals = 10) => {
@@ -78,27 +82,50 @@ export const formatPriceInput = (price) => {
   return num.toFixed(decimals);
 };
 
-// format a number as US dollars (money format) - always exactly 2 decimal places
+// currency amounts are shown in when no currency is passed - the user's base
+// currency, applied by useDisplayCurrency at the top of the app (USD until
+// the settings load)
+let displayCurrency = "USD";
+
+export const setDisplayCurrency = (currency) => {
+  displayCurrency = /^[A-Z]{3}$/.test(currency || "") ? currency : "USD";
+};
+
+// symbol of a currency code, e.g. "$" for USD, "€" for EUR, "S$" for SGD
+export const getCurrencySymbol = (currency = displayCurrency) => {
+  try {
+    const parts = new Intl.NumberFormat("en-US", { style: "currency", currency }).formatToParts(0);
+    return parts.find((part) => part.type === "currency")?.value || currency;
+  } catch {
+    return currency;
+  }
+};
+
+// format a number as money (the display currency unless another is given) -
+// always exactly 2 decimal places
 // example: formatCurrency(1000) returns "$1,000.00"
 // example: formatCurrency(0.001) returns "$0.00"
-export const formatCurrency = (value, hidden = false) => {
+// example: formatCurrency(1000, false, "EUR") returns "€1,000.00"
+export const formatCurrency = (value, hidden = false, currency = displayCurrency) => {
   // privacy feature - hide sensitive financial data
   if (hidden) return "****";
 
-  if (value === null || value === undefined || isNaN(value)) return "$0.00";
-  
-  const num = Number(value);
-  if (!isFinite(num)) return "$0.00";
-  
-  // use javascript's built-in number formatter for US dollars
+  // use javascript's built-in number formatter for the currency
   // Intl.NumberFormat handles locale-specific formatting (commas, currency symbol)
   // always show exactly 2 decimal places for consistency
-  return new Intl.NumberFormat("en-US", {
+  const formatter = new Intl.NumberFormat("en-US", {
     style: "currency",
-    currency: "USD",
+    currency,
     minimumFractionDigits: 2, // always show 2 decimal places
     maximumFractionDigits: 2, // never show more than 2 decimal places
-  }).format(num);
+  });
+
+  if (value === null || value === undefined || isNaN(value)) return formatter.format(0);
+  
+  const num = Number(value);
+  if (!isFinite(num)) return formatter.format(0);
+  
+  return formatter.format(num);
 };
 
 // format a quantity (for crypto or stocks) with up to 10 decimal places
@@ -140,21 +167,20 @@ export const formatQuantity4SF = (value) => {
 // for prices < 0.01: use scientific notation (e.g., "$7.05e-6")
 // for prices >= 0.01: use standard currency format (e.g., "$0.50")
 // for prices >= 1: use standard currency format with 2 decimals (e.g., "$1,234.56")
-export const formatPrice = (value, hidden = false) => {
+export const formatPrice = (value, hidden = false, currency = displayCurrency) => {
   // privacy feature - hide sensitive financial data
   if (hidden) return "****";
 
-  if (value === null || value === undefined || isNaN(value)) return "$0.00";
+  if (value === null || value === undefined || isNaN(value)) return formatCurrency(0, false, currency);
   
   const num = Number(value);
-  if (!isFinite(num)) return "$0.00";
-  if (num === 0) return "$0.00";
+  if (!isFinite(num) || num === 0) return formatCurrency(0, false, currency);
   
   // for very small prices (< 0.01), use scientific notation
   if (Math.abs(num) < 0.01) {
     // format as $X.XXe±YY
     const formatted = num.toExponential(2);
-    return `$${formatted}`;
+    return `${getCurrencySymbol(currency)}${formatted}`;
   }
   
   // for prices >= 0.01, use standard currency format
@@ -163,14 +189,14 @@ export const formatPrice = (value, hidden = false) => {
     // show up to 4 decimal places for prices less than $1
     return new Intl.NumberFormat("en-US", {
       style: "currency",
-      currency: "USD",
+      currency,
       minimumFractionDigits: 2,
       maximumFractionDigits: 4,
     }).format(num);
   }
   
   // for prices >= $1, use standard 2 decimal format
-  return formatCurrency(num);
+  return formatCurrency(num, false, currency);
 };
 
 // truncate a string to a maximum length and add ellipsis if needed
@@ -217,6 +243,25 @@ export const formatDateTime = (dateString, timeString) => {
   return dateString;
 };
 
+// display a transaction fee in the currency it was paid in (a currency or the traded coin)
+// example: formatFee({ fee: 1.5 }) returns "$1.50"; formatFee({ fee: 0.0001, feeCurrency: "BTC", ticker: "BTC" }) returns "0.0001 BTC"
+export const formatFee = (tx, hidden = false) => {
+  if (!(Number(tx?.fee) > 0)) return "-";
+  if (hidden) return "****";
+  const currency = tx.feeCurrency?.toUpperCase() || "USD";
+  return currency === tx.ticker?.toUpperCase()
+    ? `${formatQuantity(tx.fee)} ${currency}`
+    : formatCurrency(tx.fee, false, currency);
+};
+
+// describe a split ratio (new units per old unit)
+// example: formatSplitRatio(4) returns "4-for-1"; formatSplitRatio(0.1) returns "1-for-10"
+export const formatSplitRatio = (ratio) => {
+  const value = Number(ratio);
+  if (!(value > 0)) return "-";
+  return value >= 1 ? `${formatNumber(value, 4)}-for-1` : `1-for-${formatNumber(1 / value, 4)}`;
+};
+
 // calculate the total value of an asset
 export const calculateValue = (quantity, price) => {
   return quantity * price;
@@ -229,18 +274,9 @@ export const calculateUnrealizedPnL = (quantity, avgPrice, currentPrice) => {
   return current - cost; // profit (positive) or loss (negative)
 };
 
-// normalize asset type to "Stock" or "Crypto"
-// handles various input formats and normalizes to standard format
-export const normalizeAssetType = (assetType) => {
-  if (!assetType) return "Stock";
-  
-  if (typeof assetType === "string") {
-    const normalized = assetType.trim().replace(/\n/g, "").toLowerCase();
-    return normalized === "crypto" ? "Crypto" : "Stock";
-  }
-  
-  return "Stock";
-};
+// normalize asset type to one of the known classes (see constants/assetClasses)
+// handles various input formats and aliases; anything unknown is a "Stock"
+export const normalizeAssetType = (assetType) => toAssetClass(assetType);
 
 // format transaction type to "Buy" or "Sell" with proper capitalization
 export const formatTransactionType = (type) => {
@@ -274,9 +310,9 @@ export const format24hChange = (changePercent) => {
   };
 };
 
-// chronological comparator used for all FIFO processing:
-// primary sort by date+time (oldest first), buys before sells on equal timestamps
-// (cannot sell what is not owned yet)
+// chronological comparator used for all lot matching:
+// primary sort by date+time (oldest first), buys (and unit income) before
+// sells on equal timestamps (cannot sell what is not owned yet)
 export const compareTransactionsChronologically = (a, b) => {
   // combine date and time for comparison (e.g., "2024-01-15T14:30")
   const dateTimeA = a.time ? `${a.date}T${a.time}` : a.date;
@@ -288,9 +324,13 @@ export const compareTransactionsChronologically = (a, b) => {
     return dateA - dateB;
   }
 
-  const typeA = a.type?.toLowerCase() === "buy" ? 0 : 1;
-  const typeB = b.type?.toLowerCase() === "buy" ? 0 : 1;
-  return typeA - typeB;
+  // on ties, deposits go first (they fund buys), then anything that adds
+  // units (it covers sells at the same moment)
+  const rank = (tx) => {
+    if (tx.type?.toLowerCase() === "deposit") return 0;
+    return getQuantityChange(tx) > 0 ? 1 : 2;
+  };
+  return rank(a) - rank(b);
 };
 
 export const sortTransactionsChronologically = (transactions) =>
@@ -299,7 +339,7 @@ export const sortTransactionsChronologically = (transactions) =>
 /**
  * verify that no sell ever exceeds the shares held at that point in time.
  * used to guard deletes/edits of buy transactions that would leave
- * later sells uncovered and corrupt FIFO cost basis.
+ * later sells uncovered and corrupt cost basis.
  * returns { valid: true } or { valid: false, ticker }
  */
 export const validateSellQuantities = (transactions, ticker = null) => {
@@ -308,104 +348,123 @@ export const validateSellQuantities = (transactions, ticker = null) => {
     : transactions;
   const sorted = sortTransactionsChronologically(relevant);
 
+  // balances are per portfolio: a sell can't use shares held in another account
   const balances = {};
   for (const tx of sorted) {
-    const qty = Number(tx.quantity) || 0;
-    const delta = tx.type?.toLowerCase() === "buy" ? qty : -qty;
-    balances[tx.ticker] = (balances[tx.ticker] || 0) + delta;
+    const key = getPositionKey(tx);
+    // splits rescale the balance, so later sells are checked in post-split units
+    balances[key] = applyQuantityChange(balances[key] || 0, tx);
     // small epsilon for floating point accumulation
-    if (balances[tx.ticker] < -1e-9) {
+    if (balances[key] < -1e-9) {
       return { valid: false, ticker: tx.ticker };
     }
   }
   return { valid: true };
 };
 
-/**
- * calculate portfolio data from transactions and current prices
- * uses FIFO (First In, First Out) accounting: oldest shares sold first
- */
-export const calculatePortfolioData = (transactions, prices) => {
-  // phase 1: sort transactions chronologically (oldest first) - required for FIFO
-  const sortedTransactions = sortTransactionsChronologically(transactions);
+// holdings at or below this are treated as fully sold (floating point dust)
+const QUANTITY_EPSILON = 1e-9;
+
+// replay transactions per ticker (oldest first) through the lot-matching
+// engine. every sell records the cost basis of the lots it consumed (per the
+// selected cost basis method), so realized gain/loss is kept alongside the
+// remaining (unrealized) position
+const buildAssetLedger = (transactions, costBasis = null) => {
+  // phase 1: sort transactions chronologically (oldest first) - lots are matched in time order
+  // (deposits and withdrawals only move cash - see cashLedger.js)
+  const sortedTransactions = sortTransactionsChronologically(
+    transactions.filter((tx) => !isCashFlowType(tx.type))
+  );
 
   // phase 2: process transactions - group by ticker and track holdings
+  const ledger = createLotLedger(costBasis);
   const assetMap = {};
 
   sortedTransactions.forEach((tx) => {
     const ticker = tx.ticker;
 
     // initialize asset entry for new ticker
-    // buyQueue: FIFO queue tracking remaining shares from each buy (oldest first)
     if (!assetMap[ticker]) {
       assetMap[ticker] = {
         ticker: ticker,
         name: tx.name || ticker,
         assetType: normalizeAssetType(tx.assetType),
         transactions: [],
-        totalQuantity: 0, // current holdings
-        totalCost: 0, // cost basis (total money spent)
-        buyQueue: [], // [{quantity, price, originalQuantity}] - oldest buys first
+        sales: [], // realized gain/loss of each sell
+        realizedPnl: 0,
       };
     }
 
     assetMap[ticker].transactions.push(tx);
 
-    // process buy: increase holdings, cost basis, and add to FIFO queue
-    if (tx.type.toLowerCase() === "buy") {
-      assetMap[ticker].totalQuantity += tx.quantity;
-      assetMap[ticker].totalCost += tx.quantity * tx.price;
-      // add to queue (oldest buys at index 0, newest at end)
-      assetMap[ticker].buyQueue.push({
+    // buys open a lot; sells return the lots they consumed
+    // example (FIFO): buy 10 @ $100, buy 5 @ $120, sell 8 → 8 from the first lot (cost: 8 × $100 = $800)
+    const match = ledger.apply(tx);
+    if (match) {
+      // realized gain/loss: sale proceeds (net of the sell fee) - cost of the matched lots
+      // example: sell 8 @ $150, $5 fee, $800 cost → $1,195 - $800 = $395 realized
+      const proceeds = match.proceeds;
+      const realizedPnl = proceeds - match.costBasis;
+      assetMap[ticker].realizedPnl += realizedPnl;
+      assetMap[ticker].sales.push({
+        id: tx.id,
+        ticker,
+        date: tx.date,
+        time: tx.time,
         quantity: tx.quantity,
         price: tx.price,
-        originalQuantity: tx.quantity,
+        fee: match.fee,
+        proceeds,
+        costBasis: match.costBasis,
+        realizedPnl,
+        lots: match.matched,
       });
-      // process sell: use FIFO - sell oldest shares first 
-      // example: buy 10 @ $100, buy 5 @ $120, sell 8 → sell 8 from first buy (cost: 8 × $100 = $800)
-    } else {
-      let remainingToSell = tx.quantity;
-      let costOfSoldShares = 0; // track cost basis of shares being sold
-
-      // loop through buy queue (oldest first) until all shares sold
-      for (
-        let i = 0;
-        i < assetMap[ticker].buyQueue.length && remainingToSell > 0;
-        i++
-      ) {
-        const buyEntry = assetMap[ticker].buyQueue[i];
-        if (buyEntry.quantity <= 0) continue; // skip exhausted buys
-
-        // sell minimum of: remaining to sell OR available from this buy
-        const sharesFromThisBuy = Math.min(remainingToSell, buyEntry.quantity);
-        costOfSoldShares += sharesFromThisBuy * buyEntry.price;
-        buyEntry.quantity -= sharesFromThisBuy;
-        remainingToSell -= sharesFromThisBuy;
-      }
-
-      // update holdings and cost basis (subtract cost of sold shares, not sell price)
-      assetMap[ticker].totalQuantity -= tx.quantity;
-      assetMap[ticker].totalCost -= costOfSoldShares;
     }
   });
 
+  // an asset held in several portfolios sums their positions
+  return Object.values(assetMap).map((asset) => {
+    const positions = getTickerPositions(ledger.positions, asset.ticker);
+    return {
+      ...asset,
+      totalQuantity: positions.reduce((sum, p) => sum + p.quantity, 0), // current holdings
+      totalCost: positions.reduce((sum, p) => sum + p.totalCost, 0), // cost basis of the shares still held
+      costBasisMethod: positions[0].method,
+      lots: positions.flatMap(getOpenLots),
+    };
+  });
+};
+
+// shared display fields for open and closed positions
+const resolveAssetDisplay = (asset, prices) => {
+  // get current price data (fallback to defaults if API data unavailable)
+  const priceData = prices[asset.ticker] || {
+    currentPrice: 0,
+    priceChange24h: 0,
+    logo: null,
+    name: null,
+  };
+
+  // determine display name: transaction name > API name > ticker
+  const hasRealName = asset.name && asset.name !== asset.ticker;
+  const name = hasRealName ? asset.name : priceData.name || asset.ticker;
+
+  return { priceData, name };
+};
+
+/**
+ * calculate portfolio data from transactions and current prices
+ * lots are matched with the cost basis method in `costBasis`
+ * ({ method, byTicker }, FIFO by default: oldest shares sold first)
+ * each asset also carries realizedPnl, its per-sell `sales` breakdown and open `lots`,
+ * and manualPrice/valuedAt when it is priced manually (see services/valuations)
+ */
+export const calculatePortfolioData = (transactions, prices, costBasis = null) => {
   // phase 3: calculate metrics and return results
-  return Object.values(assetMap)
-    .filter((asset) => asset.totalQuantity > 0) // only assets still owned
+  return buildAssetLedger(transactions, costBasis)
+    .filter((asset) => asset.totalQuantity > QUANTITY_EPSILON) // only assets still owned
     .map((asset) => {
-      // get current price data (fallback to defaults if API data unavailable)
-      const priceData = prices[asset.ticker] || {
-        currentPrice: 0,
-        priceChange24h: 0,
-        logo: null,
-        name: null,
-      };
-
-      // determine display name: transaction name > API name > ticker
-      const hasRealName = asset.name && asset.name !== asset.ticker;
-      const companyName = hasRealName
-        ? asset.name
-        : priceData.name || asset.ticker;
+      const { priceData, name: companyName } = resolveAssetDisplay(asset, prices);
 
       // calculate average buy price: totalCost / totalQuantity
       // example: $800 cost / 7 shares = $114.29 per share
@@ -438,8 +497,134 @@ export const calculatePortfolioData = (transactions, prices) => {
         priceChange24h: priceData.priceChange24h,
         totalValue: totalValue,
         pnl: pnl,
+        realizedPnl: asset.realizedPnl,
+        sales: asset.sales,
+        lots: asset.lots,
+        costBasisMethod: asset.costBasisMethod,
         logo: priceData.logo,
+        // priced from a valuation or the last trade instead of a live quote
+        manualPrice: !!priceData.manual,
+        valuedAt: priceData.valuedAt || null,
         transactions: asset.transactions,
       };
     });
 };
+
+/**
+ * fully sold assets with their realized result.
+ * same shape as calculatePortfolioData entries (quantity, value and unrealized
+ * pnl are 0) plus proceeds, soldCostBasis, openedDate and closedDate
+ */
+export const calculateClosedPositions = (transactions, prices = {}, costBasis = null) => {
+  return buildAssetLedger(transactions, costBasis)
+    .filter((asset) => asset.totalQuantity <= QUANTITY_EPSILON && asset.sales.length > 0)
+    .map((asset) => {
+      const { priceData, name } = resolveAssetDisplay(asset, prices);
+      const proceeds = asset.sales.reduce((sum, sale) => sum + sale.proceeds, 0);
+      const soldCostBasis = asset.sales.reduce((sum, sale) => sum + sale.costBasis, 0);
+
+      return {
+        id: asset.ticker,
+        ticker: asset.ticker,
+        name,
+        assetType: asset.assetType,
+        quantity: 0,
+        avgPrice: 0,
+        totalCost: 0,
+        currentPrice: priceData.currentPrice,
+        priceChange24h: priceData.priceChange24h,
+        totalValue: 0,
+        pnl: 0,
+        realizedPnl: asset.realizedPnl,
+        sales: asset.sales,
+        lots: [],
+        costBasisMethod: asset.costBasisMethod,
+        proceeds,
+        soldCostBasis,
+        openedDate: asset.transactions[0].date,
+        closedDate: asset.sales[asset.sales.length - 1].date,
+        logo: priceData.logo,
+        transactions: asset.transactions,
+      };
+    });
+};
+
+/**
+ * realized gain/loss across every asset, including closed positions.
+ * returns { total, byTicker: { [ticker]: amount }, sales } (sales oldest first)
+ */
+export const calculateRealizedPnL = (transactions, costBasis = null) => {
+  const byTicker = {};
+  const sales = [];
+  let total = 0;
+
+  buildAssetLedger(transactions, costBasis).forEach((asset) => {
+    if (asset.sales.length === 0) return;
+    byTicker[asset.ticker] = asset.realizedPnl;
+    total += asset.realizedPnl;
+    sales.push(...asset.sales);
+  });
+
+  sales.sort(compareTransactionsChronologically);
+  return { total, byTicker, sales };
+};
+
+/**
+ * income (dividends, interest, staking rewards) received per asset.
+ * trailing12m only counts the 12 months up to `asOf` and feeds the yield.
+ * returns { total, byTicker: { [ticker]: { total, trailing12m } }, events } (events oldest first)
+ */
+export const calculateIncome = (transactions, asOf = new Date()) => {
+  // YYYY-MM-DD one year before asOf (local date, like transaction dates)
+  const start = new Date(asOf.getFullYear() - 1, asOf.getMonth(), asOf.getDate());
+  const trailingStart = `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, "0")}-${String(start.getDate()).padStart(2, "0")}`;
+
+  const byTicker = {};
+  const events = [];
+  let total = 0;
+
+  sortTransactionsChronologically(transactions.filter((tx) => isIncomeType(tx.type))).forEach((tx) => {
+    const amount = getIncomeAmount(tx);
+    if (!byTicker[tx.ticker]) byTicker[tx.ticker] = { total: 0, trailing12m: 0 };
+    const entry = byTicker[tx.ticker];
+    entry.total += amount;
+    if (tx.date > trailingStart) entry.trailing12m += amount;
+    total += amount;
+    events.push({ id: tx.id, ticker: tx.ticker, type: tx.type, payout: tx.payout, date: tx.date, time: tx.time, quantity: tx.quantity, amount });
+  });
+
+  return { total, byTicker, events };
+};
+
+// income yield: trailing 12-month income as a percentage of market value
+// example: $30 of dividends on a $1,000 position → 3.00
+export const calculateIncomeYield = (trailingIncome, marketValue) =>
+  marketValue > 0 ? (trailingIncome / marketValue) * 100 : 0;
+
+/**
+ * open lots of one ticker just before a sell at `date`/`time` (specific lot picking).
+ * excludeId leaves out the sell being edited so its own lots show as available;
+ * portfolioId limits the lots to the account the sell belongs to. each lot
+ * carries the currency of the buy that opened it (its price is in it)
+ */
+export const calculateOpenLotsAt = (
+  transactions,
+  ticker,
+  { date, time, excludeId = null, costBasis = null, portfolioId = null } = {}
+) => {
+  const cutoff = { date, time, type: "Sell" };
+  const prior = transactions.filter(
+    (tx) =>
+      tx.ticker === ticker &&
+      tx.id !== excludeId &&
+      (!portfolioId || tx.portfolioId === portfolioId) &&
+      compareTransactionsChronologically(tx, cutoff) <= 0
+  );
+
+  const ledger = createLotLedger(costBasis);
+  sortTransactionsChronologically(prior).forEach(ledger.apply);
+  const buys = new Map(prior.map((tx) => [tx.id, tx]));
+  return getTickerPositions(ledger.positions, ticker)
+    .flatMap(getOpenLots)
+    .map((lot) => ({ ...lot, currency: buys.get(lot.id)?.currency }));
+};
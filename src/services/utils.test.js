@@ -1,10 +1,15 @@
 import { describe, it, expect } from "vitest";
 import {
   calculatePortfolioData,
+  calculateClosedPositions,
+  calculateRealizedPnL,
   validateSellQuantities,
   sortTransactionsChronologically,
   normalizeAssetType,
   calculatePnLPercentage,
+  calculateIncome,
+  calculateIncomeYield,
+  formatSplitRatio,
 } from "./utils";
 
 // helper: build a transaction with sensible defaults
@@ -52,6 +57,16 @@ describe("calculatePortfolioData (FIFO)", () => {
     expect(asset.avgPrice).toBeCloseTo(800 / 7);
   });
 
+  it("flags assets priced manually", () => {
+    const txs = [tx({ quantity: 2 }), tx({ ticker: "MSFT", quantity: 1 })];
+    const [aapl, msft] = calculatePortfolioData(txs, {
+      AAPL: { currentPrice: 130 },
+      MSFT: { currentPrice: 90, manual: true, valuedAt: "2024-02-01" },
+    });
+    expect(aapl).toMatchObject({ manualPrice: false, valuedAt: null });
+    expect(msft).toMatchObject({ manualPrice: true, valuedAt: "2024-02-01", totalValue: 90 });
+  });
+
   it("excludes fully-sold assets from the result", () => {
     const txs = [
       tx({ quantity: 10, price: 100, date: "2024-01-01" }),
@@ -83,6 +98,241 @@ describe("calculatePortfolioData (FIFO)", () => {
   });
 });
 
+describe("realized P&L (FIFO)", () => {
+  it("records proceeds minus FIFO cost for each sell", () => {
+    // buy 10 @ $100, buy 5 @ $120, sell 8 @ $150 -> cost 8 × $100, gain $400
+    // then sell 4 @ $90 -> cost 2 × $100 + 2 × $120 = $440, loss $80
+    const txs = [
+      tx({ id: "b1", quantity: 10, price: 100, date: "2024-01-01" }),
+      tx({ id: "b2", quantity: 5, price: 120, date: "2024-01-02" }),
+      tx({ id: "s1", type: "Sell", quantity: 8, price: 150, date: "2024-01-03" }),
+      tx({ id: "s2", type: "Sell", quantity: 4, price: 90, date: "2024-01-04" }),
+    ];
+    const [asset] = calculatePortfolioData(txs, { AAPL: { currentPrice: 100 } });
+    expect(asset.sales.map((s) => s.id)).toEqual(["s1", "s2"]);
+    expect(asset.sales[0]).toMatchObject({ proceeds: 1200, costBasis: 800, realizedPnl: 400 });
+    expect(asset.sales[1].costBasis).toBeCloseTo(440);
+    expect(asset.sales[1].realizedPnl).toBeCloseTo(-80);
+    expect(asset.realizedPnl).toBeCloseTo(320);
+    // unrealized side is unaffected: 3 shares @ $120 left
+    expect(asset.totalCost).toBeCloseTo(360);
+    expect(asset.pnl).toBeCloseTo(-60);
+  });
+
+  it("has no realized P&L for buy-only assets", () => {
+    const [asset] = calculatePortfolioData([tx({ quantity: 2 })], {});
+    expect(asset.realizedPnl).toBe(0);
+    expect(asset.sales).toEqual([]);
+  });
+
+  it("reports fully sold assets as closed positions", () => {
+    const txs = [
+      tx({ quantity: 10, price: 100, date: "2024-01-01" }),
+      tx({ type: "Sell", quantity: 6, price: 150, date: "2024-02-01" }),
+      tx({ type: "Sell", quantity: 4, price: 80, date: "2024-03-01" }),
+      tx({ ticker: "BTC", assetType: "Crypto", quantity: 1, price: 30000 }),
+    ];
+    const closed = calculateClosedPositions(txs, { AAPL: { currentPrice: 170, priceChange24h: 1 } });
+    expect(closed).toHaveLength(1);
+    expect(closed[0]).toMatchObject({
+      ticker: "AAPL",
+      quantity: 0,
+      totalValue: 0,
+      proceeds: 1220,
+      soldCostBasis: 1000,
+      realizedPnl: 220,
+      openedDate: "2024-01-01",
+      closedDate: "2024-03-01",
+      currentPrice: 170,
+    });
+    expect(calculatePortfolioData(txs, {}).map((a) => a.ticker)).toEqual(["BTC"]);
+  });
+
+  it("treats floating point dust as a closed position", () => {
+    const txs = [
+      tx({ ticker: "ETH", quantity: 0.1, price: 1000, date: "2024-01-01" }),
+      tx({ ticker: "ETH", quantity: 0.2, price: 1000, date: "2024-01-02" }),
+      tx({ ticker: "ETH", type: "Sell", quantity: 0.3, price: 2000, date: "2024-01-03" }),
+    ];
+    expect(calculatePortfolioData(txs, {})).toHaveLength(0);
+    expect(calculateClosedPositions(txs)[0].realizedPnl).toBeCloseTo(300);
+  });
+
+  it("totals realized P&L across open and closed positions", () => {
+    const txs = [
+      tx({ quantity: 10, price: 100, date: "2024-01-01" }),
+      tx({ type: "Sell", quantity: 10, price: 110, date: "2024-01-05" }),
+      tx({ ticker: "BTC", quantity: 2, price: 30000, date: "2024-01-02" }),
+      tx({ ticker: "BTC", type: "Sell", quantity: 1, price: 25000, date: "2024-01-03" }),
+      tx({ ticker: "MSFT", quantity: 1, price: 400 }),
+    ];
+    const realized = calculateRealizedPnL(txs);
+    expect(realized.byTicker).toEqual({ AAPL: 100, BTC: -5000 });
+    expect(realized.total).toBe(-4900);
+    // sales come back oldest first across tickers
+    expect(realized.sales.map((s) => s.ticker)).toEqual(["BTC", "AAPL"]);
+  });
+});
+
+describe("fees", () => {
+  it("adds buy fees to cost basis and takes sell fees off proceeds", () => {
+    const txs = [
+      tx({ id: "b1", quantity: 10, price: 100, fee: 10, date: "2024-01-01" }),
+      tx({ id: "s1", type: "Sell", quantity: 5, price: 150, fee: 5, date: "2024-01-02" }),
+    ];
+    const [asset] = calculatePortfolioData(txs, { AAPL: { currentPrice: 150 } });
+    // lot cost: (10 × $100 + $10) / 10 = $101 per share
+    expect(asset.totalCost).toBeCloseTo(505);
+    expect(asset.avgPrice).toBeCloseTo(101);
+    expect(asset.pnl).toBeCloseTo(750 - 505);
+    // proceeds $750 - $5 fee, cost 5 × $101
+    expect(asset.sales[0]).toMatchObject({ fee: 5 });
+    expect(asset.sales[0].proceeds).toBeCloseTo(745);
+    expect(asset.realizedPnl).toBeCloseTo(745 - 505);
+  });
+
+  it("values crypto fees paid in the coin at the trade price", () => {
+    const txs = [
+      tx({ ticker: "BTC", assetType: "Crypto", quantity: 1, price: 40000, fee: 0.001, feeCurrency: "BTC" }),
+    ];
+    const [asset] = calculatePortfolioData(txs, {});
+    expect(asset.totalCost).toBeCloseTo(40040);
+  });
+});
+
+describe("income", () => {
+  it("opens a lot at market value for income paid in units; cash income leaves holdings alone", () => {
+    const txs = [
+      tx({ ticker: "ETH", assetType: "Crypto", quantity: 1, price: 2000, date: "2024-01-01" }),
+      tx({ ticker: "ETH", assetType: "Crypto", type: "Staking", payout: "units", quantity: 0.1, price: 2500, date: "2024-02-01" }),
+      tx({ quantity: 10, price: 100, date: "2024-01-01" }),
+      tx({ type: "Dividend", payout: "cash", quantity: 12.5, price: 1, date: "2024-02-15" }),
+    ];
+    const portfolio = calculatePortfolioData(txs, {});
+    const eth = portfolio.find((a) => a.ticker === "ETH");
+    const aapl = portfolio.find((a) => a.ticker === "AAPL");
+    expect(eth.quantity).toBeCloseTo(1.1);
+    expect(eth.totalCost).toBeCloseTo(2250);
+    expect(aapl.quantity).toBe(10);
+    expect(aapl.totalCost).toBe(1000);
+    expect(calculateRealizedPnL(txs).total).toBe(0);
+  });
+
+  it("lets unit income cover a later sell", () => {
+    const txs = [
+      tx({ quantity: 1, date: "2024-01-01" }),
+      tx({ type: "Dividend", payout: "units", quantity: 0.5, price: 100, date: "2024-02-01" }),
+      tx({ type: "Sell", quantity: 1.5, date: "2024-03-01" }),
+    ];
+    expect(validateSellQuantities(txs).valid).toBe(true);
+    // cash income adds no units
+    txs[1] = { ...txs[1], payout: "cash" };
+    expect(validateSellQuantities(txs).valid).toBe(false);
+  });
+
+  it("totals income per asset with a trailing 12-month window", () => {
+    const txs = [
+      tx({ quantity: 10, date: "2023-01-01" }),
+      tx({ type: "Dividend", payout: "cash", quantity: 5, price: 1, date: "2023-03-01" }),
+      tx({ type: "Dividend", payout: "cash", quantity: 6, price: 1, date: "2024-03-01" }),
+      tx({ ticker: "ETH", type: "Staking", payout: "units", quantity: 0.01, price: 2000, date: "2024-05-01" }),
+    ];
+    const income = calculateIncome(txs, new Date(2024, 5, 30));
+    expect(income.total).toBeCloseTo(31);
+    expect(income.byTicker.AAPL).toEqual({ total: 11, trailing12m: 6 });
+    expect(income.byTicker.ETH.trailing12m).toBeCloseTo(20);
+    expect(income.events.map((e) => e.date)).toEqual(["2023-03-01", "2024-03-01", "2024-05-01"]);
+  });
+
+  it("computes yield on market value", () => {
+    expect(calculateIncomeYield(30, 1000)).toBe(3);
+    expect(calculateIncomeYield(30, 0)).toBe(0);
+  });
+});
+
+describe("splits", () => {
+  const split = (ratio, date) => tx({ type: "Split", quantity: ratio, price: 0, date });
+
+  it("rescales earlier lots on the effective date without changing total cost", () => {
+    const txs = [
+      tx({ quantity: 10, price: 400, date: "2024-01-01" }),
+      tx({ quantity: 5, price: 480, date: "2024-02-01" }),
+      split(4, "2024-03-01"),
+      tx({ quantity: 4, price: 110, date: "2024-04-01" }),
+    ];
+    const [aapl] = calculatePortfolioData(txs, { AAPL: { currentPrice: 120 } });
+    expect(aapl.quantity).toBe(64);
+    expect(aapl.totalCost).toBe(4000 + 2400 + 440);
+    expect(aapl.lots.map((lot) => [lot.quantity, lot.price])).toEqual([[40, 100], [20, 120], [4, 110]]);
+  });
+
+  it("matches post-split sells against the adjusted lots", () => {
+    const txs = [
+      tx({ quantity: 10, price: 400, date: "2024-01-01" }),
+      split(4, "2024-03-01"),
+      tx({ type: "Sell", quantity: 30, price: 150, date: "2024-04-01" }),
+    ];
+    // 30 post-split shares at $100 adjusted cost
+    expect(calculateRealizedPnL(txs).total).toBe(30 * 150 - 30 * 100);
+  });
+
+  it("handles reverse splits", () => {
+    const txs = [tx({ quantity: 100, price: 2, date: "2024-01-01" }), split(0.1, "2024-02-01")];
+    const [aapl] = calculatePortfolioData(txs, {});
+    expect(aapl.quantity).toBeCloseTo(10);
+    expect(aapl.avgPrice).toBeCloseTo(20);
+    expect(aapl.totalCost).toBe(200);
+  });
+
+  it("keeps validateSellQuantities correct across the split boundary", () => {
+    const base = [tx({ quantity: 10, date: "2024-01-01" }), split(4, "2024-03-01")];
+    // before the split only 10 shares exist; after it 40
+    expect(validateSellQuantities([...base, tx({ type: "Sell", quantity: 12, date: "2024-02-01" })]).valid).toBe(false);
+    expect(validateSellQuantities([...base, tx({ type: "Sell", quantity: 40, date: "2024-04-01" })]).valid).toBe(true);
+    expect(validateSellQuantities([...base, tx({ type: "Sell", quantity: 41, date: "2024-04-01" })]).valid).toBe(false);
+    // a pre-split sell of 5 leaves 20 post-split shares
+    const withEarlySell = [...base, tx({ type: "Sell", quantity: 5, date: "2024-02-01" })];
+    expect(validateSellQuantities([...withEarlySell, tx({ type: "Sell", quantity: 20, date: "2024-04-01" })]).valid).toBe(true);
+    expect(validateSellQuantities([...withEarlySell, tx({ type: "Sell", quantity: 21, date: "2024-04-01" })]).valid).toBe(false);
+  });
+
+  it("formats split ratios", () => {
+    expect(formatSplitRatio(4)).toBe("4-for-1");
+    expect(formatSplitRatio(0.1)).toBe("1-for-10");
+    expect(formatSplitRatio(1.5)).toBe("1.5-for-1");
+  });
+});
+
+describe("portfolios", () => {
+  const main = (overrides) => tx({ portfolioId: "main", ...overrides });
+  const ira = (overrides) => tx({ portfolioId: "ira", ...overrides });
+
+  it("matches sells against the lots of their own portfolio only", () => {
+    const txs = [
+      main({ quantity: 10, price: 100, date: "2024-01-01" }),
+      ira({ quantity: 10, price: 200, date: "2024-02-01" }),
+      // FIFO across accounts would take the $100 lot; the IRA only holds the $200 one
+      ira({ type: "Sell", quantity: 4, price: 250, date: "2024-03-01" }),
+    ];
+    expect(calculateRealizedPnL(txs).total).toBe(4 * 250 - 4 * 200);
+
+    // the "All accounts" view aggregates both positions
+    const [aapl] = calculatePortfolioData(txs, { AAPL: { currentPrice: 300 } });
+    expect(aapl.quantity).toBe(16);
+    expect(aapl.totalCost).toBe(1000 + 1200);
+    expect(aapl.lots.map((lot) => [lot.quantity, lot.price])).toEqual([[10, 100], [6, 200]]);
+  });
+
+  it("rejects a sell covered only by another portfolio's shares", () => {
+    const txs = [
+      main({ quantity: 10, date: "2024-01-01" }),
+      ira({ type: "Sell", quantity: 1, date: "2024-02-01" }),
+    ];
+    expect(validateSellQuantities(txs)).toEqual({ valid: false, ticker: "AAPL" });
+    expect(validateSellQuantities([...txs, ira({ quantity: 1, date: "2024-01-15" })]).valid).toBe(true);
+  });
+});
+
 describe("validateSellQuantities", () => {
   it("passes when every sell is covered by prior buys", () => {
     const txs = [
@@ -137,6 +387,12 @@ describe("normalizeAssetType", () => {
     ["crypto", "Crypto"],
     ["  Crypto\n", "Crypto"],
     ["stock", "Stock"],
+    ["etf", "ETF"],
+    ["Bonds", "Bond"],
+    ["options", "Option"],
+    ["cash", "Cash"],
+    ["Real estate", "Other"],
+    ["warrant", "Stock"],
     ["", "Stock"],
     [null, "Stock"],
     [undefined, "Stock"],
@@ -0,0 +1,159 @@
+// manual prices: valuations the user enters and the fallbacks for assets
+// the providers can't price.
+//
+// a valuation is { ticker, price, currency, date, note }: the value of one
+// unit on that day. an asset's marks are its valuations and its trade prices
+// (a valuation wins over a trade on the same day); its latest mark is its
+// manual price.
+//
+// precedence, per asset:
+//   1. an asset with any valuation is priced manually - valuations override
+//      the provider (delete them to go back to the live quote)
+//   2. otherwise the provider quote, when it has a price (currentPrice > 0)
+//   3. otherwise the manual price: assets without a price feed (bonds,
+//      options, cash, real estate/other) and assets the provider quotes at 0
+//      (delisted stocks, private tokens) fall back to their last trade price.
+//      an asset with no quote yet (still loading) is left alone
+// manual prices carry manual: true, valuedAt (date of the mark) and
+// priceSource ("valuation" | "trade"). a mark from before a split is a price
+// of pre-split units, so the manual price divides it by the splits since.
+
+import { sortTransactionsChronologically } from "./utils.js";
+import { normalizeCurrency } from "./currency.js";
+import { isManuallyPriced } from "../constants/assetClasses.js";
+import { hasUnitPrice, isCashFlowType, isSplitType, getSplitRatio } from "../constants/transactionTypes.js";
+
+const isPricedTrade = (tx) =>
+  !!tx.ticker && !isCashFlowType(tx.type) && hasUnitPrice(tx) && Number(tx.price) > 0;
+
+const byDate = (a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+
+/** the most recent valuation per ticker: { [ticker]: valuation } */
+export const getLatestValuations = (valuations = []) => {
+  const latest = {};
+  valuations.forEach((valuation) => {
+    const current = latest[valuation.ticker];
+    if (!current || valuation.date >= current.date) latest[valuation.ticker] = valuation;
+  });
+  return latest;
+};
+
+/**
+ * every traded ticker's marks, oldest first:
+ * { [ticker]: [{ date, price, currency, source: "valuation" | "trade", splitRatio }] }
+ * splitRatio is the product of the ticker's split ratios after the mark (1
+ * without one): trades before a split in chronological order, valuations
+ * before the split's day
+ */
+const collectMarks = (transactions, valuations) => {
+  const marksByTicker = {};
+  const add = (ticker, mark) => {
+    const marks = (marksByTicker[ticker] ||= new Map());
+    // a valuation beats a trade on the same day; the later trade beats an earlier one
+    if (marks.get(mark.date)?.source === "valuation" && mark.source === "trade") return;
+    marks.set(mark.date, mark);
+  };
+
+  const sorted = sortTransactionsChronologically(transactions);
+  const splits = sorted
+    .map((tx, index) => ({ ticker: tx.ticker, date: tx.date, index, ratio: getSplitRatio(tx) }))
+    .filter((split, index) => isSplitType(sorted[index].type));
+  const ratioAfter = (ticker, isAfter) =>
+    splits.filter((split) => split.ticker === ticker && isAfter(split)).reduce((ratio, split) => ratio * split.ratio, 1);
+
+  sorted.forEach((tx, index) => {
+    if (!isPricedTrade(tx)) return;
+    add(tx.ticker, {
+      date: tx.date,
+      price: Number(tx.price),
+      currency: normalizeCurrency(tx.currency),
+      source: "trade",
+      splitRatio: ratioAfter(tx.ticker, (split) => split.index > index),
+    });
+  });
+  valuations.forEach((v) =>
+    add(v.ticker, {
+      date: v.date,
+      price: Number(v.price),
+      currency: normalizeCurrency(v.currency),
+      source: "valuation",
+      splitRatio: ratioAfter(v.ticker, (split) => split.date > v.date),
+    })
+  );
+
+  return Object.fromEntries(
+    Object.entries(marksByTicker).map(([ticker, marks]) => [ticker, [...marks.values()].sort(byDate)])
+  );
+};
+
+// what each traded ticker is: { [ticker]: { name, assetType } } (the last transaction wins)
+const describeTickers = (transactions) => {
+  const info = {};
+  transactions.filter(isPricedTrade).forEach((tx) => {
+    info[tx.ticker] = { name: tx.name || tx.ticker, assetType: tx.assetType };
+  });
+  return info;
+};
+
+/**
+ * `quotes` (usePrices' provider or snapshot prices) with the manual prices
+ * of the traded assets merged in by the precedence rules above
+ */
+export const mergeManualPrices = (quotes = {}, transactions = [], valuations = []) => {
+  const tickers = describeTickers(transactions);
+  const valued = new Set(valuations.map((v) => v.ticker));
+  const merged = { ...quotes };
+
+  Object.entries(collectMarks(transactions, valuations)).forEach(([ticker, marks]) => {
+    if (!tickers[ticker]) return;
+    const quote = quotes[ticker];
+    const isManual =
+      valued.has(ticker) || isManuallyPriced(tickers[ticker].assetType) || (!!quote && !(quote.currentPrice > 0));
+    if (!isManual) return;
+
+    const latest = marks[marks.length - 1];
+    merged[ticker] = {
+      logo: null,
+      ...quote,
+      name: quote?.name || tickers[ticker].name,
+      currentPrice: latest.price / latest.splitRatio,
+      priceChange24h: 0,
+      currency: latest.currency,
+      manual: true,
+      valuedAt: latest.date,
+      priceSource: latest.source,
+    };
+  });
+  return merged;
+};
+
+/**
+ * daily closes (usePriceHistory's { [ticker]: [[date, close], ...] }) with
+ * the manual marks merged in: assets without a price feed step through their
+ * marks, and a valued asset keeps its provider closes up to its first
+ * valuation and follows its marks from there. marks stay in the units of
+ * their day - the history values each day's quantity before any later split
+ */
+export const mergeManualPriceHistory = (history = {}, transactions = [], valuations = []) => {
+  const tickers = describeTickers(transactions);
+  const firstValuation = {};
+  valuations.forEach((v) => {
+    if (!firstValuation[v.ticker] || v.date < firstValuation[v.ticker]) firstValuation[v.ticker] = v.date;
+  });
+  const merged = { ...history };
+
+  Object.entries(collectMarks(transactions, valuations)).forEach(([ticker, marks]) => {
+    if (!tickers[ticker]) return;
+    const points = marks.map((mark) => [mark.date, mark.price]);
+    if (isManuallyPriced(tickers[ticker].assetType)) {
+      merged[ticker] = points;
+    } else if (firstValuation[ticker]) {
+      const from = firstValuation[ticker];
+      merged[ticker] = [
+        ...(history[ticker] || []).filter(([date]) => date < from),
+        ...points.filter(([date]) => date >= from),
+      ];
+    }
+  });
+  return merged;
+};
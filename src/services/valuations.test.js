@@ -0,0 +1,128 @@
+import { describe, expect, it } from "vitest";
+import { getLatestValuations, mergeManualPrices, mergeManualPriceHistory } from "./valuations";
+
+const tx = (overrides) => ({
+  ticker: "HOUSE",
+  type: "Buy",
+  quantity: 1,
+  price: 300000,
+  date: "2023-05-01",
+  time: "10:00",
+  assetType: "Other",
+  name: "Flat",
+  currency: "EUR",
+  ...overrides,
+});
+
+const valuation = (overrides) => ({
+  id: "v1",
+  ticker: "HOUSE",
+  assetType: "Other",
+  price: 320000,
+  currency: "EUR",
+  date: "2024-01-01",
+  note: "",
+  ...overrides,
+});
+
+describe("getLatestValuations", () => {
+  it("keeps the most recent valuation per ticker", () => {
+    const latest = getLatestValuations([
+      valuation({ id: "a", date: "2024-06-01" }),
+      valuation({ id: "b", date: "2024-01-01" }),
+      valuation({ id: "c", ticker: "BOND1", date: "2023-01-01" }),
+    ]);
+    expect(latest.HOUSE.id).toBe("a");
+    expect(latest.BOND1.id).toBe("c");
+  });
+});
+
+describe("mergeManualPrices", () => {
+  const quotes = { AAPL: { currentPrice: 190, priceChange24h: 1.2, logo: "aapl.png", name: "Apple Inc.", currency: "USD" } };
+
+  it("values assets without a price feed at the latest valuation", () => {
+    const prices = mergeManualPrices(quotes, [tx()], [valuation(), valuation({ id: "v2", price: 310000, date: "2023-09-01" })]);
+    expect(prices.HOUSE).toMatchObject({
+      currentPrice: 320000,
+      currency: "EUR",
+      name: "Flat",
+      manual: true,
+      valuedAt: "2024-01-01",
+      priceSource: "valuation",
+    });
+    expect(prices.AAPL).toBe(quotes.AAPL);
+  });
+
+  it("falls back to the last trade price without a valuation", () => {
+    const prices = mergeManualPrices({}, [
+      tx({ assetType: "Bond", ticker: "UST30", price: 98, date: "2024-01-02" }),
+      tx({ assetType: "Bond", ticker: "UST30", price: 101, date: "2024-03-02" }),
+    ]);
+    expect(prices.UST30).toMatchObject({ currentPrice: 101, valuedAt: "2024-03-02", priceSource: "trade" });
+  });
+
+  it("divides marks from before a split by the split ratio", () => {
+    const trades = [
+      tx({ assetType: "Other", ticker: "PRIV", price: 40, quantity: 100, date: "2024-01-02" }),
+      tx({ assetType: "Other", ticker: "PRIV", type: "Split", price: 0, quantity: 4, date: "2024-06-01" }),
+    ];
+    // 100 units at 40 became 400 units worth 10 each
+    expect(mergeManualPrices({}, trades).PRIV).toMatchObject({ currentPrice: 10, priceSource: "trade" });
+    // a valuation before the split is adjusted too, one after it is not
+    const before = [valuation({ ticker: "PRIV", price: 48, date: "2024-03-01" })];
+    expect(mergeManualPrices({}, trades, before).PRIV.currentPrice).toBe(12);
+    const after = [valuation({ ticker: "PRIV", price: 13, date: "2024-06-01" })];
+    expect(mergeManualPrices({}, trades, after).PRIV.currentPrice).toBe(13);
+  });
+
+  it("uses a trade newer than the latest valuation", () => {
+    const prices = mergeManualPrices({}, [tx(), tx({ price: 330000, date: "2024-02-01" })], [valuation()]);
+    expect(prices.HOUSE.currentPrice).toBe(330000);
+  });
+
+  it("keeps live quotes unless the asset has a valuation", () => {
+    const trades = [tx({ ticker: "AAPL", assetType: "Stock", price: 150, currency: "USD" })];
+    expect(mergeManualPrices(quotes, trades).AAPL).toBe(quotes.AAPL);
+
+    const prices = mergeManualPrices(quotes, trades, [valuation({ ticker: "AAPL", assetType: "Stock", price: 175, currency: "USD" })]);
+    expect(prices.AAPL).toMatchObject({ currentPrice: 175, priceChange24h: 0, logo: "aapl.png", name: "Apple Inc.", manual: true });
+  });
+
+  it("prices assets the provider returns 0 for at their last trade", () => {
+    const prices = mergeManualPrices(
+      { DLST: { currentPrice: 0, priceChange24h: 0, logo: null, name: null } },
+      [tx({ ticker: "DLST", assetType: "Stock", name: "Delisted Co", price: 4.2, currency: "USD" })]
+    );
+    expect(prices.DLST).toMatchObject({ currentPrice: 4.2, name: "Delisted Co", manual: true, priceSource: "trade" });
+  });
+
+  it("ignores valuations of assets that were never traded", () => {
+    expect(mergeManualPrices({}, [], [valuation()])).toEqual({});
+  });
+});
+
+describe("mergeManualPriceHistory", () => {
+  it("steps assets without a price feed through trades and valuations", () => {
+    const history = mergeManualPriceHistory(
+      {},
+      [tx(), tx({ date: "2024-01-01", price: 315000 })],
+      [valuation(), valuation({ id: "v0", date: "2023-12-01", price: 305000 })]
+    );
+    expect(history.HOUSE).toEqual([
+      ["2023-05-01", 300000],
+      ["2023-12-01", 305000],
+      ["2024-01-01", 320000],
+    ]);
+  });
+
+  it("switches a valued asset from provider closes to its marks at the first valuation", () => {
+    const closes = { DLST: [["2024-01-02", 10], ["2024-01-03", 9], ["2024-01-04", 0.5]] };
+    const history = mergeManualPriceHistory(
+      closes,
+      [tx({ ticker: "DLST", assetType: "Stock", date: "2024-01-02", price: 10 })],
+      [valuation({ ticker: "DLST", assetType: "Stock", date: "2024-01-04", price: 2 })]
+    );
+    expect(history.DLST).toEqual([["2024-01-02", 10], ["2024-01-03", 9], ["2024-01-04", 2]]);
+    expect(mergeManualPriceHistory(closes, [tx({ ticker: "DLST", assetType: "Stock" })])).toEqual(closes);
+  });
+});
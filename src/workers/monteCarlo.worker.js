@@ -0,0 +1,14 @@
+// runs the goal projection off the main thread: thousands of runs of
+// hundreds of months would freeze the page for a moment on every change.
+// receives { id, params } and answers { id, result } or { id, error }
+
+import { simulateGoal } from "../services/monteCarlo";
+
+self.onmessage = (event) => {
+  const { id, params } = event.data;
+  try {
+    self.postMessage({ id, result: simulateGoal(params) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message || "Simulation failed" });
+  }
+};
@@ -0,0 +1,44 @@
+-- Selectable cost basis methods.
+--
+-- cost_basis_preferences holds the account default (ticker = '') and optional
+-- per-asset overrides (ticker = symbol). Methods: fifo, lifo, hifo, average,
+-- specific. No row means FIFO.
+--
+-- transactions.lot_selections records the lots a sell closes under the
+-- "specific" method: a JSON array of { "lotId": <buy transaction id>,
+-- "quantity": <number> }. Other methods ignore it.
+-- Run in the Supabase SQL Editor after 003_fix_rls_recursion.sql.
+
+create table if not exists public.cost_basis_preferences (
+  user_id uuid not null references auth.users (id) on delete cascade default auth.uid(),
+  ticker text not null default '',
+  method text not null check (method in ('fifo', 'lifo', 'hifo', 'average', 'specific')),
+  updated_at timestamptz not null default now(),
+  primary key (user_id, ticker)
+);
+
+alter table public.cost_basis_preferences enable row level security;
+
+create policy "cost_basis_preferences_select"
+  on public.cost_basis_preferences for select
+  using (auth.uid() = user_id or public.is_admin());
+
+create policy "cost_basis_preferences_insert"
+  on public.cost_basis_preferences for insert
+  with check (auth.uid() = user_id or public.is_admin());
+
+create policy "cost_basis_preferences_update"
+  on public.cost_basis_preferences for update
+  using (auth.uid() = user_id or public.is_admin())
+  with check (auth.uid() = user_id or public.is_admin());
+
+create policy "cost_basis_preferences_delete"
+  on public.cost_basis_preferences for delete
+  using (auth.uid() = user_id or public.is_admin());
+
+alter table public.transactions
+  add column if not exists lot_selections jsonb;
+
+alter table public.transactions
+  add constraint transactions_lot_selections_array
+  check (lot_selections is null or jsonb_typeof(lot_selections) = 'array');
@@ -0,0 +1,20 @@
+-- Fees and commissions on transactions.
+--
+-- fee is the amount paid for the trade; fee_currency is 'USD' or, for crypto
+-- fees paid in the coin itself, the transaction's ticker (valued at the
+-- trade price). The app adds buy fees to cost basis and takes sell fees off
+-- proceeds. total_cost stays quantity * price (gross, before fees).
+-- Run in the Supabase SQL Editor after 004_cost_basis_methods.sql.
+
+alter table public.transactions
+  add column if not exists fee numeric not null default 0;
+
+alter table public.transactions
+  add column if not exists fee_currency text not null default 'USD';
+
+alter table public.transactions
+  add constraint transactions_fee_non_negative check (fee >= 0);
+
+alter table public.transactions
+  add constraint transactions_fee_currency_valid
+  check (fee_currency = 'USD' or fee_currency = ticker);
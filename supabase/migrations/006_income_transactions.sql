@@ -0,0 +1,30 @@
+-- Dividend, interest and staking income transactions.
+--
+-- Income rows use type 'Dividend', 'Interest' or 'Staking' and say how they
+-- were paid in payout:
+--   'cash'  - quantity is the dollar amount, price is 1
+--   'units' - quantity is the units received, price is their value per unit
+--             when received (the app opens a lot at that cost basis)
+-- Buys and sells keep payout null.
+-- Run in the Supabase SQL Editor after 005_transaction_fees.sql.
+
+alter table public.transactions
+  add column if not exists payout text;
+
+alter table public.transactions
+  drop constraint if exists transactions_type_valid;
+
+alter table public.transactions
+  add constraint transactions_type_valid
+  check (type in ('Buy', 'Sell', 'Dividend', 'Interest', 'Staking'));
+
+alter table public.transactions
+  add constraint transactions_payout_valid
+  check (
+    (type in ('Buy', 'Sell') and payout is null)
+    or (type in ('Dividend', 'Interest', 'Staking') and payout in ('cash', 'units'))
+  );
+
+alter table public.transactions
+  add constraint transactions_cash_income_price
+  check (payout is distinct from 'cash' or price = 1);
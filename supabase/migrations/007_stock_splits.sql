@@ -0,0 +1,29 @@
+-- Stock splits and reverse splits.
+--
+-- A split is a corporate-action row with type 'Split' on its effective date:
+-- quantity is the ratio (new shares per old share - 4 for a 4-for-1 split,
+-- 0.1 for a 1-for-10 reverse split) and price is 0. The app rescales every
+-- earlier lot by the ratio (quantity × ratio, price ÷ ratio) so total cost is
+-- unchanged, and checks later sells in post-split units.
+-- Run in the Supabase SQL Editor after 006_income_transactions.sql.
+
+alter table public.transactions
+  drop constraint if exists transactions_type_valid;
+
+alter table public.transactions
+  add constraint transactions_type_valid
+  check (type in ('Buy', 'Sell', 'Dividend', 'Interest', 'Staking', 'Split'));
+
+alter table public.transactions
+  drop constraint if exists transactions_payout_valid;
+
+alter table public.transactions
+  add constraint transactions_payout_valid
+  check (
+    (type in ('Buy', 'Sell', 'Split') and payout is null)
+    or (type in ('Dividend', 'Interest', 'Staking') and payout in ('cash', 'units'))
+  );
+
+alter table public.transactions
+  add constraint transactions_split_valid
+  check (type <> 'Split' or (quantity <> 1 and price = 0 and fee = 0));
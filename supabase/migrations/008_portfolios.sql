@@ -0,0 +1,94 @@
+-- Multiple portfolios (accounts) per user.
+--
+-- Every transaction belongs to one portfolio (brokerage account, exchange,
+-- retirement account...). Lots are matched within a portfolio only; the app's
+-- "All accounts" view aggregates them. Each user starts with a "Main"
+-- portfolio, which also receives every existing transaction.
+-- Deleting a portfolio deletes its transactions.
+-- Run in the Supabase SQL Editor after 007_stock_splits.sql.
+
+create table if not exists public.portfolios (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade default auth.uid(),
+  name text not null check (length(btrim(name)) between 1 and 60),
+  created_at timestamptz not null default now(),
+  unique (user_id, name)
+);
+
+alter table public.portfolios enable row level security;
+
+create policy "portfolios_select"
+  on public.portfolios for select
+  using (auth.uid() = user_id or public.is_admin());
+
+create policy "portfolios_insert"
+  on public.portfolios for insert
+  with check (auth.uid() = user_id or public.is_admin());
+
+create policy "portfolios_update"
+  on public.portfolios for update
+  using (auth.uid() = user_id or public.is_admin())
+  with check (auth.uid() = user_id or public.is_admin());
+
+create policy "portfolios_delete"
+  on public.portfolios for delete
+  using (auth.uid() = user_id or public.is_admin());
+
+-- existing users get their default portfolio
+insert into public.portfolios (user_id, name)
+select id, 'Main' from auth.users
+on conflict (user_id, name) do nothing;
+
+alter table public.transactions
+  add column if not exists portfolio_id uuid references public.portfolios (id) on delete cascade;
+
+update public.transactions t
+set portfolio_id = p.id
+from public.portfolios p
+where t.portfolio_id is null and p.user_id = t.user_id and p.name = 'Main';
+
+alter table public.transactions
+  alter column portfolio_id set not null;
+
+create index if not exists transactions_portfolio_occurred_idx
+  on public.transactions (portfolio_id, occurred_at desc);
+
+-- a transaction can only be filed under a portfolio of the same user
+drop policy if exists "transactions_insert" on public.transactions;
+create policy "transactions_insert"
+  on public.transactions for insert
+  with check (
+    (auth.uid() = user_id or public.is_admin())
+    and exists (
+      select 1 from public.portfolios p
+      where p.id = portfolio_id and p.user_id = transactions.user_id
+    )
+  );
+
+drop policy if exists "transactions_update" on public.transactions;
+create policy "transactions_update"
+  on public.transactions for update
+  using (auth.uid() = user_id or public.is_admin())
+  with check (
+    (auth.uid() = user_id or public.is_admin())
+    and exists (
+      select 1 from public.portfolios p
+      where p.id = portfolio_id and p.user_id = transactions.user_id
+    )
+  );
+
+-- New signups get a profile row and their default portfolio.
+create or replace function public.handle_new_user()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.profiles (id, email, role)
+  values (new.id, new.email, 'user');
+  insert into public.portfolios (user_id, name)
+  values (new.id, 'Main');
+  return new;
+end;
+$$;
@@ -0,0 +1,29 @@
+-- Deposits and withdrawals.
+--
+-- Cash moving in or out of a portfolio is a row with type 'Deposit' or
+-- 'Withdrawal': ticker is 'USD', quantity is the dollar amount, price is 1
+-- and there is no fee or payout. (018 files them under their own currency:
+-- ticker is the currency code and quantity the amount in it.) The app keeps a running cash balance per
+-- portfolio from these rows plus buys (debit), sells and cash income (credit).
+-- Run in the Supabase SQL Editor after 008_portfolios.sql.
+
+alter table public.transactions
+  drop constraint if exists transactions_type_valid;
+
+alter table public.transactions
+  add constraint transactions_type_valid
+  check (type in ('Buy', 'Sell', 'Dividend', 'Interest', 'Staking', 'Split', 'Deposit', 'Withdrawal'));
+
+alter table public.transactions
+  drop constraint if exists transactions_payout_valid;
+
+alter table public.transactions
+  add constraint transactions_payout_valid
+  check (
+    (type in ('Buy', 'Sell', 'Split', 'Deposit', 'Withdrawal') and payout is null)
+    or (type in ('Dividend', 'Interest', 'Staking') and payout in ('cash', 'units'))
+  );
+
+alter table public.transactions
+  add constraint transactions_cash_flow_valid
+  check (type not in ('Deposit', 'Withdrawal') or (ticker = 'USD' and price = 1 and fee = 0));
@@ -0,0 +1,42 @@
+-- Price alerts.
+--
+-- An alert watches one ticker for a price level ('above' / 'below', threshold
+-- in USD) or a 24h move ('change_up' / 'change_down', threshold in percent).
+-- The app checks active alerts whenever prices refresh; when one fires it is
+-- switched off and stamped with triggered_at, and can be re-armed from the
+-- alerts panel.
+-- Run in the Supabase SQL Editor after 009_cash_flows.sql.
+
+create table if not exists public.price_alerts (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade default auth.uid(),
+  ticker text not null check (length(btrim(ticker)) between 1 and 20),
+  asset_class text not null check (asset_class in ('Stock', 'Crypto')),
+  condition text not null check (condition in ('above', 'below', 'change_up', 'change_down')),
+  threshold numeric not null check (threshold > 0),
+  active boolean not null default true,
+  triggered_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists price_alerts_user_created_idx
+  on public.price_alerts (user_id, created_at desc);
+
+alter table public.price_alerts enable row level security;
+
+create policy "price_alerts_select"
+  on public.price_alerts for select
+  using (auth.uid() = user_id or public.is_admin());
+
+create policy "price_alerts_insert"
+  on public.price_alerts for insert
+  with check (auth.uid() = user_id or public.is_admin());
+
+create policy "price_alerts_update"
+  on public.price_alerts for update
+  using (auth.uid() = user_id or public.is_admin())
+  with check (auth.uid() = user_id or public.is_admin());
+
+create policy "price_alerts_delete"
+  on public.price_alerts for delete
+  using (auth.uid() = user_id or public.is_admin());
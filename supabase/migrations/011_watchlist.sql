@@ -0,0 +1,38 @@
+-- Watchlist.
+--
+-- Assets the user follows without owning them: the dashboard shows their
+-- price and 24h change next to the portfolio and can open a prefilled buy.
+-- The watchlist belongs to the user, not to a portfolio.
+-- Run in the Supabase SQL Editor after 010_price_alerts.sql.
+
+create table if not exists public.watchlist (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade default auth.uid(),
+  ticker text not null check (length(btrim(ticker)) between 1 and 20),
+  name text,
+  asset_class text not null check (asset_class in ('Stock', 'Crypto')),
+  created_at timestamptz not null default now(),
+  unique (user_id, ticker, asset_class)
+);
+
+create index if not exists watchlist_user_created_idx
+  on public.watchlist (user_id, created_at);
+
+alter table public.watchlist enable row level security;
+
+create policy "watchlist_select"
+  on public.watchlist for select
+  using (auth.uid() = user_id or public.is_admin());
+
+create policy "watchlist_insert"
+  on public.watchlist for insert
+  with check (auth.uid() = user_id or public.is_admin());
+
+create policy "watchlist_update"
+  on public.watchlist for update
+  using (auth.uid() = user_id or public.is_admin())
+  with check (auth.uid() = user_id or public.is_admin());
+
+create policy "watchlist_delete"
+  on public.watchlist for delete
+  using (auth.uid() = user_id or public.is_admin());
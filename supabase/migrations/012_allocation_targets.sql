@@ -0,0 +1,39 @@
+-- Target allocation.
+--
+-- Target weights for the drift view and the rebalancing calculator. A target
+-- is either for one asset (kind 'asset', key = ticker) or for an asset class
+-- (kind 'class', key = 'Stock' | 'Crypto' | 'Cash'); holdings count toward
+-- their asset target first, then their class target. Weights are percentages.
+-- The app saves the whole set at once.
+-- Run in the Supabase SQL Editor after 011_watchlist.sql.
+
+create table if not exists public.allocation_targets (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade default auth.uid(),
+  kind text not null check (kind in ('asset', 'class')),
+  key text not null check (length(btrim(key)) between 1 and 20),
+  -- asset class of an asset target, so it can be priced before it is held
+  asset_class text check (asset_class in ('Stock', 'Crypto')),
+  weight numeric not null check (weight > 0 and weight <= 100),
+  updated_at timestamptz not null default now(),
+  unique (user_id, kind, key)
+);
+
+alter table public.allocation_targets enable row level security;
+
+create policy "allocation_targets_select"
+  on public.allocation_targets for select
+  using (auth.uid() = user_id or public.is_admin());
+
+create policy "allocation_targets_insert"
+  on public.allocation_targets for insert
+  with check (auth.uid() = user_id or public.is_admin());
+
+create policy "allocation_targets_update"
+  on public.allocation_targets for update
+  using (auth.uid() = user_id or public.is_admin())
+  with check (auth.uid() = user_id or public.is_admin());
+
+create policy "allocation_targets_delete"
+  on public.allocation_targets for delete
+  using (auth.uid() = user_id or public.is_admin());
@@ -0,0 +1,49 @@
+-- Multi-currency transactions and a base currency.
+--
+-- transactions.currency is the ISO 4217 code the price (and a cash fee) is
+-- in; existing rows are USD. A fee is now paid in the transaction's currency
+-- or, for crypto, in the traded coin, so fee_currency is one of the two
+-- (USD stays valid for rows saved before this migration).
+--
+-- user_settings holds per-user display settings; base_currency is what
+-- values, cost basis and P&L are converted to (at the FX rate of each
+-- transaction's day, see src/services/currency.js). No row means USD.
+-- Run in the Supabase SQL Editor after 012_allocation_targets.sql.
+
+alter table public.transactions
+  add column if not exists currency text not null default 'USD';
+
+alter table public.transactions
+  add constraint transactions_currency_code check (currency ~ '^[A-Z]{3}$');
+
+alter table public.transactions
+  drop constraint if exists transactions_fee_currency_valid;
+
+alter table public.transactions
+  add constraint transactions_fee_currency_valid
+  check (fee_currency = 'USD' or fee_currency = currency or fee_currency = ticker);
+
+create table if not exists public.user_settings (
+  user_id uuid primary key references auth.users (id) on delete cascade default auth.uid(),
+  base_currency text not null default 'USD' check (base_currency ~ '^[A-Z]{3}$'),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.user_settings enable row level security;
+
+create policy "user_settings_select"
+  on public.user_settings for select
+  using (auth.uid() = user_id or public.is_admin());
+
+create policy "user_settings_insert"
+  on public.user_settings for insert
+  with check (auth.uid() = user_id or public.is_admin());
+
+create policy "user_settings_update"
+  on public.user_settings for update
+  using (auth.uid() = user_id or public.is_admin())
+  with check (auth.uid() = user_id or public.is_admin());
+
+create policy "user_settings_delete"
+  on public.user_settings for delete
+  using (auth.uid() = user_id or public.is_admin());
@@ -0,0 +1,74 @@
+-- More asset classes and manual valuations.
+--
+-- asset_class was 'Stock' or 'Crypto'. It can now also be 'ETF', 'Bond',
+-- 'Option', 'Cash' (money market, savings, T-bills held as a position) or
+-- 'Other' (real estate, collectibles, private holdings). Stocks and ETFs are
+-- priced by TwelveData and crypto by CoinGecko; the other classes have no
+-- price feed and are valued from asset_valuations: dated per-unit values the
+-- user enters (the latest one is the current price, earlier ones draw the
+-- performance chart). Without any valuation the last trade price is used.
+-- Run in the Supabase SQL Editor after 013_multi_currency.sql.
+
+alter table public.transactions
+  drop constraint if exists transactions_asset_class_valid;
+
+alter table public.transactions
+  add constraint transactions_asset_class_valid
+  check (asset_class in ('Stock', 'ETF', 'Crypto', 'Bond', 'Option', 'Cash', 'Other'));
+
+alter table public.price_alerts
+  drop constraint if exists price_alerts_asset_class_check;
+
+alter table public.price_alerts
+  add constraint price_alerts_asset_class_check
+  check (asset_class in ('Stock', 'ETF', 'Crypto', 'Bond', 'Option', 'Cash', 'Other'));
+
+alter table public.watchlist
+  drop constraint if exists watchlist_asset_class_check;
+
+alter table public.watchlist
+  add constraint watchlist_asset_class_check
+  check (asset_class in ('Stock', 'ETF', 'Crypto', 'Bond', 'Option', 'Cash', 'Other'));
+
+alter table public.allocation_targets
+  drop constraint if exists allocation_targets_asset_class_check;
+
+alter table public.allocation_targets
+  add constraint allocation_targets_asset_class_check
+  check (asset_class in ('Stock', 'ETF', 'Crypto', 'Bond', 'Option', 'Cash', 'Other'));
+
+create table if not exists public.asset_valuations (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade default auth.uid(),
+  ticker text not null check (length(btrim(ticker)) between 1 and 20),
+  asset_class text not null check (asset_class in ('Stock', 'ETF', 'Crypto', 'Bond', 'Option', 'Cash', 'Other')),
+  -- value of one unit on valued_on, in currency
+  price numeric not null check (price >= 0),
+  currency text not null default 'USD' check (currency ~ '^[A-Z]{3}$'),
+  valued_on date not null,
+  note text check (note is null or length(note) <= 200),
+  created_at timestamptz not null default now(),
+  unique (user_id, ticker, valued_on)
+);
+
+create index if not exists asset_valuations_user_ticker_idx
+  on public.asset_valuations (user_id, ticker, valued_on);
+
+alter table public.asset_valuations enable row level security;
+
+create policy "asset_valuations_select"
+  on public.asset_valuations for select
+  using (auth.uid() = user_id or public.is_admin());
+
+create policy "asset_valuations_insert"
+  on public.asset_valuations for insert
+  with check (auth.uid() = user_id or public.is_admin());
+
+create policy "asset_valuations_update"
+  on public.asset_valuations for update
+  using (auth.uid() = user_id or public.is_admin())
+  with check (auth.uid() = user_id or public.is_admin());
+
+create policy "asset_valuations_delete"
+  on public.asset_valuations for delete
+  using (auth.uid() = user_id or public.is_admin());
@@ -0,0 +1,42 @@
+-- Daily portfolio value snapshots.
+--
+-- The performance chart is recomputed in the browser from transactions and
+-- price history, so a past day's value changes whenever its inputs do and
+-- cannot be recovered once they are gone. The api/snapshots/daily job
+-- records, once a day, each user's total value (holdings + cash), cost basis
+-- and per-asset holdings in their base currency: one row for every portfolio
+-- combined (portfolio_id null) and one per portfolio. The chart uses a
+-- snapshot for its day when there is one.
+--
+-- Rows are written by the job with the service role key (which bypasses
+-- RLS); users can read and delete their own. `unique nulls not distinct`
+-- needs Postgres 15 (the Supabase default).
+-- Run in the Supabase SQL Editor after 014_asset_classes.sql.
+
+create table if not exists public.portfolio_snapshots (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade default auth.uid(),
+  portfolio_id uuid references public.portfolios (id) on delete cascade,
+  snapshot_date date not null,
+  currency text not null default 'USD' check (currency ~ '^[A-Z]{3}$'),
+  total_value numeric not null,
+  cost_basis numeric not null,
+  cash_balance numeric not null default 0,
+  -- [{ ticker, assetType, quantity, price, value, costBasis }]
+  holdings jsonb not null default '[]'::jsonb check (jsonb_typeof(holdings) = 'array'),
+  created_at timestamptz not null default now(),
+  unique nulls not distinct (user_id, portfolio_id, snapshot_date)
+);
+
+create index if not exists portfolio_snapshots_user_date_idx
+  on public.portfolio_snapshots (user_id, snapshot_date);
+
+alter table public.portfolio_snapshots enable row level security;
+
+create policy "portfolio_snapshots_select"
+  on public.portfolio_snapshots for select
+  using (auth.uid() = user_id or public.is_admin());
+
+create policy "portfolio_snapshots_delete"
+  on public.portfolio_snapshots for delete
+  using (auth.uid() = user_id or public.is_admin());
@@ -0,0 +1,40 @@
+-- Manual asset classification for the sector and region allocation views.
+--
+-- Sector, industry and country come from the TwelveData company profile
+-- where the provider covers the asset. A row here overrides them field by
+-- field (a null field keeps the provider's value) and classifies the assets
+-- the provider doesn't cover - ETFs, bonds, private holdings. The market cap
+-- bucket is only set here: the profile doesn't include it.
+-- Run in the Supabase SQL Editor after 015_portfolio_snapshots.sql.
+
+create table if not exists public.asset_metadata (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade default auth.uid(),
+  ticker text not null check (length(btrim(ticker)) between 1 and 20),
+  asset_class text not null check (asset_class in ('Stock', 'ETF', 'Crypto', 'Bond', 'Option', 'Cash', 'Other')),
+  sector text check (sector is null or length(sector) <= 60),
+  industry text check (industry is null or length(industry) <= 80),
+  country text check (country is null or length(country) <= 60),
+  market_cap text check (market_cap is null or market_cap in ('mega', 'large', 'mid', 'small', 'micro')),
+  updated_at timestamptz not null default now(),
+  unique (user_id, ticker)
+);
+
+alter table public.asset_metadata enable row level security;
+
+create policy "asset_metadata_select"
+  on public.asset_metadata for select
+  using (auth.uid() = user_id or public.is_admin());
+
+create policy "asset_metadata_insert"
+  on public.asset_metadata for insert
+  with check (auth.uid() = user_id or public.is_admin());
+
+create policy "asset_metadata_update"
+  on public.asset_metadata for update
+  using (auth.uid() = user_id or public.is_admin())
+  with check (auth.uid() = user_id or public.is_admin());
+
+create policy "asset_metadata_delete"
+  on public.asset_metadata for delete
+  using (auth.uid() = user_id or public.is_admin());
@@ -0,0 +1,40 @@
+-- Savings goals.
+--
+-- A goal is a target value of the whole account (holdings + cash) by a date,
+-- with the amount the user plans to add every month - e.g. 1,000,000 by
+-- 2035-12-31 adding 2,000 a month. Amounts are in the account's base
+-- currency. The app projects the portfolio with a Monte Carlo simulation and
+-- shows the probability of reaching each goal.
+-- Run in the Supabase SQL Editor after 016_asset_metadata.sql.
+
+create table if not exists public.goals (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade default auth.uid(),
+  name text not null check (length(btrim(name)) between 1 and 80),
+  target_amount numeric not null check (target_amount > 0),
+  target_date date not null,
+  monthly_contribution numeric not null default 0 check (monthly_contribution >= 0),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists goals_user_date_idx
+  on public.goals (user_id, target_date);
+
+alter table public.goals enable row level security;
+
+create policy "goals_select"
+  on public.goals for select
+  using (auth.uid() = user_id or public.is_admin());
+
+create policy "goals_insert"
+  on public.goals for insert
+  with check (auth.uid() = user_id or public.is_admin());
+
+create policy "goals_update"
+  on public.goals for update
+  using (auth.uid() = user_id or public.is_admin())
+  with check (auth.uid() = user_id or public.is_admin());
+
+create policy "goals_delete"
+  on public.goals for delete
+  using (auth.uid() = user_id or public.is_admin());
@@ -0,0 +1,23 @@
+-- Deposits and withdrawals filed under their own currency.
+--
+-- 009 stored every deposit and withdrawal under ticker 'USD' ("quantity is
+-- the dollar amount"), and 013 added transaction currencies without changing
+-- that, so a EUR deposit showed up as USD cash. The ticker of a deposit or
+-- withdrawal is now its currency code and its asset class is 'Cash':
+-- quantity is the amount in that currency, price is 1 and there is no fee or
+-- payout.
+-- Run in the Supabase SQL Editor after 017_goals.sql.
+
+alter table public.transactions
+  drop constraint if exists transactions_cash_flow_valid;
+
+update public.transactions
+  set ticker = currency, asset_class = 'Cash'
+  where type in ('Deposit', 'Withdrawal');
+
+alter table public.transactions
+  add constraint transactions_cash_flow_valid
+  check (
+    type not in ('Deposit', 'Withdrawal')
+    or (ticker = currency and asset_class = 'Cash' and price = 1 and fee = 0)
+  );
@@ -1,3 +1,11 @@
+import {
+  isAllowedTwelveDataEndpoint,
+  isAllowedCoinGeckoPath,
+  isAllowedFxPath,
+  buildFxQuery,
+  getCacheControl,
+} from "../api/_lib/allowlist.js";
+
 /**
  * Keeps API keys off the client: injects credentials only in dev/preview (Node).
  * Production static hosts must use a real backend or serverless routes with the same paths.
@@ -24,7 +32,8 @@ export function secureApiPlugin(env) {
 
   async function handleTwelveData(req, res) {
     const fullUrl = new URL(req.url, "http://localhost");
-    if (fullUrl.pathname !== "/api/twelve-data/quote") {
+    const endpoint = fullUrl.pathname.replace(/^\/api\/twelve-data\//, "");
+    if (!isAllowedTwelveDataEndpoint(endpoint)) {
       res.statusCode = 404;
       res.end();
       return;
@@ -35,11 +44,12 @@ export function secureApiPlugin(env) {
     }
     const params = new URLSearchParams(fullUrl.search);
     params.set("apikey", twelveKey);
-    const target = `https://api.twelvedata.com/quote?${params.toString()}`;
+    const target = `https://api.twelvedata.com/${endpoint}?${params.toString()}`;
     const upstream = await fetch(target);
     res.statusCode = upstream.status;
     const ct = upstream.headers.get("content-type");
     if (ct) res.setHeader("Content-Type", ct);
+    if (upstream.ok) res.setHeader("Cache-Control", getCacheControl(endpoint));
     res.end(Buffer.from(await upstream.arrayBuffer()));
   }
 
@@ -67,6 +77,12 @@ export function secureApiPlugin(env) {
       res.end();
       return;
     }
+    // same allowlist as the production function
+    if (!isAllowedCoinGeckoPath(decodedSubPath)) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
     const target = `https://api.coingecko.com/api/${subPath}${search}`;
     const headers = { Accept: "application/json" };
     if (cgKey) headers["x-cg-demo-api-key"] = cgKey;
@@ -79,6 +95,29 @@ export function secureApiPlugin(env) {
     res.statusCode = upstream.status;
     const ct = upstream.headers.get("content-type");
     if (ct) res.setHeader("Content-Type", ct);
+    if (upstream.ok) res.setHeader("Cache-Control", getCacheControl(decodedSubPath));
+    res.end(Buffer.from(await upstream.arrayBuffer()));
+  }
+
+  // FX reference rates need no key; proxied so dev matches production
+  async function handleFx(req, res) {
+    const fullUrl = new URL(req.url, "http://localhost");
+    const range = decodeURIComponent(fullUrl.pathname.replace(/^\/api\/fx\//, ""));
+    if (!isAllowedFxPath(range)) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+    const params = buildFxQuery(Object.fromEntries(fullUrl.searchParams));
+    if (!params) {
+      sendJson(res, 400, { code: "BAD_CURRENCIES" });
+      return;
+    }
+    const upstream = await fetch(`https://api.frankfurter.app/${range}?${params.toString()}`);
+    res.statusCode = upstream.status;
+    const ct = upstream.headers.get("content-type");
+    if (ct) res.setHeader("Content-Type", ct);
+    if (upstream.ok) res.setHeader("Cache-Control", getCacheControl(range));
     res.end(Buffer.from(await upstream.arrayBuffer()));
   }
 
@@ -115,6 +154,11 @@ export function secureApiPlugin(env) {
           return;
         }
 
+        if (req.url.startsWith("/api/fx/")) {
+          await handleFx(req, res);
+          return;
+        }
+
       } catch (e) {
         console.error("[secure-api-proxy]", e);
         sendJson(res, 502, { code: "PROXY_ERROR" });